@@ -1,15 +1,21 @@
 import { useState } from 'react';
 import { Routes, Route, NavLink, useLocation } from 'react-router-dom';
 import {
-  LayoutDashboard, Server, History, Settings, Network, Menu, X, Activity, Map
+  LayoutDashboard, Server, History, Settings, Network, Menu, X, Activity, Map, Radio, ListOrdered,
+  ShieldCheck
 } from 'lucide-react';
 import Dashboard from './pages/Dashboard';
 import Hosts from './pages/Hosts';
 import HostDetail from './pages/HostDetail';
 import ScanHistory from './pages/ScanHistory';
+import ScanDetail from './pages/ScanDetail';
+import ScanDiff from './pages/ScanDiff';
 import SettingsPage from './pages/Settings';
 import Availability from './pages/Availability';
 import InfraMap from './pages/InfraMap';
+import Agents from './pages/Agents';
+import Jobs from './pages/Jobs';
+import Certificates from './pages/Certificates';
 import NotFound from './pages/NotFound';
 
 function App() {
@@ -21,7 +27,10 @@ function App() {
     { path: '/hosts', label: 'Hosts', icon: Server },
     { path: '/availability', label: 'Verfügbarkeit', icon: Activity },
     { path: '/map', label: 'Infrastruktur', icon: Map },
+    { path: '/certificates', label: 'Zertifikate', icon: ShieldCheck },
     { path: '/scans', label: 'Scan-Verlauf', icon: History },
+    { path: '/jobs', label: 'Warteschlange', icon: ListOrdered },
+    { path: '/agents', label: 'Agents', icon: Radio },
     { path: '/settings', label: 'Einstellungen', icon: Settings },
   ];
 
@@ -64,7 +73,12 @@ function App() {
           <Route path="/hosts/:id" element={<HostDetail />} />
           <Route path="/availability" element={<Availability />} />
           <Route path="/map" element={<InfraMap />} />
+          <Route path="/certificates" element={<Certificates />} />
           <Route path="/scans" element={<ScanHistory />} />
+          <Route path="/scans/:id" element={<ScanDetail />} />
+          <Route path="/scans/:a/diff/:b" element={<ScanDiff />} />
+          <Route path="/jobs" element={<Jobs />} />
+          <Route path="/agents" element={<Agents />} />
           <Route path="/settings" element={<SettingsPage />} />
           <Route path="*" element={<NotFound />} />
         </Routes>
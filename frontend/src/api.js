@@ -17,15 +17,146 @@ export const api = {
   getHosts: () => fetchJson('/hosts'),
   getHost: (id) => fetchJson(`/hosts/${id}`),
   deleteHost: (id) => fetchJson(`/hosts/${id}`, { method: 'DELETE' }),
+  getHostVulnerabilities: (id) => fetchJson(`/hosts/${id}/vulnerabilities`),
+  getHostSshKeys: (id) => fetchJson(`/hosts/${id}/ssh-keys`),
+  setFriendlyName: (id, name) =>
+    fetchJson(`/hosts/${id}/name`, {
+      method: 'PUT',
+      body: JSON.stringify({ friendly_name: name }),
+    }),
+  getVulnerabilitySummary: () => fetchJson('/vulnerabilities/summary'),
+  getVulnerabilityFeeds: () => fetchJson('/vulnerabilities/feeds'),
+  importVulnerabilityFeed: (file) =>
+    fetchJson(`/vulnerabilities/import?filename=${encodeURIComponent(file.name)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: file,
+    }),
+  deleteVulnerabilities: () => fetchJson('/vulnerabilities', { method: 'DELETE' }),
+  getOuiDatabase: () => fetchJson('/oui'),
+  importOuiFile: (file) =>
+    fetchJson(`/oui/import?filename=${encodeURIComponent(file.name)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: file,
+    }),
+  deleteOuiImports: () => fetchJson('/oui', { method: 'DELETE' }),
+  getFaviconGroups: () => fetchJson('/favicons'),
+  nameFavicon: (mmh3, data) =>
+    fetchJson(`/favicons/${mmh3}`, { method: 'PUT', body: JSON.stringify(data) }),
+  deleteFaviconName: (mmh3) => fetchJson(`/favicons/${mmh3}`, { method: 'DELETE' }),
+  getSignaturePacks: () => fetchJson('/signature-packs'),
+  reloadSignaturePacks: () => fetchJson('/signature-packs/reload', { method: 'POST' }),
+  clearProbeCache: () => fetchJson('/probe-cache', { method: 'DELETE' }),
+  getSignatures: () => fetchJson('/signatures'),
+  createSignature: (signature) =>
+    fetchJson('/signatures', {
+      method: 'POST',
+      body: JSON.stringify(signature),
+    }),
+  updateSignature: (id, signature) =>
+    fetchJson(`/signatures/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(signature),
+    }),
+  deleteSignature: (id) => fetchJson(`/signatures/${id}`, { method: 'DELETE' }),
+  testSignatures: (target, signature) =>
+    fetchJson('/signatures/test', {
+      method: 'POST',
+      body: JSON.stringify({ target, signature }),
+    }),
+  getCertificates: (days) => fetchJson(`/certificates${days ? `?days=${days}` : ''}`),
+  getDuplicateCertificates: () => fetchJson('/certificates/duplicates'),
+  getEvents: (type, limit = 100, hostId = null) =>
+    fetchJson(`/events?${new URLSearchParams({
+      ...(type ? { type } : {}), ...(hostId ? { host_id: hostId } : {}), limit,
+    })}`),
   getScans: () => fetchJson('/scans'),
+  getScan: (id) => fetchJson(`/scans/${id}`),
+  getScanDiff: (a, b) => fetchJson(`/scans/${a}/diff/${b}`),
+  importNmapXml: (file, deepProbe) =>
+    fetchJson(`/scans/import?filename=${encodeURIComponent(file.name)}&deepProbe=${deepProbe}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/xml' },
+      body: file,
+    }),
   getScanStatus: () => fetchJson('/scans/status'),
-  startScan: () => fetchJson('/scans/start', { method: 'POST' }),
+  startScan: (forceDeepProbe = false) =>
+    fetchJson('/scans/start', { method: 'POST', body: JSON.stringify({ forceDeepProbe }) }),
+  cancelScan: (id) => fetchJson(`/scans/${id}/cancel`, { method: 'POST' }),
+  rescanHost: (id) => fetchJson(`/hosts/${id}/rescan?wait=0`, { method: 'POST' }),
+  getJobs: () => fetchJson('/jobs'),
+  getJob: (id) => fetchJson(`/jobs/${id}`),
+  updateJob: (id, job) =>
+    fetchJson(`/jobs/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(job),
+    }),
+  moveJob: (id, direction) =>
+    fetchJson(`/jobs/${id}/move`, {
+      method: 'POST',
+      body: JSON.stringify({ direction }),
+    }),
+  dropJob: (id) => fetchJson(`/jobs/${id}`, { method: 'DELETE' }),
   getSettings: () => fetchJson('/settings'),
   updateSettings: (settings) =>
     fetchJson('/settings', {
       method: 'PUT',
       body: JSON.stringify({ settings }),
     }),
+  getSchedules: () => fetchJson('/schedules'),
+  previewSchedule: (cron, interval) =>
+    fetchJson(`/schedules/preview?${new URLSearchParams({ cron: cron || '', interval: interval || '' })}`),
+  getScanProfiles: () => fetchJson('/scan-profiles'),
+  createScanProfile: (profile) =>
+    fetchJson('/scan-profiles', {
+      method: 'POST',
+      body: JSON.stringify(profile),
+    }),
+  updateScanProfile: (id, profile) =>
+    fetchJson(`/scan-profiles/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(profile),
+    }),
+  deleteScanProfile: (id) => fetchJson(`/scan-profiles/${id}`, { method: 'DELETE' }),
+  updateNetworkProfiles: (assignments) =>
+    fetchJson('/scan-profiles/assignments', {
+      method: 'PUT',
+      body: JSON.stringify({ assignments }),
+    }),
+  getBlackoutWindows: () => fetchJson('/blackout-windows'),
+  createBlackoutWindow: (window) =>
+    fetchJson('/blackout-windows', {
+      method: 'POST',
+      body: JSON.stringify(window),
+    }),
+  updateBlackoutWindow: (id, window) =>
+    fetchJson(`/blackout-windows/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(window),
+    }),
+  deleteBlackoutWindow: (id) => fetchJson(`/blackout-windows/${id}`, { method: 'DELETE' }),
+  getExclusions: () => fetchJson('/exclusions'),
+  createExclusion: (exclusion) =>
+    fetchJson('/exclusions', {
+      method: 'POST',
+      body: JSON.stringify(exclusion),
+    }),
+  deleteExclusion: (id) => fetchJson(`/exclusions/${id}`, { method: 'DELETE' }),
+  getAgents: () => fetchJson('/agents'),
+  createAgent: (agent) =>
+    fetchJson('/agents', {
+      method: 'POST',
+      body: JSON.stringify(agent),
+    }),
+  updateAgent: (id, agent) =>
+    fetchJson(`/agents/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(agent),
+    }),
+  deleteAgent: (id) => fetchJson(`/agents/${id}`, { method: 'DELETE' }),
+  rotateAgentToken: (id) => fetchJson(`/agents/${id}/token`, { method: 'POST' }),
+  requestAgentScan: (id) => fetchJson(`/agents/${id}/scan`, { method: 'POST' }),
   getAvailability: (date) => fetchJson(`/availability?date=${date}`),
   getTopology: () => fetchJson('/topology'),
   classifyHost: (id, data) =>
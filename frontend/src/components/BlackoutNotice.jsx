@@ -0,0 +1,30 @@
+import { Moon } from 'lucide-react';
+
+const untilText = (blackout) => new Date(blackout.until).toLocaleString('de-DE');
+
+/**
+ * Ask before a manual scan is started inside an active blackout window
+ */
+export function confirmBlackoutScan(blackout) {
+  if (!blackout) return true;
+  return confirm(`Blackout-Fenster "${blackout.name}" aktiv bis ${untilText(blackout)}. Trotzdem manuell scannen?`);
+}
+
+/**
+ * Banner shown while a blackout window holds back scheduled scans
+ */
+function BlackoutNotice({ blackout }) {
+  if (!blackout) return null;
+
+  return (
+    <div className="card" style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 16, borderColor: 'var(--warning)' }}>
+      <Moon size={16} style={{ color: 'var(--warning)' }} />
+      <span>
+        Blackout-Fenster <strong>&quot;{blackout.name}&quot;</strong> aktiv bis {untilText(blackout)}:
+        geplante Scans und Deep Discovery pausieren.
+      </span>
+    </div>
+  );
+}
+
+export default BlackoutNotice;
@@ -0,0 +1,274 @@
+import { useState, useEffect } from 'react';
+import { Plus, Save, X, Edit2, Trash2, Play, AlertCircle, CheckCircle, Loader } from 'lucide-react';
+import { api } from '../api';
+
+const MATCH_TYPES = [
+  { value: 'title', label: 'Seitentitel' },
+  { value: 'header', label: 'HTTP-Header' },
+  { value: 'cookie', label: 'Cookie' },
+  { value: 'body', label: 'Inhalt / Banner' },
+  { value: 'endpoint', label: 'Endpunkt' },
+];
+
+const ICONS = [
+  'globe', 'server', 'hdd', 'database', 'cloud', 'shield', 'lock', 'home', 'chart', 'docker',
+  'tool', 'terminal', 'git', 'book', 'file', 'mail', 'film', 'download', 'camera', 'wifi', 'layout', 'archive',
+];
+
+const EMPTY_SIGNATURE = { name: '', icon: 'globe', match_type: 'title', header_name: '', path: '', pattern: '', enabled: true };
+
+const typeLabel = (type) => MATCH_TYPES.find(t => t.value === type)?.label || type;
+
+/**
+ * Settings section: user-defined service signatures, checked before the built-in ones
+ */
+function CustomSignatures() {
+  const [signatures, setSignatures] = useState([]);
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState(null);
+  const [target, setTarget] = useState('');
+  const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null);
+
+  const load = () => api.getSignatures().then(setSignatures).catch((err) => setError(err.message));
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const update = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const toPayload = (sig) => ({
+    ...(sig.id ? { id: sig.id } : {}),
+    name: sig.name,
+    icon: sig.icon || null,
+    match_type: sig.match_type,
+    header_name: sig.match_type === 'header' ? sig.header_name || null : null,
+    path: sig.match_type === 'endpoint' ? sig.path : null,
+    pattern: sig.pattern,
+    enabled: sig.enabled,
+  });
+
+  const save = async () => {
+    setError(null);
+    try {
+      const { id, ...payload } = toPayload(form);
+      if (id) await api.updateSignature(id, payload);
+      else await api.createSignature(payload);
+      setForm(null);
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggle = async (sig) => {
+    setError(null);
+    try {
+      await api.updateSignature(sig.id, { enabled: !sig.enabled });
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const remove = async (sig) => {
+    if (!confirm(`Signatur „${sig.name}" löschen?`)) return;
+    setError(null);
+    try {
+      await api.deleteSignature(sig.id);
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Tests the stored rules plus the rule currently being edited
+  const test = async () => {
+    setTesting(true);
+    setTestResult(null);
+    try {
+      const draft = form && form.name.trim() && form.pattern ? toPayload(form) : undefined;
+      setTestResult(await api.testSignatures(target.trim(), draft));
+    } catch (err) {
+      setTestResult({ error: err.message });
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  return (
+    <>
+      <h3 style={{ margin: '0 0 4px', fontSize: 15, color: 'var(--text-secondary)' }}>
+        Eigene Dienst-Signaturen
+      </h3>
+      <div className="hint" style={{ marginBottom: 12 }}>
+        Erkennen eigene Anwendungen anhand eines regulären Ausdrucks (ohne Groß-/Kleinschreibung) und haben Vorrang
+        vor den eingebauten Signaturen. Es gilt die erste passende Signatur; Endpunkt-Signaturen rufen den Pfad auf
+        jedem HTTP-Dienst ab.
+      </div>
+
+      {signatures.map((sig) => (
+        <div key={sig.id} className="scan-item" style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+          <div style={{ flex: 1, minWidth: 0, opacity: sig.enabled ? 1 : 0.5 }}>
+            <div style={{ fontWeight: 600 }}>{sig.name}</div>
+            <div className="hint" style={{ margin: 0 }}>
+              {typeLabel(sig.match_type)}
+              {sig.header_name && ` ${sig.header_name}`}
+              {sig.path && ` ${sig.path}`}
+              {' '}&middot; <span style={{ fontFamily: 'monospace' }}>{sig.pattern}</span>
+            </div>
+          </div>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => toggle(sig)}
+            style={{ padding: '6px 10px', fontSize: 12 }}
+          >
+            {sig.enabled ? 'Deaktivieren' : 'Aktivieren'}
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => { setError(null); setForm({ ...EMPTY_SIGNATURE, ...sig, header_name: sig.header_name || '', path: sig.path || '' }); }}
+            style={{ padding: '6px 10px' }}
+            title="Signatur bearbeiten"
+          >
+            <Edit2 size={14} />
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => remove(sig)}
+            style={{ padding: '6px 10px' }}
+            title="Signatur löschen"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      ))}
+
+      {form ? (
+        <div className="card" style={{ marginBottom: 12 }}>
+          <div style={{ display: 'flex', gap: 12 }}>
+            <div className="form-group" style={{ flex: 2 }}>
+              <label>Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => update('name', e.target.value)}
+                placeholder="z.B. Intranet-CRM"
+              />
+            </div>
+            <div className="form-group" style={{ flex: 1 }}>
+              <label>Icon</label>
+              <select value={form.icon || 'globe'} onChange={(e) => update('icon', e.target.value)}>
+                {ICONS.map(icon => <option key={icon} value={icon}>{icon}</option>)}
+              </select>
+            </div>
+          </div>
+          <div style={{ display: 'flex', gap: 12 }}>
+            <div className="form-group" style={{ flex: 1 }}>
+              <label>Prüft</label>
+              <select value={form.match_type} onChange={(e) => update('match_type', e.target.value)}>
+                {MATCH_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+              </select>
+            </div>
+            {form.match_type === 'header' && (
+              <div className="form-group" style={{ flex: 1 }}>
+                <label>Header</label>
+                <input
+                  type="text"
+                  value={form.header_name}
+                  onChange={(e) => update('header_name', e.target.value)}
+                  placeholder="leer = alle Header"
+                />
+              </div>
+            )}
+            {form.match_type === 'endpoint' && (
+              <div className="form-group" style={{ flex: 1 }}>
+                <label>Pfad</label>
+                <input
+                  type="text"
+                  value={form.path}
+                  onChange={(e) => update('path', e.target.value)}
+                  placeholder="/api/version"
+                />
+              </div>
+            )}
+          </div>
+          <div className="form-group">
+            <label>Muster (regulärer Ausdruck)</label>
+            <input
+              type="text"
+              value={form.pattern}
+              onChange={(e) => update('pattern', e.target.value)}
+              placeholder={form.match_type === 'endpoint' ? '"app":\\s*"crm"' : 'acme\\s+portal'}
+              style={{ fontFamily: 'monospace' }}
+            />
+          </div>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button type="button" className="btn btn-primary" onClick={save}>
+              <Save size={14} /> Signatur speichern
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => setForm(null)}>
+              <X size={14} /> Abbrechen
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => { setError(null); setForm({ ...EMPTY_SIGNATURE }); }}
+          style={{ marginBottom: 8 }}
+        >
+          <Plus size={14} /> Signatur hinzufügen
+        </button>
+      )}
+      {error && (
+        <div className="hint" style={{ color: 'var(--danger)', marginBottom: 8 }}>
+          <AlertCircle size={12} /> {error}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+        <input
+          type="text"
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          placeholder="host:port, z.B. 192.168.1.20:8080"
+          style={{ flex: 1, minWidth: 160 }}
+        />
+        <button type="button" className="btn btn-secondary" onClick={test} disabled={testing || !target.trim()}>
+          {testing ? <Loader size={14} className="spin" /> : <Play size={14} />}
+          {testing ? 'Prüfe...' : 'Testen'}
+        </button>
+      </div>
+      {testResult && (testResult.error ? (
+        <div className="hint" style={{ color: 'var(--danger)' }}>
+          <AlertCircle size={12} /> {testResult.error}
+        </div>
+      ) : (
+        <div className="hint">
+          <div style={{ color: testResult.signature ? 'var(--success)' : undefined }}>
+            {testResult.signature ? <CheckCircle size={12} /> : <AlertCircle size={12} />}{' '}
+            {testResult.signature
+              ? `Signatur „${testResult.signature.name}" (${typeLabel(testResult.signature.match_type)}) passt`
+              : 'Keine eigene Signatur passt'}
+          </div>
+          <div>
+            Erkannt als {testResult.identified_as} ({testResult.match_source})
+            {testResult.http_title && ` · Titel: ${testResult.http_title}`}
+            {testResult.http_server && ` · Server: ${testResult.http_server}`}
+          </div>
+          {testResult.banner && (
+            <div style={{ fontFamily: 'monospace' }}>{testResult.banner.substring(0, 200)}</div>
+          )}
+        </div>
+      ))}
+    </>
+  );
+}
+
+export default CustomSignatures;
@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Save, Trash2, AlertCircle, CheckCircle } from 'lucide-react';
+import { api } from '../api';
+
+const MAX_SERVICES = 6;
+
+/**
+ * Settings section: services grouped by favicon hash, unknown icons can be named
+ * for all services at once
+ */
+function FaviconGroups() {
+  const [groups, setGroups] = useState([]);
+  const [names, setNames] = useState({});
+  const [result, setResult] = useState(null);
+
+  const load = () => api.getFaviconGroups().then(setGroups).catch((err) => console.error(err));
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const save = async (group) => {
+    const name = (names[group.mmh3] ?? group.name ?? '').trim();
+    if (!name) return;
+    try {
+      const res = await api.nameFavicon(group.mmh3, { name, md5: group.md5 });
+      setResult({ success: true, message: `„${name}" gespeichert, ${res.services} Dienste umbenannt` });
+      setNames((prev) => ({ ...prev, [group.mmh3]: undefined }));
+      load();
+    } catch (err) {
+      setResult({ success: false, message: err.message });
+    }
+  };
+
+  const remove = async (group) => {
+    if (!confirm(`Name „${group.name}" entfernen? Die Dienste behalten ihn bis zum nächsten Scan.`)) return;
+    try {
+      await api.deleteFaviconName(group.mmh3);
+      setResult(null);
+      load();
+    } catch (err) {
+      setResult({ success: false, message: err.message });
+    }
+  };
+
+  return (
+    <>
+      <h3 style={{ margin: '0 0 4px', fontSize: 15, color: 'var(--text-secondary)' }}>
+        Favicons
+      </h3>
+      <div className="hint" style={{ marginBottom: 12 }}>
+        Dienste mit demselben Favicon (mmh3-Hash wie bei Shodan). Ein Name gilt für alle Dienste der Gruppe
+        und wird bei künftigen Scans automatisch erkannt.
+      </div>
+
+      {groups.length === 0 && (
+        <div className="hint" style={{ marginBottom: 12 }}>Noch keine Favicons gefunden.</div>
+      )}
+
+      {groups.map((group) => (
+        <div key={group.mmh3} className="scan-item" style={{ marginBottom: 6 }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+            <span style={{ fontFamily: 'monospace' }}>{group.mmh3}</span>
+            <span className="tag">{group.count} {group.count === 1 ? 'Dienst' : 'Dienste'}</span>
+            {group.known && <span className="tag green">{group.known}</span>}
+            <input
+              type="text"
+              value={names[group.mmh3] ?? group.name ?? ''}
+              onChange={(e) => setNames((prev) => ({ ...prev, [group.mmh3]: e.target.value }))}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  save(group);
+                }
+              }}
+              placeholder={group.known || 'Anwendung benennen'}
+              style={{ flex: 1, minWidth: 160 }}
+            />
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => save(group)}
+              disabled={!(names[group.mmh3] ?? '').trim()}
+            >
+              <Save size={14} />
+            </button>
+            {group.name && (
+              <button type="button" className="btn btn-secondary" onClick={() => remove(group)} style={{ color: 'var(--danger)' }}>
+                <Trash2 size={14} />
+              </button>
+            )}
+          </div>
+          <div className="hint" style={{ margin: '6px 0 0' }}>
+            {group.services.slice(0, MAX_SERVICES).map((s, i) => (
+              <span key={s.service_id}>
+                {i > 0 && ' · '}
+                <Link to={`/hosts/${s.host_id}`}>{s.hostname || s.ip}:{s.port}</Link>
+                {s.identified_as && ` (${s.identified_as})`}
+              </span>
+            ))}
+            {group.services.length > MAX_SERVICES && ` · +${group.services.length - MAX_SERVICES} weitere`}
+          </div>
+        </div>
+      ))}
+
+      {result && (
+        <div className="hint" style={{ color: result.success ? 'var(--success)' : 'var(--danger)' }}>
+          {result.success ? <CheckCircle size={12} /> : <AlertCircle size={12} />} {result.message}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default FaviconGroups;
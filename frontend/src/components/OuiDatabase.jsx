@@ -0,0 +1,104 @@
+import { useState, useEffect, useRef } from 'react';
+import { Upload, Trash2, AlertCircle, CheckCircle, Loader } from 'lucide-react';
+import { api } from '../api';
+
+/**
+ * Settings section: MAC vendor list (bundled entries plus imported IEEE registry files)
+ */
+function OuiDatabase() {
+  const [database, setDatabase] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    api.getOuiDatabase().then(setDatabase).catch((err) => console.error(err));
+  }, []);
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setImporting(true);
+    setResult(null);
+    try {
+      const res = await api.importOuiFile(file);
+      setResult({
+        success: true,
+        message: `${res.entries} Präfixe importiert, ${res.hosts} Hosts mit Hersteller ergänzt`,
+      });
+      setDatabase(await api.getOuiDatabase());
+    } catch (err) {
+      setResult({ success: false, message: err.message });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const deleteImports = async () => {
+    if (!confirm('Importierte Herstellerdaten löschen? Die mitgelieferte Liste bleibt erhalten.')) return;
+    try {
+      await api.deleteOuiImports();
+      setDatabase(await api.getOuiDatabase());
+      setResult(null);
+    } catch (err) {
+      setResult({ success: false, message: err.message });
+    }
+  };
+
+  const imports = database?.imports || [];
+
+  return (
+    <>
+      <h3 style={{ margin: '0 0 4px', fontSize: 15, color: 'var(--text-secondary)' }}>
+        Hersteller-Datenbank (OUI)
+      </h3>
+      <div className="hint" style={{ marginBottom: 12 }}>
+        Hersteller werden offline aus der MAC-Adresse bestimmt, auch für MACs aus FritzBox, UniFi oder Proxmox.
+        Mitgeliefert ist das IEEE-Register (MA-L, MA-M, MA-S); für einen neueren Stand die IEEE-Dateien
+        oui.csv, mam.csv und oui36.csv (standards-oui.ieee.org) importieren. Auch nmap-mac-prefixes und
+        Wireshark-manuf werden erkannt.
+        {database && ` Aktuell ${database.total} Präfixe (${database.bundled} mitgeliefert).`}
+      </div>
+
+      {imports.map((entry) => (
+        <div key={entry.filename} className="scan-item" style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+          <span style={{ flex: 1, minWidth: 0, fontFamily: 'monospace' }}>{entry.filename}</span>
+          <span className="hint" style={{ margin: 0 }}>
+            {entry.entries} Präfixe &middot; {new Date(entry.imported_at).toLocaleString('de-DE')}
+          </span>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => fileInput.current.click()}
+          disabled={importing}
+        >
+          {importing ? <Loader size={14} className="spin" /> : <Upload size={14} />}
+          {importing ? 'Importiere...' : 'Register importieren'}
+        </button>
+        {imports.length > 0 && (
+          <button type="button" className="btn btn-secondary" onClick={deleteImports} style={{ color: 'var(--danger)' }}>
+            <Trash2 size={14} /> Importe löschen
+          </button>
+        )}
+        <input
+          ref={fileInput}
+          type="file"
+          onChange={importFile}
+          style={{ display: 'none' }}
+        />
+      </div>
+      {result && (
+        <div className="hint" style={{ color: result.success ? 'var(--success)' : 'var(--danger)' }}>
+          {result.success ? <CheckCircle size={12} /> : <AlertCircle size={12} />} {result.message}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default OuiDatabase;
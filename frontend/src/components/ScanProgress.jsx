@@ -0,0 +1,144 @@
+import { useState, useEffect, useRef } from 'react';
+import { Activity, PauseCircle } from 'lucide-react';
+
+const FEED_LIMIT = 50;
+
+/**
+ * Subscribe to /api/scans/events and keep the live scan state
+ * onFinish is called once a scan completes, is cancelled or fails
+ */
+export function useScanProgress(onFinish) {
+  const [progress, setProgress] = useState(null);
+  const onFinishRef = useRef(onFinish);
+  onFinishRef.current = onFinish;
+
+  useEffect(() => {
+    const source = new EventSource('/api/scans/events');
+
+    source.onmessage = (msg) => {
+      const event = JSON.parse(msg.data);
+      setProgress((prev) => applyEvent(prev, event));
+      if (event.type === 'finish') onFinishRef.current?.(event);
+    };
+
+    return () => source.close();
+  }, []);
+
+  return progress;
+}
+
+function applyEvent(prev, event) {
+  const pushFeed = (state) => ({
+    ...state,
+    feed: [...(state.feed || []), event].slice(-FEED_LIMIT),
+  });
+
+  switch (event.type) {
+    case 'state':
+      return { ...event, feed: (event.feed || []).slice(-FEED_LIMIT) };
+    case 'start':
+      return pushFeed({
+        running: true, scanId: event.scanId, networks: event.networks,
+        phase: null, done: 0, total: 0, services: 0, feed: [],
+      });
+    case 'phase':
+      return pushFeed({
+        ...prev, phase: event.phase, phaseLabel: event.label,
+        network: event.network, done: 0, total: event.total,
+      });
+    case 'progress':
+      return { ...prev, done: event.done, total: event.total };
+    case 'service':
+      return pushFeed({ ...prev, services: (prev?.services || 0) + 1 });
+    case 'paused':
+      return pushFeed({ ...prev, paused: { name: event.name, until: event.until } });
+    case 'resumed':
+      return pushFeed({ ...prev, paused: null });
+    case 'finish':
+      return pushFeed({ ...prev, running: false, paused: null, status: event.status });
+    default:
+      return pushFeed(prev || {});
+  }
+}
+
+function formatEvent(event) {
+  switch (event.type) {
+    case 'start':
+      return `Scan #${event.scanId} gestartet: ${(event.networks || []).join(', ')}`;
+    case 'phase':
+      return `Phase ${event.phase} – ${event.label}${event.network ? ` (${event.network})` : ''}`;
+    case 'host':
+      if (event.openPorts) return `${event.ip}: ${event.openPorts.length} offene Ports`;
+      if (event.services !== undefined) return `${event.ip}: ${event.services} Dienste erkannt`;
+      return `${event.ip} ${event.alive ? 'erreichbar' : 'nicht erreichbar'}`;
+    case 'service':
+      return `${event.ip}:${event.port}/${event.protocol} → ${event.identifiedAs}`;
+    case 'paused':
+      return `Pausiert: Blackout-Fenster "${event.name}" bis ${new Date(event.until).toLocaleTimeString('de-DE')}`;
+    case 'resumed':
+      return 'Blackout-Fenster beendet, Scan wird fortgesetzt';
+    case 'finish':
+      if (event.status === 'completed') return `Scan abgeschlossen: ${event.hosts} Hosts, ${event.services} Dienste`;
+      if (event.status === 'cancelled') return event.reason || 'Scan abgebrochen';
+      return `Scan fehlgeschlagen: ${event.error || 'unbekannter Fehler'}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Progress bar + activity feed for the running scan
+ */
+function ScanProgress({ progress, showFeed = true }) {
+  const feedRef = useRef(null);
+
+  useEffect(() => {
+    if (feedRef.current) feedRef.current.scrollTop = feedRef.current.scrollHeight;
+  }, [progress?.feed?.length]);
+
+  if (!progress?.running) return null;
+
+  const { phase, phaseLabel, network, done = 0, total = 0, services = 0 } = progress;
+  const percent = total > 0 ? Math.min(100, Math.round((done / total) * 100)) : null;
+  const unit = phase === '0' || phase === '1' ? 'Netzwerke' : 'Hosts';
+
+  return (
+    <div className="card scan-progress">
+      <div className="scan-progress-header">
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 600 }}>
+          <Activity size={16} style={{ color: 'var(--accent)' }} />
+          Scan #{progress.scanId}
+          {phase && <span style={{ fontWeight: 400 }}>&middot; Phase {phase}: {phaseLabel}</span>}
+          {network && <span style={{ fontWeight: 400, color: 'var(--text-secondary)' }}>({network})</span>}
+        </div>
+        <div style={{ color: 'var(--text-secondary)' }}>
+          {total > 0 && <>{done}/{total} {unit} &middot; </>}
+          {services} Dienste
+        </div>
+      </div>
+      {progress.paused && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 6, color: 'var(--warning)', fontSize: 13, marginBottom: 8 }}>
+          <PauseCircle size={14} />
+          Pausiert wegen Blackout-Fenster &quot;{progress.paused.name}&quot; bis{' '}
+          {new Date(progress.paused.until).toLocaleString('de-DE')}
+        </div>
+      )}
+      <div className="progress-bar">
+        <div
+          className={`progress-fill ${percent === null ? 'indeterminate' : ''}`}
+          style={percent === null ? undefined : { width: `${percent}%` }}
+        />
+      </div>
+      {showFeed && (
+        <div className="scan-feed" ref={feedRef}>
+          {(progress.feed || []).map((event, i) => {
+            const text = formatEvent(event);
+            return text ? <div key={i}>{text}</div> : null;
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScanProgress;
@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { api } from '../api';
+
+const formatRun = (date) => new Date(date).toLocaleString('de-DE', {
+  weekday: 'short', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit',
+});
+
+/**
+ * Next run times for a cron expression (or the interval if it is empty),
+ * validated by the server while typing
+ */
+function SchedulePreview({ cron, interval }) {
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    if (!cron?.trim() && !interval) {
+      setPreview(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      api.previewSchedule(cron, interval)
+        .then((data) => { if (!cancelled) setPreview(data); })
+        .catch((err) => { if (!cancelled) setPreview({ error: err.message }); });
+    }, 400);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [cron, interval]);
+
+  if (!preview) return null;
+  if (preview.error) {
+    return (
+      <div className="hint" style={{ color: 'var(--danger)' }}>
+        <AlertCircle size={12} /> {preview.error}
+      </div>
+    );
+  }
+  return (
+    <div className="hint">
+      Nächste Läufe: {preview.next.map(formatRun).join(' · ')}
+    </div>
+  );
+}
+
+export default SchedulePreview;
@@ -0,0 +1,72 @@
+import { useState, useEffect } from 'react';
+import { RefreshCw, AlertCircle, Loader } from 'lucide-react';
+import { api } from '../api';
+
+/**
+ * Settings section: loaded signature packs with their load errors
+ */
+function SignaturePacks() {
+  const [packs, setPacks] = useState([]);
+  const [reloading, setReloading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    api.getSignaturePacks().then(setPacks).catch((err) => setError(err.message));
+  }, []);
+
+  const reload = async () => {
+    setReloading(true);
+    setError(null);
+    try {
+      setPacks(await api.reloadSignaturePacks());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setReloading(false);
+    }
+  };
+
+  return (
+    <>
+      <h3 style={{ margin: '0 0 4px', fontSize: 15, color: 'var(--text-secondary)' }}>
+        Signatur-Pakete
+      </h3>
+      <div className="hint" style={{ marginBottom: 12 }}>
+        Fingerprints für Webanwendungen (Titel, Server-Header, Cookies, Inhalt, Favicon, Endpunkte und
+        Versionserkennung) als JSON-Dateien. Eigene Pakete im Verzeichnis <code>SIGNATURE_PACKS_DIR</code> werden
+        vor dem mitgelieferten Paket geladen und ersetzen Signaturen mit gleicher ID.
+      </div>
+
+      {packs.map((pack) => (
+        <div key={`${pack.bundled}-${pack.file}`} className="scan-item" style={{ marginBottom: 6 }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+            <span style={{ flex: 1, minWidth: 0, fontWeight: 600 }}>
+              {pack.name || pack.file}
+              {pack.version && <span className="hint" style={{ margin: '0 0 0 6px' }}>v{pack.version}</span>}
+            </span>
+            {pack.bundled && <span className="tag">mitgeliefert</span>}
+            <span className="hint" style={{ margin: 0 }}>{pack.signatures} Signaturen</span>
+          </div>
+          <div className="hint" style={{ margin: 0, fontFamily: 'monospace' }}>{pack.file}</div>
+          {pack.errors.map((msg, i) => (
+            <div key={i} className="hint" style={{ margin: 0, color: 'var(--danger)' }}>
+              <AlertCircle size={12} /> {msg}
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <button type="button" className="btn btn-secondary" onClick={reload} disabled={reloading} style={{ marginBottom: 8 }}>
+        {reloading ? <Loader size={14} className="spin" /> : <RefreshCw size={14} />}
+        {reloading ? 'Lade...' : 'Pakete neu laden'}
+      </button>
+      {error && (
+        <div className="hint" style={{ color: 'var(--danger)' }}>
+          <AlertCircle size={12} /> {error}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default SignaturePacks;
@@ -0,0 +1,129 @@
+import { useState, useEffect, useRef } from 'react';
+import { Upload, Trash2, AlertCircle, CheckCircle, Loader } from 'lucide-react';
+import { api } from '../api';
+
+const SOURCE_LABELS = { nvd: 'NVD', osv: 'OSV' };
+
+/**
+ * Settings section: import NVD/OSV feed files for the offline CVE matching
+ */
+function VulnerabilityFeeds() {
+  const [feeds, setFeeds] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [importJob, setImportJob] = useState(null);
+  const [result, setResult] = useState(null);
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    api.getVulnerabilityFeeds().then(setFeeds).catch((err) => console.error(err));
+  }, []);
+
+  // The feed is parsed and matched by a background job - follow it until it has finished
+  const jobActive = ['queued', 'running'].includes(importJob?.status);
+  useEffect(() => {
+    if (!jobActive) return undefined;
+    const interval = setInterval(async () => {
+      try {
+        const job = await api.getJob(importJob.id);
+        setImportJob(job);
+        if (job.status === 'completed' && job.result) {
+          const res = job.result;
+          setResult({
+            success: true,
+            message: `${res.entries} Einträge (${SOURCE_LABELS[res.source]}) importiert, ${res.findings} Funde auf Diensten`,
+          });
+          setFeeds(await api.getVulnerabilityFeeds());
+        } else if (!['queued', 'running'].includes(job.status)) {
+          setResult({ success: false, message: job.error || 'Import abgebrochen' });
+        }
+      } catch (err) {
+        setResult({ success: false, message: err.message });
+        setImportJob(null);
+      }
+    }, 2000);
+    return () => clearInterval(interval);
+  }, [jobActive, importJob?.id]);
+
+  const importing = uploading || jobActive;
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setUploading(true);
+    setResult(null);
+    try {
+      const { job } = await api.importVulnerabilityFeed(file);
+      setImportJob(job);
+    } catch (err) {
+      setResult({ success: false, message: err.message });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const deleteAll = async () => {
+    if (!confirm('Alle importierten Schwachstellen und Funde löschen?')) return;
+    try {
+      await api.deleteVulnerabilities();
+      setFeeds([]);
+      setResult(null);
+    } catch (err) {
+      setResult({ success: false, message: err.message });
+    }
+  };
+
+  return (
+    <>
+      <h3 style={{ margin: '0 0 4px', fontSize: 15, color: 'var(--text-secondary)' }}>
+        Schwachstellen-Feed
+      </h3>
+      <div className="hint" style={{ marginBottom: 12 }}>
+        Erkannte Produktversionen werden offline gegen einen lokal importierten Feed geprüft:
+        NVD JSON 1.1/2.0 (z.B. nvdcve-2.0-2024.json.gz) oder OSV-Einträge (JSON oder ZIP-Dump).
+        Mehrere Dateien ergänzen sich; nach jedem Scan werden die Funde aktualisiert.
+      </div>
+
+      {feeds.map((feed) => (
+        <div key={feed.id} className="scan-item" style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+          <span className="tag">{SOURCE_LABELS[feed.source] || feed.source}</span>
+          <span style={{ flex: 1, minWidth: 0, fontFamily: 'monospace' }}>{feed.filename}</span>
+          <span className="hint" style={{ margin: 0 }}>
+            {feed.entries} Einträge &middot; {new Date(feed.imported_at).toLocaleString('de-DE')}
+          </span>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => fileInput.current.click()}
+          disabled={importing}
+        >
+          {importing ? <Loader size={14} className="spin" /> : <Upload size={14} />}
+          {uploading ? 'Lade hoch...' : importing ? 'Importiere...' : 'Feed-Datei importieren'}
+        </button>
+        {feeds.length > 0 && (
+          <button type="button" className="btn btn-secondary" onClick={deleteAll} style={{ color: 'var(--danger)' }}>
+            <Trash2 size={14} /> Alle löschen
+          </button>
+        )}
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".json,.gz,.zip,.jsonl"
+          onChange={importFile}
+          style={{ display: 'none' }}
+        />
+      </div>
+      {result && (
+        <div className="hint" style={{ color: result.success ? 'var(--success)' : 'var(--danger)' }}>
+          {result.success ? <CheckCircle size={12} /> : <AlertCircle size={12} />} {result.message}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default VulnerabilityFeeds;
@@ -0,0 +1,85 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { ShieldAlert } from 'lucide-react';
+import { api } from '../api';
+
+export const SEVERITIES = [
+  { key: 'CRITICAL', label: 'Kritisch', style: { background: 'var(--danger)', color: '#fff', borderColor: 'transparent' } },
+  { key: 'HIGH', label: 'Hoch', style: { background: 'var(--danger-bg)', color: 'var(--danger)', borderColor: 'transparent' } },
+  { key: 'MEDIUM', label: 'Mittel', style: { background: 'var(--warning-bg)', color: 'var(--warning)', borderColor: 'transparent' } },
+  { key: 'LOW', label: 'Niedrig', style: { background: 'var(--info-bg)', color: 'var(--info)', borderColor: 'transparent' } },
+  { key: 'UNKNOWN', label: 'Unbekannt', style: {} },
+];
+
+export function SeverityBadge({ severity, score }) {
+  const sev = SEVERITIES.find(s => s.key === severity) || SEVERITIES[SEVERITIES.length - 1];
+  return (
+    <span className="tag" style={sev.style}>
+      {sev.label}{score != null ? ` ${Number(score).toFixed(1)}` : ''}
+    </span>
+  );
+}
+
+/**
+ * Dashboard widget: services with findings from the offline CVE feed
+ */
+function VulnerableServices() {
+  const [summary, setSummary] = useState(null);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    api.getVulnerabilitySummary().then(setSummary).catch((err) => console.error(err));
+  }, []);
+
+  if (!summary) return null;
+
+  const total = Object.values(summary.bySeverity).reduce((sum, n) => sum + n, 0);
+
+  return (
+    <>
+      <h3 style={{ marginBottom: 16, fontSize: 18, fontWeight: 600 }}>
+        Verwundbare Dienste
+        {summary.feed.entries > 0 && (
+          <span style={{ fontSize: 13, fontWeight: 400, color: 'var(--text-muted)', marginLeft: 8 }}>
+            {total} Dienste &middot; Feed vom {new Date(summary.feed.last_import).toLocaleDateString('de-DE')}
+          </span>
+        )}
+      </h3>
+      {summary.feed.entries === 0 ? (
+        <div className="card" style={{ marginBottom: 24, fontSize: 14, color: 'var(--text-secondary)' }}>
+          <ShieldAlert size={16} style={{ verticalAlign: 'middle', marginRight: 6 }} />
+          Kein Schwachstellen-Feed importiert. NVD- oder OSV-Feed unter{' '}
+          <Link to="/settings">Einstellungen</Link> importieren.
+        </div>
+      ) : (
+        <div className="card" style={{ marginBottom: 24 }}>
+          <div className="host-meta" style={{ marginBottom: summary.services.length ? 12 : 0 }}>
+            {SEVERITIES.filter(s => summary.bySeverity[s.key] > 0).map(s => (
+              <span key={s.key} className="tag" style={s.style}>{summary.bySeverity[s.key]} {s.label}</span>
+            ))}
+            {total === 0 && <span className="tag green">Keine bekannten Schwachstellen</span>}
+          </div>
+          {summary.services.map((svc) => (
+            <div
+              key={svc.service_id}
+              className="scan-item"
+              style={{ cursor: 'pointer' }}
+              onClick={() => navigate(`/hosts/${svc.host_id}`, { state: { tab: 'vulnerabilities' } })}
+            >
+              <SeverityBadge severity={svc.severity} score={svc.max_score} />
+              <div className="scan-info">
+                <div className="scan-network">
+                  {svc.hostname || svc.ip}:{svc.port}/{svc.protocol}
+                </div>
+                <div className="scan-time">{svc.identified_as} &middot; Version {svc.version}</div>
+              </div>
+              <div className="scan-results">{svc.findings} Schwachstellen</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default VulnerableServices;
@@ -0,0 +1,279 @@
+import { useState, useEffect } from 'react';
+import { Radio, Plus, Save, X, Edit2, Trash2, RefreshCw, KeyRound, AlertCircle } from 'lucide-react';
+import { api } from '../api';
+
+const EMPTY_AGENT = {
+  name: '', site: '', networks: '', port_range: '1-10000', scan_interval: 60,
+};
+
+// An agent polls every minute by default - no contact for 5 minutes means offline
+const ONLINE_THRESHOLD = 5 * 60 * 1000;
+
+function Agents() {
+  const [agents, setAgents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editAgent, setEditAgent] = useState(null);
+  const [error, setError] = useState(null);
+  const [token, setToken] = useState(null); // { name, token } - shown once
+
+  const fetchData = async () => {
+    try {
+      setAgents(await api.getAgents());
+    } catch (err) {
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+    const interval = setInterval(fetchData, 10000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const updateField = (key, value) => {
+    setEditAgent((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = async () => {
+    setError(null);
+    const { id } = editAgent;
+    const body = {
+      name: editAgent.name,
+      site: editAgent.site || '',
+      networks: editAgent.networks.split(',').map(s => s.trim()).filter(Boolean).join(','),
+      port_range: editAgent.port_range,
+      scan_interval: parseInt(editAgent.scan_interval, 10),
+    };
+    try {
+      if (id) {
+        await api.updateAgent(id, body);
+      } else {
+        const created = await api.createAgent(body);
+        setToken({ name: created.name, token: created.token });
+      }
+      setEditAgent(null);
+      fetchData();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAction = async (action) => {
+    setError(null);
+    try {
+      await action();
+      fetchData();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = (agent) => {
+    if (!confirm(`Agent "${agent.name}" wirklich löschen? Seine Hosts bleiben erhalten.`)) return;
+    handleAction(() => api.deleteAgent(agent.id));
+  };
+
+  const handleRotate = (agent) => {
+    if (!confirm(`Neuen Token für "${agent.name}" erzeugen? Der alte Token wird sofort ungültig.`)) return;
+    handleAction(async () => {
+      const res = await api.rotateAgentToken(agent.id);
+      setToken({ name: agent.name, token: res.token });
+    });
+  };
+
+  if (loading) {
+    return <div className="loading"><div className="spinner" />Lade Agents...</div>;
+  }
+
+  return (
+    <>
+      <div className="page-header">
+        <div>
+          <h2>Agents</h2>
+          <div className="subtitle">Entfernte Scan-Agents für andere Standorte und Netzsegmente</div>
+        </div>
+        {!editAgent && (
+          <button
+            className="btn btn-primary"
+            onClick={() => { setError(null); setEditAgent({ ...EMPTY_AGENT }); }}
+          >
+            <Plus size={16} /> Agent hinzufügen
+          </button>
+        )}
+      </div>
+
+      {token && (
+        <div className="card" style={{ marginBottom: 16, borderColor: 'var(--warning)' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+            <KeyRound size={16} style={{ color: 'var(--warning)' }} />
+            <strong>Token für &quot;{token.name}&quot;</strong>
+            <button className="btn btn-secondary" onClick={() => setToken(null)} style={{ marginLeft: 'auto', padding: '4px 10px' }}>
+              <X size={14} />
+            </button>
+          </div>
+          <code style={{ display: 'block', wordBreak: 'break-all', padding: 8, background: 'var(--bg-input)', borderRadius: 'var(--radius-sm)' }}>
+            {token.token}
+          </code>
+          <div className="hint" style={{ marginTop: 8 }}>
+            Der Token wird nur jetzt angezeigt. Agent starten mit:{' '}
+            <code>NETCATALOG_URL={window.location.origin} NETCATALOG_AGENT_TOKEN=&lt;Token&gt; npm run agent</code>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="hint" style={{ color: 'var(--danger)', marginBottom: 12 }}>
+          <AlertCircle size={12} /> {error}
+        </div>
+      )}
+
+      {editAgent && (
+        <div className="card" style={{ marginBottom: 16 }}>
+          <div className="form-group">
+            <label>Name</label>
+            <input
+              type="text"
+              value={editAgent.name}
+              onChange={(e) => updateField('name', e.target.value)}
+              placeholder="z.B. filiale-hamburg"
+            />
+          </div>
+          <div className="form-group">
+            <label>Standort</label>
+            <input
+              type="text"
+              value={editAgent.site}
+              onChange={(e) => updateField('site', e.target.value)}
+              placeholder="z.B. Hamburg"
+            />
+            <div className="hint">Wird an allen Hosts dieses Agents angezeigt</div>
+          </div>
+          <div className="form-group">
+            <label>Netzwerke</label>
+            <input
+              type="text"
+              value={editAgent.networks}
+              onChange={(e) => updateField('networks', e.target.value)}
+              placeholder="z.B. 10.20.0.0/24, 10.20.1.0/24"
+            />
+            <div className="hint">Kommagetrennte CIDR-Bereiche, die der Agent scannt</div>
+          </div>
+          <div className="form-group">
+            <label>Port-Bereich</label>
+            <input
+              type="text"
+              value={editAgent.port_range}
+              onChange={(e) => updateField('port_range', e.target.value)}
+              placeholder="z.B. 1-10000 oder 22,80,443"
+            />
+          </div>
+          <div className="form-group">
+            <label>Scan-Intervall (Minuten)</label>
+            <input
+              type="number"
+              min="1"
+              max="1440"
+              value={editAgent.scan_interval}
+              onChange={(e) => updateField('scan_interval', e.target.value)}
+            />
+          </div>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button className="btn btn-primary" onClick={handleSave}>
+              <Save size={14} /> Speichern
+            </button>
+            <button className="btn btn-secondary" onClick={() => setEditAgent(null)}>
+              <X size={14} /> Abbrechen
+            </button>
+          </div>
+        </div>
+      )}
+
+      {agents.length === 0 ? (
+        !editAgent && (
+          <div className="card empty-state">
+            <Radio size={48} />
+            <h3>Noch keine Agents</h3>
+            <p>Agents scannen entfernte Netzwerke und senden die Ergebnisse an diesen Server.</p>
+          </div>
+        )
+      ) : (
+        <div className="card" style={{ padding: '8px 20px' }}>
+          {agents.map((agent) => {
+            const online = agent.last_seen && Date.now() - new Date(agent.last_seen) < ONLINE_THRESHOLD;
+            return (
+              <div key={agent.id} className="scan-item">
+                <div className={`scan-status ${online ? 'completed' : 'error'}`} />
+                <div className="scan-info">
+                  <div className="scan-network">
+                    {agent.name}
+                    {agent.site && <span className="tag" style={{ marginLeft: 8 }}>{agent.site}</span>}
+                  </div>
+                  <div className="scan-time">
+                    {agent.networks || 'keine Netzwerke'} &middot; Ports {agent.port_range} &middot; alle {agent.scan_interval} Min.
+                  </div>
+                  <div className="scan-time">
+                    {agent.last_seen
+                      ? `Zuletzt gesehen ${new Date(agent.last_seen).toLocaleString('de-DE')}`
+                      : 'Noch nie verbunden'}
+                    {agent.version && ` · v${agent.version}`}
+                    {agent.last_scan_at && ` · letzter Scan ${new Date(agent.last_scan_at).toLocaleString('de-DE')}`}
+                    {agent.scan_requested && ' · Scan angefordert'}
+                  </div>
+                </div>
+                <div className="scan-results">
+                  <div>{agent.host_count} Hosts</div>
+                </div>
+                <select
+                  value={String(agent.enabled)}
+                  onChange={(e) => handleAction(() => api.updateAgent(agent.id, { enabled: e.target.value === 'true' }))}
+                  style={{ width: 'auto' }}
+                  title="Agent aktivieren oder deaktivieren"
+                >
+                  <option value="true">Aktiv</option>
+                  <option value="false">Deaktiviert</option>
+                </select>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleAction(() => api.requestAgentScan(agent.id))}
+                  disabled={!agent.enabled || agent.scan_requested}
+                  style={{ padding: '6px 10px' }}
+                  title="Scan beim nächsten Abruf des Agents starten"
+                >
+                  <RefreshCw size={14} />
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => { setError(null); setEditAgent({ ...agent, site: agent.site || '' }); }}
+                  style={{ padding: '6px 10px' }}
+                  title="Agent bearbeiten"
+                >
+                  <Edit2 size={14} />
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleRotate(agent)}
+                  style={{ padding: '6px 10px' }}
+                  title="Neuen Token erzeugen"
+                >
+                  <KeyRound size={14} />
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleDelete(agent)}
+                  style={{ padding: '6px 10px' }}
+                  title="Agent löschen"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default Agents;
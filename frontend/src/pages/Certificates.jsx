@@ -0,0 +1,205 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ShieldCheck, ShieldX, Clock, Copy, AlertTriangle } from 'lucide-react';
+import { api } from '../api';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const FILTERS = [
+  { value: '', label: 'Alle' },
+  { value: '30', label: '≤ 30 Tage' },
+  { value: '90', label: '≤ 90 Tage' },
+];
+
+const EVENT_STYLES = {
+  critical: { background: 'var(--danger-bg)', color: 'var(--danger)', borderColor: 'transparent' },
+  warning: { background: 'var(--warning-bg)', color: 'var(--warning)', borderColor: 'transparent' },
+};
+
+const daysLeft = (cert) => Math.ceil((new Date(cert.not_after) - Date.now()) / DAY);
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('de-DE') : '-');
+
+function ExpiryTag({ cert }) {
+  const days = daysLeft(cert);
+  if (days <= 0) return <span className="tag" style={EVENT_STYLES.critical}>abgelaufen</span>;
+  const style = days <= 7 ? EVENT_STYLES.critical : days <= 30 ? EVENT_STYLES.warning : undefined;
+  return <span className={`tag ${style ? '' : 'green'}`} style={style}>{days} Tage</span>;
+}
+
+function Usages({ usages }) {
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      {usages.map((u) => (
+        <Link key={u.service_id} to={`/hosts/${u.host_id}`} style={{ fontSize: 12, fontFamily: 'monospace' }}>
+          {u.hostname || u.ip}:{u.port}
+        </Link>
+      ))}
+    </div>
+  );
+}
+
+function CertificateName({ cert }) {
+  return (
+    <>
+      <div style={{ fontWeight: 500 }}>{cert.common_name || cert.subject || '-'}</div>
+      {cert.sans?.length > 0 && (
+        <div style={{ fontSize: 12, color: 'var(--text-muted)' }} title={cert.sans.join(', ')}>
+          {cert.sans.slice(0, 3).join(', ')}{cert.sans.length > 3 ? ` +${cert.sans.length - 3}` : ''}
+        </div>
+      )}
+    </>
+  );
+}
+
+/**
+ * Certificate inventory: certificates presented by scanned TLS services,
+ * soonest expiry first, duplicates across hosts and expiry events
+ */
+function Certificates() {
+  const [certificates, setCertificates] = useState([]);
+  const [duplicates, setDuplicates] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [filter, setFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    Promise.all([api.getCertificates(filter || undefined), api.getDuplicateCertificates(), api.getEvents('cert_', 20)])
+      .then(([certs, dups, evts]) => {
+        setCertificates(certs);
+        setDuplicates(dups);
+        setEvents(evts);
+      })
+      .catch((err) => console.error(err))
+      .finally(() => setLoading(false));
+  }, [filter]);
+
+  if (loading) {
+    return <div className="loading"><div className="spinner" />Lade Zertifikate...</div>;
+  }
+
+  const expired = certificates.filter(c => daysLeft(c) <= 0).length;
+  const expiring = certificates.filter(c => daysLeft(c) > 0 && daysLeft(c) <= 30).length;
+  const selfSigned = certificates.filter(c => c.self_signed).length;
+
+  return (
+    <>
+      <div className="page-header">
+        <div>
+          <h2>Zertifikate</h2>
+          <div className="subtitle">TLS-Zertifikate der gescannten Dienste, nach Ablaufdatum sortiert</div>
+        </div>
+        <select value={filter} onChange={(e) => setFilter(e.target.value)} style={{ width: 'auto' }}>
+          {FILTERS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+        </select>
+      </div>
+
+      <div className="stats-grid">
+        <div className="card stat-card">
+          <div className="stat-icon red"><ShieldX size={22} /></div>
+          <div>
+            <div className="stat-value">{expired}</div>
+            <div className="stat-label">Abgelaufen</div>
+          </div>
+        </div>
+        <div className="card stat-card">
+          <div className="stat-icon yellow"><Clock size={22} /></div>
+          <div>
+            <div className="stat-value">{expiring}</div>
+            <div className="stat-label">Laufen in 30 Tagen ab</div>
+          </div>
+        </div>
+        <div className="card stat-card">
+          <div className="stat-icon blue"><ShieldCheck size={22} /></div>
+          <div>
+            <div className="stat-value">{selfSigned}</div>
+            <div className="stat-label">Selbstsigniert</div>
+          </div>
+        </div>
+        <div className="card stat-card">
+          <div className="stat-icon cyan"><Copy size={22} /></div>
+          <div>
+            <div className="stat-value">{duplicates.length}</div>
+            <div className="stat-label">Auf mehreren Hosts</div>
+          </div>
+        </div>
+      </div>
+
+      {certificates.length === 0 ? (
+        <div className="card empty-state" style={{ marginBottom: 24 }}>
+          <ShieldCheck size={48} />
+          <h3>Keine Zertifikate</h3>
+          <p>Zertifikate werden beim Deep Probe von HTTPS- und TLS-Diensten erfasst.</p>
+        </div>
+      ) : (
+        <div className="card services-table-wrapper" style={{ padding: 0, marginBottom: 24 }}>
+          <table className="services-table">
+            <thead>
+              <tr>
+                <th>Ablauf</th>
+                <th>Zertifikat</th>
+                <th>Aussteller</th>
+                <th>Schlüssel</th>
+                <th>Gültig bis</th>
+                <th>Verwendet von</th>
+              </tr>
+            </thead>
+            <tbody>
+              {certificates.map((cert) => (
+                <tr key={cert.id}>
+                  <td><ExpiryTag cert={cert} /></td>
+                  <td><CertificateName cert={cert} /></td>
+                  <td style={{ fontSize: 13 }}>
+                    {cert.self_signed ? <span className="tag">selbstsigniert</span> : cert.issuer}
+                  </td>
+                  <td style={{ fontSize: 13 }}>
+                    {cert.key_type?.toUpperCase()} {cert.key_bits}
+                    <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>{cert.signature_algorithm}</div>
+                  </td>
+                  <td style={{ fontSize: 13 }}>{formatDate(cert.not_after)}</td>
+                  <td><Usages usages={cert.usages} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {duplicates.length > 0 && (
+        <>
+          <h3 style={{ margin: '0 0 8px', fontSize: 15, color: 'var(--text-secondary)' }}>Gleiches Zertifikat auf mehreren Hosts</h3>
+          <div className="card" style={{ padding: '8px 20px', marginBottom: 24 }}>
+            {duplicates.map((cert) => (
+              <div key={cert.id} className="scan-item">
+                <ExpiryTag cert={cert} />
+                <div className="scan-info">
+                  <CertificateName cert={cert} />
+                  <div className="scan-time" style={{ fontFamily: 'monospace' }}>SHA-256 {cert.fingerprint.substring(0, 32)}…</div>
+                </div>
+                <Usages usages={cert.usages} />
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      {events.length > 0 && (
+        <>
+          <h3 style={{ margin: '0 0 8px', fontSize: 15, color: 'var(--text-secondary)' }}>Ereignisse</h3>
+          <div className="card" style={{ padding: '8px 20px' }}>
+            {events.map((event) => (
+              <div key={event.id} className="scan-item">
+                <AlertTriangle size={16} style={{ color: event.severity === 'critical' ? 'var(--danger)' : 'var(--warning)', flexShrink: 0 }} />
+                <div className="scan-info">
+                  <div className="scan-network">{event.message}</div>
+                  <div className="scan-time">{new Date(event.created_at).toLocaleString('de-DE')}</div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+export default Certificates;
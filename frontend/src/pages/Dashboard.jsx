@@ -4,6 +4,9 @@ import {
   Server, Wifi, WifiOff, Radio, Globe, RefreshCw
 } from 'lucide-react';
 import { api } from '../api';
+import ScanProgress, { useScanProgress } from '../components/ScanProgress';
+import BlackoutNotice, { confirmBlackoutScan } from '../components/BlackoutNotice';
+import VulnerableServices from '../components/VulnerableServices';
 
 function Dashboard() {
   const [stats, setStats] = useState(null);
@@ -31,9 +34,14 @@ function Dashboard() {
     return () => clearInterval(interval);
   }, []);
 
+  const progress = useScanProgress(() => fetchData());
+  const scanActive = scanning || !!progress?.running;
+
   const startScan = async () => {
+    if (!confirmBlackoutScan(stats?.blackout)) return;
     try {
-      await api.startScan();
+      const res = await api.startScan();
+      if (res.duplicate) alert(`Ein Scan wartet bereits in der Warteschlange (Job #${res.job.id})`);
       setScanning(true);
     } catch (err) {
       console.error('Scan start failed:', err);
@@ -70,13 +78,16 @@ function Dashboard() {
         <button
           className="btn btn-primary"
           onClick={startScan}
-          disabled={scanning}
+          title={scanActive ? 'Scan läuft - ein weiterer Scan wird eingereiht' : undefined}
         >
-          <RefreshCw size={16} className={scanning ? 'spinning' : ''} />
-          {scanning ? 'Scannt...' : 'Scan starten'}
+          <RefreshCw size={16} className={scanActive ? 'spinning' : ''} />
+          {scanActive ? 'Scan einreihen' : 'Scan starten'}
         </button>
       </div>
 
+      <BlackoutNotice blackout={stats?.blackout} />
+      <ScanProgress progress={progress} />
+
       <div className="stats-grid">
         <div className="card stat-card">
           <div className="stat-icon blue"><Server size={22} /></div>
@@ -115,6 +126,8 @@ function Dashboard() {
         </div>
       </div>
 
+      <VulnerableServices />
+
       <h3 style={{ marginBottom: 16, fontSize: 18, fontWeight: 600 }}>
         Zuletzt gesehene Hosts
       </h3>
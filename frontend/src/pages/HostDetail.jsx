@@ -1,30 +1,250 @@
 import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Server, ExternalLink, Trash2 } from 'lucide-react';
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom';
+import {
+  ArrowLeft, Server, ExternalLink, Trash2, RefreshCw, AlertCircle, AlertTriangle, Pencil, Check, X,
+} from 'lucide-react';
 import { api } from '../api';
+import { SeverityBadge } from '../components/VulnerableServices';
+
+const RESCAN_CHANGES = [
+  { key: 'openedPorts', label: 'neu geöffnet' },
+  { key: 'closedPorts', label: 'geschlossen' },
+  { key: 'changedServices', label: 'geändert' },
+];
+
+const portLabel = (p) => `${p.port}/${p.protocol}${p.identified_as ? ` (${p.identified_as})` : ''}`;
+
+/**
+ * Result of a single-host rescan: the diff against the services stored before
+ */
+function RescanResult({ result }) {
+  const { alive, diff } = result;
+  if (!alive) {
+    return <div style={{ color: 'var(--warning)' }}>Host hat nicht geantwortet.</div>;
+  }
+  const changes = RESCAN_CHANGES.filter(c => diff[c.key].length > 0);
+  return (
+    <>
+      <div>
+        {result.services} Dienste erkannt
+        {diff.newHosts.length > 0 && ' · Host ist wieder online'}
+        {changes.length === 0 && ' · keine Änderungen'}
+      </div>
+      {changes.map(c => (
+        <div key={c.key} style={{ fontFamily: 'monospace', fontSize: 12 }}>
+          {c.label}: {diff[c.key].map(portLabel).join(', ')}
+        </div>
+      ))}
+    </>
+  );
+}
+
+const formatDate = (date) => new Date(date).toLocaleString('de-DE');
+
+const NAME_SOURCES = {
+  dns: 'DNS',
+  netbios: 'NetBIOS',
+  mdns: 'mDNS',
+  dhcp: 'DHCP/FritzBox',
+  unifi: 'UniFi',
+  proxmox: 'Proxmox',
+  certificate: 'Zertifikat',
+};
+
+/**
+ * Display name with the names of all sources; the friendly name is set by
+ * the user and always wins over scanned names
+ */
+function HostnameItem({ host, onChange }) {
+  const [editing, setEditing] = useState(false);
+  const [value, setValue] = useState('');
+  const [error, setError] = useState(null);
+
+  const startEdit = () => {
+    setValue(host.friendly_name || '');
+    setError(null);
+    setEditing(true);
+  };
+
+  const save = async () => {
+    try {
+      onChange(await api.setFriendlyName(host.id, value.trim() || null));
+      setEditing(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="info-item">
+      <label>Hostname</label>
+      {editing ? (
+        <div style={{ display: 'flex', gap: 6 }}>
+          <input
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && save()}
+            placeholder="Anzeigename (leer = automatisch)"
+            autoFocus
+          />
+          <button className="btn btn-secondary" style={{ padding: '4px 8px' }} onClick={save} title="Speichern">
+            <Check size={14} />
+          </button>
+          <button className="btn btn-secondary" style={{ padding: '4px 8px' }} onClick={() => setEditing(false)} title="Abbrechen">
+            <X size={14} />
+          </button>
+        </div>
+      ) : (
+        <div className="value">
+          {host.hostname || '-'}
+          {host.friendly_name && <span className="tag" style={{ marginLeft: 6 }}>manuell</span>}
+          <button
+            onClick={startEdit}
+            title="Anzeigenamen festlegen"
+            style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', marginLeft: 4 }}
+          >
+            <Pencil size={12} />
+          </button>
+        </div>
+      )}
+      {error && <div className="hint" style={{ color: 'var(--danger)' }}>{error}</div>}
+      {host.names?.length > 0 && (
+        <div style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 4 }}>
+          {host.names.map((n) => (
+            <div key={n.source} title={`zuletzt ${formatDate(n.last_seen)}`}>
+              {NAME_SOURCES[n.source] || n.source}: {n.name}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * SSH host keys with their history; fingerprints in the format of
+ * ssh-keygen -lf ~/.ssh/known_hosts for comparison
+ */
+function SshKeys({ keys, changes }) {
+  return (
+    <>
+      {changes.length > 0 && (
+        <div className="card" style={{ marginBottom: 16, fontSize: 14, borderColor: 'var(--danger)' }}>
+          {changes.map((e) => (
+            <div key={e.id} style={{ color: 'var(--danger)', marginBottom: 4 }}>
+              <AlertTriangle size={14} style={{ verticalAlign: 'middle', marginRight: 6 }} />
+              {formatDate(e.created_at)}: {e.message}
+            </div>
+          ))}
+          <div className="hint">
+            Wurde der Server nicht neu installiert oder der Schlüssel bewusst getauscht, kann ein Man-in-the-Middle vorliegen.
+          </div>
+        </div>
+      )}
+      <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
+        <div className="services-table-wrapper">
+          <table className="services-table">
+            <thead>
+              <tr>
+                <th>Port</th>
+                <th>Algorithmus</th>
+                <th>Fingerprint</th>
+                <th>Zuerst gesehen</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {keys.map((k) => (
+                <tr key={k.id} style={k.replaced_at ? { opacity: 0.6 } : undefined}>
+                  <td className="port-cell">{k.port}/tcp</td>
+                  <td>{k.algorithm}{k.bits ? ` (${k.bits} Bit)` : ''}</td>
+                  <td style={{ fontFamily: 'monospace', fontSize: 12, wordBreak: 'break-all' }}>{k.fingerprint}</td>
+                  <td>{formatDate(k.first_seen)}</td>
+                  <td>
+                    {k.replaced_at
+                      ? `ersetzt ${formatDate(k.replaced_at)}`
+                      : <span className="tag green">aktuell</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      <div className="hint" style={{ marginTop: 8 }}>
+        Vergleich mit known_hosts: <code>ssh-keygen -lF {'<host>'}</code>
+      </div>
+    </>
+  );
+}
 
 function HostDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
   const [host, setHost] = useState(null);
+  const [findings, setFindings] = useState([]);
+  const [sshKeys, setSshKeys] = useState([]);
+  const [sshChanges, setSshChanges] = useState([]);
+  const [tab, setTab] = useState(location.state?.tab || 'services');
   const [loading, setLoading] = useState(true);
   const [deviceTypes, setDeviceTypes] = useState([]);
   const [allHosts, setAllHosts] = useState([]);
   const [showFritzBoxSection, setShowFritzBoxSection] = useState(false);
+  const [rescanJob, setRescanJob] = useState(null);
+  const [rescanError, setRescanError] = useState(null);
 
   useEffect(() => {
     Promise.all([
       api.getHost(id),
       api.getDeviceTypes(),
       api.getHosts(),
-    ]).then(([h, dt, hosts]) => {
+      api.getHostVulnerabilities(id),
+      api.getHostSshKeys(id),
+      api.getEvents('ssh_key_changed', 20, id),
+    ]).then(([h, dt, hosts, vulns, keys, keyEvents]) => {
       setHost(h);
       setDeviceTypes(dt);
       setAllHosts(hosts);
+      setFindings(vulns);
+      setSshKeys(keys);
+      setSshChanges(keyEvents);
     }).catch(() => navigate('/hosts'))
       .finally(() => setLoading(false));
   }, [id]);
 
+  // Follow the rescan job until it has finished, then show the new state
+  const rescanActive = ['queued', 'running'].includes(rescanJob?.status);
+  useEffect(() => {
+    if (!rescanActive) return undefined;
+    const interval = setInterval(async () => {
+      try {
+        const job = await api.getJob(rescanJob.id);
+        setRescanJob(job);
+        if (job.status === 'completed') {
+          setHost(await api.getHost(id));
+          setFindings(await api.getHostVulnerabilities(id));
+          setSshKeys(await api.getHostSshKeys(id));
+          setSshChanges(await api.getEvents('ssh_key_changed', 20, id));
+        }
+      } catch (err) {
+        setRescanError(err.message);
+        setRescanJob(null);
+      }
+    }, 2000);
+    return () => clearInterval(interval);
+  }, [rescanActive, rescanJob?.id, id]);
+
+  const handleRescan = async () => {
+    setRescanError(null);
+    try {
+      const { job } = await api.rescanHost(id);
+      setRescanJob(job);
+    } catch (err) {
+      setRescanError(err.message);
+    }
+  };
+
   const handleClassify = async (field, value) => {
     try {
       const data = {};
@@ -45,6 +265,7 @@ function HostDetail() {
   if (!host) return null;
 
   const openServices = (host.services || []).filter(s => s.state === 'open');
+  const udpCount = openServices.filter(s => s.protocol === 'udp').length;
 
   const deleteHost = async () => {
     if (!confirm(`Host ${host.hostname || host.ip} wirklich löschen?`)) return;
@@ -57,6 +278,7 @@ function HostDetail() {
   };
 
   const getServiceLink = (service) => {
+    if (service.protocol === 'udp') return null;
     const port = service.port;
     const extra = service.extra_info || {};
     const isHttps = extra.protocol === 'https' ||
@@ -66,11 +288,17 @@ function HostDetail() {
       service.service_name?.match(/http/i) ||
       service.http_title;
 
-    if (isHttps) return `https://${host.ip}:${port}`;
-    if (isHttp) return `http://${host.ip}:${port}`;
+    const urlHost = host.ip.includes(':') ? `[${host.ip}]` : host.ip;
+    if (isHttps) return `https://${urlHost}:${port}`;
+    if (isHttp) return `http://${urlHost}:${port}`;
     return null;
   };
 
+  const otherAddresses = (host.addresses || []).filter((a) => a.address !== host.ip);
+  // Addresses the host used before (DHCP): the current one only if it is released
+  const ipHistory = (host.ip_history || []).filter((e) => host.ip_released || e.address !== host.ip);
+  const formatDay = (date) => new Date(date).toLocaleDateString('de-DE');
+
   return (
     <>
       <div className="host-detail-header">
@@ -83,17 +311,34 @@ function HostDetail() {
           </div>
           <div>
             <h2 style={{ margin: 0 }}>{host.hostname || host.ip}</h2>
-            <div style={{ color: 'var(--text-secondary)', fontSize: 14, fontFamily: 'monospace' }}>
-              {host.ip}
+            <div style={{ color: 'var(--text-secondary)', fontSize: 14 }}>
+              <span style={{ fontFamily: 'monospace' }}>{host.ip}</span>
+              {host.ip_released && (
+                <span style={{ marginLeft: 8 }} title="Die Adresse gehört inzwischen einem anderen Gerät">
+                  (zuletzt genutzt)
+                </span>
+              )}
             </div>
           </div>
           <span className={`status-badge ${host.status}`} style={{ marginLeft: 8 }}>
             <span className="status-dot" />
             {host.status === 'up' ? 'Online' : 'Offline'}
           </span>
+          {!host.agent_id && !host.scan_excluded && (
+            <button
+              className="btn btn-secondary"
+              style={{ marginLeft: 'auto', padding: '8px 14px' }}
+              onClick={handleRescan}
+              disabled={rescanActive}
+              title="Ping, Port-Scan und Deep Probe nur für diesen Host"
+            >
+              <RefreshCw size={16} className={rescanActive ? 'spin' : undefined} />
+              {rescanActive ? 'Scannt...' : 'Jetzt neu scannen'}
+            </button>
+          )}
           <button
             className="btn btn-secondary"
-            style={{ marginLeft: 'auto', color: 'var(--danger)', padding: '8px 14px' }}
+            style={{ marginLeft: host.agent_id || host.scan_excluded ? 'auto' : 0, color: 'var(--danger)', padding: '8px 14px' }}
             onClick={deleteHost}
             title="Host löschen"
           >
@@ -102,20 +347,73 @@ function HostDetail() {
         </div>
       </div>
 
+      {(rescanJob || rescanError) && (
+        <div className="card" style={{ marginBottom: 16, fontSize: 14 }}>
+          {rescanError && (
+            <div style={{ color: 'var(--danger)' }}><AlertCircle size={14} /> {rescanError}</div>
+          )}
+          {rescanJob?.status === 'queued' && (
+            <div>Rescan in der Warteschlange &middot; <Link to="/jobs">Warteschlange</Link></div>
+          )}
+          {rescanJob?.status === 'running' && <div>Rescan läuft: {rescanJob.step || 'Starte...'}</div>}
+          {rescanJob?.status === 'completed' && rescanJob.result && <RescanResult result={rescanJob.result} />}
+          {rescanJob?.status === 'error' && (
+            <div style={{ color: 'var(--danger)' }}><AlertCircle size={14} /> Rescan fehlgeschlagen: {rescanJob.error}</div>
+          )}
+          {['cancelled', 'dropped'].includes(rescanJob?.status) && <div>Rescan abgebrochen</div>}
+        </div>
+      )}
+
       <div className="card" style={{ marginBottom: 24 }}>
         <div className="info-grid">
           <div className="info-item">
             <label>IP-Adresse</label>
             <div className="value" style={{ fontFamily: 'monospace' }}>{host.ip}</div>
           </div>
-          <div className="info-item">
-            <label>Hostname</label>
-            <div className="value">{host.hostname || '-'}</div>
-          </div>
+          {otherAddresses.length > 0 && (
+            <div className="info-item">
+              <label>Weitere Adressen</label>
+              <div className="value" style={{ fontFamily: 'monospace', fontSize: 12 }}>
+                {otherAddresses.map((a) => (
+                  <div key={a.address}>
+                    {a.address}
+                    {a.scope && a.scope !== 'global' && (
+                      <span style={{ color: 'var(--text-secondary)', marginLeft: 6 }}>
+                        ({a.scope}{a.interface ? `, ${a.interface}` : ''})
+                      </span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          <HostnameItem host={host} onChange={(updated) => setHost((prev) => ({ ...prev, ...updated }))} />
           <div className="info-item">
             <label>MAC-Adresse</label>
-            <div className="value" style={{ fontFamily: 'monospace' }}>{host.mac_address || '-'}</div>
+            <div className="value">
+              <span style={{ fontFamily: 'monospace' }}>{host.mac_address || '-'}</span>
+              {host.mac_randomized && (
+                <span className="tag" style={{ marginLeft: 8 }} title="Lokal verwaltete (private/zufällige) MAC-Adresse">
+                  privat
+                </span>
+              )}
+            </div>
           </div>
+          {ipHistory.length > 0 && (
+            <div className="info-item">
+              <label>IP-Verlauf</label>
+              <div className="value" style={{ fontSize: 12 }}>
+                {ipHistory.map((entry) => (
+                  <div key={entry.address}>
+                    <span style={{ fontFamily: 'monospace' }}>{entry.address}</span>
+                    <span style={{ color: 'var(--text-secondary)', marginLeft: 6 }}>
+                      {formatDay(entry.first_seen)} – {formatDay(entry.last_seen)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
           <div className="info-item">
             <label>Hersteller</label>
             <div className="value">{host.vendor || '-'}</div>
@@ -124,6 +422,20 @@ function HostDetail() {
             <label>Betriebssystem</label>
             <div className="value">{host.os_guess || '-'}</div>
           </div>
+          {host.scan_excluded && (
+            <div className="info-item">
+              <label>Scan</label>
+              <div className="value" style={{ color: 'var(--warning)' }}>Ausgeschlossen (nur passive Quellen)</div>
+            </div>
+          )}
+          {host.agent_id && (
+            <div className="info-item">
+              <label>Standort / Agent</label>
+              <div className="value">
+                {host.site || '-'} &middot; <Link to="/agents">{host.agent_name}</Link>
+              </div>
+            </div>
+          )}
           <div className="info-item">
             <label>Zuerst gesehen</label>
             <div className="value">{new Date(host.first_seen).toLocaleString('de-DE')}</div>
@@ -420,11 +732,77 @@ function HostDetail() {
         </button>
       )}
 
-      <h3 style={{ marginBottom: 16, fontSize: 18, fontWeight: 600 }}>
-        Dienste ({openServices.length})
-      </h3>
+      <div style={{ display: 'flex', gap: 24, marginBottom: 16 }}>
+        {[
+          { key: 'services', label: `Dienste (${openServices.length})` },
+          { key: 'vulnerabilities', label: `Schwachstellen (${findings.length})` },
+          ...(sshKeys.length > 0 ? [{ key: 'ssh', label: 'SSH-Schlüssel' }] : []),
+        ].map(t => (
+          <h3
+            key={t.key}
+            onClick={() => setTab(t.key)}
+            style={{
+              margin: 0, fontSize: 18, fontWeight: 600, cursor: 'pointer', paddingBottom: 4,
+              color: tab === t.key ? 'var(--text-primary)' : 'var(--text-muted)',
+              borderBottom: `2px solid ${tab === t.key ? 'var(--accent)' : 'transparent'}`,
+            }}
+          >
+            {t.label}
+            {t.key === 'services' && udpCount > 0 && (
+              <span style={{ fontSize: 13, fontWeight: 400, color: 'var(--text-muted)', marginLeft: 8 }}>
+                {openServices.length - udpCount} TCP &middot; {udpCount} UDP
+              </span>
+            )}
+          </h3>
+        ))}
+      </div>
+
+      {tab === 'ssh' && <SshKeys keys={sshKeys} changes={sshChanges} />}
+
+      {tab === 'vulnerabilities' && (findings.length === 0 ? (
+        <div className="card empty-state">
+          <h3>Keine bekannten Schwachstellen</h3>
+          <p>Die erkannten Produktversionen passen zu keinem Eintrag des importierten Feeds.</p>
+        </div>
+      ) : (
+        <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
+          <div className="services-table-wrapper">
+            <table className="services-table">
+              <thead>
+                <tr>
+                  <th>Schweregrad</th>
+                  <th>ID</th>
+                  <th>Port</th>
+                  <th>Produkt / Version</th>
+                  <th>Beschreibung</th>
+                </tr>
+              </thead>
+              <tbody>
+                {findings.map((f) => (
+                  <tr key={f.id}>
+                    <td><SeverityBadge severity={f.severity} score={f.cvss_score} /></td>
+                    <td style={{ whiteSpace: 'nowrap' }}>
+                      {f.refs?.[0] ? (
+                        <a href={f.refs[0]} target="_blank" rel="noopener noreferrer">{f.vuln_id}</a>
+                      ) : f.vuln_id}
+                    </td>
+                    <td className="port-cell">{f.port}/{f.protocol}</td>
+                    <td>
+                      {f.identified_as}
+                      <div style={{ fontSize: 11, color: 'var(--text-muted)' }}>Version {f.version}</div>
+                    </td>
+                    <td>
+                      <div className="banner-text" title={f.summary}>{f.summary || '-'}</div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
 
-      {openServices.length === 0 ? (
+      {tab === 'services' && (openServices.length === 0 ? (
         <div className="card empty-state">
           <h3>Keine offenen Dienste</h3>
           <p>Auf diesem Host wurden keine offenen Ports erkannt.</p>
@@ -488,7 +866,7 @@ function HostDetail() {
             </table>
           </div>
         </div>
-      )}
+      ))}
     </>
   );
 }
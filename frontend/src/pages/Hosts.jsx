@@ -28,8 +28,10 @@ function Hosts() {
       const s = search.toLowerCase();
       return (
         h.ip?.toLowerCase().includes(s) ||
+        (h.addresses || []).some((a) => a.address.toLowerCase().includes(s)) ||
         h.hostname?.toLowerCase().includes(s) ||
         h.vendor?.toLowerCase().includes(s) ||
+        h.site?.toLowerCase().includes(s) ||
         h.os_guess?.toLowerCase().includes(s)
       );
     }
@@ -102,6 +104,11 @@ function Hosts() {
                 <div className="host-info">
                   <h3>{host.hostname || host.ip}</h3>
                   <div className="host-ip">{host.ip}</div>
+                  {(host.addresses || []).filter((a) => a.address !== host.ip).map((a) => (
+                    <div key={a.address} className="host-ip" style={{ fontSize: 11, opacity: 0.7 }}>
+                      {a.address}
+                    </div>
+                  ))}
                 </div>
                 <div style={{ marginLeft: 'auto' }}>
                   <span className={`status-badge ${host.status}`}>
@@ -116,6 +123,7 @@ function Hosts() {
                     {host.os_guess.split(' ').slice(0, 3).join(' ')}
                   </span>
                 )}
+                {host.site && <span className="tag" title="Standort (Remote-Agent)">{host.site}</span>}
                 {host.vendor && <span className="tag">{host.vendor}</span>}
                 {host.mac_address && <span className="tag">{host.mac_address}</span>}
                 <span className="tag blue">{host.service_count} Dienste</span>
@@ -0,0 +1,198 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ListOrdered, ArrowUp, ArrowDown, Trash2, AlertCircle } from 'lucide-react';
+import { api } from '../api';
+
+const TYPE_LABELS = {
+  scan: 'Scan',
+  import: 'Import',
+  host_rescan: 'Host-Rescan',
+  vuln_import: 'Schwachstellen-Feed',
+  discovery: 'Deep Discovery',
+};
+
+const SOURCE_LABELS = {
+  manual: 'manuell',
+  schedule: 'Zeitplan',
+};
+
+const PRIORITIES = [
+  { value: 10, label: 'Hoch' },
+  { value: 5, label: 'Normal' },
+  { value: 0, label: 'Niedrig' },
+];
+
+const STATUS_LABELS = {
+  completed: 'abgeschlossen',
+  cancelled: 'abgebrochen',
+  error: 'fehlgeschlagen',
+  dropped: 'verworfen',
+};
+
+const formatTime = (date) => (date ? new Date(date).toLocaleString('de-DE') : '');
+
+function JobInfo({ job, time }) {
+  return (
+    <div className="scan-info">
+      <div className="scan-network">
+        <span className="tag" style={{ marginRight: 8 }}>{TYPE_LABELS[job.type] || job.type}</span>
+        {job.label}
+      </div>
+      <div className="scan-time">
+        #{job.id} &middot; {SOURCE_LABELS[job.source] || job.source} &middot; {time}
+        {job.params?.hostCount ? ` · ${job.params.hostCount} Hosts` : ''}
+        {job.attempts > 1 ? ` · Versuch ${job.attempts}` : ''}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Job queue: running jobs, queued jobs in run order and the job history
+ */
+function Jobs() {
+  const [queue, setQueue] = useState({ running: [], queued: [], history: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchData = async () => {
+    try {
+      setQueue(await api.getJobs());
+    } catch (err) {
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+    const interval = setInterval(fetchData, 5000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleAction = async (action) => {
+    setError(null);
+    try {
+      await action();
+      fetchData();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDrop = (job) => {
+    if (!confirm(`Job #${job.id} (${job.label}) aus der Warteschlange entfernen?`)) return;
+    handleAction(() => api.dropJob(job.id));
+  };
+
+  if (loading) {
+    return <div className="loading"><div className="spinner" />Lade Warteschlange...</div>;
+  }
+
+  const { running, queued, history } = queue;
+  // Jobs only move within their priority
+  const samePriority = (a, b) => a && b && a.priority === b.priority;
+
+  return (
+    <>
+      <div className="page-header">
+        <div>
+          <h2>Warteschlange</h2>
+          <div className="subtitle">
+            {running.length} laufend &middot; {queued.length} wartend
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="hint" style={{ color: 'var(--danger)', marginBottom: 12 }}>
+          <AlertCircle size={12} /> {error}
+        </div>
+      )}
+
+      {running.length === 0 && queued.length === 0 ? (
+        <div className="card empty-state" style={{ marginBottom: 16 }}>
+          <ListOrdered size={48} />
+          <h3>Keine Jobs in der Warteschlange</h3>
+          <p>Scans, Host-Rescans, Importe und Deep Discovery werden hier eingereiht, solange ein anderer Job läuft.</p>
+        </div>
+      ) : (
+        <div className="card" style={{ padding: '8px 20px', marginBottom: 16 }}>
+          {running.map((job) => (
+            <div key={job.id} className="scan-item">
+              <div className="scan-status running" />
+              <JobInfo job={job} time={`läuft seit ${formatTime(job.started_at)}`} />
+            </div>
+          ))}
+          {queued.map((job, i) => (
+            <div key={job.id} className="scan-item">
+              <div className="scan-status" />
+              <JobInfo job={job} time={`eingereiht ${formatTime(job.created_at)}`} />
+              <select
+                value={job.priority}
+                onChange={(e) => handleAction(() => api.updateJob(job.id, { priority: parseInt(e.target.value, 10) }))}
+                style={{ width: 'auto' }}
+                title="Priorität"
+              >
+                {PRIORITIES.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+                {!PRIORITIES.some(p => p.value === job.priority) && (
+                  <option value={job.priority}>Priorität {job.priority}</option>
+                )}
+              </select>
+              <button
+                className="btn btn-secondary"
+                onClick={() => handleAction(() => api.moveJob(job.id, 'up'))}
+                disabled={!samePriority(queued[i - 1], job)}
+                style={{ padding: '6px 10px' }}
+                title="Nach vorne"
+              >
+                <ArrowUp size={14} />
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => handleAction(() => api.moveJob(job.id, 'down'))}
+                disabled={!samePriority(queued[i + 1], job)}
+                style={{ padding: '6px 10px' }}
+                title="Nach hinten"
+              >
+                <ArrowDown size={14} />
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => handleDrop(job)}
+                style={{ padding: '6px 10px' }}
+                title="Job verwerfen"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {history.length > 0 && (
+        <>
+          <h3 style={{ margin: '0 0 8px', fontSize: 15, color: 'var(--text-secondary)' }}>Verlauf</h3>
+          <div className="card" style={{ padding: '8px 20px' }}>
+            {history.map((job) => (
+              <div key={job.id} className="scan-item">
+                <div className={`scan-status ${job.status === 'dropped' ? 'cancelled' : job.status}`} />
+                <JobInfo job={job} time={`${STATUS_LABELS[job.status] || job.status} ${formatTime(job.finished_at)}`} />
+                <div className="scan-results">
+                  {job.scan_id && <Link to={`/scans/${job.scan_id}`}>Scan #{job.scan_id}</Link>}
+                  {job.result?.hosts !== undefined && <div>{job.result.hosts} Hosts</div>}
+                  {job.result?.applied !== undefined && <div>{job.result.applied} Zuordnungen</div>}
+                  {job.result?.entries !== undefined && <div>{job.result.entries} Einträge</div>}
+                  {job.error && <div style={{ color: 'var(--danger)' }}>{job.error}</div>}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+export default Jobs;
@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { ArrowLeft, History } from 'lucide-react';
+import { api } from '../api';
+import { STATUS_BADGE, formatDuration } from './ScanHistory';
+
+function ScanDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [scan, setScan] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('all');
+  const [search, setSearch] = useState('');
+
+  useEffect(() => {
+    api.getScan(id)
+      .then(setScan)
+      .catch(() => navigate('/scans'))
+      .finally(() => setLoading(false));
+  }, [id]);
+
+  if (loading) {
+    return <div className="loading"><div className="spinner" />Lade Scan-Ergebnis...</div>;
+  }
+
+  if (!scan) return null;
+
+  const hosts = scan.hosts || [];
+  const upCount = hosts.filter(h => h.status === 'up').length;
+  const portCount = hosts.reduce((sum, h) => sum + (h.ports?.length || 0), 0);
+
+  const filtered = hosts.filter((h) => {
+    if (filter !== 'all' && h.status !== filter) return false;
+    if (search) {
+      const s = search.toLowerCase();
+      return (
+        h.ip.toLowerCase().includes(s) ||
+        (h.hostname || h.current_hostname || '').toLowerCase().includes(s) ||
+        (h.mac_address || '').toLowerCase().includes(s) ||
+        (h.ports || []).some(p => String(p.port) === s || (p.identified_as || '').toLowerCase().includes(s))
+      );
+    }
+    return true;
+  });
+
+  const badge = STATUS_BADGE[scan.status] || STATUS_BADGE.error;
+
+  return (
+    <>
+      <div className="host-detail-header">
+        <button className="back-btn" onClick={() => navigate('/scans')}>
+          <ArrowLeft size={16} /> Zurück
+        </button>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 16 }}>
+          <div>
+            <h2 style={{ margin: 0 }}>Scan #{scan.id}</h2>
+            <div style={{ color: 'var(--text-secondary)', fontSize: 14 }}>
+              {scan.network}{scan.imported && ' (importiert)'} &middot; {new Date(scan.started_at).toLocaleString('de-DE')}
+              {scan.finished_at && (
+                <> &middot; {formatDuration(new Date(scan.finished_at) - new Date(scan.started_at))}</>
+              )}
+            </div>
+          </div>
+          <span className={`status-badge ${badge.className}`} style={{ marginLeft: 8 }}>
+            {badge.label}
+          </span>
+        </div>
+        {scan.error && (
+          <div style={{ color: 'var(--danger)', fontSize: 13, marginTop: 8 }}>{scan.error}</div>
+        )}
+      </div>
+
+      {hosts.length === 0 ? (
+        <div className="card empty-state">
+          <History size={48} />
+          <h3>Keine Beobachtungen gespeichert</h3>
+          <p>Für diesen Scan liegen keine Host-Daten vor (älterer Scan oder vor Phase 1.5 abgebrochen).</p>
+        </div>
+      ) : (
+        <>
+          <div style={{ display: 'flex', gap: 12, marginBottom: 16, flexWrap: 'wrap', alignItems: 'center' }}>
+            <input
+              type="text"
+              placeholder="Suche nach IP, Hostname, MAC oder Dienst..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              style={{
+                flex: 1, minWidth: 220, padding: '10px 14px',
+                border: '1px solid var(--border)', borderRadius: 'var(--radius-sm)',
+                background: 'var(--bg-input)', color: 'var(--text-primary)',
+                fontSize: 14, fontFamily: 'inherit'
+              }}
+            />
+            {[
+              { key: 'all', label: `Alle (${hosts.length})` },
+              { key: 'up', label: `Online (${upCount})` },
+              { key: 'down', label: `Offline (${hosts.length - upCount})` },
+            ].map(f => (
+              <button
+                key={f.key}
+                className={`btn ${filter === f.key ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => setFilter(f.key)}
+              >
+                {f.label}
+              </button>
+            ))}
+            <span style={{ color: 'var(--text-secondary)', fontSize: 13 }}>{portCount} offene Ports</span>
+          </div>
+
+          <div className="card services-table-wrapper">
+            <table className="services-table">
+              <thead>
+                <tr>
+                  <th>IP-Adresse</th>
+                  <th>Hostname</th>
+                  <th>MAC-Adresse</th>
+                  <th>Status</th>
+                  <th>Offene Ports</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filtered.map((h) => (
+                  <tr key={h.ip}>
+                    <td className="port-cell">
+                      {h.host_id ? <Link to={`/hosts/${h.host_id}`}>{h.ip}</Link> : h.ip}
+                    </td>
+                    <td>{h.hostname || h.current_hostname || '-'}</td>
+                    <td style={{ fontFamily: 'monospace' }}>{h.mac_address || '-'}</td>
+                    <td>
+                      <span className={`status-badge ${h.status}`}>
+                        <span className="status-dot" />
+                        {h.status === 'up' ? 'Online' : 'Offline'}
+                      </span>
+                    </td>
+                    <td>
+                      {h.ports === null ? (
+                        <span style={{ color: 'var(--text-muted)' }}>nicht gescannt</span>
+                      ) : h.ports.length === 0 ? (
+                        '-'
+                      ) : (
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+                          {h.ports.map(p => (
+                            <span key={`${p.port}/${p.protocol}`} className="tag" title={p.match_source || ''}>
+                              {p.port}/{p.protocol} {p.identified_as}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+export default ScanDetail;
@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { ArrowLeft, Plus, Minus, ArrowRight, RefreshCw, CheckCircle } from 'lucide-react';
+import { api } from '../api';
+
+const SECTIONS = [
+  { key: 'newHosts', label: 'Neue Hosts', icon: Plus, color: 'var(--success)' },
+  { key: 'vanishedHosts', label: 'Verschwundene Hosts', icon: Minus, color: 'var(--danger)' },
+  { key: 'openedPorts', label: 'Neu geöffnete Ports', icon: Plus, color: 'var(--warning)' },
+  { key: 'closedPorts', label: 'Geschlossene Ports', icon: Minus, color: 'var(--text-secondary)' },
+  { key: 'changedServices', label: 'Geänderte Dienste / Versionen', icon: RefreshCw, color: 'var(--accent)' },
+];
+
+function HostLabel({ item }) {
+  const label = item.hostname ? `${item.hostname} (${item.ip})` : item.ip;
+  return item.host_id ? <Link to={`/hosts/${item.host_id}`}>{label}</Link> : label;
+}
+
+function formatService(s) {
+  const product = s.product ? ` – ${s.product}${s.version ? ' ' + s.version : ''}` : (s.version ? ` ${s.version}` : '');
+  return `${s.identified_as || '?'}${product}`;
+}
+
+function ScanDiff() {
+  const { a, b } = useParams();
+  const navigate = useNavigate();
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    api.getScanDiff(a, b)
+      .then(setDiff)
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [a, b]);
+
+  if (loading) {
+    return <div className="loading"><div className="spinner" />Vergleiche Scans...</div>;
+  }
+
+  if (error || !diff) {
+    return (
+      <div className="card empty-state">
+        <h3>Vergleich nicht möglich</h3>
+        <p>{error}</p>
+      </div>
+    );
+  }
+
+  const totalChanges = Object.values(diff.summary).reduce((sum, n) => sum + n, 0);
+  const scanLabel = (scan) => `#${scan.id} · ${new Date(scan.started_at).toLocaleString('de-DE')}`;
+
+  const renderItem = (key, item) => {
+    switch (key) {
+      case 'newHosts':
+      case 'vanishedHosts':
+        return (
+          <>
+            <HostLabel item={item} />
+            {item.mac_address && <span style={{ color: 'var(--text-muted)', marginLeft: 8 }}>{item.mac_address}</span>}
+            {item.ports.length > 0 && (
+              <span style={{ color: 'var(--text-secondary)', marginLeft: 8 }}>
+                {item.ports.map(p => `${p.port}/${p.protocol}`).join(', ')}
+              </span>
+            )}
+          </>
+        );
+      case 'changedServices':
+        return (
+          <>
+            <HostLabel item={item} />
+            <span className="port-cell" style={{ margin: '0 8px' }}>{item.port}/{item.protocol}</span>
+            {formatService(item.before)} <ArrowRight size={12} /> <strong>{formatService(item.after)}</strong>
+          </>
+        );
+      default:
+        return (
+          <>
+            <HostLabel item={item} />
+            <span className="port-cell" style={{ margin: '0 8px' }}>{item.port}/{item.protocol}</span>
+            {formatService(item)}
+          </>
+        );
+    }
+  };
+
+  return (
+    <>
+      <div className="host-detail-header">
+        <button className="back-btn" onClick={() => navigate('/scans')}>
+          <ArrowLeft size={16} /> Zurück
+        </button>
+        <h2 style={{ margin: 0 }}>Änderungsbericht</h2>
+        <div style={{ color: 'var(--text-secondary)', fontSize: 14 }}>
+          <Link to={`/scans/${diff.scanA.id}`}>{scanLabel(diff.scanA)}</Link>
+          {' '}<ArrowRight size={12} />{' '}
+          <Link to={`/scans/${diff.scanB.id}`}>{scanLabel(diff.scanB)}</Link>
+        </div>
+      </div>
+
+      <div className="stats-grid">
+        {SECTIONS.map(({ key, label, icon: Icon, color }) => (
+          <div key={key} className="card stat-card">
+            <Icon size={22} style={{ color }} />
+            <div>
+              <div className="stat-value">{diff.summary[key]}</div>
+              <div className="stat-label">{label}</div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {totalChanges === 0 ? (
+        <div className="card empty-state">
+          <CheckCircle size={48} />
+          <h3>Keine Änderungen</h3>
+          <p>Beide Scans haben dieselben Hosts, Ports und Dienste gesehen.</p>
+        </div>
+      ) : (
+        SECTIONS.filter(({ key }) => diff[key].length > 0).map(({ key, label, icon: Icon, color }) => (
+          <div key={key} className="card" style={{ marginBottom: 16 }}>
+            <h3 style={{ margin: '0 0 12px', fontSize: 15, display: 'flex', alignItems: 'center', gap: 6, color }}>
+              <Icon size={15} /> {label} ({diff[key].length})
+            </h3>
+            {diff[key].map((item, i) => (
+              <div key={i} style={{ padding: '6px 0', borderBottom: '1px solid var(--border)', fontSize: 13 }}>
+                {renderItem(key, item)}
+              </div>
+            ))}
+          </div>
+        ))
+      )}
+    </>
+  );
+}
+
+export default ScanDiff;
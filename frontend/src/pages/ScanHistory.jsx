@@ -1,17 +1,30 @@
-import { useState, useEffect } from 'react';
-import { RefreshCw, History } from 'lucide-react';
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { RefreshCw, History, XCircle, GitCompare, Upload } from 'lucide-react';
 import { api } from '../api';
+import ScanProgress, { useScanProgress } from '../components/ScanProgress';
+import BlackoutNotice, { confirmBlackoutScan } from '../components/BlackoutNotice';
 
 function ScanHistory() {
   const [scans, setScans] = useState([]);
   const [scanning, setScanning] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [cancelling, setCancelling] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [importDeepProbe, setImportDeepProbe] = useState(false);
+  const [forceDeepProbe, setForceDeepProbe] = useState(false);
+  const [blackout, setBlackout] = useState(null);
+  const [queued, setQueued] = useState(0);
+  const fileInput = useRef(null);
+  const navigate = useNavigate();
 
   const fetchData = async () => {
     try {
       const [s, status] = await Promise.all([api.getScans(), api.getScanStatus()]);
       setScans(s);
       setScanning(status.scanning);
+      setBlackout(status.blackout);
+      setQueued(status.queued || 0);
     } catch (err) {
       console.error(err);
     } finally {
@@ -25,9 +38,13 @@ function ScanHistory() {
     return () => clearInterval(interval);
   }, []);
 
+  const progress = useScanProgress(() => fetchData());
+
   const startScan = async () => {
+    if (!confirmBlackoutScan(blackout)) return;
     try {
-      await api.startScan();
+      const res = await api.startScan(forceDeepProbe);
+      if (res.duplicate) alert(`Ein Scan wartet bereits in der Warteschlange (Job #${res.job.id})`);
       setScanning(true);
       setTimeout(fetchData, 2000);
     } catch (err) {
@@ -36,6 +53,45 @@ function ScanHistory() {
     }
   };
 
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      await api.importNmapXml(file, importDeepProbe);
+      setScanning(true);
+      setTimeout(fetchData, 1000);
+    } catch (err) {
+      console.error('nmap import failed:', err);
+      alert(err.message || 'Import fehlgeschlagen');
+    }
+  };
+
+  const cancelScan = async (scan) => {
+    if (!confirm(`Scan #${scan.id} wirklich abbrechen?`)) return;
+    setCancelling(scan.id);
+    try {
+      await api.cancelScan(scan.id);
+      setTimeout(fetchData, 1000);
+    } catch (err) {
+      console.error('Scan cancel failed:', err);
+      alert(err.message || 'Scan konnte nicht abgebrochen werden');
+    } finally {
+      setCancelling(null);
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(prev => prev.includes(id)
+      ? prev.filter(s => s !== id)
+      : [...prev, id].slice(-2));
+  };
+
+  const compareSelected = () => {
+    const [a, b] = [...selected].sort((x, y) => x - y);
+    navigate(`/scans/${a}/diff/${b}`);
+  };
+
   if (loading) {
     return <div className="loading"><div className="spinner" />Lade Scan-Verlauf...</div>;
   }
@@ -45,18 +101,72 @@ function ScanHistory() {
       <div className="page-header">
         <div>
           <h2>Scan-Verlauf</h2>
-          <div className="subtitle">{scans.length} Scans durchgeführt</div>
+          <div className="subtitle">
+            {scans.length} Scans durchgeführt
+            {queued > 0 && <> &middot; <Link to="/jobs">{queued} in der Warteschlange</Link></>}
+          </div>
+        </div>
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+          <button
+            className="btn btn-secondary"
+            onClick={compareSelected}
+            disabled={selected.length !== 2}
+            title="Zwei Scans auswählen, um die Änderungen zu vergleichen"
+          >
+            <GitCompare size={16} />
+            Vergleichen ({selected.length}/2)
+          </button>
+          <label
+            style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13, color: 'var(--text-secondary)' }}
+            title="Importierte Hosts aktiv nachprobieren (nur wenn erreichbar)"
+          >
+            <input
+              type="checkbox"
+              checked={importDeepProbe}
+              onChange={(e) => setImportDeepProbe(e.target.checked)}
+            />
+            Deep Probe
+          </label>
+          <button
+            className="btn btn-secondary"
+            onClick={() => fileInput.current.click()}
+            title="Vorhandene nmap-Ergebnisse (nmap -oX) importieren"
+          >
+            <Upload size={16} />
+            nmap-XML importieren
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".xml,application/xml,text/xml"
+            onChange={importFile}
+            style={{ display: 'none' }}
+          />
+          <label
+            style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13, color: 'var(--text-secondary)' }}
+            title="Zwischengespeicherte Probe-Ergebnisse ignorieren und alle Dienste neu untersuchen"
+          >
+            <input
+              type="checkbox"
+              checked={forceDeepProbe}
+              onChange={(e) => setForceDeepProbe(e.target.checked)}
+            />
+            Deep Probe erzwingen
+          </label>
+          <button
+            className="btn btn-primary"
+            onClick={startScan}
+            title={scanning || progress?.running ? 'Scan läuft - ein weiterer Scan wird eingereiht' : undefined}
+          >
+            <RefreshCw size={16} />
+            {scanning || progress?.running ? 'Scan einreihen' : 'Scan starten'}
+          </button>
         </div>
-        <button
-          className="btn btn-primary"
-          onClick={startScan}
-          disabled={scanning}
-        >
-          <RefreshCw size={16} />
-          {scanning ? 'Scannt...' : 'Scan starten'}
-        </button>
       </div>
 
+      <BlackoutNotice blackout={blackout} />
+      <ScanProgress progress={progress} />
+
       {scans.length === 0 ? (
         <div className="card empty-state">
           <History size={48} />
@@ -66,10 +176,26 @@ function ScanHistory() {
       ) : (
         <div className="card" style={{ padding: '8px 20px' }}>
           {scans.map((scan) => (
-            <div key={scan.id} className="scan-item">
+            <div
+              key={scan.id}
+              className="scan-item"
+              onClick={() => navigate(`/scans/${scan.id}`)}
+              style={{ cursor: 'pointer' }}
+              title="Scan-Ergebnis anzeigen"
+            >
+              <input
+                type="checkbox"
+                checked={selected.includes(scan.id)}
+                onClick={(e) => e.stopPropagation()}
+                onChange={() => toggleSelected(scan.id)}
+                title="Für Vergleich auswählen"
+              />
               <div className={`scan-status ${scan.status}`} />
               <div className="scan-info">
-                <div className="scan-network">{scan.network}</div>
+                <div className="scan-network">
+                  {scan.network}
+                  {scan.imported && <span className="tag" style={{ marginLeft: 8 }}>Import</span>}
+                </div>
                 <div className="scan-time">
                   {new Date(scan.started_at).toLocaleString('de-DE')}
                   {scan.finished_at && (
@@ -88,9 +214,26 @@ function ScanHistory() {
               <div className="scan-results">
                 <div>{scan.hosts_found} Hosts</div>
                 <div>{scan.services_found} Dienste</div>
+                {scan.probe_cache_hits > 0 && (
+                  <div title="Deep Probes, die aus dem Cache beantwortet wurden">
+                    {scan.probe_cache_hits}/{scan.probe_cache_hits + scan.probe_cache_misses} aus Cache
+                  </div>
+                )}
               </div>
-              <span className={`status-badge ${scan.status === 'completed' ? 'up' : scan.status === 'running' ? 'scanning' : 'down'}`}>
-                {scan.status === 'completed' ? 'Abgeschlossen' : scan.status === 'running' ? 'Läuft' : 'Fehler'}
+              {scan.status === 'running' && scanning && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={(e) => { e.stopPropagation(); cancelScan(scan); }}
+                  disabled={cancelling === scan.id}
+                  style={{ padding: '4px 10px', fontSize: 12 }}
+                  title="Scan abbrechen"
+                >
+                  <XCircle size={14} />
+                  {cancelling === scan.id ? 'Bricht ab...' : 'Abbrechen'}
+                </button>
+              )}
+              <span className={`status-badge ${STATUS_BADGE[scan.status]?.className || 'down'}`}>
+                {STATUS_BADGE[scan.status]?.label || 'Fehler'}
               </span>
             </div>
           ))}
@@ -100,7 +243,14 @@ function ScanHistory() {
   );
 }
 
-function formatDuration(ms) {
+export const STATUS_BADGE = {
+  completed: { className: 'up', label: 'Abgeschlossen' },
+  running: { className: 'scanning', label: 'Läuft' },
+  cancelled: { className: 'cancelled', label: 'Abgebrochen' },
+  error: { className: 'down', label: 'Fehler' },
+};
+
+export function formatDuration(ms) {
   if (ms < 1000) return `${ms}ms`;
   const s = Math.floor(ms / 1000);
   if (s < 60) return `${s}s`;
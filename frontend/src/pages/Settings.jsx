@@ -1,6 +1,24 @@
 import { useState, useEffect } from 'react';
-import { Save, Check, Wifi, CheckCircle, AlertCircle, Loader, Plus, Trash2 } from 'lucide-react';
+import { Save, Check, Wifi, CheckCircle, AlertCircle, Loader, Plus, Trash2, Edit2, X } from 'lucide-react';
 import { api } from '../api';
+import SchedulePreview from '../components/SchedulePreview';
+import VulnerabilityFeeds from '../components/VulnerabilityFeeds';
+import OuiDatabase from '../components/OuiDatabase';
+import FaviconGroups from '../components/FaviconGroups';
+import CustomSignatures from '../components/CustomSignatures';
+import SignaturePacks from '../components/SignaturePacks';
+
+const WEEKDAYS = [
+  { day: 1, label: 'Mo' }, { day: 2, label: 'Di' }, { day: 3, label: 'Mi' }, { day: 4, label: 'Do' },
+  { day: 5, label: 'Fr' }, { day: 6, label: 'Sa' }, { day: 0, label: 'So' },
+];
+
+const EMPTY_BLACKOUT = { name: '', days: [1, 2, 3, 4, 5], start_time: '08:00', end_time: '18:00' };
+
+const EMPTY_PROFILE = {
+  name: '', description: '', port_range: 'top:100', timing: 3,
+  os_detection: false, deep_probe: true, udp_scan: false, scan_interval: '', scan_cron: '',
+};
 
 function Settings() {
   const [settings, setSettings] = useState({});
@@ -12,10 +30,33 @@ function Settings() {
   const [unifiDetectedUrl, setUnifiDetectedUrl] = useState('');
   const [unifiTesting, setUnifiTesting] = useState(false);
   const [unifiTestResult, setUnifiTestResult] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [networkProfiles, setNetworkProfiles] = useState({}); // network -> profile id
+  const [editProfile, setEditProfile] = useState(null);
+  const [profileError, setProfileError] = useState(null);
+  const [exclusions, setExclusions] = useState([]);
+  const [newExclusion, setNewExclusion] = useState({ entry: '', network: '', note: '' });
+  const [exclusionError, setExclusionError] = useState(null);
+  const [blackouts, setBlackouts] = useState({ windows: [], active: null });
+  const [newBlackout, setNewBlackout] = useState(null);
+  const [blackoutError, setBlackoutError] = useState(null);
+  const [probeCacheResult, setProbeCacheResult] = useState(null);
+
+  const applyProfiles = (list) => {
+    setProfiles(list);
+    const map = {};
+    list.forEach((p) => p.networks.forEach((n) => { map[n] = p.id; }));
+    setNetworkProfiles(map);
+  };
 
   useEffect(() => {
-    Promise.all([api.getSettings(), api.getTopology()])
-      .then(([data, topology]) => {
+    Promise.all([
+      api.getSettings(), api.getTopology(), api.getScanProfiles(), api.getExclusions(), api.getBlackoutWindows(),
+    ])
+      .then(([data, topology, profileList, exclusionList, blackoutList]) => {
+        applyProfiles(profileList);
+        setExclusions(exclusionList);
+        setBlackouts(blackoutList);
         const obj = {};
         data.forEach((s) => { obj[s.key] = s.value; });
         setSettings(obj);
@@ -47,6 +88,9 @@ function Settings() {
       const validNets = networks.map(n => n.trim()).filter(Boolean);
       const merged = { ...settings, scan_network: validNets.join(',') };
       await api.updateSettings(merged);
+      const assignments = {};
+      validNets.forEach((n) => { assignments[n] = networkProfiles[n] || null; });
+      applyProfiles(await api.updateNetworkProfiles(assignments));
       setSaved(true);
       setTimeout(() => setSaved(false), 3000);
     } catch (err) {
@@ -56,6 +100,15 @@ function Settings() {
     }
   };
 
+  const clearProbeCache = async () => {
+    try {
+      const res = await api.clearProbeCache();
+      setProbeCacheResult({ success: true, message: `${res.deleted} Einträge gelöscht` });
+    } catch (err) {
+      setProbeCacheResult({ success: false, message: err.message });
+    }
+  };
+
   const updateNetwork = (index, value) => {
     setNetworks(prev => prev.map((n, i) => i === index ? value : n));
   };
@@ -70,6 +123,103 @@ function Settings() {
     setSettings((prev) => ({ ...prev, [key]: value }));
   };
 
+  const updateProfileField = (key, value) => {
+    setEditProfile((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleProfileSave = async () => {
+    setProfileError(null);
+    const { id } = editProfile;
+    const body = {
+      name: editProfile.name,
+      description: editProfile.description || '',
+      port_range: editProfile.port_range,
+      timing: parseInt(editProfile.timing, 10),
+      os_detection: editProfile.os_detection,
+      deep_probe: editProfile.deep_probe,
+      udp_scan: editProfile.udp_scan,
+      scan_interval: editProfile.scan_interval === '' ? null : parseInt(editProfile.scan_interval, 10),
+      scan_cron: editProfile.scan_cron.trim() || null,
+    };
+    try {
+      if (id) await api.updateScanProfile(id, body);
+      else await api.createScanProfile(body);
+      applyProfiles(await api.getScanProfiles());
+      setEditProfile(null);
+    } catch (err) {
+      setProfileError(err.message);
+    }
+  };
+
+  const toggleBlackoutDay = (day) => {
+    setNewBlackout(prev => ({
+      ...prev,
+      days: prev.days.includes(day) ? prev.days.filter(d => d !== day) : [...prev.days, day],
+    }));
+  };
+
+  const handleBlackoutSave = async () => {
+    setBlackoutError(null);
+    try {
+      await api.createBlackoutWindow(newBlackout);
+      setBlackouts(await api.getBlackoutWindows());
+      setNewBlackout(null);
+    } catch (err) {
+      setBlackoutError(err.message);
+    }
+  };
+
+  const handleBlackoutToggle = async (window) => {
+    setBlackoutError(null);
+    try {
+      await api.updateBlackoutWindow(window.id, { enabled: !window.enabled });
+      setBlackouts(await api.getBlackoutWindows());
+    } catch (err) {
+      setBlackoutError(err.message);
+    }
+  };
+
+  const handleBlackoutDelete = async (window) => {
+    setBlackoutError(null);
+    try {
+      await api.deleteBlackoutWindow(window.id);
+      setBlackouts(await api.getBlackoutWindows());
+    } catch (err) {
+      setBlackoutError(err.message);
+    }
+  };
+
+  const handleExclusionAdd = async () => {
+    setExclusionError(null);
+    try {
+      await api.createExclusion(newExclusion);
+      setExclusions(await api.getExclusions());
+      setNewExclusion({ entry: '', network: '', note: '' });
+    } catch (err) {
+      setExclusionError(err.message);
+    }
+  };
+
+  const handleExclusionDelete = async (exclusion) => {
+    setExclusionError(null);
+    try {
+      await api.deleteExclusion(exclusion.id);
+      setExclusions(await api.getExclusions());
+    } catch (err) {
+      setExclusionError(err.message);
+    }
+  };
+
+  const handleProfileDelete = async (profile) => {
+    if (!confirm(`Scan-Profil "${profile.name}" wirklich löschen? Zugeordnete Netzwerke verwenden danach das Standard-Profil.`)) return;
+    try {
+      await api.deleteScanProfile(profile.id);
+      applyProfiles(await api.getScanProfiles());
+    } catch (err) {
+      setProfileError(err.message);
+    }
+  };
+
   const handleUnifiTest = async () => {
     const url = settings.unifi_url || '';
     const token = settings.unifi_token || '';
@@ -114,6 +264,20 @@ function Settings() {
                 placeholder="z.B. 192.168.1.0/24"
                 style={{ flex: 1 }}
               />
+              <select
+                value={networkProfiles[net.trim()] || ''}
+                onChange={(e) => setNetworkProfiles(prev => ({
+                  ...prev,
+                  [net.trim()]: e.target.value ? parseInt(e.target.value, 10) : null,
+                }))}
+                style={{ width: 180, flexShrink: 0 }}
+                title="Scan-Profil"
+              >
+                <option value="">Standard-Profil</option>
+                {profiles.map((p) => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </select>
               <button
                 type="button"
                 className="btn btn-secondary"
@@ -135,7 +299,7 @@ function Settings() {
             <Plus size={14} /> Netzwerk hinzufügen
           </button>
           <div className="hint" style={{ marginTop: 6 }}>
-            Zu scannende Netzwerke im CIDR-Format. Mehrere Netzwerke werden nacheinander gescannt.
+            Zu scannende Netzwerke im CIDR-Format (IPv4 oder IPv6, z.B. 2001:db8::/64). Mehrere Netzwerke werden nacheinander gescannt. Große IPv6-Präfixe werden per Neighbor Discovery statt Ping-Sweep erfasst.
           </div>
         </div>
 
@@ -152,6 +316,62 @@ function Settings() {
           </div>
         </div>
 
+        <div className="form-group">
+          <label>UDP-Scan</label>
+          <select
+            value={settings.scan_udp_enabled || 'false'}
+            onChange={(e) => update('scan_udp_enabled', e.target.value)}
+          >
+            <option value="true">Aktiviert</option>
+            <option value="false">Deaktiviert</option>
+          </select>
+          <div className="hint">
+            Zusätzliche UDP-Phase für DNS, SNMP, NTP, mDNS, WireGuard, OpenVPN, Syslog u.a. Nur erreichbare Hosts werden geprüft.
+          </div>
+        </div>
+
+        {settings.scan_udp_enabled === 'true' && (
+          <div className="form-group">
+            <label>UDP-Ports</label>
+            <input
+              type="text"
+              value={settings.scan_udp_ports || ''}
+              onChange={(e) => update('scan_udp_ports', e.target.value)}
+              placeholder="z.B. 53,123,161,1194,5353,51820"
+            />
+            <div className="hint">
+              Zu scannende UDP-Ports. UDP-Scans sind langsam &ndash; nur benötigte Ports eintragen.
+            </div>
+          </div>
+        )}
+
+        <div className="form-group">
+          <label>Probe-Cache (Stunden)</label>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <input
+              type="number"
+              min="0"
+              max="720"
+              value={settings.probe_cache_max_age ?? ''}
+              onChange={(e) => update('probe_cache_max_age', e.target.value)}
+              style={{ flex: 1 }}
+            />
+            <button type="button" className="btn btn-secondary" onClick={clearProbeCache}>
+              <Trash2 size={14} /> Cache leeren
+            </button>
+          </div>
+          <div className="hint">
+            Dienste, deren erste Antwort (Status, Server, Titel, Banner) unverändert ist, übernehmen bis zu dieser
+            Dauer das Ergebnis des letzten Deep Probes; nur Zertifikate und SSH-Schlüssel werden neu abgefragt.
+            0 = immer vollständig prüfen. Manuelle Scans können den Deep Probe erzwingen.
+          </div>
+          {probeCacheResult && (
+            <div className="hint" style={{ color: probeCacheResult.success ? 'var(--success)' : 'var(--danger)' }}>
+              {probeCacheResult.success ? <CheckCircle size={12} /> : <AlertCircle size={12} />} {probeCacheResult.message}
+            </div>
+          )}
+        </div>
+
         <div className="form-group">
           <label>Scan-Intervall (Minuten)</label>
           <input
@@ -166,6 +386,20 @@ function Settings() {
           </div>
         </div>
 
+        <div className="form-group">
+          <label>Scan-Zeitplan (Cron-Ausdruck)</label>
+          <input
+            type="text"
+            value={settings.scan_cron || ''}
+            onChange={(e) => update('scan_cron', e.target.value)}
+            placeholder="leer = Intervall verwenden, z.B. 0 2 * * * oder 0 */2 * * 1-5"
+          />
+          <div className="hint">
+            Minute Stunde Tag Monat Wochentag (Serverzeit). Ersetzt das Intervall, wenn gesetzt.
+          </div>
+          <SchedulePreview cron={settings.scan_cron} interval={settings.scan_interval} />
+        </div>
+
         <div className="form-group">
           <label>Automatisches Scannen</label>
           <select
@@ -180,6 +414,405 @@ function Settings() {
           </div>
         </div>
 
+        <div className="settings-separator" />
+        <h3 style={{ margin: '0 0 4px', fontSize: 15, color: 'var(--text-secondary)' }}>
+          Blackout-Fenster
+        </h3>
+        <div className="hint" style={{ marginBottom: 12 }}>
+          In diesen Zeiträumen starten keine geplanten Scans und keine Deep Discovery (Serverzeit).
+          Endet ein Fenster vor seinem Beginn, läuft es über Mitternacht.
+          {blackouts.active && (
+            <div style={{ color: 'var(--warning)', marginTop: 4 }}>
+              Aktiv: &quot;{blackouts.active.name}&quot; bis {new Date(blackouts.active.until).toLocaleString('de-DE')}
+            </div>
+          )}
+        </div>
+
+        {blackouts.windows.map((w) => (
+          <div key={w.id} className="scan-item" style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+            <div style={{ flex: 1, minWidth: 0, opacity: w.enabled ? 1 : 0.5 }}>
+              <div style={{ fontWeight: 600 }}>{w.name}</div>
+              <div className="hint" style={{ margin: 0 }}>
+                {WEEKDAYS.filter(({ day }) => w.days.includes(day)).map(({ label }) => label).join(', ')}
+                {' '}&middot; {w.start_time}&ndash;{w.end_time}
+              </div>
+            </div>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => handleBlackoutToggle(w)}
+              style={{ padding: '6px 10px', fontSize: 12 }}
+            >
+              {w.enabled ? 'Deaktivieren' : 'Aktivieren'}
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => handleBlackoutDelete(w)}
+              style={{ padding: '6px 10px' }}
+              title="Blackout-Fenster löschen"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+
+        {newBlackout ? (
+          <div className="card" style={{ marginBottom: 12 }}>
+            <div className="form-group">
+              <label>Name</label>
+              <input
+                type="text"
+                value={newBlackout.name}
+                onChange={(e) => setNewBlackout(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="z.B. Geschäftszeiten"
+              />
+            </div>
+            <div className="form-group">
+              <label>Wochentage</label>
+              <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+                {WEEKDAYS.map(({ day, label }) => (
+                  <button
+                    key={day}
+                    type="button"
+                    className={`btn ${newBlackout.days.includes(day) ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => toggleBlackoutDay(day)}
+                    style={{ padding: '6px 10px' }}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div style={{ display: 'flex', gap: 12 }}>
+              <div className="form-group" style={{ flex: 1 }}>
+                <label>Von</label>
+                <input
+                  type="time"
+                  value={newBlackout.start_time}
+                  onChange={(e) => setNewBlackout(prev => ({ ...prev, start_time: e.target.value }))}
+                />
+              </div>
+              <div className="form-group" style={{ flex: 1 }}>
+                <label>Bis</label>
+                <input
+                  type="time"
+                  value={newBlackout.end_time}
+                  onChange={(e) => setNewBlackout(prev => ({ ...prev, end_time: e.target.value }))}
+                />
+              </div>
+            </div>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <button type="button" className="btn btn-primary" onClick={handleBlackoutSave}>
+                <Save size={14} /> Fenster speichern
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => setNewBlackout(null)}>
+                <X size={14} /> Abbrechen
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => { setBlackoutError(null); setNewBlackout({ ...EMPTY_BLACKOUT }); }}
+            style={{ marginBottom: 8 }}
+          >
+            <Plus size={14} /> Blackout-Fenster hinzufügen
+          </button>
+        )}
+        {blackoutError && (
+          <div className="hint" style={{ color: 'var(--danger)', marginBottom: 8 }}>
+            <AlertCircle size={12} /> {blackoutError}
+          </div>
+        )}
+
+        <div className="form-group">
+          <label>Laufender Scan erreicht ein Blackout-Fenster</label>
+          <select
+            value={settings.blackout_policy || 'pause'}
+            onChange={(e) => update('blackout_policy', e.target.value)}
+          >
+            <option value="pause">Pausieren und danach fortsetzen</option>
+            <option value="cancel">Abbrechen</option>
+          </select>
+          <div className="hint">
+            Pausiert wird nach dem aktuellen Schritt (Netzwerk bzw. Host). Manuell gestartete Scans während eines
+            Fensters laufen nach einer Warnung durch.
+          </div>
+        </div>
+
+        <div className="settings-separator" />
+        <h3 style={{ margin: '0 0 4px', fontSize: 15, color: 'var(--text-secondary)' }}>
+          Scan-Profile
+        </h3>
+        <div className="hint" style={{ marginBottom: 12 }}>
+          Profile legen Ports, Timing, OS-Erkennung, Deep Probe, UDP-Scan und optional einen eigenen Zeitplan fest.
+          Netzwerke ohne Profil verwenden das Standard-Profil (Port-Bereich oben, T4, OS-Erkennung, Deep Probe).
+        </div>
+
+        {profiles.map((p) => (
+          <div key={p.id} className="scan-item" style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontWeight: 600 }}>{p.name}</div>
+              <div className="hint" style={{ margin: 0 }}>
+                Ports {p.port_range} &middot; T{p.timing}
+                {p.os_detection ? ' · OS-Erkennung' : ''}
+                {p.deep_probe ? ' · Deep Probe' : ' · ohne Deep Probe'}
+                {settings.scan_udp_enabled === 'true' && (p.udp_scan ? ' · UDP' : ' · ohne UDP')}
+                {p.scan_cron ? ` · ${p.scan_cron}` : p.scan_interval ? ` · alle ${p.scan_interval} Min.` : ' · globaler Zeitplan'}
+                {p.networks.length > 0 && ` · ${p.networks.join(', ')}`}
+              </div>
+            </div>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => { setProfileError(null); setEditProfile({ ...p, scan_interval: p.scan_interval ?? '', scan_cron: p.scan_cron ?? '' }); }}
+              style={{ padding: '6px 10px' }}
+              title="Profil bearbeiten"
+            >
+              <Edit2 size={14} />
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => handleProfileDelete(p)}
+              style={{ padding: '6px 10px' }}
+              title="Profil löschen"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+
+        {editProfile ? (
+          <div className="card" style={{ marginBottom: 12 }}>
+            <div className="form-group">
+              <label>Name</label>
+              <input
+                type="text"
+                value={editProfile.name}
+                onChange={(e) => updateProfileField('name', e.target.value)}
+                placeholder="z.B. IoT schonend"
+              />
+            </div>
+            <div className="form-group">
+              <label>Ports</label>
+              <input
+                type="text"
+                value={editProfile.port_range}
+                onChange={(e) => updateProfileField('port_range', e.target.value)}
+                placeholder="z.B. 1-65535, 22,80,443 oder top:100"
+              />
+              <div className="hint">Port-Bereich, Port-Liste oder top:N für die N häufigsten Ports</div>
+            </div>
+            <div className="form-group">
+              <label>Timing</label>
+              <select
+                value={editProfile.timing}
+                onChange={(e) => updateProfileField('timing', e.target.value)}
+              >
+                <option value="0">T0 &ndash; Paranoid</option>
+                <option value="1">T1 &ndash; Sneaky</option>
+                <option value="2">T2 &ndash; Polite (schonend)</option>
+                <option value="3">T3 &ndash; Normal</option>
+                <option value="4">T4 &ndash; Aggressive</option>
+                <option value="5">T5 &ndash; Insane</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>OS-Erkennung</label>
+              <select
+                value={String(editProfile.os_detection)}
+                onChange={(e) => updateProfileField('os_detection', e.target.value === 'true')}
+              >
+                <option value="true">Aktiviert</option>
+                <option value="false">Deaktiviert</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Deep Probe</label>
+              <select
+                value={String(editProfile.deep_probe)}
+                onChange={(e) => updateProfileField('deep_probe', e.target.value === 'true')}
+              >
+                <option value="true">Aktiviert</option>
+                <option value="false">Deaktiviert</option>
+              </select>
+              <div className="hint">Ohne Deep Probe werden Dienste nur anhand der nmap-Daten und Portnummer benannt</div>
+            </div>
+            <div className="form-group">
+              <label>UDP-Scan</label>
+              <select
+                value={String(editProfile.udp_scan)}
+                onChange={(e) => updateProfileField('udp_scan', e.target.value === 'true')}
+              >
+                <option value="true">Aktiviert</option>
+                <option value="false">Deaktiviert</option>
+              </select>
+              <div className="hint">Nur wirksam, wenn der UDP-Scan oben global aktiviert ist; läuft mit dem Timing des Profils</div>
+            </div>
+            <div className="form-group">
+              <label>Eigenes Scan-Intervall (Minuten)</label>
+              <input
+                type="number"
+                min="1"
+                max="1440"
+                value={editProfile.scan_interval}
+                onChange={(e) => updateProfileField('scan_interval', e.target.value)}
+                placeholder="leer = globaler Zeitplan"
+              />
+            </div>
+            <div className="form-group">
+              <label>Eigener Zeitplan (Cron-Ausdruck)</label>
+              <input
+                type="text"
+                value={editProfile.scan_cron}
+                onChange={(e) => updateProfileField('scan_cron', e.target.value)}
+                placeholder="z.B. 0 3 * * 6 (samstags 03:00)"
+              />
+              <div className="hint">Hat Vorrang vor dem eigenen Intervall</div>
+              <SchedulePreview cron={editProfile.scan_cron} interval={editProfile.scan_interval} />
+            </div>
+            {profileError && (
+              <div className="hint" style={{ color: 'var(--danger)', marginBottom: 8 }}>
+                <AlertCircle size={12} /> {profileError}
+              </div>
+            )}
+            <div style={{ display: 'flex', gap: 8 }}>
+              <button type="button" className="btn btn-primary" onClick={handleProfileSave}>
+                <Save size={14} /> Profil speichern
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => setEditProfile(null)}>
+                <X size={14} /> Abbrechen
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => { setProfileError(null); setEditProfile({ ...EMPTY_PROFILE }); }}
+            style={{ marginBottom: 8 }}
+          >
+            <Plus size={14} /> Profil hinzufügen
+          </button>
+        )}
+        {!editProfile && profileError && (
+          <div className="hint" style={{ color: 'var(--danger)' }}>{profileError}</div>
+        )}
+
+        <div className="form-group">
+          <label>Hostname-Quellen (Priorität)</label>
+          <input
+            type="text"
+            value={settings.hostname_priority || ''}
+            onChange={(e) => update('hostname_priority', e.target.value)}
+            placeholder="dhcp,unifi,proxmox,mdns,netbios,dns,certificate"
+          />
+          <div className="hint">
+            Kommagetrennt, die erste Quelle mit einem Namen bestimmt den angezeigten Hostnamen. Nicht aufgeführte
+            Quellen werden ignoriert. Ein manuell vergebener Name in der Host-Ansicht hat immer Vorrang.
+          </div>
+        </div>
+
+        <div className="settings-separator" />
+        <h3 style={{ margin: '0 0 4px', fontSize: 15, color: 'var(--text-secondary)' }}>
+          Scan-Ausschlüsse
+        </h3>
+        <div className="hint" style={{ marginBottom: 12 }}>
+          Empfindliche Geräte (SPS, Medizingeräte, Drucker) werden nie aktiv gescannt: kein Ping-Sweep, Port-Scan,
+          Deep Probe, SNMP oder Traceroute. Melden FritzBox oder UniFi sie, bleiben sie trotzdem gelistet.
+        </div>
+
+        {exclusions.map((ex) => (
+          <div key={ex.id} className="scan-item" style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <span style={{ fontFamily: 'monospace', fontWeight: 600 }}>{ex.entry}</span>
+              <span className="tag" style={{ marginLeft: 8 }}>{ex.network || 'Global'}</span>
+              {ex.note && <span className="hint" style={{ margin: '0 0 0 8px' }}>{ex.note}</span>}
+            </div>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => handleExclusionDelete(ex)}
+              style={{ padding: '6px 10px' }}
+              title="Ausschluss entfernen"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+
+        <div style={{ display: 'flex', gap: 8, marginBottom: 8, flexWrap: 'wrap' }}>
+          <input
+            type="text"
+            value={newExclusion.entry}
+            onChange={(e) => setNewExclusion(prev => ({ ...prev, entry: e.target.value }))}
+            placeholder="IP, CIDR oder MAC"
+            style={{ flex: 1, minWidth: 160 }}
+          />
+          <select
+            value={newExclusion.network}
+            onChange={(e) => setNewExclusion(prev => ({ ...prev, network: e.target.value }))}
+            style={{ width: 'auto' }}
+          >
+            <option value="">Global</option>
+            {networks.map(n => n.trim()).filter(Boolean).map((net) => (
+              <option key={net} value={net}>{net}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={newExclusion.note}
+            onChange={(e) => setNewExclusion(prev => ({ ...prev, note: e.target.value }))}
+            placeholder="Notiz (optional)"
+            style={{ flex: 1, minWidth: 140 }}
+          />
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={handleExclusionAdd}
+            disabled={!newExclusion.entry.trim()}
+          >
+            <Plus size={14} /> Ausschließen
+          </button>
+        </div>
+        {exclusionError && (
+          <div className="hint" style={{ color: 'var(--danger)' }}>
+            <AlertCircle size={12} /> {exclusionError}
+          </div>
+        )}
+
+        <div className="settings-separator" />
+        <OuiDatabase />
+
+        <div className="settings-separator" />
+        <FaviconGroups />
+
+        <div className="settings-separator" />
+        <SignaturePacks />
+
+        <div className="settings-separator" />
+        <CustomSignatures />
+
+        <div className="settings-separator" />
+        <VulnerabilityFeeds />
+
+        <div className="form-group">
+          <label>Warnung vor Zertifikatsablauf (Tage)</label>
+          <input
+            type="text"
+            value={settings.cert_expiry_thresholds || ''}
+            onChange={(e) => update('cert_expiry_thresholds', e.target.value)}
+            placeholder="30,14,7"
+          />
+          <div className="hint">
+            Kommagetrennt. Beim Unterschreiten jeder Schwelle wird einmal pro Zertifikat ein Ereignis erzeugt
+            (siehe Zertifikate).
+          </div>
+        </div>
+
         <div className="settings-separator" />
         <h3 style={{ margin: '0 0 12px', fontSize: 15, color: 'var(--text-secondary)' }}>
           Deep Discovery
@@ -213,6 +846,17 @@ function Settings() {
           </div>
         </div>
 
+        <div className="form-group">
+          <label>Deep Discovery Zeitplan (Cron-Ausdruck)</label>
+          <input
+            type="text"
+            value={settings.deep_discovery_cron || ''}
+            onChange={(e) => update('deep_discovery_cron', e.target.value)}
+            placeholder="leer = Intervall verwenden, z.B. */20 7-19 * * 1-5"
+          />
+          <SchedulePreview cron={settings.deep_discovery_cron} interval={settings.deep_discovery_interval || '60'} />
+        </div>
+
         <div className="form-group">
           <label>SNMP Community-Strings</label>
           <input
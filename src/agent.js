@@ -0,0 +1,144 @@
+/**
+ * NetCatalog remote scan agent
+ *
+ * Runs ping sweep, port discovery and deep probing in a remote network and
+ * pushes the results to the central server. Networks, ports and the scan
+ * schedule are managed centrally (Agents page); the agent only polls.
+ *
+ * Environment:
+ *   NETCATALOG_URL          central server, e.g. http://netcatalog.local:3000
+ *   NETCATALOG_AGENT_TOKEN  token shown when the agent was created
+ *   AGENT_POLL_INTERVAL     seconds between config polls (default 60)
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const { discoverNetwork, deepProbeHost, lookupNetbiosName } = require('./services/scanner');
+const childProcesses = require('./services/childProcesses');
+const { createMatcher } = require('./services/exclusions');
+const { version: AGENT_VERSION } = require('../package.json');
+
+const SERVER_URL = (process.env.NETCATALOG_URL || '').replace(/\/+$/, '');
+const TOKEN = process.env.NETCATALOG_AGENT_TOKEN;
+const POLL_INTERVAL = (parseInt(process.env.AGENT_POLL_INTERVAL) || 60) * 1000;
+
+async function request(method, path, body) {
+  const res = await fetch(`${SERVER_URL}/api/agent${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${TOKEN}`,
+      'X-Agent-Version': AGENT_VERSION,
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(120000),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+/**
+ * Scan all configured networks and return the result payload
+ */
+async function scan(config) {
+  const profile = {
+    name: 'Agent',
+    port_range: config.port_range,
+    timing: 4,
+    os_detection: true,
+    deep_probe: true,
+  };
+  const hostsMap = new Map();
+  const exclusions = createMatcher(config.exclusions?.entries, config.exclusions?.knownAddresses);
+
+  for (const [networkIndex, network] of config.networks.entries()) {
+    console.log(`[Agent] Scanning ${network}...`);
+    const result = await discoverNetwork(network, profile, {
+      networkIndex, networkCount: config.networks.length, exclusions,
+    });
+
+    for (const h of result.hosts) hostsMap.set(h.ip, h);
+    // Hosts alive by ping without open ports
+    for (const [ip, info] of result.alive) {
+      if (!hostsMap.has(ip)) {
+        hostsMap.set(ip, { ip, mac: info.mac, vendor: info.vendor, hostname: info.hostname, os: null, ports: [] });
+      }
+    }
+  }
+
+  const hosts = [];
+  for (const host of hostsMap.values()) {
+    const probeResults = await deepProbeHost(host);
+    const ports = [];
+    for (const { portInfo, identified } of probeResults) {
+      if (!identified) continue;
+      ports.push({
+        port: identified.port,
+        protocol: portInfo.protocol,
+        name: identified.name,
+        product: identified.product,
+        version: identified.version,
+        info: identified.info,
+        banner: identified.banner,
+        httpTitle: identified.httpTitle,
+        httpServer: identified.httpServer,
+        identifiedAs: identified.identifiedAs,
+        extraInfo: identified.extraInfo,
+        tlsChain: identified.tlsChain || null,
+        sshHostKeys: identified.sshHostKeys || null,
+      });
+    }
+    hosts.push({
+      ip: host.ip, mac: host.mac, vendor: host.vendor, hostname: host.hostname, os: host.os, ports,
+      netbiosName: await lookupNetbiosName(host).catch(() => null),
+    });
+  }
+
+  return { hosts };
+}
+
+async function poll() {
+  const config = await request('GET', '/config');
+  if (!config.due) return;
+
+  console.log(`[Agent] Scan due for "${config.name}" (${config.networks.join(', ')})`);
+  const startedAt = new Date().toISOString();
+  let payload;
+  try {
+    payload = { ...(await scan(config)), startedAt };
+  } catch (err) {
+    console.error(`[Agent] Scan error: ${err.message}`);
+    payload = { hosts: [], startedAt, error: err.message };
+  }
+
+  const result = await request('POST', '/results', payload);
+  console.log(`[Agent] Results uploaded as scan #${result.scanId}: ${result.hosts} hosts, ${result.services} services`);
+}
+
+async function main() {
+  if (!SERVER_URL || !TOKEN) {
+    console.error('[Agent] NETCATALOG_URL and NETCATALOG_AGENT_TOKEN must be set');
+    process.exit(1);
+  }
+  console.log(`[Agent] NetCatalog agent ${AGENT_VERSION} reporting to ${SERVER_URL}`);
+
+  for (;;) {
+    try {
+      await poll();
+    } catch (err) {
+      console.error(`[Agent] ${err.message}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+  }
+}
+
+function shutdown(signal) {
+  console.log(`[Agent] ${signal} received, exiting`);
+  childProcesses.killAll();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+main();
@@ -0,0 +1,59 @@
+/**
+ * Regenerate the bundled MAC vendor list (src/data/oui.txt) from the IEEE
+ * registries oui.csv (MA-L), mam.csv (MA-M) and oui36.csv (MA-S).
+ *
+ *   npm run oui:update                          download from standards-oui.ieee.org
+ *   npm run oui:update -- oui.csv mam.csv ...   use local copies instead
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseOuiFile } = require('../services/oui');
+
+const OUTPUT_FILE = path.join(__dirname, 'oui.txt');
+const REGISTRY_URLS = [
+  'https://standards-oui.ieee.org/oui/oui.csv',
+  'https://standards-oui.ieee.org/oui28/mam.csv',
+  'https://standards-oui.ieee.org/oui36/oui36.csv',
+];
+const LABELS = { 6: 'MA-L', 7: 'MA-M', 9: 'MA-S' };
+
+async function readRegistry(source) {
+  if (!/^https?:\/\//.test(source)) return fs.promises.readFile(source, 'utf8');
+  // The IEEE server rejects requests without a browser-like User-Agent
+  const res = await fetch(source, { headers: { 'User-Agent': 'Mozilla/5.0 (compatible; NetCatalog/2.0)' } });
+  if (!res.ok) throw new Error(`${source}: HTTP ${res.status}`);
+  return res.text();
+}
+
+async function updateOui(sources) {
+  const vendors = new Map();
+  for (const source of sources) {
+    const entries = parseOuiFile(await readRegistry(source));
+    if (entries.length === 0) throw new Error(`${source}: no IEEE registry entries found`);
+    for (const e of entries) vendors.set(e.prefix, e.vendor.replace(/\s+/g, ' '));
+    console.log(`${path.basename(source)}: ${entries.length} assignments`);
+  }
+
+  const counts = { 6: 0, 7: 0, 9: 0 };
+  for (const prefix of vendors.keys()) counts[prefix.length]++;
+  const lines = [...vendors.keys()].sort().map(prefix => `${prefix} ${vendors.get(prefix)}`);
+  const header = [
+    '# NetCatalog bundled MAC vendor prefixes (IEEE MA-L/MA-M/MA-S)',
+    '#',
+    '# Generated by src/data/updateOui.js from the IEEE registries oui.csv (MA-L),',
+    '# mam.csv (MA-M) and oui36.csv (MA-S); run "npm run oui:update" instead of',
+    '# editing. Format: one assignment per line, hex prefix (6 = MA-L, 7 = MA-M,',
+    '# 9 = MA-S digits) followed by the organization name.',
+    '#',
+    `# Generated: ${new Date().toISOString().slice(0, 10)}`,
+    `# Entries: ${Object.entries(counts).map(([length, n]) => `${LABELS[length]} ${n}`).join(', ')}`,
+  ];
+  await fs.promises.writeFile(OUTPUT_FILE, `${header.join('\n')}\n${lines.join('\n')}\n`);
+  console.log(`${vendors.size} prefixes written to ${OUTPUT_FILE}`);
+}
+
+updateOui(process.argv.length > 2 ? process.argv.slice(2) : REGISTRY_URLS).catch((err) => {
+  console.error('OUI update failed:', err.message);
+  process.exit(1);
+});
@@ -148,6 +148,368 @@ INSERT INTO settings (key, value, description) VALUES
   ('unifi_token', '', 'UISP API Token')
 ON CONFLICT (key) DO NOTHING;
 
+INSERT INTO settings (key, value, description) VALUES
+  ('scan_udp_enabled', 'false', 'Enable UDP service discovery phase'),
+  ('scan_udp_ports', '53,67,69,123,137,161,500,514,1194,1900,4500,5353,51820', 'UDP ports to scan')
+ON CONFLICT (key) DO NOTHING;
+
+-- Dual-stack: every address a host was seen with (primary ip_address included)
+CREATE TABLE IF NOT EXISTS host_addresses (
+  id SERIAL PRIMARY KEY,
+  host_id INTEGER NOT NULL REFERENCES hosts(id) ON DELETE CASCADE,
+  address INET NOT NULL UNIQUE,
+  family SMALLINT NOT NULL,
+  scope VARCHAR(20) DEFAULT 'global',
+  interface VARCHAR(50),
+  source VARCHAR(30) DEFAULT 'scan',
+  first_seen TIMESTAMPTZ DEFAULT NOW(),
+  last_seen TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_host_addresses_host ON host_addresses(host_id);
+
+INSERT INTO host_addresses (host_id, address, family)
+  SELECT id, ip_address, family(ip_address) FROM hosts
+ON CONFLICT (address) DO NOTHING;
+
+-- Scan profiles: per-network port list, timing, OS detection, deep probe and schedule
+CREATE TABLE IF NOT EXISTS scan_profiles (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  description TEXT,
+  port_range VARCHAR(500) NOT NULL DEFAULT '1-10000',
+  timing SMALLINT NOT NULL DEFAULT 4,
+  os_detection BOOLEAN NOT NULL DEFAULT true,
+  deep_probe BOOLEAN NOT NULL DEFAULT true,
+  scan_interval INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS network_profiles (
+  network VARCHAR(100) PRIMARY KEY,
+  profile_id INTEGER NOT NULL REFERENCES scan_profiles(id) ON DELETE CASCADE
+);
+
+-- Per-scan snapshot: hosts and open ports each scan actually observed
+CREATE TABLE IF NOT EXISTS scan_hosts (
+  id SERIAL PRIMARY KEY,
+  scan_id INTEGER NOT NULL REFERENCES scans(id) ON DELETE CASCADE,
+  host_id INTEGER REFERENCES hosts(id) ON DELETE SET NULL,
+  ip_address INET NOT NULL,
+  mac_address VARCHAR(17),
+  hostname VARCHAR(255),
+  status VARCHAR(20) NOT NULL,
+  ports JSONB,
+  UNIQUE (scan_id, ip_address)
+);
+CREATE INDEX IF NOT EXISTS idx_scan_hosts_scan ON scan_hosts(scan_id);
+
+-- Remote scan agents: results are pushed to /api/agent/results, schedule is managed centrally
+CREATE TABLE IF NOT EXISTS agents (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  site VARCHAR(100),
+  token_hash VARCHAR(64) NOT NULL,
+  networks TEXT NOT NULL DEFAULT '',
+  port_range VARCHAR(500) NOT NULL DEFAULT '1-10000',
+  scan_interval INTEGER NOT NULL DEFAULT 60,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  scan_requested BOOLEAN NOT NULL DEFAULT false,
+  version VARCHAR(50),
+  last_seen TIMESTAMPTZ,
+  last_scan_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE hosts ADD COLUMN IF NOT EXISTS agent_id INTEGER REFERENCES agents(id) ON DELETE SET NULL;
+ALTER TABLE hosts ADD COLUMN IF NOT EXISTS site VARCHAR(100);
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS agent_id INTEGER REFERENCES agents(id) ON DELETE SET NULL;
+
+-- Scans created from uploaded nmap XML files
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS imported BOOLEAN NOT NULL DEFAULT false;
+
+-- Hosts never touched by active scanning (IP, CIDR or MAC). network '' = global
+CREATE TABLE IF NOT EXISTS scan_exclusions (
+  id SERIAL PRIMARY KEY,
+  network VARCHAR(100) NOT NULL DEFAULT '',
+  entry VARCHAR(100) NOT NULL,
+  note VARCHAR(200),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (network, entry)
+);
+
+-- Blackout windows: no scheduled scans / Deep Discovery in these weekly time ranges.
+-- days: 0 = Sunday ... 6 = Saturday; end_time <= start_time runs past midnight
+CREATE TABLE IF NOT EXISTS blackout_windows (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  days SMALLINT[] NOT NULL,
+  start_time VARCHAR(5) NOT NULL,
+  end_time VARCHAR(5) NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO settings (key, value, description) VALUES
+  ('blackout_policy', 'pause', 'Running scan reaching a blackout window: pause or cancel')
+ON CONFLICT (key) DO NOTHING;
+
+-- Cron expressions (minute hour day month weekday); empty = use the interval
+ALTER TABLE scan_profiles ADD COLUMN IF NOT EXISTS scan_cron VARCHAR(100);
+INSERT INTO settings (key, value, description) VALUES
+  ('scan_cron', '', 'Scan schedule as cron expression (overrides scan_interval)'),
+  ('deep_discovery_cron', '', 'Deep Discovery schedule as cron expression (overrides deep_discovery_interval)')
+ON CONFLICT (key) DO NOTHING;
+
+-- Persistent job queue: scans, imports and Deep Discovery run one at a time per lane.
+-- Ordered by priority (high first), then position; dedup_key is unique among queued jobs.
+CREATE TABLE IF NOT EXISTS jobs (
+  id SERIAL PRIMARY KEY,
+  type VARCHAR(20) NOT NULL,
+  params JSONB NOT NULL DEFAULT '{}',
+  label VARCHAR(500),
+  source VARCHAR(20) NOT NULL DEFAULT 'manual',
+  priority SMALLINT NOT NULL DEFAULT 5,
+  position SERIAL,
+  dedup_key VARCHAR(500),
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',
+  attempts SMALLINT NOT NULL DEFAULT 0,
+  scan_id INTEGER REFERENCES scans(id) ON DELETE SET NULL,
+  result JSONB,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedup ON jobs(dedup_key) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+
+-- Offline vulnerability feed (NVD/OSV imports) and findings per service.
+-- id is the CVE id, or the OSV id for entries without a CVE alias.
+CREATE TABLE IF NOT EXISTS vulnerabilities (
+  id VARCHAR(100) PRIMARY KEY,
+  source VARCHAR(10) NOT NULL,
+  summary TEXT,
+  severity VARCHAR(10) NOT NULL DEFAULT 'UNKNOWN',
+  cvss_score NUMERIC(3,1),
+  published TIMESTAMPTZ,
+  modified TIMESTAMPTZ,
+  refs JSONB DEFAULT '[]'
+);
+
+-- Affected products: CPE vendor/product (vendor NULL for OSV packages) and version range
+CREATE TABLE IF NOT EXISTS vulnerability_products (
+  id SERIAL PRIMARY KEY,
+  vuln_id VARCHAR(100) NOT NULL REFERENCES vulnerabilities(id) ON DELETE CASCADE,
+  source VARCHAR(10) NOT NULL,
+  vendor VARCHAR(255),
+  product VARCHAR(255) NOT NULL,
+  cpe VARCHAR(500),
+  version_exact VARCHAR(100),
+  version_start_including VARCHAR(100),
+  version_start_excluding VARCHAR(100),
+  version_end_including VARCHAR(100),
+  version_end_excluding VARCHAR(100)
+);
+CREATE INDEX IF NOT EXISTS idx_vulnerability_products_product ON vulnerability_products(product);
+CREATE INDEX IF NOT EXISTS idx_vulnerability_products_vuln ON vulnerability_products(vuln_id);
+
+CREATE TABLE IF NOT EXISTS vulnerability_findings (
+  id SERIAL PRIMARY KEY,
+  service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+  vuln_id VARCHAR(100) NOT NULL REFERENCES vulnerabilities(id) ON DELETE CASCADE,
+  cpe VARCHAR(500),
+  version VARCHAR(100),
+  first_seen TIMESTAMPTZ DEFAULT NOW(),
+  last_seen TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(service_id, vuln_id)
+);
+
+CREATE TABLE IF NOT EXISTS vulnerability_feeds (
+  id SERIAL PRIMARY KEY,
+  source VARCHAR(10) NOT NULL,
+  filename VARCHAR(255),
+  entries INTEGER DEFAULT 0,
+  products INTEGER DEFAULT 0,
+  imported_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- TLS certificate inventory: one row per certificate (SHA-256 fingerprint),
+-- linked to the services presenting it with their chain position (0 = leaf)
+CREATE TABLE IF NOT EXISTS certificates (
+  id SERIAL PRIMARY KEY,
+  fingerprint VARCHAR(64) UNIQUE NOT NULL,
+  subject TEXT,
+  common_name VARCHAR(255),
+  sans TEXT[] DEFAULT '{}',
+  issuer TEXT,
+  serial VARCHAR(100),
+  key_type VARCHAR(20),
+  key_bits INTEGER,
+  signature_algorithm VARCHAR(50),
+  not_before TIMESTAMPTZ,
+  not_after TIMESTAMPTZ,
+  self_signed BOOLEAN DEFAULT false,
+  is_ca BOOLEAN DEFAULT false,
+  first_seen TIMESTAMPTZ DEFAULT NOW(),
+  last_seen TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_certificates_not_after ON certificates(not_after);
+
+CREATE TABLE IF NOT EXISTS service_certificates (
+  service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+  position SMALLINT NOT NULL,
+  certificate_id INTEGER NOT NULL REFERENCES certificates(id) ON DELETE CASCADE,
+  last_seen TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (service_id, position)
+);
+CREATE INDEX IF NOT EXISTS idx_service_certificates_cert ON service_certificates(certificate_id);
+
+-- Events raised by checks (e.g. certificate expiry); dedup_key keeps a check
+-- from raising the same event twice
+CREATE TABLE IF NOT EXISTS events (
+  id SERIAL PRIMARY KEY,
+  type VARCHAR(50) NOT NULL,
+  severity VARCHAR(10) NOT NULL DEFAULT 'info',
+  host_id INTEGER REFERENCES hosts(id) ON DELETE CASCADE,
+  message TEXT NOT NULL,
+  data JSONB DEFAULT '{}',
+  dedup_key VARCHAR(500) UNIQUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_events_created ON events(created_at DESC);
+
+-- SSH host keys per host and port; replaced_at is set when the server
+-- presents a different key for the algorithm (NULL = current key)
+CREATE TABLE IF NOT EXISTS ssh_host_keys (
+  id SERIAL PRIMARY KEY,
+  host_id INTEGER NOT NULL REFERENCES hosts(id) ON DELETE CASCADE,
+  port INTEGER NOT NULL,
+  algorithm VARCHAR(50) NOT NULL,
+  fingerprint VARCHAR(100) NOT NULL,
+  bits INTEGER,
+  public_key TEXT,
+  first_seen TIMESTAMPTZ DEFAULT NOW(),
+  last_seen TIMESTAMPTZ DEFAULT NOW(),
+  replaced_at TIMESTAMPTZ
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ssh_host_keys_current
+  ON ssh_host_keys(host_id, port, algorithm) WHERE replaced_at IS NULL;
+
+INSERT INTO settings (key, value, description) VALUES
+  ('cert_expiry_thresholds', '30,14,7', 'Days before certificate expiry that raise an event (comma-separated)')
+ON CONFLICT (key) DO NOTHING;
+
+-- Hostnames per source (dns, netbios, mdns, dhcp, unifi, proxmox, certificate).
+-- hosts.hostname is the resolved display name: the friendly name if set,
+-- otherwise the name of the first source in hostname_priority.
+ALTER TABLE hosts ADD COLUMN IF NOT EXISTS friendly_name VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS host_names (
+  host_id INTEGER NOT NULL REFERENCES hosts(id) ON DELETE CASCADE,
+  source VARCHAR(20) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  first_seen TIMESTAMPTZ DEFAULT NOW(),
+  last_seen TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (host_id, source)
+);
+
+-- Migration: names stored before host_names existed came from nmap (reverse DNS)
+INSERT INTO host_names (host_id, source, name)
+SELECT id, 'dns', hostname FROM hosts
+WHERE hostname IS NOT NULL AND friendly_name IS NULL
+  AND NOT EXISTS (SELECT 1 FROM host_names hn WHERE hn.host_id = hosts.id)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO settings (key, value, description) VALUES
+  ('hostname_priority', 'dhcp,unifi,proxmox,mdns,netbios,dns,certificate', 'Hostname sources in order of priority (comma-separated, unlisted sources are ignored)')
+ON CONFLICT (key) DO NOTHING;
+
+-- MAC identity: a device that moved to a new IP keeps its host record. When an
+-- address is handed to a different device, the previous owner keeps its last
+-- address with ip_released set, so ip_address is only unique among current owners.
+ALTER TABLE hosts ADD COLUMN IF NOT EXISTS ip_released BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE hosts ADD COLUMN IF NOT EXISTS mac_randomized BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE hosts DROP CONSTRAINT IF EXISTS hosts_ip_address_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hosts_ip_current ON hosts(ip_address) WHERE NOT ip_released;
+CREATE INDEX IF NOT EXISTS idx_hosts_mac ON hosts(LOWER(mac_address));
+
+CREATE TABLE IF NOT EXISTS host_ip_history (
+  host_id INTEGER NOT NULL REFERENCES hosts(id) ON DELETE CASCADE,
+  address INET NOT NULL,
+  first_seen TIMESTAMPTZ DEFAULT NOW(),
+  last_seen TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (host_id, address)
+);
+
+INSERT INTO host_ip_history (host_id, address, first_seen, last_seen)
+  SELECT id, ip_address, first_seen, last_seen FROM hosts
+ON CONFLICT DO NOTHING;
+
+-- Imported IEEE registry entries; extend/override the bundled src/data/oui.txt
+CREATE TABLE IF NOT EXISTS oui_vendors (
+  prefix VARCHAR(9) PRIMARY KEY,
+  vendor VARCHAR(255) NOT NULL,
+  filename VARCHAR(255),
+  imported_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Names given to favicon groups (services.extra_info.faviconMmh3); extend the
+-- favicon matchers of the signature packs
+CREATE TABLE IF NOT EXISTS favicon_signatures (
+  mmh3 INTEGER PRIMARY KEY,
+  md5 VARCHAR(32),
+  name VARCHAR(255) NOT NULL,
+  icon VARCHAR(30),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_services_favicon ON services((extra_info->>'faviconMmh3'));
+
+-- User-defined service signatures, checked before the built-in ones.
+-- match_type: title, header (header_name, all headers if empty), cookie,
+-- body (HTTP body or banner) or endpoint (path requested on the service);
+-- pattern is a case-insensitive regular expression
+CREATE TABLE IF NOT EXISTS service_signatures (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  icon VARCHAR(30),
+  match_type VARCHAR(20) NOT NULL,
+  header_name VARCHAR(100),
+  path VARCHAR(500),
+  pattern TEXT NOT NULL,
+  enabled BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Deep probe results of unchanged services (fingerprint of the first
+-- response), reused by later scans up to probe_cache_max_age hours.
+-- tls/ssh: certificate chain or host keys are fetched again on reuse
+CREATE TABLE IF NOT EXISTS probe_cache (
+  ip_address INET NOT NULL,
+  port INTEGER NOT NULL,
+  protocol VARCHAR(10) NOT NULL DEFAULT 'tcp',
+  fingerprint VARCHAR(64) NOT NULL,
+  result JSONB NOT NULL,
+  tls BOOLEAN NOT NULL DEFAULT false,
+  ssh BOOLEAN NOT NULL DEFAULT false,
+  probed_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (ip_address, port, protocol)
+);
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS probe_cache_hits INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS probe_cache_misses INTEGER NOT NULL DEFAULT 0;
+
+INSERT INTO settings (key, value, description) VALUES
+  ('probe_cache_max_age', '24', 'Reuse deep probe results of unchanged services for this many hours (0 = off)')
+ON CONFLICT (key) DO NOTHING;
+
+-- UDP phase per scan profile (runs only while scan_udp_enabled is on)
+ALTER TABLE scan_profiles ADD COLUMN IF NOT EXISTS udp_scan BOOLEAN NOT NULL DEFAULT true;
+
+-- Scan diff scope: networks a scan covered (NULL for imports) and the
+-- protocols each host was port-scanned for
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS scope_networks TEXT[];
+ALTER TABLE scan_hosts ADD COLUMN IF NOT EXISTS protocols TEXT[];
+
 -- Migration: remove old username/password settings if present
 DELETE FROM settings WHERE key IN ('unifi_username', 'unifi_password');
 
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const pool = require('../db/pool');
+
+// Never return the token hash to API clients
+const AGENT_COLUMNS = `id, name, site, networks, port_range, scan_interval, enabled,
+  scan_requested, version, last_seen, last_scan_at, created_at`;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+async function getAll() {
+  const res = await pool.query(`
+    SELECT ${AGENT_COLUMNS},
+      (SELECT COUNT(*) FROM hosts h WHERE h.agent_id = agents.id)::int AS host_count
+    FROM agents ORDER BY name`);
+  return res.rows;
+}
+
+async function getById(id) {
+  const res = await pool.query(`SELECT ${AGENT_COLUMNS} FROM agents WHERE id = $1`, [id]);
+  return res.rows[0] || null;
+}
+
+/**
+ * Create an agent. Returns { agent, token } - the plain token is only available here.
+ */
+async function create(agent) {
+  const token = generateToken();
+  const res = await pool.query(
+    `INSERT INTO agents (name, site, token_hash, networks, port_range, scan_interval, enabled)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING ${AGENT_COLUMNS}`,
+    [agent.name, agent.site || null, hashToken(token), agent.networks || '',
+      agent.port_range || '1-10000', agent.scan_interval || 60, agent.enabled !== false]
+  );
+  return { agent: res.rows[0], token };
+}
+
+async function update(id, agent) {
+  const res = await pool.query(
+    `UPDATE agents SET
+       name = COALESCE($2, name),
+       site = COALESCE($3, site),
+       networks = COALESCE($4, networks),
+       port_range = COALESCE($5, port_range),
+       scan_interval = COALESCE($6, scan_interval),
+       enabled = COALESCE($7, enabled)
+     WHERE id = $1 RETURNING ${AGENT_COLUMNS}`,
+    [id, agent.name, agent.site, agent.networks, agent.port_range, agent.scan_interval, agent.enabled]
+  );
+  return res.rows[0] || null;
+}
+
+async function deleteById(id) {
+  const res = await pool.query('DELETE FROM agents WHERE id = $1', [id]);
+  return res.rowCount > 0;
+}
+
+/**
+ * Replace the agent's token. Returns the new plain token or null if not found.
+ */
+async function rotateToken(id) {
+  const token = generateToken();
+  const res = await pool.query('UPDATE agents SET token_hash = $2 WHERE id = $1', [id, hashToken(token)]);
+  return res.rowCount > 0 ? token : null;
+}
+
+/**
+ * Look up an enabled agent by its bearer token and record the contact
+ */
+async function authenticate(token, version) {
+  if (!token) return null;
+  const res = await pool.query(
+    `UPDATE agents SET last_seen = NOW(), version = COALESCE($2, version)
+     WHERE token_hash = $1 AND enabled = true
+     RETURNING ${AGENT_COLUMNS}`,
+    [hashToken(token), version || null]
+  );
+  return res.rows[0] || null;
+}
+
+async function requestScan(id) {
+  const res = await pool.query('UPDATE agents SET scan_requested = true WHERE id = $1', [id]);
+  return res.rowCount > 0;
+}
+
+async function markScanned(id) {
+  await pool.query(
+    'UPDATE agents SET last_scan_at = NOW(), scan_requested = false WHERE id = $1',
+    [id]
+  );
+}
+
+module.exports = {
+  getAll, getById, create, update, deleteById, rotateToken, authenticate, requestScan, markScanned,
+};
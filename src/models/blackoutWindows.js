@@ -0,0 +1,36 @@
+const pool = require('../db/pool');
+
+async function getAll() {
+  const res = await pool.query('SELECT * FROM blackout_windows ORDER BY start_time, name');
+  return res.rows;
+}
+
+async function create(window) {
+  const res = await pool.query(
+    `INSERT INTO blackout_windows (name, days, start_time, end_time, enabled)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [window.name, window.days, window.start_time, window.end_time, window.enabled !== false]
+  );
+  return res.rows[0];
+}
+
+async function update(id, window) {
+  const res = await pool.query(
+    `UPDATE blackout_windows SET
+       name = COALESCE($2, name),
+       days = COALESCE($3, days),
+       start_time = COALESCE($4, start_time),
+       end_time = COALESCE($5, end_time),
+       enabled = COALESCE($6, enabled)
+     WHERE id = $1 RETURNING *`,
+    [id, window.name, window.days, window.start_time, window.end_time, window.enabled]
+  );
+  return res.rows[0] || null;
+}
+
+async function deleteById(id) {
+  const res = await pool.query('DELETE FROM blackout_windows WHERE id = $1', [id]);
+  return res.rowCount > 0;
+}
+
+module.exports = { getAll, create, update, deleteById };
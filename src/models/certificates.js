@@ -0,0 +1,106 @@
+const pool = require('../db/pool');
+
+// Services currently presenting a certificate (leaf position only)
+const USAGES_SUBQUERY = `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'service_id', s.id, 'host_id', h.id, 'ip', host(h.ip_address), 'hostname', h.hostname,
+      'port', s.port, 'protocol', s.protocol, 'identified_as', s.identified_as, 'last_seen', sc.last_seen
+    ) ORDER BY h.ip_address, s.port)
+    FROM service_certificates sc
+    JOIN services s ON s.id = sc.service_id AND s.state = 'open'
+    JOIN hosts h ON h.id = s.host_id
+    WHERE sc.certificate_id = c.id AND sc.position = 0
+  ), '[]')`;
+
+const IN_USE = `EXISTS (
+  SELECT 1 FROM service_certificates sc JOIN services s ON s.id = sc.service_id AND s.state = 'open'
+  WHERE sc.certificate_id = c.id AND sc.position = 0
+)`;
+
+/**
+ * Store the chain a service presented (leaf first, see services/certificateInfo)
+ */
+async function recordChain(hostId, port, protocol, chain) {
+  const service = await pool.query(
+    'SELECT id FROM services WHERE host_id = $1 AND port = $2 AND protocol = $3',
+    [hostId, port, protocol]
+  );
+  const serviceId = service.rows[0]?.id;
+  if (!serviceId) return;
+
+  for (const [position, cert] of chain.entries()) {
+    const res = await pool.query(
+      `INSERT INTO certificates (fingerprint, subject, common_name, sans, issuer, serial, key_type, key_bits,
+         signature_algorithm, not_before, not_after, self_signed, is_ca)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       ON CONFLICT (fingerprint) DO UPDATE SET last_seen = NOW()
+       RETURNING id`,
+      [cert.fingerprint, cert.subject, cert.commonName?.substring(0, 255) || null, cert.sans,
+        cert.issuer, cert.serial?.substring(0, 100) || null, cert.keyType, cert.keyBits,
+        cert.signatureAlgorithm, cert.notBefore, cert.notAfter, cert.selfSigned, cert.isCa]
+    );
+    await pool.query(
+      `INSERT INTO service_certificates (service_id, position, certificate_id, last_seen)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (service_id, position) DO UPDATE SET certificate_id = $3, last_seen = NOW()`,
+      [serviceId, position, res.rows[0].id]
+    );
+  }
+  // A shorter chain than last time: drop the old tail
+  await pool.query(
+    'DELETE FROM service_certificates WHERE service_id = $1 AND position >= $2',
+    [serviceId, chain.length]
+  );
+}
+
+/**
+ * Leaf certificates in use, soonest expiry first. days limits the list to
+ * certificates expiring within that many days (expired ones included).
+ */
+async function getInventory({ days = null } = {}) {
+  const res = await pool.query(
+    `SELECT c.*, ${USAGES_SUBQUERY} AS usages
+     FROM certificates c
+     WHERE ${IN_USE}
+       AND ($1::int IS NULL OR c.not_after < NOW() + ($1 || ' days')::interval)
+     ORDER BY c.not_after`,
+    [days]
+  );
+  return res.rows;
+}
+
+/**
+ * Leaf certificates presented by more than one host
+ */
+async function getDuplicates() {
+  const res = await pool.query(
+    `SELECT c.*, ${USAGES_SUBQUERY} AS usages
+     FROM certificates c
+     WHERE (
+       SELECT COUNT(DISTINCT s.host_id) FROM service_certificates sc
+       JOIN services s ON s.id = sc.service_id AND s.state = 'open'
+       WHERE sc.certificate_id = c.id AND sc.position = 0
+     ) > 1
+     ORDER BY c.not_after`
+  );
+  return res.rows;
+}
+
+/**
+ * Certificate chain presented by each service of a host
+ */
+async function getByHost(hostId) {
+  const res = await pool.query(
+    `SELECT sc.service_id, sc.position, s.port, s.protocol, c.*
+     FROM service_certificates sc
+     JOIN services s ON s.id = sc.service_id
+     JOIN certificates c ON c.id = sc.certificate_id
+     WHERE s.host_id = $1
+     ORDER BY s.port, sc.position`,
+    [hostId]
+  );
+  return res.rows;
+}
+
+module.exports = { recordChain, getInventory, getDuplicates, getByHost };
@@ -0,0 +1,43 @@
+const pool = require('../db/pool');
+
+/**
+ * Raise an event. With a dedup_key that was already raised nothing happens
+ * and null is returned.
+ */
+async function create(event) {
+  const res = await pool.query(
+    `INSERT INTO events (type, severity, host_id, message, data, dedup_key)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (dedup_key) DO NOTHING
+     RETURNING *`,
+    [event.type, event.severity || 'info', event.hostId || null, event.message,
+      JSON.stringify(event.data || {}), event.dedupKey || null]
+  );
+  return res.rows[0] || null;
+}
+
+async function getRecent({ type = null, hostId = null, limit = 100 } = {}) {
+  const res = await pool.query(
+    `SELECT e.*, host(h.ip_address) AS ip, h.hostname
+     FROM events e
+     LEFT JOIN hosts h ON h.id = e.host_id
+     WHERE ($1::varchar IS NULL OR e.type LIKE $1 || '%')
+       AND ($2::int IS NULL OR e.host_id = $2)
+     ORDER BY e.created_at DESC, e.id DESC
+     LIMIT $3`,
+    [type, hostId, limit]
+  );
+  return res.rows;
+}
+
+/**
+ * Remove events older than the given number of days
+ */
+async function cleanup(days) {
+  await pool.query(
+    `DELETE FROM events WHERE created_at < NOW() - ($1 || ' days')::interval`,
+    [String(days)]
+  );
+}
+
+module.exports = { create, getRecent, cleanup };
@@ -0,0 +1,24 @@
+const pool = require('../db/pool');
+
+async function getAll() {
+  const res = await pool.query(
+    'SELECT * FROM scan_exclusions ORDER BY network, entry'
+  );
+  return res.rows;
+}
+
+async function create(exclusion) {
+  const res = await pool.query(
+    `INSERT INTO scan_exclusions (network, entry, note)
+     VALUES ($1, $2, $3) RETURNING *`,
+    [exclusion.network || '', exclusion.entry, exclusion.note || null]
+  );
+  return res.rows[0];
+}
+
+async function deleteById(id) {
+  const res = await pool.query('DELETE FROM scan_exclusions WHERE id = $1', [id]);
+  return res.rowCount > 0;
+}
+
+module.exports = { getAll, create, deleteById };
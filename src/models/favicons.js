@@ -0,0 +1,70 @@
+const pool = require('../db/pool');
+
+async function getAll() {
+  const res = await pool.query('SELECT mmh3, md5, name, icon FROM favicon_signatures');
+  return res.rows;
+}
+
+/**
+ * Open services grouped by favicon hash, most widespread first. name is the
+ * user-defined name of the group, services carry their current identification.
+ */
+async function getGroups() {
+  const res = await pool.query(`
+    SELECT s.extra_info->>'faviconMmh3' AS mmh3,
+      MAX(s.extra_info->>'faviconMd5') AS md5,
+      fs.name, fs.icon,
+      COUNT(*)::int AS count,
+      json_agg(json_build_object(
+        'service_id', s.id, 'host_id', h.id, 'ip', host(h.ip_address), 'hostname', h.hostname,
+        'port', s.port, 'identified_as', s.identified_as, 'match_source', s.extra_info->>'matchSource'
+      ) ORDER BY h.ip_address, s.port) AS services
+    FROM services s
+    JOIN hosts h ON h.id = s.host_id
+    LEFT JOIN favicon_signatures fs ON fs.mmh3::text = s.extra_info->>'faviconMmh3'
+    WHERE s.state = 'open' AND s.extra_info->>'faviconMmh3' IS NOT NULL
+    GROUP BY s.extra_info->>'faviconMmh3', fs.name, fs.icon
+    ORDER BY COUNT(*) DESC, 1
+  `);
+  return res.rows;
+}
+
+/**
+ * Name a favicon: stores the signature and renames every service showing it.
+ * Returns the number of renamed services.
+ */
+async function setName(mmh3, { name, icon = null, md5 = null }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `INSERT INTO favicon_signatures (mmh3, md5, name, icon) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (mmh3) DO UPDATE SET
+         md5 = COALESCE(EXCLUDED.md5, favicon_signatures.md5), name = EXCLUDED.name, icon = EXCLUDED.icon`,
+      [mmh3, md5, name, icon]
+    );
+    const res = await client.query(
+      `UPDATE services SET identified_as = $2,
+         extra_info = extra_info || jsonb_build_object('matchSource', 'favicon', 'icon', COALESCE($3, extra_info->>'icon', 'globe'))
+       WHERE extra_info->>'faviconMmh3' = $1::text`,
+      [String(mmh3), name, icon]
+    );
+    await client.query('COMMIT');
+    return res.rowCount;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Forget a favicon name; services keep their name until the next scan
+ */
+async function remove(mmh3) {
+  const res = await pool.query('DELETE FROM favicon_signatures WHERE mmh3 = $1 RETURNING mmh3', [mmh3]);
+  return res.rowCount > 0;
+}
+
+module.exports = { getAll, getGroups, setName, remove };
@@ -0,0 +1,66 @@
+const pool = require('../db/pool');
+
+const SOURCES = ['dns', 'netbios', 'mdns', 'dhcp', 'unifi', 'proxmox', 'certificate'];
+const DEFAULT_PRIORITY = 'dhcp,unifi,proxmox,mdns,netbios,dns,certificate';
+
+const PRIORITY = `string_to_array(COALESCE(
+  (SELECT value FROM settings WHERE key = 'hostname_priority'), '${DEFAULT_PRIORITY}'
+), ',')`;
+
+// Friendly name first, then the collected name of the highest ranked source
+const RESOLVED_NAME = `COALESCE(h.friendly_name, (
+  SELECT hn.name FROM host_names hn
+  WHERE hn.host_id = h.id AND hn.source = ANY(${PRIORITY})
+  ORDER BY array_position(${PRIORITY}, hn.source::text), hn.last_seen DESC
+  LIMIT 1
+))`;
+
+/**
+ * Recompute the display name of one host (or all hosts without hostId)
+ */
+async function resolve(hostId = null) {
+  await pool.query(
+    `UPDATE hosts h SET hostname = ${RESOLVED_NAME}
+     WHERE ($1::int IS NULL OR h.id = $1) AND hostname IS DISTINCT FROM ${RESOLVED_NAME}`,
+    [hostId]
+  );
+}
+
+/**
+ * Store the name a source reported for a host and re-resolve the display name
+ */
+async function record(hostId, source, name) {
+  const clean = typeof name === 'string' ? name.replace(/\x00/g, '').trim().replace(/\.$/, '') : '';
+  if (!clean || !SOURCES.includes(source)) return;
+  await pool.query(
+    `INSERT INTO host_names (host_id, source, name) VALUES ($1, $2, $3)
+     ON CONFLICT (host_id, source) DO UPDATE SET name = $3, last_seen = NOW()`,
+    [hostId, source, clean.substring(0, 255)]
+  );
+  await resolve(hostId);
+}
+
+async function getByHost(hostId) {
+  const res = await pool.query(
+    `SELECT source, name, first_seen, last_seen FROM host_names
+     WHERE host_id = $1
+     ORDER BY array_position(${PRIORITY}, source::text) NULLS LAST, source`,
+    [hostId]
+  );
+  return res.rows;
+}
+
+/**
+ * Set or clear (null) the user-defined name; scans never change it
+ */
+async function setFriendlyName(hostId, name) {
+  const res = await pool.query(
+    'UPDATE hosts SET friendly_name = $2, updated_at = NOW() WHERE id = $1 RETURNING id',
+    [hostId, name]
+  );
+  if (res.rowCount === 0) return false;
+  await resolve(hostId);
+  return true;
+}
+
+module.exports = { SOURCES, resolve, record, getByHost, setFriendlyName };
@@ -1,27 +1,277 @@
 const pool = require('../db/pool');
+const { ipFamily, ipv6Scope } = require('../services/ipUtils');
+const { normalizeMac, isRandomizedMac } = require('../services/macUtils');
+const { lookupVendor } = require('../services/oui');
+const hostNamesModel = require('./hostNames');
 
+const ADDRESSES_SUBQUERY = `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'address', host(ha.address), 'family', ha.family, 'scope', ha.scope,
+      'interface', ha.interface, 'last_seen', ha.last_seen
+    ) ORDER BY ha.family, ha.address)
+    FROM host_addresses ha WHERE ha.host_id = h.id
+  ), '[]')`;
+
+const IP_HISTORY_SUBQUERY = `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'address', host(hi.address), 'first_seen', hi.first_seen, 'last_seen', hi.last_seen
+    ) ORDER BY hi.last_seen DESC)
+    FROM host_ip_history hi WHERE hi.host_id = h.id
+  ), '[]')`;
+
+/**
+ * Remember an address for a host (dual-stack hosts carry several)
+ */
+async function addAddress(hostId, ip, opts = {}) {
+  const family = ipFamily(ip);
+  await pool.query(
+    `INSERT INTO host_addresses (host_id, address, family, scope, interface, source, last_seen)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())
+     ON CONFLICT (address) DO UPDATE SET
+       host_id = $1,
+       interface = COALESCE($5, host_addresses.interface),
+       last_seen = NOW()`,
+    [hostId, ip, family, family === 6 ? ipv6Scope(ip) : 'global', opts.iface || null, opts.source || 'scan']
+  );
+}
+
+/**
+ * Find the host an address belongs to: a known secondary address, the primary
+ * address, or - for the other address family - a host with the same MAC
+ */
+async function resolveHostId(ip, mac) {
+  const known = await pool.query(
+    `SELECT id AS host_id, true AS primary FROM hosts WHERE ip_address = $1 AND NOT ip_released
+     UNION ALL
+     SELECT host_id, false FROM host_addresses WHERE address = $1
+     LIMIT 1`,
+    [ip]
+  );
+  if (known.rows[0]) return { hostId: known.rows[0].host_id, primary: known.rows[0].primary };
+  if (!mac) return null;
+
+  const peer = await pool.query(
+    `SELECT id FROM hosts
+     WHERE LOWER(mac_address) = LOWER($1) AND family(ip_address) != $2
+     ORDER BY last_seen DESC LIMIT 1`,
+    [mac, ipFamily(ip)]
+  );
+  return peer.rows[0] ? { hostId: peer.rows[0].id, primary: false } : null;
+}
+
+/**
+ * Extend the IP address history of a host
+ */
+async function recordIpHistory(hostId, ip) {
+  await pool.query(
+    `INSERT INTO host_ip_history (host_id, address) VALUES ($1, $2)
+     ON CONFLICT (host_id, address) DO UPDATE SET last_seen = NOW()`,
+    [hostId, ip]
+  );
+}
+
+/**
+ * MAC identity: decide whether the device at host.ip is a known device that
+ * changed its address, and whether the current owner of host.ip has to give
+ * the address up. Returns { moveId, previousIp, releaseId } or null.
+ *
+ * Only MACs seen for a single address (host.macShared unset) are trusted;
+ * without a MAC - hosts behind a router - the IP stays the identity.
+ * Randomized MACs move their host, but never take an address away: they
+ * rotate, so a new private MAC on a known IP is usually the same device.
+ */
+async function matchByMac(host, resolved) {
+  const mac = normalizeMac(host.mac);
+  if (!mac || host.macShared) return null;
+
+  let releaseId = null;
+  if (resolved) {
+    const owner = await pool.query('SELECT mac_address FROM hosts WHERE id = $1', [resolved.hostId]);
+    const ownerMac = normalizeMac(owner.rows[0]?.mac_address);
+    if (!ownerMac || ownerMac === mac) return null;
+    if (isRandomizedMac(ownerMac) || isRandomizedMac(mac)) return null;
+    releaseId = resolved.hostId;
+  }
+
+  const candidates = await pool.query(
+    `SELECT id, host(ip_address) AS ip FROM hosts
+     WHERE LOWER(mac_address) = LOWER($1) AND family(ip_address) = $2
+       AND id != COALESCE($3, 0)
+     LIMIT 2`,
+    [mac, ipFamily(host.ip), releaseId]
+  );
+  // Several records with this MAC: ambiguous, e.g. stored before it was seen shared
+  const moved = candidates.rows.length === 1 ? candidates.rows[0] : null;
+  if (!moved && !releaseId) return null;
+  return { moveId: moved?.id || null, previousIp: moved?.ip || null, releaseId };
+}
+
+/**
+ * Apply a MAC identity match: the previous owner keeps its last address as
+ * history (ip_released), the moved host takes over the new address
+ */
+async function applyMacMatch(host, match) {
+  if (match.releaseId) {
+    await pool.query(
+      `UPDATE hosts SET ip_released = true, status = 'down', updated_at = NOW() WHERE id = $1`,
+      [match.releaseId]
+    );
+    console.log(`[Hosts] ${host.ip} now belongs to ${host.mac}, released it from host ${match.releaseId}`);
+  }
+  if (match.moveId) {
+    await pool.query(
+      `UPDATE hosts SET ip_address = $2, ip_released = false, updated_at = NOW() WHERE id = $1`,
+      [match.moveId, host.ip]
+    );
+    // The old address is history now and may be handed to another device
+    if (match.previousIp !== host.ip) {
+      await pool.query('DELETE FROM host_addresses WHERE host_id = $1 AND address = $2', [match.moveId, match.previousIp]);
+    }
+    console.log(`[Hosts] Host ${match.moveId} (${host.mac}) moved from ${match.previousIp} to ${host.ip}`);
+  }
+}
+
+/**
+ * host.hostname is the nmap (reverse DNS) name; it is stored as the 'dns'
+ * source and the display name is resolved from all sources (see hostNames)
+ */
 async function upsert(host) {
+  // nmap only names the vendor of L2-adjacent hosts; fall back to the OUI list
+  const vendor = host.vendor || lookupVendor(host.mac);
+
+  // Dual-stack: an IPv6 address of an already known IPv4 host (or vice versa)
+  // is attached to that host instead of creating a second record
+  const resolved = await resolveHostId(host.ip, host.mac);
+  if (resolved && !resolved.primary) {
+    await pool.query(
+      `UPDATE hosts SET
+         vendor = COALESCE(vendor, $2),
+         status = $3,
+         last_seen = NOW(),
+         updated_at = NOW()
+       WHERE id = $1`,
+      [resolved.hostId, vendor, host.status || 'up']
+    );
+    await addAddress(resolved.hostId, host.ip, { iface: host.iface });
+    await recordIpHistory(resolved.hostId, host.ip);
+    if (host.hostname) await hostNamesModel.record(resolved.hostId, 'dns', host.hostname);
+    return resolved.hostId;
+  }
+
+  // DHCP: a known MAC on a new address moves its host instead of creating one
+  const match = await matchByMac(host, resolved);
+  if (match) await applyMacMatch(host, match);
+
   const res = await pool.query(
-    `INSERT INTO hosts (ip_address, hostname, mac_address, vendor, os_guess, status, last_seen, updated_at)
-     VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
-     ON CONFLICT (ip_address) DO UPDATE SET
-       hostname = COALESCE($2, hosts.hostname),
-       mac_address = COALESCE($3, hosts.mac_address),
-       vendor = COALESCE($4, hosts.vendor),
-       os_guess = COALESCE($5, hosts.os_guess),
-       status = $6,
+    `INSERT INTO hosts (ip_address, mac_address, mac_randomized, vendor, os_guess, status, last_seen, updated_at)
+     VALUES ($1, $2, $6, $3, $4, $5, NOW(), NOW())
+     ON CONFLICT (ip_address) WHERE NOT ip_released DO UPDATE SET
+       mac_address = COALESCE($2, hosts.mac_address),
+       mac_randomized = CASE WHEN EXCLUDED.mac_address IS NULL THEN hosts.mac_randomized ELSE EXCLUDED.mac_randomized END,
+       vendor = COALESCE($3, hosts.vendor),
+       os_guess = COALESCE($4, hosts.os_guess),
+       status = $5,
        last_seen = NOW(),
        updated_at = NOW()
      RETURNING id`,
-    [host.ip, host.hostname, host.mac, host.vendor, host.os, host.status || 'up']
+    [host.ip, host.mac, vendor, host.os, host.status || 'up', isRandomizedMac(host.mac)]
+  );
+  const hostId = res.rows[0].id;
+  await addAddress(hostId, host.ip, { iface: host.iface });
+  await recordIpHistory(hostId, host.ip);
+  if (host.hostname) await hostNamesModel.record(hostId, 'dns', host.hostname);
+  return hostId;
+}
+
+/**
+ * Find or create the host of a device reported by a discovery source
+ * (FritzBox, UniFi, ...) with the identity rules of upsert(): secondary
+ * addresses, MAC moves and IP history. The status of a known host is left
+ * alone, the source says nothing about reachability. Returns { id, created }.
+ */
+async function upsertDevice(device) {
+  const mac = normalizeMac(device.mac);
+  const host = { ip: device.ip, mac };
+  const resolved = await resolveHostId(host.ip, mac);
+  if (resolved && !resolved.primary) {
+    if (device.parentId) {
+      await pool.query(
+        'UPDATE hosts SET parent_host_id = $2, updated_at = NOW() WHERE id = $1',
+        [resolved.hostId, device.parentId]
+      );
+    }
+    await recordIpHistory(resolved.hostId, host.ip);
+    return { id: resolved.hostId, created: false };
+  }
+
+  const match = await matchByMac(host, resolved);
+  if (match) await applyMacMatch(host, match);
+
+  const res = await pool.query(
+    `INSERT INTO hosts (ip_address, mac_address, mac_randomized, vendor, parent_host_id, device_type, status, first_seen, last_seen, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, 'unknown', NOW(), NOW(), NOW())
+     ON CONFLICT (ip_address) WHERE NOT ip_released DO UPDATE SET
+       mac_address = COALESCE($2, hosts.mac_address),
+       mac_randomized = CASE WHEN EXCLUDED.mac_address IS NULL THEN hosts.mac_randomized ELSE EXCLUDED.mac_randomized END,
+       vendor = COALESCE(hosts.vendor, $4),
+       parent_host_id = COALESCE($5, hosts.parent_host_id),
+       updated_at = NOW()
+     RETURNING id, (xmax = 0) AS created`,
+    [host.ip, mac, isRandomizedMac(mac), lookupVendor(mac), device.parentId || null, device.deviceType || 'device']
+  );
+  const { id, created } = res.rows[0];
+  await addAddress(id, host.ip, { source: device.source });
+  await recordIpHistory(id, host.ip);
+  return { id, created };
+}
+
+/**
+ * Store a MAC learned from a discovery source (FritzBox, UniFi, ...) on a host
+ * that has none yet, with the vendor from the OUI list
+ */
+async function setMac(hostId, mac) {
+  const normalized = normalizeMac(mac);
+  if (!normalized) return;
+  await pool.query(
+    `UPDATE hosts SET
+       mac_address = $2,
+       mac_randomized = $3,
+       vendor = COALESCE(vendor, $4),
+       updated_at = NOW()
+     WHERE id = $1 AND mac_address IS NULL`,
+    [hostId, normalized, isRandomizedMac(normalized), lookupVendor(normalized)]
+  );
+}
+
+/**
+ * Fill in missing vendors (and the randomized flag) from the OUI list, e.g.
+ * after importing a registry file. Returns the number of hosts updated.
+ */
+async function fillVendors() {
+  const res = await pool.query(
+    `SELECT id, mac_address FROM hosts WHERE mac_address IS NOT NULL AND (vendor IS NULL OR vendor = '')`
   );
-  return res.rows[0].id;
+  let updated = 0;
+  for (const row of res.rows) {
+    const vendor = lookupVendor(row.mac_address);
+    const randomized = isRandomizedMac(row.mac_address);
+    if (!vendor && !randomized) continue;
+    await pool.query(
+      'UPDATE hosts SET vendor = $2, mac_randomized = $3 WHERE id = $1',
+      [row.id, vendor, randomized]
+    );
+    if (vendor) updated++;
+  }
+  return updated;
 }
 
 async function getAll() {
   const res = await pool.query(`
     SELECT h.*,
       host(h.ip_address) as ip,
+      ${ADDRESSES_SUBQUERY} as addresses,
       COUNT(s.id) as service_count
     FROM hosts h
     LEFT JOIN services s ON s.host_id = h.id AND s.state = 'open'
@@ -34,18 +284,26 @@ async function getAll() {
 async function getById(id) {
   const hostRes = await pool.query(
     `SELECT h.*, host(h.ip_address) as ip,
-      p.hostname as parent_hostname, host(p.ip_address) as parent_ip
+      ${ADDRESSES_SUBQUERY} as addresses,
+      ${IP_HISTORY_SUBQUERY} as ip_history,
+      p.hostname as parent_hostname, host(p.ip_address) as parent_ip,
+      a.name as agent_name
      FROM hosts h
      LEFT JOIN hosts p ON h.parent_host_id = p.id
+     LEFT JOIN agents a ON h.agent_id = a.id
      WHERE h.id = $1`, [id]
   );
   if (!hostRes.rows[0]) return null;
 
   const servicesRes = await pool.query(
-    `SELECT * FROM services WHERE host_id = $1 ORDER BY port`, [id]
+    `SELECT * FROM services WHERE host_id = $1 ORDER BY port, protocol`, [id]
   );
 
-  const host = { ...hostRes.rows[0], services: servicesRes.rows };
+  const host = {
+    ...hostRes.rows[0],
+    services: servicesRes.rows,
+    names: await hostNamesModel.getByHost(id),
+  };
   
   // Include Proxmox credentials if present
   if (host.proxmox_api_host) {
@@ -82,6 +340,41 @@ async function markDownGraceful(hostIds) {
   return res.rowCount;
 }
 
+/**
+ * Tag a host with the remote agent (and its site) that reported it
+ */
+async function setAgent(hostId, agentId, site) {
+  await pool.query(
+    'UPDATE hosts SET agent_id = $2, site = $3 WHERE id = $1',
+    [hostId, agentId, site || null]
+  );
+}
+
+async function getIdsByAgent(agentId) {
+  const res = await pool.query(
+    'SELECT id, host(ip_address) as ip FROM hosts WHERE agent_id = $1 AND NOT ip_released',
+    [agentId]
+  );
+  return res.rows;
+}
+
+/**
+ * Known addresses (primary and secondary) of hosts with the given MACs
+ */
+async function getAddressesByMac(macs) {
+  if (!macs.length) return [];
+  const res = await pool.query(
+    `SELECT UPPER(h.mac_address) AS mac, host(h.ip_address) AS ip
+     FROM hosts h WHERE UPPER(h.mac_address) = ANY($1)
+     UNION
+     SELECT UPPER(h.mac_address), host(ha.address)
+     FROM host_addresses ha JOIN hosts h ON h.id = ha.host_id
+     WHERE UPPER(h.mac_address) = ANY($1)`,
+    [macs]
+  );
+  return res.rows;
+}
+
 async function getStats() {
   const res = await pool.query(`
     SELECT
@@ -95,7 +388,15 @@ async function getStats() {
 }
 
 async function getAllIds() {
-  const res = await pool.query('SELECT id, host(ip_address) as ip FROM hosts');
+  const res = await pool.query(`
+    SELECT h.id, host(h.ip_address) as ip, h.mac_address as mac, h.agent_id, p.interface,
+      COALESCE(array_agg(host(ha.address)) FILTER (WHERE ha.id IS NOT NULL), '{}') as addresses
+    FROM hosts h
+    LEFT JOIN host_addresses ha ON ha.host_id = h.id
+    LEFT JOIN host_addresses p ON p.address = h.ip_address
+    WHERE NOT h.ip_released
+    GROUP BY h.id, h.mac_address, h.agent_id, p.interface
+  `);
   return res.rows;
 }
 
@@ -182,6 +483,6 @@ async function getFritzBoxHosts() {
 }
 
 module.exports = { 
-  upsert, getAll, getById, deleteById, markDown, markDownGraceful, getStats, getAllIds,
+  upsert, upsertDevice, addAddress, resolveHostId, setMac, fillVendors, setAgent, getIdsByAgent, getAddressesByMac, getAll, getById, deleteById, markDown, markDownGraceful, getStats, getAllIds,
   updateProxmoxCredentials, getProxmoxHosts, getFritzBoxHosts, updateFritzBoxCredentials
 };
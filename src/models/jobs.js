@@ -0,0 +1,179 @@
+const pool = require('../db/pool');
+
+// Import jobs carry the parsed hosts - never send them to API clients
+const JOB_COLUMNS = `id, type, params - 'hosts' AS params, label, source, priority, position,
+  dedup_key, status, attempts, scan_id, result, error, created_at, started_at, finished_at`;
+
+const QUEUE_ORDER = 'priority DESC, position, id';
+
+/**
+ * Queue a job. With a dedup_key that is already queued nothing is inserted
+ * and { job: <queued job>, duplicate: true } is returned.
+ */
+async function create(job) {
+  const res = await pool.query(
+    `INSERT INTO jobs (type, params, label, source, priority, dedup_key)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (dedup_key) WHERE status = 'queued' DO NOTHING
+     RETURNING ${JOB_COLUMNS}`,
+    [job.type, JSON.stringify(job.params || {}), job.label || null, job.source || 'manual',
+      job.priority ?? 5, job.dedupKey || null]
+  );
+  if (res.rows[0]) return { job: res.rows[0], duplicate: false };
+
+  const existing = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM jobs WHERE dedup_key = $1 AND status = 'queued'`,
+    [job.dedupKey]
+  );
+  return { job: existing.rows[0], duplicate: true };
+}
+
+async function getById(id) {
+  const res = await pool.query(`SELECT ${JOB_COLUMNS} FROM jobs WHERE id = $1`, [id]);
+  return res.rows[0] || null;
+}
+
+async function getQueued() {
+  const res = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM jobs WHERE status = 'queued' ORDER BY ${QUEUE_ORDER}`
+  );
+  return res.rows;
+}
+
+async function getRunning() {
+  const res = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM jobs WHERE status = 'running' ORDER BY started_at`
+  );
+  return res.rows;
+}
+
+async function getHistory(limit = 50) {
+  const res = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM jobs WHERE status NOT IN ('queued', 'running')
+     ORDER BY finished_at DESC NULLS LAST, id DESC LIMIT $1`,
+    [limit]
+  );
+  return res.rows;
+}
+
+/**
+ * Mark the next queued job of the given types as running and return it
+ * (including params.hosts). skipSources leaves jobs of these sources queued.
+ */
+async function claimNext(types, skipSources = []) {
+  const res = await pool.query(
+    `UPDATE jobs SET status = 'running', started_at = NOW(), attempts = attempts + 1
+     WHERE id = (
+       SELECT id FROM jobs
+       WHERE status = 'queued' AND type = ANY($1) AND NOT (source = ANY($2))
+       ORDER BY ${QUEUE_ORDER}
+       LIMIT 1 FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [types, skipSources]
+  );
+  return res.rows[0] || null;
+}
+
+async function finish(id, status, { result = null, error = null, scanId = null } = {}) {
+  await pool.query(
+    `UPDATE jobs SET status = $2, result = $3, error = $4, scan_id = COALESCE($5, scan_id), finished_at = NOW()
+     WHERE id = $1`,
+    [id, status, result ? JSON.stringify(result) : null, error, scanId]
+  );
+}
+
+async function setPriority(id, priority) {
+  const res = await pool.query(
+    `UPDATE jobs SET priority = $2 WHERE id = $1 AND status = 'queued' RETURNING ${JOB_COLUMNS}`,
+    [id, priority]
+  );
+  return res.rows[0] || null;
+}
+
+/**
+ * Swap a queued job with its neighbour of the same priority.
+ * Returns false if there is no neighbour in that direction.
+ */
+async function move(id, direction) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const job = (await client.query(
+      `SELECT id, priority, position FROM jobs WHERE id = $1 AND status = 'queued' FOR UPDATE`, [id]
+    )).rows[0];
+    if (!job) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+    const up = direction === 'up';
+    const neighbour = (await client.query(
+      `SELECT id, position FROM jobs
+       WHERE status = 'queued' AND priority = $1 AND position ${up ? '<' : '>'} $2
+       ORDER BY position ${up ? 'DESC' : 'ASC'} LIMIT 1 FOR UPDATE`,
+      [job.priority, job.position]
+    )).rows[0];
+    if (!neighbour) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+    await client.query('UPDATE jobs SET position = $2 WHERE id = $1', [job.id, neighbour.position]);
+    await client.query('UPDATE jobs SET position = $2 WHERE id = $1', [neighbour.id, job.position]);
+    await client.query('COMMIT');
+    return true;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Drop a queued job. Running jobs are cancelled through their scan.
+ */
+async function drop(id) {
+  const res = await pool.query(
+    `UPDATE jobs SET status = 'dropped', finished_at = NOW() WHERE id = $1 AND status = 'queued'`,
+    [id]
+  );
+  return res.rowCount > 0;
+}
+
+/**
+ * Jobs interrupted by a server restart are queued again at their old place;
+ * after maxAttempts starts they are given up. Returns { requeued, failed }.
+ */
+async function requeueInterrupted(maxAttempts) {
+  const failed = await pool.query(
+    `UPDATE jobs SET status = 'error', error = 'Server restarted during job (retry limit reached)', finished_at = NOW()
+     WHERE status = 'running' AND attempts >= $1`,
+    [maxAttempts]
+  );
+  // A requeued job may collide with a queued duplicate - the queued one is enough then
+  await pool.query(
+    `UPDATE jobs j SET status = 'dropped', finished_at = NOW()
+     WHERE j.status = 'running' AND j.dedup_key IS NOT NULL
+       AND EXISTS (SELECT 1 FROM jobs q WHERE q.status = 'queued' AND q.dedup_key = j.dedup_key)`
+  );
+  const requeued = await pool.query(
+    `UPDATE jobs SET status = 'queued', started_at = NULL WHERE status = 'running'`
+  );
+  return { requeued: requeued.rowCount, failed: failed.rowCount };
+}
+
+/**
+ * Remove finished jobs older than the given number of days
+ */
+async function pruneHistory(days) {
+  await pool.query(
+    `DELETE FROM jobs WHERE status NOT IN ('queued', 'running')
+     AND finished_at < NOW() - ($1 || ' days')::interval`,
+    [String(days)]
+  );
+}
+
+module.exports = {
+  create, getById, getQueued, getRunning, getHistory, claimNext, finish, setPriority, move, drop,
+  requeueInterrupted, pruneHistory,
+};
@@ -0,0 +1,57 @@
+const pool = require('../db/pool');
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Store imported registry entries (see services/oui); an existing prefix is
+ * reassigned to the new vendor
+ */
+async function importEntries(filename, entries) {
+  // Last one wins if a file lists a prefix twice
+  const byPrefix = new Map(entries.map(e => [e.prefix, e.vendor]));
+  const prefixes = [...byPrefix.keys()];
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (let i = 0; i < prefixes.length; i += BATCH_SIZE) {
+      const batch = prefixes.slice(i, i + BATCH_SIZE);
+      await client.query(
+        `INSERT INTO oui_vendors (prefix, vendor, filename)
+         SELECT p, v, $3 FROM unnest($1::varchar[], $2::varchar[]) AS t(p, v)
+         ON CONFLICT (prefix) DO UPDATE SET
+           vendor = EXCLUDED.vendor, filename = EXCLUDED.filename, imported_at = NOW()`,
+        [batch, batch.map(p => byPrefix.get(p)), filename]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return prefixes.length;
+}
+
+async function getAll() {
+  const res = await pool.query('SELECT prefix, vendor FROM oui_vendors');
+  return res.rows;
+}
+
+/**
+ * Imported files with their entry count, newest first
+ */
+async function getImports() {
+  const res = await pool.query(
+    `SELECT filename, COUNT(*)::int AS entries, MAX(imported_at) AS imported_at
+     FROM oui_vendors GROUP BY filename ORDER BY MAX(imported_at) DESC`
+  );
+  return res.rows;
+}
+
+async function clearAll() {
+  await pool.query('TRUNCATE oui_vendors');
+}
+
+module.exports = { importEntries, getAll, getImports, clearAll };
@@ -0,0 +1,50 @@
+const pool = require('../db/pool');
+
+/**
+ * Cache entries of a host younger than maxAgeHours, keyed "port/protocol"
+ */
+async function getForHost(ip, maxAgeHours) {
+  const res = await pool.query(
+    `SELECT port, protocol, fingerprint, result, tls, ssh FROM probe_cache
+     WHERE ip_address = $1 AND probed_at > NOW() - make_interval(hours => $2)`,
+    [ip, maxAgeHours]
+  );
+  return new Map(res.rows.map(r => [`${r.port}/${r.protocol}`, r]));
+}
+
+/**
+ * Store an identifyService() result. Certificate chain and host keys are not
+ * cached, only whether the service had them.
+ */
+async function store(ip, protocol, identified) {
+  const { tlsChain, sshHostKeys, fingerprint, cached, ...result } = identified;
+  await pool.query(
+    `INSERT INTO probe_cache (ip_address, port, protocol, fingerprint, result, tls, ssh, probed_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+     ON CONFLICT (ip_address, port, protocol) DO UPDATE SET
+       fingerprint = EXCLUDED.fingerprint, result = EXCLUDED.result,
+       tls = EXCLUDED.tls, ssh = EXCLUDED.ssh, probed_at = NOW()`,
+    [ip, identified.port, protocol, fingerprint, JSON.stringify(result), !!tlsChain, !!sshHostKeys]
+  );
+}
+
+/**
+ * Drop entries older than maxAgeHours
+ */
+async function cleanup(maxAgeHours) {
+  const res = await pool.query(
+    'DELETE FROM probe_cache WHERE probed_at <= NOW() - make_interval(hours => $1)',
+    [maxAgeHours]
+  );
+  return res.rowCount;
+}
+
+/**
+ * Drop all entries, e.g. after signatures changed
+ */
+async function clear() {
+  const res = await pool.query('DELETE FROM probe_cache');
+  return res.rowCount;
+}
+
+module.exports = { getForHost, store, cleanup, clear };
@@ -0,0 +1,84 @@
+const pool = require('../db/pool');
+
+const PROFILE_SELECT = `
+  SELECT p.*,
+    COALESCE(array_agg(np.network ORDER BY np.network) FILTER (WHERE np.network IS NOT NULL), '{}') AS networks
+  FROM scan_profiles p
+  LEFT JOIN network_profiles np ON np.profile_id = p.id`;
+
+async function getAll() {
+  const res = await pool.query(`${PROFILE_SELECT} GROUP BY p.id ORDER BY p.name`);
+  return res.rows;
+}
+
+async function getById(id) {
+  const res = await pool.query(`${PROFILE_SELECT} WHERE p.id = $1 GROUP BY p.id`, [id]);
+  return res.rows[0] || null;
+}
+
+async function create(profile) {
+  const res = await pool.query(
+    `INSERT INTO scan_profiles (name, description, port_range, timing, os_detection, deep_probe, scan_interval, scan_cron, udp_scan)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+    [profile.name, profile.description || null, profile.port_range, profile.timing,
+      profile.os_detection, profile.deep_probe, profile.scan_interval || null, profile.scan_cron?.trim() || null,
+      profile.udp_scan]
+  );
+  return getById(res.rows[0].id);
+}
+
+async function update(id, profile) {
+  const res = await pool.query(
+    `UPDATE scan_profiles SET
+       name = COALESCE($2, name),
+       description = COALESCE($3, description),
+       port_range = COALESCE($4, port_range),
+       timing = COALESCE($5, timing),
+       os_detection = COALESCE($6, os_detection),
+       deep_probe = COALESCE($7, deep_probe),
+       scan_interval = CASE WHEN $8 THEN $9 ELSE scan_interval END,
+       scan_cron = CASE WHEN $10 THEN $11 ELSE scan_cron END,
+       udp_scan = COALESCE($12, udp_scan),
+       updated_at = NOW()
+     WHERE id = $1 RETURNING id`,
+    [id, profile.name, profile.description, profile.port_range, profile.timing,
+      profile.os_detection, profile.deep_probe,
+      profile.scan_interval !== undefined, profile.scan_interval || null,
+      profile.scan_cron !== undefined, profile.scan_cron?.trim() || null, profile.udp_scan]
+  );
+  if (res.rowCount === 0) return null;
+  return getById(id);
+}
+
+async function deleteById(id) {
+  const res = await pool.query('DELETE FROM scan_profiles WHERE id = $1', [id]);
+  return res.rowCount > 0;
+}
+
+/**
+ * Map of network (CIDR) -> assigned profile
+ */
+async function getNetworkProfiles() {
+  const res = await pool.query(
+    `SELECT np.network, p.* FROM network_profiles np
+     JOIN scan_profiles p ON p.id = np.profile_id`
+  );
+  return new Map(res.rows.map(r => [r.network, r]));
+}
+
+/**
+ * Assign a profile to a network (null removes the assignment → default profile)
+ */
+async function setNetworkProfile(network, profileId) {
+  if (profileId === null) {
+    await pool.query('DELETE FROM network_profiles WHERE network = $1', [network]);
+    return;
+  }
+  await pool.query(
+    `INSERT INTO network_profiles (network, profile_id) VALUES ($1, $2)
+     ON CONFLICT (network) DO UPDATE SET profile_id = $2`,
+    [network, profileId]
+  );
+}
+
+module.exports = { getAll, getById, create, update, deleteById, getNetworkProfiles, setNetworkProfile };
@@ -1,21 +1,82 @@
 const pool = require('../db/pool');
 
-async function create(network) {
+/**
+ * opts.networks: CIDRs the scan covers (scope for the scan diff)
+ */
+async function create(network, opts = {}) {
   const res = await pool.query(
-    `INSERT INTO scans (network, status) VALUES ($1, 'running') RETURNING *`,
-    [network]
+    `INSERT INTO scans (network, status, agent_id, started_at, imported, scope_networks)
+     VALUES ($1, 'running', $2, COALESCE($3, NOW()), $4, $5) RETURNING *`,
+    [network, opts.agentId || null, opts.startedAt || null, opts.imported === true, opts.networks || null]
   );
   return res.rows[0];
 }
 
-async function finish(id, hostsFound, servicesFound, error) {
+async function finish(id, hostsFound, servicesFound, error, status) {
   await pool.query(
     `UPDATE scans SET status = $2, hosts_found = $3, services_found = $4,
      finished_at = NOW(), error = $5 WHERE id = $1`,
-    [id, error ? 'error' : 'completed', hostsFound, servicesFound, error]
+    [id, status || (error ? 'error' : 'completed'), hostsFound, servicesFound, error]
   );
 }
 
+/**
+ * Store how many deep probes were answered from the probe cache
+ */
+async function recordProbeCache(id, { hits, misses }) {
+  await pool.query(
+    'UPDATE scans SET probe_cache_hits = $2, probe_cache_misses = $3 WHERE id = $1',
+    [id, hits, misses]
+  );
+}
+
+/**
+ * Store the per-host snapshot of a scan. ports is null for hosts that were
+ * only checked for reachability (not port-scanned), protocols lists the
+ * protocols the ports were scanned for.
+ */
+async function recordHosts(scanId, entries) {
+  if (entries.length === 0) return;
+
+  const values = [];
+  const params = [];
+  let idx = 1;
+
+  for (const e of entries) {
+    values.push(`($${idx++}, $${idx++}, $${idx++}, $${idx++}, $${idx++}, $${idx++}, $${idx++}, $${idx++})`);
+    params.push(scanId, e.hostId || null, e.ip, e.mac || null, e.hostname || null, e.status,
+      e.ports ? JSON.stringify(e.ports) : null, e.ports ? e.protocols || ['tcp'] : null);
+  }
+
+  await pool.query(
+    `INSERT INTO scan_hosts (scan_id, host_id, ip_address, mac_address, hostname, status, ports, protocols)
+     VALUES ${values.join(', ')}
+     ON CONFLICT (scan_id, ip_address) DO UPDATE SET
+       host_id = EXCLUDED.host_id, mac_address = EXCLUDED.mac_address,
+       hostname = EXCLUDED.hostname, status = EXCLUDED.status, ports = EXCLUDED.ports,
+       protocols = EXCLUDED.protocols`,
+    params
+  );
+}
+
+async function getById(id) {
+  const res = await pool.query('SELECT * FROM scans WHERE id = $1', [id]);
+  return res.rows[0] || null;
+}
+
+async function getHosts(scanId) {
+  const res = await pool.query(
+    `SELECT sh.host_id, host(sh.ip_address) AS ip, sh.mac_address, sh.hostname, sh.status, sh.ports,
+       sh.protocols, h.hostname AS current_hostname
+     FROM scan_hosts sh
+     LEFT JOIN hosts h ON h.id = sh.host_id
+     WHERE sh.scan_id = $1
+     ORDER BY sh.ip_address`,
+    [scanId]
+  );
+  return res.rows;
+}
+
 async function getRecent(limit = 20) {
   const res = await pool.query(
     'SELECT * FROM scans ORDER BY started_at DESC LIMIT $1', [limit]
@@ -38,4 +99,4 @@ async function cleanupStale() {
   return res.rowCount;
 }
 
-module.exports = { create, finish, getRecent, getLatest, cleanupStale };
+module.exports = { create, finish, recordProbeCache, recordHosts, getById, getHosts, getRecent, getLatest, cleanupStale };
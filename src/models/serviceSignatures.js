@@ -0,0 +1,54 @@
+const pool = require('../db/pool');
+
+async function getAll() {
+  const res = await pool.query('SELECT * FROM service_signatures ORDER BY id');
+  return res.rows;
+}
+
+async function getById(id) {
+  const res = await pool.query('SELECT * FROM service_signatures WHERE id = $1', [id]);
+  return res.rows[0] || null;
+}
+
+async function getEnabled() {
+  const res = await pool.query('SELECT * FROM service_signatures WHERE enabled ORDER BY id');
+  return res.rows;
+}
+
+async function create(sig) {
+  const res = await pool.query(
+    `INSERT INTO service_signatures (name, icon, match_type, header_name, path, pattern, enabled)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [sig.name, sig.icon || null, sig.match_type, sig.header_name || null, sig.path || null,
+      sig.pattern, sig.enabled !== false]
+  );
+  return res.rows[0];
+}
+
+async function update(id, sig) {
+  const res = await pool.query(
+    `UPDATE service_signatures SET
+       name = COALESCE($2, name),
+       icon = CASE WHEN $3::boolean THEN $4 ELSE icon END,
+       match_type = COALESCE($5, match_type),
+       header_name = CASE WHEN $6::boolean THEN $7 ELSE header_name END,
+       path = CASE WHEN $8::boolean THEN $9 ELSE path END,
+       pattern = COALESCE($10, pattern),
+       enabled = COALESCE($11, enabled)
+     WHERE id = $1 RETURNING *`,
+    [id, sig.name,
+      sig.icon !== undefined, sig.icon || null,
+      sig.match_type,
+      sig.header_name !== undefined, sig.header_name || null,
+      sig.path !== undefined, sig.path || null,
+      sig.pattern, sig.enabled]
+  );
+  return res.rows[0] || null;
+}
+
+async function deleteById(id) {
+  const res = await pool.query('DELETE FROM service_signatures WHERE id = $1', [id]);
+  return res.rowCount > 0;
+}
+
+module.exports = { getAll, getById, getEnabled, create, update, deleteById };
@@ -27,27 +27,28 @@ async function upsert(service) {
   );
 }
 
-async function markClosed(hostId, activePorts) {
+async function markClosed(hostId, activePorts, protocol = 'tcp') {
   // Only mark services as closed if they haven't been seen in the last 2 hours
   // This prevents a single bad scan from wiping out known services
+  // TCP and UDP are closed separately, so a TCP-only scan never closes UDP services
   if (activePorts.length === 0) {
     // Should not be called with empty activePorts (scanner skips this case now)
     // But as a safety net, only close services not seen recently
     await pool.query(
-      `UPDATE services SET state = 'closed' WHERE host_id = $1 AND last_seen < NOW() - INTERVAL '2 hours'`,
-      [hostId]
+      `UPDATE services SET state = 'closed' WHERE host_id = $1 AND protocol = $2 AND last_seen < NOW() - INTERVAL '2 hours'`,
+      [hostId, protocol]
     );
   } else {
     await pool.query(
-      `UPDATE services SET state = 'closed' WHERE host_id = $1 AND port != ALL($2) AND last_seen < NOW() - INTERVAL '2 hours'`,
-      [hostId, activePorts]
+      `UPDATE services SET state = 'closed' WHERE host_id = $1 AND protocol = $3 AND port != ALL($2) AND last_seen < NOW() - INTERVAL '2 hours'`,
+      [hostId, activePorts, protocol]
     );
   }
 }
 
 async function getByHost(hostId) {
   const res = await pool.query(
-    'SELECT * FROM services WHERE host_id = $1 ORDER BY port', [hostId]
+    'SELECT * FROM services WHERE host_id = $1 ORDER BY port, protocol', [hostId]
   );
   return res.rows;
 }
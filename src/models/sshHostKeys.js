@@ -0,0 +1,50 @@
+const pool = require('../db/pool');
+
+/**
+ * Store the host keys a server presented. Returns the keys that replaced a
+ * different known key for the same algorithm: [{ id, algorithm, previous, fingerprint }]
+ */
+async function record(hostId, port, keys) {
+  const changes = [];
+  for (const key of keys) {
+    const current = await pool.query(
+      `SELECT id, fingerprint FROM ssh_host_keys
+       WHERE host_id = $1 AND port = $2 AND algorithm = $3 AND replaced_at IS NULL`,
+      [hostId, port, key.algorithm]
+    );
+    const known = current.rows[0];
+    if (known?.fingerprint === key.fingerprint) {
+      await pool.query('UPDATE ssh_host_keys SET last_seen = NOW() WHERE id = $1', [known.id]);
+      continue;
+    }
+    if (known) {
+      await pool.query('UPDATE ssh_host_keys SET replaced_at = NOW() WHERE id = $1', [known.id]);
+    }
+    const res = await pool.query(
+      `INSERT INTO ssh_host_keys (host_id, port, algorithm, fingerprint, bits, public_key)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [hostId, port, key.algorithm, key.fingerprint, key.bits, key.publicKey]
+    );
+    if (known) {
+      changes.push({ id: res.rows[0].id, algorithm: key.algorithm, previous: known.fingerprint, fingerprint: key.fingerprint });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Current keys and their history, current first per port and algorithm
+ */
+async function getByHost(hostId) {
+  const res = await pool.query(
+    `SELECT id, port, algorithm, fingerprint, bits, public_key, first_seen, last_seen, replaced_at
+     FROM ssh_host_keys
+     WHERE host_id = $1
+     ORDER BY port, algorithm, replaced_at IS NOT NULL, first_seen DESC`,
+    [hostId]
+  );
+  return res.rows;
+}
+
+module.exports = { record, getByHost };
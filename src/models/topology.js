@@ -9,6 +9,7 @@ async function getTopology() {
         json_agg(
           json_build_object(
             'port', s.port,
+            'protocol', s.protocol,
             'state', s.state,
             'service_name', s.service_name,
             'identified_as', s.identified_as,
@@ -17,7 +18,9 @@ async function getTopology() {
           )
         ) FILTER (WHERE s.id IS NOT NULL AND s.state = 'open'),
         '[]'
-      ) AS services
+      ) AS services,
+      (SELECT COALESCE(array_agg(host(ha.address)), '{}')
+         FROM host_addresses ha WHERE ha.host_id = h.id AND ha.address != h.ip_address) AS addresses
     FROM hosts h
     LEFT JOIN services s ON s.host_id = h.id
     GROUP BY h.id
@@ -38,6 +41,7 @@ async function getTopology() {
     return {
       id: row.id,
       ip: row.ip,
+      addresses: row.addresses || [],
       hostname: row.hostname,
       mac_address: row.mac_address,
       vendor: row.vendor,
@@ -0,0 +1,232 @@
+const pool = require('../db/pool');
+
+const SEVERITY_ORDER = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'UNKNOWN'];
+const SEVERITY_RANK = `array_position(ARRAY['CRITICAL','HIGH','MEDIUM','LOW','UNKNOWN']::varchar[], v.severity)`;
+const BATCH_SIZE = 1000;
+
+function chunks(list, size = BATCH_SIZE) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+/**
+ * Store parsed feed entries (see services/vulnFeed). Existing entries are
+ * updated; their product rows of the same source are replaced.
+ * Returns { entries, products }.
+ */
+async function importFeed(source, filename, entries) {
+  // The same id may appear twice in one feed (OSV aliases) - merge the products
+  const byId = new Map();
+  for (const e of entries) {
+    const existing = byId.get(e.id);
+    if (existing) existing.products.push(...e.products);
+    else byId.set(e.id, { ...e, products: [...e.products] });
+  }
+  const merged = [...byId.values()];
+
+  const client = await pool.connect();
+  let productCount = 0;
+  try {
+    await client.query('BEGIN');
+    for (const batch of chunks(merged)) {
+      await client.query(
+        `INSERT INTO vulnerabilities (id, source, summary, severity, cvss_score, published, modified, refs)
+         SELECT * FROM unnest($1::varchar[], $2::varchar[], $3::text[], $4::varchar[], $5::numeric[],
+           $6::timestamptz[], $7::timestamptz[], $8::jsonb[])
+         ON CONFLICT (id) DO UPDATE SET
+           summary = COALESCE(EXCLUDED.summary, vulnerabilities.summary),
+           severity = CASE WHEN EXCLUDED.severity = 'UNKNOWN' THEN vulnerabilities.severity ELSE EXCLUDED.severity END,
+           cvss_score = COALESCE(EXCLUDED.cvss_score, vulnerabilities.cvss_score),
+           published = COALESCE(EXCLUDED.published, vulnerabilities.published),
+           modified = COALESCE(EXCLUDED.modified, vulnerabilities.modified),
+           refs = EXCLUDED.refs`,
+        [
+          batch.map(e => e.id.substring(0, 100)), batch.map(() => source),
+          batch.map(e => e.summary), batch.map(e => e.severity), batch.map(e => e.score),
+          batch.map(e => e.published), batch.map(e => e.modified),
+          batch.map(e => JSON.stringify(e.references || [])),
+        ]
+      );
+      await client.query(
+        'DELETE FROM vulnerability_products WHERE source = $1 AND vuln_id = ANY($2)',
+        [source, batch.map(e => e.id.substring(0, 100))]
+      );
+
+      const products = batch.flatMap(e => e.products.map(p => ({ ...p, vulnId: e.id.substring(0, 100) })));
+      for (const rows of chunks(products)) {
+        await client.query(
+          `INSERT INTO vulnerability_products (vuln_id, source, vendor, product, cpe, version_exact,
+             version_start_including, version_start_excluding, version_end_including, version_end_excluding)
+           SELECT t.vuln_id, $1, t.vendor, t.product, t.cpe, t.version_exact,
+             t.start_incl, t.start_excl, t.end_incl, t.end_excl
+           FROM unnest($2::varchar[], $3::varchar[], $4::varchar[], $5::varchar[], $6::varchar[],
+             $7::varchar[], $8::varchar[], $9::varchar[], $10::varchar[])
+             AS t(vuln_id, vendor, product, cpe, version_exact, start_incl, start_excl, end_incl, end_excl)`,
+          [
+            source, rows.map(r => r.vulnId), rows.map(r => r.vendor), rows.map(r => r.product.substring(0, 255)),
+            rows.map(r => r.cpe?.substring(0, 500) || null), rows.map(r => r.versionExact || null),
+            rows.map(r => r.startIncluding || null), rows.map(r => r.startExcluding || null),
+            rows.map(r => r.endIncluding || null), rows.map(r => r.endExcluding || null),
+          ]
+        );
+        productCount += rows.length;
+      }
+    }
+    await client.query(
+      'INSERT INTO vulnerability_feeds (source, filename, entries, products) VALUES ($1, $2, $3, $4)',
+      [source, filename, merged.length, productCount]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return { entries: merged.length, products: productCount };
+}
+
+async function hasFeed() {
+  const res = await pool.query('SELECT EXISTS (SELECT 1 FROM vulnerability_products) AS present');
+  return res.rows[0].present;
+}
+
+async function getFeeds() {
+  const res = await pool.query('SELECT * FROM vulnerability_feeds ORDER BY imported_at DESC');
+  return res.rows;
+}
+
+/**
+ * Remove all imported vulnerabilities and findings
+ */
+async function clearAll() {
+  await pool.query('TRUNCATE vulnerability_findings, vulnerability_products, vulnerabilities, vulnerability_feeds');
+}
+
+/**
+ * Affected product rows for the given (CPE or package) product names
+ */
+async function getProductRows(products) {
+  const res = await pool.query(
+    'SELECT * FROM vulnerability_products WHERE product = ANY($1)',
+    [products]
+  );
+  return res.rows;
+}
+
+async function getMatchableServices({ hostId = null } = {}) {
+  const res = await pool.query(
+    `SELECT id, host_id, state, service_product, service_version, http_server, identified_as
+     FROM services WHERE ($1::int IS NULL OR host_id = $1)`,
+    [hostId]
+  );
+  return res.rows;
+}
+
+/**
+ * Replace the findings of one host (or of all services without hostId).
+ * Findings that are still present keep their first_seen.
+ */
+async function replaceFindings(findings, { hostId = null } = {}) {
+  const serviceIds = findings.map(f => f.serviceId);
+  const vulnIds = findings.map(f => f.vulnId);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `DELETE FROM vulnerability_findings f USING services s
+       WHERE f.service_id = s.id AND ($1::int IS NULL OR s.host_id = $1)
+         AND NOT EXISTS (
+           SELECT 1 FROM unnest($2::int[], $3::varchar[]) AS n(service_id, vuln_id)
+           WHERE n.service_id = f.service_id AND n.vuln_id = f.vuln_id
+         )`,
+      [hostId, serviceIds, vulnIds]
+    );
+    for (const batch of chunks(findings)) {
+      await client.query(
+        `INSERT INTO vulnerability_findings (service_id, vuln_id, cpe, version)
+         SELECT * FROM unnest($1::int[], $2::varchar[], $3::varchar[], $4::varchar[])
+         ON CONFLICT (service_id, vuln_id) DO UPDATE SET
+           cpe = EXCLUDED.cpe, version = EXCLUDED.version, last_seen = NOW()`,
+        [batch.map(f => f.serviceId), batch.map(f => f.vulnId),
+          batch.map(f => f.cpe), batch.map(f => f.version.substring(0, 100))]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Findings on the open services of a host, most severe first
+ */
+async function getHostFindings(hostId) {
+  const res = await pool.query(
+    `SELECT f.id, f.service_id, f.vuln_id, f.cpe, f.version, f.first_seen,
+       s.port, s.protocol, s.identified_as,
+       v.summary, v.severity, v.cvss_score, v.published, v.refs
+     FROM vulnerability_findings f
+     JOIN services s ON s.id = f.service_id AND s.state = 'open'
+     JOIN vulnerabilities v ON v.id = f.vuln_id
+     WHERE s.host_id = $1
+     ORDER BY ${SEVERITY_RANK}, v.cvss_score DESC NULLS LAST, v.published DESC NULLS LAST`,
+    [hostId]
+  );
+  return res.rows;
+}
+
+/**
+ * Dashboard summary: feed state, vulnerable services per severity and the
+ * most affected services
+ */
+async function getSummary(limit = 10) {
+  const [feed, counts, services] = await Promise.all([
+    pool.query(
+      `SELECT (SELECT COUNT(*) FROM vulnerabilities)::int AS entries,
+         (SELECT MAX(imported_at) FROM vulnerability_feeds) AS last_import`
+    ),
+    pool.query(
+      `SELECT severity, COUNT(*)::int AS services FROM (
+         SELECT f.service_id, MIN(${SEVERITY_RANK}) AS rank
+         FROM vulnerability_findings f
+         JOIN services s ON s.id = f.service_id AND s.state = 'open'
+         JOIN vulnerabilities v ON v.id = f.vuln_id
+         GROUP BY f.service_id
+       ) worst
+       JOIN unnest(ARRAY['CRITICAL','HIGH','MEDIUM','LOW','UNKNOWN']) WITH ORDINALITY AS sev(severity, rank)
+         ON sev.rank = worst.rank
+       GROUP BY severity`
+    ),
+    pool.query(
+      `SELECT s.id AS service_id, s.host_id, host(h.ip_address) AS ip, h.hostname,
+         s.port, s.protocol, s.identified_as, MAX(f.version) AS version,
+         COUNT(*)::int AS findings, MIN(${SEVERITY_RANK}) AS rank, MAX(v.cvss_score) AS max_score
+       FROM vulnerability_findings f
+       JOIN services s ON s.id = f.service_id AND s.state = 'open'
+       JOIN hosts h ON h.id = s.host_id
+       JOIN vulnerabilities v ON v.id = f.vuln_id
+       GROUP BY s.id, h.id
+       ORDER BY rank, max_score DESC NULLS LAST, findings DESC
+       LIMIT $1`,
+      [limit]
+    ),
+  ]);
+
+  const bySeverity = Object.fromEntries(SEVERITY_ORDER.map(s => [s, 0]));
+  for (const row of counts.rows) bySeverity[row.severity] = row.services;
+  return {
+    feed: feed.rows[0],
+    bySeverity,
+    services: services.rows.map(({ rank, ...row }) => ({ ...row, severity: SEVERITY_ORDER[rank - 1] })),
+  };
+}
+
+module.exports = {
+  importFeed, hasFeed, getFeeds, clearAll, getProductRows, getMatchableServices, replaceFindings,
+  getHostFindings, getSummary,
+};
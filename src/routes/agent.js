@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const agentsModel = require('../models/agents');
+const { validatePayload, ingestResults, isScanDue } = require('../services/agentIngest');
+const { loadExclusions } = require('../services/exclusions');
+const { getActiveBlackout } = require('../services/blackout');
+
+// Bearer token authentication for remote scan agents
+router.use(async (req, res, next) => {
+  try {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    const version = req.headers['x-agent-version']?.substring(0, 50);
+    const agent = match ? await agentsModel.authenticate(match[1], version) : null;
+    if (!agent) return res.status(401).json({ error: 'Invalid or disabled agent token' });
+    req.agent = agent;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Scan configuration and central schedule for the calling agent
+router.get('/config', async (req, res) => {
+  try {
+    const { agent } = req;
+    const networks = agent.networks.split(',').map(s => s.trim()).filter(Boolean);
+    const exclusions = await loadExclusions();
+    // Blackout windows hold back the central schedule, not scans requested by hand
+    const blackout = agent.scan_requested ? null : await getActiveBlackout();
+    res.json({
+      name: agent.name,
+      site: agent.site,
+      networks,
+      port_range: agent.port_range,
+      scan_interval: agent.scan_interval,
+      due: isScanDue(agent) && !blackout,
+      // Global entries and those of the agent's networks
+      exclusions: {
+        entries: exclusions.entries
+          .filter(e => !e.network || networks.includes(e.network))
+          .map(e => ({ network: e.network, entry: e.entry })),
+        knownAddresses: exclusions.knownAddresses,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Scan results pushed by the agent
+router.post('/results', async (req, res) => {
+  try {
+    const error = validatePayload(req.body);
+    if (error) return res.status(400).json({ error });
+    const result = await ingestResults(req.agent, req.body);
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -4,13 +4,45 @@ const hostsModel = require('../models/hosts');
 const servicesModel = require('../models/services');
 const scansModel = require('../models/scans');
 const settingsModel = require('../models/settings');
-const { runScan, isScanning, getCurrentScanId, runDeepDiscoveryStandalone, isDiscoveryRunning } = require('../services/scanner');
-const { scheduleFromSettings, scheduleDeepDiscovery } = require('../services/scheduler');
+const { cancelScan, isScanning, getCurrentScanId, parseNmapOutput } = require('../services/scanner');
+const jobQueue = require('../services/jobQueue');
+const { scheduleFromSettings, scheduleProfiles, scheduleDeepDiscovery, getNextRuns } = require('../services/scheduler');
 const availabilityModel = require('../models/availability');
 const topologyModel = require('../models/topology');
+const scanProfilesModel = require('../models/scanProfiles');
+const agentsModel = require('../models/agents');
+const exclusionsModel = require('../models/exclusions');
+const blackoutModel = require('../models/blackoutWindows');
+const jobsModel = require('../models/jobs');
+const vulnsModel = require('../models/vulnerabilities');
+const vulnImport = require('../services/vulnImport');
+const vulnMatcher = require('../services/vulnMatcher');
+const certificatesModel = require('../models/certificates');
+const eventsModel = require('../models/events');
+const sshHostKeysModel = require('../models/sshHostKeys');
+const hostNamesModel = require('../models/hostNames');
+const ouiVendorsModel = require('../models/ouiVendors');
+const oui = require('../services/oui');
+const faviconsModel = require('../models/favicons');
+const favicon = require('../services/favicon');
+const serviceSignaturesModel = require('../models/serviceSignatures');
+const customSignatures = require('../services/customSignatures');
+const signaturePacks = require('../services/signaturePacks');
+const probeCacheModel = require('../models/probeCache');
+const { identifyService } = require('../services/serviceIdentifier');
+const { parseThresholds } = require('../services/certificateMonitor');
+const scanProgress = require('../services/scanProgress');
+const { diffSnapshots } = require('../services/scanDiff');
 const { classifyHost, DEVICE_TYPES } = require('../services/classifier');
 const { runDeepDiscovery } = require('../services/deepDiscovery');
 const unifiClient = require('../services/unifiClient');
+const { parseCidr, isIPv6Cidr } = require('../services/ipUtils');
+const { entryType, loadExclusions } = require('../services/exclusions');
+const { TIME_RE, getActiveBlackout } = require('../services/blackout');
+const { resolveSchedule, validateCron, nextRuns } = require('../services/cronExpression');
+
+// Empty = use the interval
+const validateOptionalCron = (v) => (v.trim() === '' ? null : validateCron(v));
 
 // Allowed settings keys and their validators
 const SETTINGS_VALIDATORS = {
@@ -18,8 +50,14 @@ const SETTINGS_VALIDATORS = {
     const networks = v.split(',').map(s => s.trim()).filter(Boolean);
     if (networks.length === 0) return 'Mindestens ein Netzwerk erforderlich';
     for (const net of networks) {
+      if (isIPv6Cidr(net)) {
+        const range = /\/\d{1,3}$/.test(net) ? parseCidr(net) : null;
+        if (!range) return `Ungültiges IPv6-CIDR-Format: ${net} (z.B. 2001:db8::/64)`;
+        if (range.prefix < 16) return `IPv6-Präfix muss zwischen 16 und 128 liegen: ${net}`;
+        continue;
+      }
       if (!/^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}\/\d{1,2}$/.test(net))
-        return `Ungültiges CIDR-Format: ${net} (z.B. 192.168.1.0/24)`;
+        return `Ungültiges CIDR-Format: ${net} (z.B. 192.168.1.0/24 oder 2001:db8::/64)`;
       const prefix = parseInt(net.split('/')[1]);
       if (prefix < 8 || prefix > 32) return `CIDR-Präfix muss zwischen 8 und 32 liegen: ${net}`;
     }
@@ -30,6 +68,7 @@ const SETTINGS_VALIDATORS = {
     if (isNaN(n) || n < 1 || n > 1440) return 'Interval must be between 1 and 1440 minutes';
     return null;
   },
+  scan_cron: validateOptionalCron,
   scan_ports: (v) => {
     if (!/^(\d+(-\d+)?)(,\d+(-\d+)?)*$/.test(v)) return 'Invalid port range (e.g. 1-10000 or 22,80,443)';
     return null;
@@ -38,6 +77,18 @@ const SETTINGS_VALIDATORS = {
     if (v !== 'true' && v !== 'false') return 'Must be true or false';
     return null;
   },
+  scan_udp_enabled: (v) => {
+    if (v !== 'true' && v !== 'false') return 'Must be true or false';
+    return null;
+  },
+  scan_udp_ports: (v) => {
+    if (!/^(\d+(-\d+)?)(,\d+(-\d+)?)*$/.test(v)) return 'Invalid UDP port list (e.g. 53,123,161)';
+    return null;
+  },
+  probe_cache_max_age: (v) => {
+    if (!/^\d+$/.test(v) || parseInt(v) > 720) return 'Cache-Dauer muss zwischen 0 und 720 Stunden liegen';
+    return null;
+  },
   snmp_community: (v) => {
     if (!v || v.trim().length === 0) return 'Mindestens ein Community-String erforderlich';
     return null;
@@ -51,6 +102,7 @@ const SETTINGS_VALIDATORS = {
     if (isNaN(n) || n < 5 || n > 1440) return 'Intervall muss zwischen 5 und 1440 Minuten sein';
     return null;
   },
+  deep_discovery_cron: validateOptionalCron,
   unifi_url: (v) => {
     if (v === '') return null; // empty = disabled
     if (!/^https?:\/\/.+/i.test(v)) return 'Muss eine gültige URL sein (https://...)';
@@ -60,14 +112,150 @@ const SETTINGS_VALIDATORS = {
     if (v.length > 200) return 'Maximal 200 Zeichen';
     return null;
   },
+  blackout_policy: (v) => {
+    if (v !== 'pause' && v !== 'cancel') return 'Must be pause or cancel';
+    return null;
+  },
+  hostname_priority: (v) => {
+    const sources = v.split(',').map(s => s.trim());
+    const unknown = sources.find(s => !hostNamesModel.SOURCES.includes(s));
+    if (unknown !== undefined) return `Unbekannte Quelle: ${unknown} (erlaubt: ${hostNamesModel.SOURCES.join(', ')})`;
+    if (new Set(sources).size !== sources.length) return 'Jede Quelle darf nur einmal vorkommen';
+    return null;
+  },
+  cert_expiry_thresholds: (v) => {
+    const parts = v.split(',').map(s => s.trim()).filter(Boolean);
+    if (parts.length === 0 || !parts.every(d => /^\d+$/.test(d)) ||
+        parseThresholds(v).length !== new Set(parts.map(Number)).size) {
+      return 'Kommagetrennte Tage zwischen 1 und 365 (z.B. 30,14,7)';
+    }
+    return null;
+  },
 };
 
+/**
+ * Validate a scan profile body. With partial=true only present fields are checked.
+ * Returns an error message or null.
+ */
+function validateScanProfile(p, partial = false) {
+  const has = (k) => p[k] !== undefined;
+  if (!partial || has('name')) {
+    if (typeof p.name !== 'string' || !p.name.trim() || p.name.length > 100) return 'Name erforderlich (max. 100 Zeichen)';
+  }
+  if (!partial || has('port_range')) {
+    const v = String(p.port_range || '');
+    const top = v.match(/^top:(\d+)$/);
+    if (top ? (parseInt(top[1]) < 1 || parseInt(top[1]) > 65535) : SETTINGS_VALIDATORS.scan_ports(v)) {
+      return 'Ungültige Ports (z.B. 1-10000, 22,80,443 oder top:100)';
+    }
+  }
+  if (has('timing') && !(Number.isInteger(p.timing) && p.timing >= 0 && p.timing <= 5)) {
+    return 'Timing muss zwischen 0 (T0) und 5 (T5) liegen';
+  }
+  for (const key of ['os_detection', 'deep_probe', 'udp_scan']) {
+    if (has(key) && typeof p[key] !== 'boolean') return `${key} muss true oder false sein`;
+  }
+  if (has('scan_interval') && p.scan_interval !== null &&
+      !(Number.isInteger(p.scan_interval) && p.scan_interval >= 1 && p.scan_interval <= 1440)) {
+    return 'Intervall muss zwischen 1 und 1440 Minuten liegen (oder leer)';
+  }
+  if (has('scan_cron') && p.scan_cron !== null) {
+    if (typeof p.scan_cron !== 'string' || p.scan_cron.length > 100) return 'Ungültiger Cron-Ausdruck';
+    const err = validateOptionalCron(p.scan_cron);
+    if (err) return err;
+  }
+  return null;
+}
+
+/**
+ * Validate a remote agent body. With partial=true only present fields are checked.
+ * Returns an error message or null.
+ */
+function validateAgent(a, partial = false) {
+  const has = (k) => a[k] !== undefined;
+  if (!partial || has('name')) {
+    if (typeof a.name !== 'string' || !a.name.trim() || a.name.length > 100) return 'Name erforderlich (max. 100 Zeichen)';
+  }
+  if (has('site') && a.site !== null && (typeof a.site !== 'string' || a.site.length > 100)) {
+    return 'Standort darf maximal 100 Zeichen haben';
+  }
+  if (!partial || has('networks')) {
+    if (typeof a.networks !== 'string') return 'Mindestens ein Netzwerk erforderlich';
+    const err = SETTINGS_VALIDATORS.scan_network(a.networks);
+    if (err) return err;
+  }
+  if (has('port_range') && SETTINGS_VALIDATORS.scan_ports(String(a.port_range))) {
+    return 'Ungültige Ports (z.B. 1-10000 oder 22,80,443)';
+  }
+  if (has('scan_interval') && !(Number.isInteger(a.scan_interval) && a.scan_interval >= 1 && a.scan_interval <= 1440)) {
+    return 'Intervall muss zwischen 1 und 1440 Minuten liegen';
+  }
+  if (has('enabled') && typeof a.enabled !== 'boolean') return 'enabled muss true oder false sein';
+  return null;
+}
+
+/**
+ * Validate a blackout window body. With partial=true only present fields are checked.
+ * Returns an error message or null.
+ */
+function validateBlackoutWindow(w, partial = false) {
+  const has = (k) => w[k] !== undefined;
+  if (!partial || has('name')) {
+    if (typeof w.name !== 'string' || !w.name.trim() || w.name.length > 100) return 'Name erforderlich (max. 100 Zeichen)';
+  }
+  if (!partial || has('days')) {
+    if (!Array.isArray(w.days) || w.days.length === 0 ||
+        !w.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      return 'Mindestens ein Wochentag erforderlich (0 = Sonntag bis 6 = Samstag)';
+    }
+  }
+  for (const key of ['start_time', 'end_time']) {
+    if ((!partial || has(key)) && !TIME_RE.test(w[key] || '')) return `${key} muss im Format HH:MM sein`;
+  }
+  if (has('start_time') && has('end_time') && w.start_time === w.end_time) {
+    return 'Start- und Endzeit dürfen nicht gleich sein';
+  }
+  if (has('enabled') && typeof w.enabled !== 'boolean') return 'enabled muss true oder false sein';
+  return null;
+}
+
+/**
+ * Validate a service signature body. With partial=true only present fields are checked.
+ * Returns an error message or null.
+ */
+function validateSignature(sig, partial = false) {
+  const has = (k) => sig[k] !== undefined;
+  if (!partial || has('name')) {
+    if (typeof sig.name !== 'string' || !sig.name.trim() || sig.name.length > 255) return 'Name erforderlich (max. 255 Zeichen)';
+  }
+  if (!partial || has('match_type')) {
+    if (!customSignatures.MATCH_TYPES.includes(sig.match_type)) {
+      return `Typ muss einer von ${customSignatures.MATCH_TYPES.join(', ')} sein`;
+    }
+  }
+  if (!partial || has('pattern')) {
+    const error = customSignatures.patternError(sig.pattern);
+    if (error) return error;
+  }
+  if (has('icon') && sig.icon !== null && (typeof sig.icon !== 'string' || sig.icon.length > 30)) return 'Ungültiges Icon';
+  if (has('header_name') && sig.header_name !== null &&
+      (typeof sig.header_name !== 'string' || !/^[A-Za-z0-9-]{0,100}$/.test(sig.header_name))) {
+    return 'Ungültiger Header-Name';
+  }
+  if (sig.match_type === 'endpoint' && (!partial || has('path'))) {
+    if (typeof sig.path !== 'string' || !/^\/\S{0,499}$/.test(sig.path)) return 'Pfad muss mit / beginnen (z.B. /api/version)';
+  }
+  if (has('enabled') && typeof sig.enabled !== 'boolean') return 'enabled muss true oder false sein';
+  return null;
+}
+
 // Dashboard stats
 router.get('/stats', async (req, res) => {
   try {
     const stats = await hostsModel.getStats();
     const latestScan = await scansModel.getLatest();
-    res.json({ ...stats, latestScan, scanning: isScanning() });
+    const blackout = await getActiveBlackout();
+    res.json({ ...stats, latestScan, scanning: isScanning(), blackout });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -98,6 +286,11 @@ router.get('/hosts/:id', async (req, res) => {
     host.classification_reason = classification.reason;
     host.classification_confidence = classification.confidence;
 
+    const exclusions = await loadExclusions();
+    host.scan_excluded = exclusions.isExcluded({
+      ip: host.ip, mac: host.mac_address, addresses: (host.addresses || []).map(a => a.address),
+    });
+
     res.json(host);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -117,6 +310,38 @@ router.delete('/hosts/:id', async (req, res) => {
   }
 });
 
+// Rescan a single host: ping, port discovery and deep probe for its IP.
+// Waits for the result (the diff against the stored services) unless ?wait=0;
+// answers 202 with the job if it is still queued or running after RESCAN_WAIT.
+const RESCAN_WAIT = 120000;
+router.post('/hosts/:id/rescan', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid host ID' });
+    const host = await hostsModel.getById(id);
+    if (!host) return res.status(404).json({ error: 'Host not found' });
+    if (host.agent_id) {
+      return res.status(409).json({ error: `Host wird vom Agent "${host.agent_name}" gescannt` });
+    }
+    const exclusions = await loadExclusions();
+    if (exclusions.isExcluded({ ip: host.ip, mac: host.mac_address, addresses: (host.addresses || []).map(a => a.address) })) {
+      return res.status(409).json({ error: 'Host steht auf der Ausschlussliste' });
+    }
+
+    const { job, duplicate } = await jobQueue.enqueue(
+      'host_rescan', { hostId: id, ip: host.ip }, { priority: jobQueue.PRIORITY.high }
+    );
+    if (req.query.wait === '0') return res.status(202).json({ job, duplicate });
+
+    const done = await jobQueue.waitFor(job.id, RESCAN_WAIT);
+    if (['queued', 'running'].includes(done.status)) return res.status(202).json({ job: done, duplicate });
+    if (done.status === 'error') return res.status(500).json({ error: done.error, job: done });
+    res.json({ job: done, ...done.result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Scan history
 router.get('/scans', async (req, res) => {
   try {
@@ -127,19 +352,185 @@ router.get('/scans', async (req, res) => {
   }
 });
 
-// Trigger manual scan
+// Single scan with its per-host snapshot
+router.get('/scans/:id(\\d+)', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const scan = await scansModel.getById(id);
+    if (!scan) return res.status(404).json({ error: 'Scan not found' });
+    scan.hosts = await scansModel.getHosts(id);
+    res.json(scan);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Compare two scans (a = baseline, b = newer)
+router.get('/scans/:a(\\d+)/diff/:b(\\d+)', async (req, res) => {
+  try {
+    const [scanA, scanB] = await Promise.all([
+      scansModel.getById(parseInt(req.params.a)),
+      scansModel.getById(parseInt(req.params.b)),
+    ]);
+    if (!scanA || !scanB) return res.status(404).json({ error: 'Scan not found' });
+
+    const [hostsA, hostsB] = await Promise.all([
+      scansModel.getHosts(scanA.id),
+      scansModel.getHosts(scanB.id),
+    ]);
+    res.json({ scanA, scanB, ...diffSnapshots(hostsA, hostsB, { beforeNetworks: scanA.scope_networks }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Trigger manual scan (queued behind a running one)
 router.post('/scans/start', async (req, res) => {
-  if (isScanning()) {
-    return res.status(409).json({ error: 'Scan already in progress', scanId: getCurrentScanId() });
+  try {
+    // Manual scans may run during a blackout window - the UI warns beforehand
+    const blackout = await getActiveBlackout();
+    if (blackout) console.log(`[API] Manual scan queued during blackout window "${blackout.name}"`);
+    // forceDeepProbe: probe every service again instead of reusing cached results
+    const params = req.body?.forceDeepProbe === true ? { forceDeepProbe: true } : {};
+    const { job, duplicate } = await jobQueue.enqueue('scan', params);
+    res.json({ message: duplicate ? 'Scan already queued' : 'Scan queued', job, duplicate, blackout });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Import an nmap XML file (raw XML body, ?filename=...&deepProbe=true)
+router.post('/scans/import', express.text({ type: ['application/xml', 'text/xml'], limit: '50mb' }), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.includes('<nmaprun')) {
+      return res.status(400).json({ error: 'Keine nmap-XML-Datei (nmap -oX)' });
+    }
+    const hosts = await parseNmapOutput(req.body);
+    if (hosts.length === 0) {
+      return res.status(400).json({ error: 'Keine erreichbaren Hosts in der Datei gefunden' });
+    }
+    const filename = String(req.query.filename || 'nmap.xml').substring(0, 200);
+    const deepProbe = req.query.deepProbe === 'true';
+    // The parsed hosts are stored with the job, so a queued import survives a restart
+    const { job } = await jobQueue.enqueue('import', { hosts, filename, deepProbe, hostCount: hosts.length });
+    res.json({ message: 'Import queued', hosts: hosts.length, job });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Job queue: running, queued (in run order) and finished jobs
+router.get('/jobs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json(await jobQueue.getQueue(limit));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Single job; a running job carries its current step
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid job ID' });
+    const job = await jobQueue.getJob(id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change the priority of a queued job
+router.put('/jobs/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid job ID' });
+    const { priority } = req.body || {};
+    if (!Number.isInteger(priority) || priority < 0 || priority > 10) {
+      return res.status(400).json({ error: 'Priorität muss zwischen 0 und 10 liegen' });
+    }
+    const job = await jobsModel.setPriority(id, priority);
+    if (!job) return res.status(404).json({ error: 'Queued job not found' });
+    res.json(job);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Move a queued job before/after its neighbour of the same priority
+router.post('/jobs/:id/move', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid job ID' });
+    const { direction } = req.body || {};
+    if (direction !== 'up' && direction !== 'down') {
+      return res.status(400).json({ error: 'direction must be up or down' });
+    }
+    if (!(await jobsModel.move(id, direction))) {
+      return res.status(409).json({ error: 'Job kann nicht weiter verschoben werden' });
+    }
+    res.json(await jobQueue.getQueue());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Drop a queued job
+router.delete('/jobs/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid job ID' });
+    if (!(await jobsModel.drop(id))) {
+      return res.status(404).json({ error: 'Queued job not found' });
+    }
+    res.json({ message: 'Job dropped' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Live scan progress (Server-Sent Events)
+router.get('/scans/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  send({ type: 'state', ...scanProgress.getState() });
+  const unsubscribe = scanProgress.subscribe(send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Cancel a running scan
+router.post('/scans/:id/cancel', (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid scan ID' });
+  if (!cancelScan(id)) {
+    return res.status(409).json({ error: 'Scan läuft nicht', scanId: getCurrentScanId() });
   }
-  // Start scan async
-  res.json({ message: 'Scan started', scanning: true });
-  runScan().catch(err => console.error('[API] Manual scan error:', err.message));
+  res.json({ message: 'Scan wird abgebrochen', scanId: id });
 });
 
 // Scan status
-router.get('/scans/status', (req, res) => {
-  res.json({ scanning: isScanning(), scanId: getCurrentScanId() });
+router.get('/scans/status', async (req, res) => {
+  try {
+    const blackout = await getActiveBlackout();
+    const queued = await jobsModel.getQueued();
+    res.json({ scanning: isScanning(), scanId: getCurrentScanId(), blackout, queued: queued.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Settings
@@ -171,8 +562,10 @@ router.put('/settings', async (req, res) => {
     for (const [key, value] of Object.entries(settings)) {
       await settingsModel.set(key, String(value));
     }
+    if (settings.hostname_priority !== undefined) await hostNamesModel.resolve();
     // Re-schedule if interval/network changed
     await scheduleFromSettings();
+    await scheduleProfiles();
     await scheduleDeepDiscovery();
     const updated = await settingsModel.getAll();
     res.json(updated);
@@ -181,6 +574,639 @@ router.put('/settings', async (req, res) => {
   }
 });
 
+// Active schedules and their next run times
+router.get('/schedules', (req, res) => {
+  res.json(getNextRuns());
+});
+
+// Next run times for a cron expression or interval before it is saved
+router.get('/schedules/preview', (req, res) => {
+  const cronExpression = String(req.query.cron || '');
+  const interval = parseInt(req.query.interval);
+  if (!cronExpression.trim() && !(interval >= 1 && interval <= 1440)) {
+    return res.status(400).json({ error: 'Cron-Ausdruck oder Intervall (1-1440 Minuten) erforderlich' });
+  }
+  const error = validateOptionalCron(cronExpression);
+  if (error) return res.status(400).json({ error });
+  const schedule = resolveSchedule(cronExpression, interval);
+  res.json({ schedule: schedule.label, next: nextRuns(schedule, Math.min(parseInt(req.query.count) || 5, 20)) });
+});
+
+// Scan profiles
+router.get('/scan-profiles', async (req, res) => {
+  try {
+    res.json(await scanProfilesModel.getAll());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/scan-profiles', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const error = validateScanProfile(body);
+    if (error) return res.status(400).json({ error });
+    const profile = await scanProfilesModel.create({
+      ...body,
+      name: body.name.trim(),
+      timing: body.timing ?? 4,
+      os_detection: body.os_detection ?? true,
+      deep_probe: body.deep_probe ?? true,
+      udp_scan: body.udp_scan ?? true,
+    });
+    await scheduleProfiles();
+    res.status(201).json(profile);
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'Profilname existiert bereits' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put('/scan-profiles/assignments', async (req, res) => {
+  try {
+    const { assignments } = req.body || {};
+    if (!assignments || typeof assignments !== 'object') {
+      return res.status(400).json({ error: 'Invalid assignments format' });
+    }
+    for (const [network, profileId] of Object.entries(assignments)) {
+      const err = SETTINGS_VALIDATORS.scan_network(network);
+      if (err) return res.status(400).json({ error: err });
+      if (profileId !== null && !(await scanProfilesModel.getById(parseInt(profileId)))) {
+        return res.status(400).json({ error: `Profil ${profileId} nicht gefunden` });
+      }
+    }
+    for (const [network, profileId] of Object.entries(assignments)) {
+      await scanProfilesModel.setNetworkProfile(network, profileId === null ? null : parseInt(profileId));
+    }
+    await scheduleProfiles();
+    res.json(await scanProfilesModel.getAll());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put('/scan-profiles/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid profile ID' });
+    const body = req.body || {};
+    const error = validateScanProfile(body, true);
+    if (error) return res.status(400).json({ error });
+    const profile = await scanProfilesModel.update(id, { ...body, name: body.name?.trim() });
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
+    await scheduleProfiles();
+    res.json(profile);
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'Profilname existiert bereits' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/scan-profiles/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid profile ID' });
+    const deleted = await scanProfilesModel.deleteById(id);
+    if (!deleted) return res.status(404).json({ error: 'Profile not found' });
+    await scheduleProfiles();
+    res.json({ message: 'Profile deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Blackout windows
+router.get('/blackout-windows', async (req, res) => {
+  try {
+    const [windows, active] = await Promise.all([blackoutModel.getAll(), getActiveBlackout()]);
+    res.json({ windows, active });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/blackout-windows', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const error = validateBlackoutWindow(body);
+    if (error) return res.status(400).json({ error });
+    const window = await blackoutModel.create({
+      ...body,
+      name: body.name.trim(),
+      days: [...new Set(body.days)].sort(),
+    });
+    res.status(201).json(window);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put('/blackout-windows/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid blackout window ID' });
+    const body = req.body || {};
+    const error = validateBlackoutWindow(body, true);
+    if (error) return res.status(400).json({ error });
+    const window = await blackoutModel.update(id, {
+      ...body,
+      name: body.name?.trim(),
+      days: body.days ? [...new Set(body.days)].sort() : undefined,
+    });
+    if (!window) return res.status(404).json({ error: 'Blackout window not found' });
+    res.json(window);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/blackout-windows/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid blackout window ID' });
+    const deleted = await blackoutModel.deleteById(id);
+    if (!deleted) return res.status(404).json({ error: 'Blackout window not found' });
+    res.json({ message: 'Blackout window deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Scan exclusions (global when network is empty)
+router.get('/exclusions', async (req, res) => {
+  try {
+    res.json(await exclusionsModel.getAll());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/exclusions', async (req, res) => {
+  try {
+    const { network = '', entry, note } = req.body || {};
+    if (typeof entry !== 'string' || !entryType(entry)) {
+      return res.status(400).json({ error: 'Ungültiger Eintrag (IP, CIDR oder MAC-Adresse, z.B. 192.168.1.50, 10.0.5.0/28 oder 00:11:22:33:44:55)' });
+    }
+    if (typeof network !== 'string') return res.status(400).json({ error: 'Invalid network' });
+    if (network) {
+      const err = SETTINGS_VALIDATORS.scan_network(network);
+      if (err) return res.status(400).json({ error: err });
+    }
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 200)) {
+      return res.status(400).json({ error: 'Notiz darf maximal 200 Zeichen haben' });
+    }
+    const exclusion = await exclusionsModel.create({ network: network.trim(), entry: entry.trim(), note: note?.trim() });
+    res.status(201).json(exclusion);
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'Eintrag existiert bereits' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/exclusions/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid exclusion ID' });
+    const deleted = await exclusionsModel.deleteById(id);
+    if (!deleted) return res.status(404).json({ error: 'Exclusion not found' });
+    res.json({ message: 'Exclusion deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remote scan agents
+router.get('/agents', async (req, res) => {
+  try {
+    res.json(await agentsModel.getAll());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/agents', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const error = validateAgent(body);
+    if (error) return res.status(400).json({ error });
+    // The plain token is only returned once, on creation
+    const { agent, token } = await agentsModel.create({
+      ...body,
+      name: body.name.trim(),
+      site: body.site?.trim() || null,
+    });
+    res.status(201).json({ ...agent, token });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'Agent-Name existiert bereits' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put('/agents/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid agent ID' });
+    const body = req.body || {};
+    const error = validateAgent(body, true);
+    if (error) return res.status(400).json({ error });
+    const agent = await agentsModel.update(id, {
+      ...body,
+      name: body.name?.trim(),
+      site: typeof body.site === 'string' ? body.site.trim() : undefined,
+    });
+    if (!agent) return res.status(404).json({ error: 'Agent not found' });
+    res.json(agent);
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'Agent-Name existiert bereits' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/agents/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid agent ID' });
+    const deleted = await agentsModel.deleteById(id);
+    if (!deleted) return res.status(404).json({ error: 'Agent not found' });
+    res.json({ message: 'Agent deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/agents/:id/token', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid agent ID' });
+    const token = await agentsModel.rotateToken(id);
+    if (!token) return res.status(404).json({ error: 'Agent not found' });
+    res.json({ token });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Ask the agent to scan on its next poll
+router.post('/agents/:id/scan', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid agent ID' });
+    const requested = await agentsModel.requestScan(id);
+    if (!requested) return res.status(404).json({ error: 'Agent not found' });
+    res.json({ message: 'Scan requested' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Vulnerabilities: feed state, vulnerable services per severity, top services
+router.get('/vulnerabilities/summary', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    res.json(await vulnsModel.getSummary(limit));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/vulnerabilities/feeds', async (req, res) => {
+  try {
+    res.json(await vulnsModel.getFeeds());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Import a local NVD JSON (1.1/2.0) or OSV feed file as application/octet-stream
+// (optionally gzip/zip), ?filename=...
+// The file is parsed, imported and matched against all services by a
+// vuln_import job; returns the queued job.
+router.post('/vulnerabilities/import', async (req, res) => {
+  try {
+    let file;
+    try {
+      file = await vulnImport.storeUpload(req);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      throw err;
+    }
+    const filename = String(req.query.filename || 'feed.json').substring(0, 200);
+    const { job } = await jobQueue.enqueue('vuln_import', { file, filename });
+    res.json({ message: 'Import queued', job });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove the imported feed and all findings
+router.delete('/vulnerabilities', async (req, res) => {
+  try {
+    await vulnsModel.clearAll();
+    res.json({ message: 'Vulnerability data deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// MAC vendor database: bundled list plus imported registry files
+router.get('/oui', async (req, res) => {
+  try {
+    res.json({ ...oui.getStats(), imports: await ouiVendorsModel.getImports() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Import an IEEE registry CSV (oui.csv, mam.csv, oui36.csv), nmap-mac-prefixes
+// or Wireshark manuf file as application/octet-stream, ?filename=...
+// Hosts without a vendor are filled in afterwards.
+router.post('/oui/import', express.raw({ type: () => true, limit: '50mb' }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Keine Datei übermittelt' });
+    }
+    const entries = oui.parseOuiFile(req.body.toString('utf8'));
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'Keine Herstellereinträge in der Datei gefunden' });
+    }
+    const filename = String(req.query.filename || 'oui.csv').substring(0, 200);
+    const imported = await ouiVendorsModel.importEntries(filename, entries);
+    await oui.load();
+    const hosts = await hostsModel.fillVendors();
+    console.log(`[OUI] Imported ${imported} prefixes from ${filename}, ${hosts} hosts got a vendor`);
+    res.json({ entries: imported, hosts });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove imported entries, back to the bundled list
+router.delete('/oui', async (req, res) => {
+  try {
+    await ouiVendorsModel.clearAll();
+    await oui.load();
+    res.json({ message: 'Imported vendor data deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Services grouped by favicon hash; known is the signature pack name of a known icon
+router.get('/favicons', async (req, res) => {
+  try {
+    const groups = await faviconsModel.getGroups();
+    res.json(groups.map(g => {
+      const sig = g.name ? null : favicon.match({ mmh3: Number(g.mmh3), md5: g.md5 });
+      return { ...g, known: sig ? sig.name : null };
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Name a favicon: all services showing it are renamed, future scans match it
+router.put('/favicons/:mmh3', async (req, res) => {
+  try {
+    const mmh3 = Number(req.params.mmh3);
+    if (!Number.isInteger(mmh3) || mmh3 < -2147483648 || mmh3 > 2147483647) {
+      return res.status(400).json({ error: 'Invalid favicon hash' });
+    }
+    const { name, icon, md5 } = req.body || {};
+    if (typeof name !== 'string' || !name.trim() || name.length > 255) {
+      return res.status(400).json({ error: 'Name erforderlich (max. 255 Zeichen)' });
+    }
+    if (icon !== undefined && icon !== null && (typeof icon !== 'string' || icon.length > 30)) {
+      return res.status(400).json({ error: 'Ungültiges Icon' });
+    }
+    if (md5 !== undefined && md5 !== null && !/^[0-9a-f]{32}$/i.test(String(md5))) {
+      return res.status(400).json({ error: 'Ungültiger MD5-Hash' });
+    }
+    const services = await faviconsModel.setName(mmh3, {
+      name: name.trim(), icon: icon || null, md5: md5 ? md5.toLowerCase() : null,
+    });
+    await favicon.load();
+    await invalidateProbeCache();
+    res.json({ services });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/favicons/:mmh3', async (req, res) => {
+  try {
+    const mmh3 = Number(req.params.mmh3);
+    if (!Number.isInteger(mmh3)) return res.status(400).json({ error: 'Invalid favicon hash' });
+    if (!(await faviconsModel.remove(mmh3))) return res.status(404).json({ error: 'Favicon name not found' });
+    await favicon.load();
+    await invalidateProbeCache();
+    res.json({ message: 'Favicon name deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Cached probe results keep the identification they were stored with, so they
+ * are dropped whenever signatures or favicon names change (non-fatal)
+ */
+async function invalidateProbeCache() {
+  try {
+    await probeCacheModel.clear();
+  } catch (err) {
+    console.error(`[API] Probe cache clear error (non-fatal): ${err.message}`);
+  }
+}
+
+// Drop all cached probe results: the next scan probes every service again
+router.delete('/probe-cache', async (req, res) => {
+  try {
+    const deleted = await probeCacheModel.clear();
+    res.json({ message: 'Probe cache cleared', deleted });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Signature packs: bundled plus SIGNATURE_PACKS_DIR, with per-pack load errors
+router.get('/signature-packs', (req, res) => {
+  res.json(signaturePacks.getPacks());
+});
+
+// Re-read the pack files, e.g. after adding a pack
+router.post('/signature-packs/reload', async (req, res) => {
+  try {
+    signaturePacks.load();
+    await invalidateProbeCache();
+    res.json(signaturePacks.getPacks());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// User-defined service signatures, checked before the built-in ones
+router.get('/signatures', async (req, res) => {
+  try {
+    res.json(await serviceSignaturesModel.getAll());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/signatures', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const error = validateSignature(body);
+    if (error) return res.status(400).json({ error });
+    const sig = await serviceSignaturesModel.create({ ...body, name: body.name.trim() });
+    await customSignatures.load();
+    await invalidateProbeCache();
+    res.status(201).json(sig);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put('/signatures/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid signature ID' });
+    const body = req.body || {};
+    const existing = await serviceSignaturesModel.getById(id);
+    if (!existing) return res.status(404).json({ error: 'Signature not found' });
+    // The changed fields, then the rule they produce (e.g. endpoint without path)
+    const error = validateSignature(body, true) || validateSignature({ ...existing, ...body });
+    if (error) return res.status(400).json({ error });
+    const sig = await serviceSignaturesModel.update(id, { ...body, name: body.name?.trim() });
+    if (!sig) return res.status(404).json({ error: 'Signature not found' });
+    await customSignatures.load();
+    await invalidateProbeCache();
+    res.json(sig);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/signatures/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid signature ID' });
+    const deleted = await serviceSignaturesModel.deleteById(id);
+    if (!deleted) return res.status(404).json({ error: 'Signature not found' });
+    await customSignatures.load();
+    await invalidateProbeCache();
+    res.json({ message: 'Signature deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Probe host:port and report how it would be identified. An optional unsaved
+// signature (with id: replaces the stored one) is tested along with the rules.
+router.post('/signatures/test', async (req, res) => {
+  try {
+    const { target, signature } = req.body || {};
+    const m = typeof target === 'string' && target.trim().match(/^(?:\[([0-9a-fA-F:.]+)\]|([A-Za-z0-9.-]+)):(\d{1,5})$/);
+    const port = m ? parseInt(m[3]) : 0;
+    if (!m || port < 1 || port > 65535) {
+      return res.status(400).json({ error: 'Ziel im Format host:port angeben (IPv6 als [::1]:8080)' });
+    }
+
+    let signatures;
+    if (signature) {
+      const error = validateSignature(signature);
+      if (error) return res.status(400).json({ error });
+      const draft = customSignatures.compile({ ...signature, id: signature.id ?? 0 });
+      const rules = customSignatures.getRules();
+      signatures = rules.some(r => r.id === draft.id)
+        ? rules.map(r => (r.id === draft.id ? draft : r))
+        : [...rules, draft];
+    }
+
+    const result = await identifyService(m[1] || m[2], port, {}, { signatures });
+    const sig = result.extraInfo.matchSource === 'custom'
+      ? (signatures || customSignatures.getRules()).find(r => r.id === result.extraInfo.signatureId)
+      : null;
+    res.json({
+      identified_as: result.identifiedAs,
+      match_source: result.extraInfo.matchSource,
+      signature: sig ? { id: sig.id, name: sig.name, match_type: sig.match_type } : null,
+      http_title: result.httpTitle,
+      http_server: result.httpServer,
+      banner: result.banner,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/hosts/:id/vulnerabilities', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid host ID' });
+    res.json(await vulnsModel.getHostFindings(id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Certificate inventory: leaf certificates in use, soonest expiry first
+router.get('/certificates', async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : null;
+    if (days !== null && (isNaN(days) || days < 0 || days > 3650)) {
+      return res.status(400).json({ error: 'days muss zwischen 0 und 3650 liegen' });
+    }
+    res.json(await certificatesModel.getInventory({ days }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Certificates presented by more than one host
+router.get('/certificates/duplicates', async (req, res) => {
+  try {
+    res.json(await certificatesModel.getDuplicates());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/hosts/:id/certificates', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid host ID' });
+    res.json(await certificatesModel.getByHost(id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// SSH host keys of a host: current keys and replaced ones
+router.get('/hosts/:id/ssh-keys', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid host ID' });
+    res.json(await sshHostKeysModel.getByHost(id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Events, newest first; ?type= matches a prefix (e.g. cert_)
+router.get('/events', async (req, res) => {
+  try {
+    const hostId = req.query.host_id !== undefined ? parseInt(req.query.host_id) : null;
+    if (Number.isNaN(hostId)) return res.status(400).json({ error: 'Invalid host ID' });
+    res.json(await eventsModel.getRecent({
+      type: req.query.type ? String(req.query.type).substring(0, 50) : null,
+      hostId,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Availability timeline
 router.get('/availability', async (req, res) => {
   try {
@@ -216,6 +1242,26 @@ router.get('/device-types', (req, res) => {
   res.json(DEVICE_TYPES);
 });
 
+// User-defined display name; null or '' removes it
+router.put('/hosts/:id/name', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid host ID' });
+    const { friendly_name } = req.body;
+    if (friendly_name != null && typeof friendly_name !== 'string') {
+      return res.status(400).json({ error: 'friendly_name muss ein Text sein' });
+    }
+    const name = friendly_name?.trim() || null;
+    if (name && name.length > 255) return res.status(400).json({ error: 'Maximal 255 Zeichen' });
+    if (!await hostNamesModel.setFriendlyName(id, name)) {
+      return res.status(404).json({ error: 'Host not found' });
+    }
+    res.json(await hostsModel.getById(id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Classify a host (set device type and/or parent)
 router.put('/hosts/:id/classify', async (req, res) => {
   try {
@@ -251,14 +1297,9 @@ router.put('/hosts/:id/classify', async (req, res) => {
 
 // Manual deep discovery trigger
 router.post('/discovery/run', async (req, res) => {
-  if (isDiscoveryRunning()) {
-    return res.status(409).json({ error: 'Deep Discovery läuft bereits' });
-  }
   try {
-    res.json({ message: 'Deep Discovery gestartet' });
-    runDeepDiscoveryStandalone()
-      .then(r => console.log(`[API] Deep Discovery fertig: ${r.applied} Zuordnungen`))
-      .catch(err => console.error('[API] Deep Discovery Fehler:', err.message));
+    const { job, duplicate } = await jobQueue.enqueue('discovery');
+    res.json({ message: duplicate ? 'Deep Discovery bereits eingereiht' : 'Deep Discovery eingereiht', job, duplicate });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -332,14 +1373,8 @@ router.put('/hosts/:id/fritzbox', async (req, res) => {
     // If credentials were set, trigger deep discovery to discover WLAN devices immediately
     if (fritzbox_host && fritzbox_username && fritzbox_password) {
       try {
-        console.log(`[API] Triggering Deep Discovery for FritzBox (host ${id})...`);
-        const { runDeepDiscoveryStandalone } = require('../services/scanner');
-        // Run in background, don't wait
-        setImmediate(() => {
-          runDeepDiscoveryStandalone().catch(err => 
-            console.error('[API] Deep Discovery failed:', err.message)
-          );
-        });
+        console.log(`[API] Queueing Deep Discovery for FritzBox (host ${id})...`);
+        await jobQueue.enqueue('discovery', {}, { priority: jobQueue.PRIORITY.high });
       } catch (err) {
         console.error('[API] Could not trigger Deep Discovery:', err.message);
       }
@@ -479,6 +1514,7 @@ router.get('/debug/host/:ip', async (req, res) => {
              CASE WHEN proxmox_api_token_secret IS NOT NULL THEN CONCAT('SET (', LENGTH(proxmox_api_token_secret), ' chars)') ELSE 'NULL' END as token_secret
       FROM hosts 
       WHERE host(ip_address) = $1
+      ORDER BY ip_released
     `, [req.params.ip]);
     res.json({ found: result.rows.length > 0, host: result.rows[0] || null });
   } catch (err) {
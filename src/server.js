@@ -3,17 +3,27 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const apiRoutes = require('./routes/api');
+const agentRoutes = require('./routes/agent');
 const scheduler = require('./services/scheduler');
+const jobQueue = require('./services/jobQueue');
 const scansModel = require('./models/scans');
+const hostsModel = require('./models/hosts');
+const oui = require('./services/oui');
+const favicon = require('./services/favicon');
+const customSignatures = require('./services/customSignatures');
+const signaturePacks = require('./services/signaturePacks');
 const pool = require('./db/pool');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(cors());
+// Agent result uploads can contain whole networks
+app.use('/api/agent', express.json({ limit: '20mb' }));
 app.use(express.json({ limit: '100kb' }));
 
 // API routes
+app.use('/api/agent', agentRoutes);
 app.use('/api', apiRoutes);
 
 // API 404 handler (before SPA catch-all)
@@ -30,21 +40,51 @@ app.get('*', (req, res) => {
 const server = app.listen(PORT, '0.0.0.0', async () => {
   console.log(`NetCatalog server running on port ${PORT}`);
 
-  // Cleanup stale running scans from previous crashes
+  // Close scan records left running by a crash - their jobs are requeued below
   const cleaned = await scansModel.cleanupStale();
   if (cleaned > 0) {
     console.log(`[Startup] Cleaned up ${cleaned} stale running scan(s)`);
   }
 
+  // MAC vendor list: bundled entries plus imported registry files
+  try {
+    await oui.load();
+    const filled = await hostsModel.fillVendors();
+    if (filled > 0) console.log(`[Startup] Vendor of ${filled} host(s) filled in from the OUI list`);
+  } catch (err) {
+    console.error(`[Startup] OUI list not loaded: ${err.message}`);
+  }
+
+  // Built-in and private fingerprints
+  signaturePacks.load();
+
+  // Favicon names given in the UI, on top of the signature packs
+  try {
+    await favicon.load();
+  } catch (err) {
+    console.error(`[Startup] Favicon signatures not loaded: ${err.message}`);
+  }
+
+  // User-defined service signatures
+  try {
+    const count = await customSignatures.load();
+    if (count > 0) console.log(`[Startup] ${count} custom service signature(s) loaded`);
+  } catch (err) {
+    console.error(`[Startup] Custom service signatures not loaded: ${err.message}`);
+  }
+
   // Start scheduler
   await scheduler.start();
   console.log('Scheduler initialized');
+
+  await jobQueue.start();
 });
 
 // Graceful shutdown
 function shutdown(signal) {
   console.log(`[Shutdown] ${signal} received, shutting down gracefully...`);
   scheduler.stop();
+  jobQueue.stop();
   server.close(() => {
     pool.end().then(() => {
       console.log('[Shutdown] Complete');
@@ -0,0 +1,232 @@
+/**
+ * Remote agent result ingest
+ *
+ * Agents run Phase 0-2 locally (see src/agent.js) and push the identified
+ * hosts and services here. They are stored through the same upsert path as
+ * local scans, tagged with the agent and its site.
+ */
+
+const hostsModel = require('../models/hosts');
+const servicesModel = require('../models/services');
+const scansModel = require('../models/scans');
+const availabilityModel = require('../models/availability');
+const agentsModel = require('../models/agents');
+const { ipFamily, ipInCidr } = require('./ipUtils');
+const { loadExclusions } = require('./exclusions');
+const vulnMatcher = require('./vulnMatcher');
+const certificatesModel = require('../models/certificates');
+const { recordHostKeys } = require('./hostKeyMonitor');
+const hostNamesModel = require('../models/hostNames');
+const { certificateHostname } = require('./certificateInfo');
+const { markSharedMacs } = require('./macUtils');
+
+const MAX_HOSTS = 10000;
+const MAX_CHAIN = 10;
+const MAX_HOST_KEYS = 10;
+
+// Remove null bytes that break PostgreSQL
+const sanitize = (s) => (typeof s === 'string' ? s.replace(/\x00/g, '') : null);
+
+/**
+ * Validate an agent result payload. Returns an error message or null.
+ */
+function validatePayload(payload) {
+  if (!payload || typeof payload !== 'object') return 'Invalid payload';
+  if (!Array.isArray(payload.hosts)) return 'hosts must be an array';
+  if (payload.hosts.length > MAX_HOSTS) return `Too many hosts (max ${MAX_HOSTS})`;
+  for (const h of payload.hosts) {
+    if (!h || !ipFamily(h.ip)) return `Invalid host IP: ${h?.ip}`;
+    if (h.ports !== undefined && !Array.isArray(h.ports)) return `ports of ${h.ip} must be an array`;
+    for (const p of h.ports || []) {
+      if (!p || typeof p !== 'object') return `Invalid port entry on ${h.ip}`;
+      if (!Number.isInteger(p.port) || p.port < 1 || p.port > 65535) return `Invalid port on ${h.ip}: ${p.port}`;
+      if (p.protocol !== 'tcp' && p.protocol !== 'udp') return `Invalid protocol on ${h.ip}:${p.port}`;
+      if (p.tlsChain != null && (!Array.isArray(p.tlsChain) || p.tlsChain.length > MAX_CHAIN ||
+          !p.tlsChain.every(c => /^[0-9a-f]{64}$/.test(c?.fingerprint)))) {
+        return `Invalid tlsChain on ${h.ip}:${p.port}`;
+      }
+      if (p.sshHostKeys != null && (!Array.isArray(p.sshHostKeys) || p.sshHostKeys.length > MAX_HOST_KEYS ||
+          !p.sshHostKeys.every(k => typeof k?.algorithm === 'string' && k.algorithm.length <= 50 &&
+            /^SHA256:[A-Za-z0-9+/]{43}$/.test(k.fingerprint)))) {
+        return `Invalid sshHostKeys on ${h.ip}:${p.port}`;
+      }
+    }
+  }
+  return null;
+}
+
+const dateOrNull = (d) => (typeof d === 'string' && !isNaN(Date.parse(d)) ? d : null);
+
+/**
+ * Agent-supplied chain entry -> certificateInfo record with known types only
+ */
+function sanitizeCertificate(c) {
+  return {
+    fingerprint: c.fingerprint,
+    subject: sanitize(c.subject),
+    commonName: sanitize(c.commonName),
+    sans: Array.isArray(c.sans) ? c.sans.map(sanitize).filter(Boolean).slice(0, 500) : [],
+    issuer: sanitize(c.issuer),
+    serial: sanitize(c.serial),
+    keyType: sanitize(c.keyType)?.substring(0, 20) || null,
+    keyBits: Number.isInteger(c.keyBits) ? c.keyBits : null,
+    signatureAlgorithm: sanitize(c.signatureAlgorithm)?.substring(0, 50) || null,
+    notBefore: dateOrNull(c.notBefore),
+    notAfter: dateOrNull(c.notAfter),
+    selfSigned: c.selfSigned === true,
+    isCa: c.isCa === true,
+  };
+}
+
+async function ingestResults(agent, payload) {
+  const networks = agent.networks.split(',').map(s => s.trim()).filter(Boolean);
+  const label = `[${agent.site || agent.name}] ${networks.join(', ')}`;
+  const startedAt = payload.startedAt && !isNaN(Date.parse(payload.startedAt)) ? new Date(payload.startedAt) : null;
+  const scanRecord = await scansModel.create(label.substring(0, 500), { agentId: agent.id, startedAt, networks });
+  console.log(`[Agent] Scan #${scanRecord.id} received from agent "${agent.name}": ${payload.hosts.length} hosts`);
+
+  try {
+    if (payload.error) {
+      await scansModel.finish(scanRecord.id, 0, 0, `Agent: ${String(payload.error).substring(0, 500)}`);
+      await agentsModel.markScanned(agent.id);
+      return { scanId: scanRecord.id, hosts: 0, services: 0 };
+    }
+
+    const snapshot = [];
+    const seenIds = new Set();
+    let totalServices = 0;
+
+    // An agent only reports on its own networks - anything else is dropped
+    const hosts = payload.hosts.filter(h => networks.some(n => ipInCidr(h.ip, n)));
+    if (hosts.length < payload.hosts.length) {
+      console.warn(`[Agent] Dropped ${payload.hosts.length - hosts.length} host(s) from agent "${agent.name}" outside its networks`);
+    }
+
+    const sharedMacIps = new Set(
+      markSharedMacs(hosts.map(h => ({ ip: h.ip, mac: h.mac }))).filter(h => h.macShared).map(h => h.ip)
+    );
+
+    for (const host of hosts) {
+      const hostId = await hostsModel.upsert({
+        ip: host.ip,
+        hostname: sanitize(host.hostname),
+        mac: sanitize(host.mac),
+        macShared: sharedMacIps.has(host.ip),
+        vendor: sanitize(host.vendor),
+        os: sanitize(host.os),
+        status: 'up',
+      });
+      await hostsModel.setAgent(hostId, agent.id, agent.site);
+      seenIds.add(hostId);
+
+      const active = { tcp: [], udp: [] };
+      const observedPorts = [];
+      for (const p of host.ports || []) {
+        await servicesModel.upsert({
+          hostId,
+          port: p.port,
+          protocol: p.protocol,
+          state: 'open',
+          name: sanitize(p.name),
+          product: sanitize(p.product),
+          version: sanitize(p.version),
+          info: sanitize(p.info),
+          banner: sanitize(p.banner),
+          httpTitle: sanitize(p.httpTitle),
+          httpServer: sanitize(p.httpServer),
+          identifiedAs: sanitize(p.identifiedAs),
+          extraInfo: { ...(p.extraInfo || {}), agent: agent.name },
+        });
+        if (p.tlsChain?.length) {
+          await certificatesModel.recordChain(hostId, p.port, p.protocol, p.tlsChain.map(sanitizeCertificate));
+        }
+        if (p.sshHostKeys?.length) {
+          await recordHostKeys(hostId, host.ip, p.port, p.sshHostKeys.map(k => ({
+            algorithm: k.algorithm,
+            fingerprint: k.fingerprint,
+            bits: Number.isInteger(k.bits) ? k.bits : null,
+            publicKey: typeof k.publicKey === 'string' && /^[A-Za-z0-9+/]+=*$/.test(k.publicKey) ? k.publicKey : null,
+          })));
+        }
+        active[p.protocol].push(p.port);
+        observedPorts.push({
+          port: p.port,
+          protocol: p.protocol,
+          name: sanitize(p.name),
+          product: sanitize(p.product),
+          version: sanitize(p.version),
+          identified_as: sanitize(p.identifiedAs),
+          match_source: p.extraInfo?.matchSource || null,
+        });
+        totalServices++;
+      }
+
+      // Same rule as local scans: 0 ports likely means nmap missed them
+      if (active.tcp.length > 0) await servicesModel.markClosed(hostId, active.tcp, 'tcp');
+      if (active.udp.length > 0) await servicesModel.markClosed(hostId, active.udp, 'udp');
+      if (host.netbiosName) await hostNamesModel.record(hostId, 'netbios', sanitize(host.netbiosName));
+      const leaf = (host.ports || []).find(p => p.tlsChain?.length)?.tlsChain[0];
+      const certName = leaf && certificateHostname(sanitizeCertificate(leaf));
+      if (certName) await hostNamesModel.record(hostId, 'certificate', certName);
+      try {
+        await vulnMatcher.matchHost(hostId);
+      } catch (err) {
+        console.error(`[Agent] Vulnerability matching error for ${host.ip} (non-fatal): ${err.message}`);
+      }
+
+      snapshot.push({
+        hostId, ip: host.ip, mac: sanitize(host.mac), hostname: sanitize(host.hostname),
+        status: 'up', ports: observedPorts,
+      });
+    }
+
+    // Hosts of this agent's networks that were not reported are down
+    // (excluded hosts were not scanned, so they keep their state)
+    const exclusions = await loadExclusions();
+    const agentHosts = (await hostsModel.getIdsByAgent(agent.id))
+      .filter(h => networks.some(n => ipInCidr(h.ip, n)) && !exclusions.isExcluded({ ip: h.ip }));
+    const missing = agentHosts.filter(h => !seenIds.has(h.id));
+    if (missing.length > 0) {
+      await hostsModel.markDownGraceful(missing.map(h => h.id));
+    }
+    for (const h of missing) {
+      snapshot.push({ hostId: h.id, ip: h.ip, status: 'down', ports: null });
+    }
+
+    try {
+      await availabilityModel.recordBatch(
+        agentHosts.map(h => ({ hostId: h.id, status: seenIds.has(h.id) ? 'up' : 'down' })),
+        new Date()
+      );
+    } catch (err) {
+      console.error(`[Agent] Availability recording error (non-fatal): ${err.message}`);
+    }
+
+    try {
+      await scansModel.recordHosts(scanRecord.id, snapshot);
+    } catch (err) {
+      console.error(`[Agent] Snapshot recording error (non-fatal): ${err.message}`);
+    }
+
+    await scansModel.finish(scanRecord.id, seenIds.size, totalServices, null);
+    await agentsModel.markScanned(agent.id);
+    console.log(`[Agent] Scan #${scanRecord.id} stored: ${seenIds.size} hosts, ${totalServices} services`);
+
+    return { scanId: scanRecord.id, hosts: seenIds.size, services: totalServices };
+  } catch (err) {
+    console.error(`[Agent] Scan #${scanRecord.id} from agent "${agent.name}" failed: ${err.message}`);
+    await scansModel.finish(scanRecord.id, 0, 0, err.message);
+    throw err;
+  }
+}
+
+/**
+ * Whether the central schedule wants the agent to scan now
+ */
+function isScanDue(agent) {
+  if (!agent.enabled || !agent.networks.trim()) return false;
+  if (agent.scan_requested || !agent.last_scan_at) return true;
+  return Date.now() - new Date(agent.last_scan_at).getTime() >= agent.scan_interval * 60000;
+}
+
+module.exports = { validatePayload, ingestResults, isScanDue };
@@ -0,0 +1,60 @@
+/**
+ * Blackout windows
+ *
+ * Recurring weekday/time ranges (server local time) in which scheduled scans
+ * and Deep Discovery must not start. A running scan that reaches a window is
+ * paused or cancelled according to the blackout_policy setting.
+ */
+
+const blackoutModel = require('../models/blackoutWindows');
+const settingsModel = require('../models/settings');
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Window active at the given time or null.
+ * A window with end_time <= start_time runs past midnight; its days are the start days.
+ */
+function findActiveWindow(windows, date = new Date()) {
+  const day = date.getDay();
+  const previousDay = (day + 6) % 7;
+  const now = date.getHours() * 60 + date.getMinutes();
+
+  return windows.find((w) => {
+    if (!w.enabled) return false;
+    const start = toMinutes(w.start_time);
+    const end = toMinutes(w.end_time);
+    if (start < end) return w.days.includes(day) && now >= start && now < end;
+    return (w.days.includes(day) && now >= start) || (w.days.includes(previousDay) && now < end);
+  }) || null;
+}
+
+/**
+ * End of the active window occurrence as a Date
+ */
+function windowEnd(window, date = new Date()) {
+  const end = new Date(date);
+  const minutes = toMinutes(window.end_time);
+  end.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  if (end <= date) end.setDate(end.getDate() + 1);
+  return end;
+}
+
+/**
+ * Currently active blackout ({ id, name, until }) or null
+ */
+async function getActiveBlackout(date = new Date()) {
+  const window = findActiveWindow(await blackoutModel.getAll(), date);
+  return window ? { id: window.id, name: window.name, until: windowEnd(window, date) } : null;
+}
+
+async function getPolicy() {
+  return (await settingsModel.get('blackout_policy')) === 'cancel' ? 'cancel' : 'pause';
+}
+
+module.exports = { TIME_RE, findActiveWindow, windowEnd, getActiveBlackout, getPolicy };
@@ -0,0 +1,113 @@
+/**
+ * X.509 certificate details for the certificate inventory
+ */
+
+const { X509Certificate } = require('crypto');
+
+const SIGNATURE_ALGORITHMS = {
+  '1.2.840.113549.1.1.4': 'md5WithRSAEncryption',
+  '1.2.840.113549.1.1.5': 'sha1WithRSAEncryption',
+  '1.2.840.113549.1.1.10': 'rsassaPss',
+  '1.2.840.113549.1.1.11': 'sha256WithRSAEncryption',
+  '1.2.840.113549.1.1.12': 'sha384WithRSAEncryption',
+  '1.2.840.113549.1.1.13': 'sha512WithRSAEncryption',
+  '1.2.840.10045.4.1': 'ecdsa-with-SHA1',
+  '1.2.840.10045.4.3.2': 'ecdsa-with-SHA256',
+  '1.2.840.10045.4.3.3': 'ecdsa-with-SHA384',
+  '1.2.840.10045.4.3.4': 'ecdsa-with-SHA512',
+  '1.3.101.112': 'Ed25519',
+  '1.3.101.113': 'Ed448',
+};
+
+const CURVE_BITS = { prime256v1: 256, secp384r1: 384, secp521r1: 521, secp256k1: 256 };
+
+function readLength(der, pos) {
+  const first = der[pos];
+  if (first < 0x80) return [first, pos + 1];
+  let length = 0;
+  for (let i = 1; i <= (first & 0x7f); i++) length = length * 256 + der[pos + i];
+  return [length, pos + 1 + (first & 0x7f)];
+}
+
+function decodeOid(bytes) {
+  const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let value = 0;
+  for (const b of bytes.subarray(1)) {
+    value = value * 128 + (b & 0x7f);
+    if (!(b & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+/**
+ * Certificate ::= SEQUENCE { tbsCertificate, signatureAlgorithm, signature }
+ * Node's X509Certificate doesn't expose the algorithm, so read its OID.
+ */
+function signatureAlgorithm(der) {
+  try {
+    let [, pos] = readLength(der, 1);              // into Certificate
+    const [tbsLength, tbsStart] = readLength(der, pos + 1);
+    pos = tbsStart + tbsLength;                     // skip tbsCertificate
+    [, pos] = readLength(der, pos + 1);             // into AlgorithmIdentifier
+    if (der[pos] !== 0x06) return null;
+    const [oidLength, oidStart] = readLength(der, pos + 1);
+    const oid = decodeOid(der.subarray(oidStart, oidStart + oidLength));
+    return SIGNATURE_ALGORITHMS[oid] || oid;
+  } catch {
+    return null;
+  }
+}
+
+// "CN=fritz.box\nO=AVM" -> "CN=fritz.box, O=AVM"
+const oneLine = (dn) => (dn || '').split('\n').filter(Boolean).join(', ');
+
+/**
+ * DER certificate -> inventory record
+ */
+function describeCertificate(der) {
+  const cert = new X509Certificate(der);
+  const key = cert.publicKey;
+  const details = key.asymmetricKeyDetails || {};
+
+  let selfSigned = false;
+  try {
+    selfSigned = cert.checkIssued(cert) && cert.verify(key);
+  } catch {
+    // Unsupported key type for verify - keep false
+  }
+
+  return {
+    fingerprint: cert.fingerprint256.replace(/:/g, '').toLowerCase(),
+    subject: oneLine(cert.subject),
+    commonName: cert.subject.match(/^CN=(.*)$/m)?.[1] || null,
+    sans: (cert.subjectAltName || '').split(', ')
+      .map(s => s.replace(/^(DNS|IP Address):/, ''))
+      .filter(Boolean),
+    issuer: oneLine(cert.issuer),
+    serial: cert.serialNumber,
+    keyType: key.asymmetricKeyType || null,
+    keyBits: details.modulusLength || CURVE_BITS[details.namedCurve] ||
+      (key.asymmetricKeyType === 'ed25519' ? 256 : null),
+    signatureAlgorithm: signatureAlgorithm(der),
+    notBefore: new Date(cert.validFrom).toISOString(),
+    notAfter: new Date(cert.validTo).toISOString(),
+    selfSigned,
+    isCa: cert.ca,
+  };
+}
+
+/**
+ * Host name a certificate was issued for (CN or first SAN), skipping
+ * wildcards, IP addresses and single-label names like "localhost"
+ */
+function certificateHostname(cert) {
+  const candidates = [cert.commonName, ...(cert.sans || [])];
+  return candidates.find(n =>
+    n && /^[a-z0-9][a-z0-9-]*(\.[a-z0-9-]+)+$/i.test(n) && !/^[\d.]+$/.test(n)
+  ) || null;
+}
+
+module.exports = { describeCertificate, certificateHostname };
@@ -0,0 +1,80 @@
+/**
+ * Certificate expiry check
+ *
+ * Raises one event per certificate and crossed threshold (setting
+ * cert_expiry_thresholds, days before expiry) and one once it has expired.
+ * A certificate that is first seen below several thresholds only raises the
+ * smallest one.
+ */
+
+const settingsModel = require('../models/settings');
+const certificatesModel = require('../models/certificates');
+const eventsModel = require('../models/events');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_THRESHOLDS = [30, 14, 7];
+const CRITICAL_DAYS = 7;
+
+/**
+ * "30,14,7" -> [30, 14, 7]; invalid values are dropped
+ */
+function parseThresholds(value) {
+  const days = String(value || '').split(',')
+    .map(s => parseInt(s.trim(), 10))
+    .filter(n => Number.isInteger(n) && n >= 1 && n <= 365);
+  return [...new Set(days)].sort((a, b) => b - a);
+}
+
+async function checkExpiry() {
+  const configured = parseThresholds(await settingsModel.get('cert_expiry_thresholds'));
+  const thresholds = configured.length > 0 ? configured : DEFAULT_THRESHOLDS;
+  const certificates = await certificatesModel.getInventory({ days: thresholds[0] });
+  let raised = 0;
+
+  for (const cert of certificates) {
+    if (!cert.not_after || cert.usages.length === 0) continue;
+    const daysLeft = Math.ceil((new Date(cert.not_after) - Date.now()) / DAY);
+    const name = cert.common_name || cert.subject || cert.fingerprint.substring(0, 16);
+    const usedBy = cert.usages.map(u => `${u.ip}:${u.port}`).join(', ');
+
+    let event;
+    if (daysLeft <= 0) {
+      event = {
+        type: 'cert_expired',
+        severity: 'critical',
+        message: `Zertifikat "${name}" ist abgelaufen (${usedBy})`,
+        dedupKey: `cert_expiry:${cert.fingerprint}:expired`,
+      };
+    } else {
+      const threshold = Math.min(...thresholds.filter(t => daysLeft <= t));
+      if (!isFinite(threshold)) continue;
+      event = {
+        type: 'cert_expiring',
+        severity: threshold <= CRITICAL_DAYS ? 'critical' : 'warning',
+        message: `Zertifikat "${name}" läuft in ${daysLeft} ${daysLeft === 1 ? 'Tag' : 'Tagen'} ab (${usedBy})`,
+        dedupKey: `cert_expiry:${cert.fingerprint}:${threshold}`,
+      };
+    }
+
+    const created = await eventsModel.create({
+      ...event,
+      hostId: cert.usages[0].host_id,
+      data: {
+        certificateId: cert.id,
+        fingerprint: cert.fingerprint,
+        notAfter: cert.not_after,
+        daysLeft,
+        usages: cert.usages.map(u => ({ hostId: u.host_id, ip: u.ip, port: u.port, protocol: u.protocol })),
+      },
+    });
+    if (created) {
+      raised++;
+      console.log(`[Certificates] ${created.message}`);
+    }
+  }
+
+  await eventsModel.cleanup(180);
+  return raised;
+}
+
+module.exports = { checkExpiry, parseThresholds };
@@ -0,0 +1,34 @@
+/**
+ * Registry of child processes (nmap, ssh-keyscan, ...) started by a scan
+ *
+ * Lets a scan be cancelled by killing everything it spawned.
+ */
+
+const active = new Set();
+
+/**
+ * Register a child process; it is removed again once it exits
+ */
+function track(child) {
+  if (!child) return child;
+  active.add(child);
+  child.once('exit', () => active.delete(child));
+  child.once('error', () => active.delete(child));
+  return child;
+}
+
+/**
+ * Kill all tracked children. Returns the number of signalled processes.
+ */
+function killAll(signal = 'SIGTERM') {
+  let count = 0;
+  for (const child of active) {
+    try {
+      if (child.kill(signal)) count++;
+    } catch {}
+  }
+  active.clear();
+  return count;
+}
+
+module.exports = { track, killAll };
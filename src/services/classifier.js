@@ -1,4 +1,6 @@
 const { execFile } = require('child_process');
+const { lookupVendor } = require('./oui');
+const { isRandomizedMac } = require('./macUtils');
 
 const DEVICE_TYPES = [
   { value: 'gateway', label: 'Gateway/Router', icon: 'globe' },
@@ -25,6 +27,8 @@ const VM_MAC_PREFIXES = [
   { prefix: '08:00:27', label: 'VirtualBox VM' },
   { prefix: '00:15:5d', label: 'Hyper-V VM' },
   { prefix: 'bc:24:11', label: 'Proxmox VM' },
+  { prefix: '00:16:3e', label: 'Xen VM' },
+  { prefix: '00:1c:42', label: 'Parallels VM' },
 ];
 
 const OS_RULES = [
@@ -50,7 +54,8 @@ function classifyHost(host, services) {
   }
 
   const mac = (host.mac_address || '').toLowerCase();
-  const vendor = host.vendor || '';
+  // Vendor from nmap, otherwise from the OUI list (MACs learned via FritzBox, UniFi, ...)
+  const vendor = host.vendor || lookupVendor(mac) || '';
   const os = host.os_guess || '';
   const openServices = (services || []).filter(s => s.state === 'open' || !s.state);
   const di = host.discovery_info || {};
@@ -181,7 +186,7 @@ function classifyHost(host, services) {
   const vendorRules = [
     { pattern: /cisco/i, type: 'switch', reason: 'Cisco' },
     { pattern: /juniper/i, type: 'router', reason: 'Juniper' },
-    { pattern: /mikrotik/i, type: 'router', reason: 'MikroTik' },
+    { pattern: /mikrotik|routerboard/i, type: 'router', reason: 'MikroTik' },
     { pattern: /fortinet|fortigate/i, type: 'firewall', reason: 'Fortinet' },
     { pattern: /sophos/i, type: 'firewall', reason: 'Sophos' },
     { pattern: /avm/i, type: 'router', reason: 'AVM Fritz!Box' },
@@ -198,7 +203,7 @@ function classifyHost(host, services) {
     { pattern: /raspberry pi/i, type: 'iot', reason: 'Raspberry Pi' },
     { pattern: /espressif/i, type: 'iot', reason: 'Espressif (ESP)' },
     { pattern: /sonos/i, type: 'iot', reason: 'Sonos' },
-    { pattern: /philips.*hue|signify/i, type: 'iot', reason: 'Philips Hue' },
+    { pattern: /philips.*(hue|lighting)|signify/i, type: 'iot', reason: 'Philips Hue' },
     { pattern: /shenzhen baichuan/i, type: 'camera', reason: 'IP-Kamera (Baichuan)' },
     { pattern: /hikvision/i, type: 'camera', reason: 'Hikvision' },
     { pattern: /dahua/i, type: 'camera', reason: 'Dahua' },
@@ -218,7 +223,7 @@ function classifyHost(host, services) {
   ];
 
   // HP/Hewlett special handling: determine type by context
-  if (/hp\b|hewlett.packard/i.test(vendor)) {
+  if (/hp\b|hewlett.packard/i.test(vendor) && !/aruba/i.test(vendor)) {
     // Check if it has switch indicators
     if (/comware|switch|procurve|1920|2530|2540|2920|3500|5400/i.test(os + snmpDescr)) {
       return { type: 'switch', confidence: 85, reason: `Hersteller: ${vendor} (Switch)` };
@@ -280,7 +285,12 @@ function classifyHost(host, services) {
     }
   }
 
-  // 12. Default
+  // 12. Private (randomized) MAC without other clues → phone, tablet or laptop
+  if (isRandomizedMac(mac)) {
+    return { type: 'client', confidence: 35, reason: 'Private MAC-Adresse' };
+  }
+
+  // 13. Default
   return { type: 'device', confidence: 10, reason: 'Nicht klassifiziert' };
 }
 
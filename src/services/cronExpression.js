@@ -0,0 +1,167 @@
+/**
+ * Schedules for scans and Deep Discovery
+ *
+ * Either a 5-field cron expression (minute hour day month weekday, server
+ * local time) or a plain interval in minutes. The scheduler checks them once
+ * a minute, so the same matcher drives execution and the next-run preview.
+ */
+
+const FIELDS = [
+  { name: 'Minute', min: 0, max: 59 },
+  { name: 'Stunde', min: 0, max: 23 },
+  { name: 'Tag', min: 1, max: 31 },
+  { name: 'Monat', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'Wochentag', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+const MINUTE = 60000;
+const SEARCH_DAYS = 4 * 366 + 1; // long enough for "29 Feb"
+
+function parseValue(token, field) {
+  const name = field.names?.indexOf(token.toLowerCase()) ?? -1;
+  if (name !== -1) return name + (field.min === 1 ? 1 : 0);
+  if (!/^\d+$/.test(token)) return NaN;
+  return parseInt(token, 10);
+}
+
+/**
+ * Parse one field into the set of allowed values
+ */
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const invalid = new Error(`Ungültiger Wert "${part}" im Feld ${field.name} (${field.min}-${field.max})`);
+    const match = part.match(/^([^/]+)(?:\/(\d+))?$/);
+    if (!match) throw invalid;
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    if (step < 1) throw invalid;
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [a, b] = range.split('-');
+      from = parseValue(a, field);
+      // "5/15" means 5 to the end of the range in steps of 15
+      to = b !== undefined ? parseValue(b, field) : (stepText ? field.max : from);
+      if (range.split('-').length > 2 || isNaN(from) || isNaN(to) ||
+          from < field.min || to > field.max || from > to) {
+        throw invalid;
+      }
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression. Throws with a German message if it is invalid.
+ * Like Vixie cron, day and weekday are OR-ed when both are restricted.
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const fields = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron-Ausdruck braucht 5 Felder: Minute Stunde Tag Monat Wochentag');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseField(f, FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+  const dayRestricted = !fields[2].startsWith('*');
+  const weekdayRestricted = !fields[4].startsWith('*');
+
+  const matchesDay = (date) => {
+    if (!months.has(date.getMonth() + 1)) return false;
+    const dayOk = days.has(date.getDate());
+    const weekdayOk = weekdays.has(date.getDay());
+    if (dayRestricted && weekdayRestricted) return dayOk || weekdayOk;
+    return dayOk && weekdayOk;
+  };
+
+  const schedule = {
+    cron: text,
+    label: text,
+    matches: (date) => matchesDay(date) && hours.has(date.getHours()) && minutes.has(date.getMinutes()),
+    next(from = new Date()) {
+      const date = new Date(Math.floor(from.getTime() / MINUTE) * MINUTE + MINUTE);
+      const limit = from.getTime() + SEARCH_DAYS * 24 * 60 * MINUTE;
+      while (date.getTime() < limit) {
+        if (!matchesDay(date)) {
+          date.setHours(24, 0, 0, 0);
+        } else if (!hours.has(date.getHours())) {
+          date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!minutes.has(date.getMinutes())) {
+          date.setTime(date.getTime() + MINUTE);
+        } else {
+          return date;
+        }
+      }
+      return null;
+    },
+  };
+
+  if (!schedule.next()) throw new Error(`Cron-Ausdruck "${text}" wird nie ausgeführt`);
+  return schedule;
+}
+
+/**
+ * Every n minutes, counted from local midnight (00:00 always runs). Unlike a
+ * minute step in cron this stays exact for intervals that don't divide an
+ * hour (e.g. 45 or 90); if n doesn't divide a day, the last gap before
+ * midnight is shorter.
+ */
+function everyMinutes(n) {
+  const minuteOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+  return {
+    cron: null,
+    interval: n,
+    label: `alle ${n} Minuten`,
+    matches: (date) => minuteOfDay(date) % n === 0,
+    next(from = new Date()) {
+      const date = new Date(Math.floor(from.getTime() / MINUTE) * MINUTE + MINUTE);
+      const target = Math.ceil(minuteOfDay(date) / n) * n;
+      if (target >= 24 * 60) date.setHours(24, 0, 0, 0);
+      else date.setHours(Math.floor(target / 60), target % 60, 0, 0);
+      return date;
+    },
+  };
+}
+
+/**
+ * Cron expression if set, otherwise the interval
+ */
+function resolveSchedule(cronExpression, interval) {
+  if (cronExpression && cronExpression.trim()) return parseCron(cronExpression);
+  return everyMinutes(interval);
+}
+
+/**
+ * Validation message for a cron expression or null
+ */
+function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+function nextRuns(schedule, count = 5, from = new Date()) {
+  const runs = [];
+  let date = from;
+  while (runs.length < count && (date = schedule.next(date))) runs.push(date);
+  return runs;
+}
+
+module.exports = { parseCron, everyMinutes, resolveSchedule, validateCron, nextRuns };
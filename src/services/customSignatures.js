@@ -0,0 +1,89 @@
+/**
+ * User-defined service signatures (models/serviceSignatures)
+ *
+ * Rules are compiled once on load() and matched synchronously against a
+ * deepProbePort() result; endpoint rules are requested by deepProbe itself
+ * and reported as probe.customEndpointMatches. The first matching rule wins.
+ */
+
+const serviceSignaturesModel = require('../models/serviceSignatures');
+
+const MATCH_TYPES = ['title', 'header', 'cookie', 'body', 'endpoint'];
+
+let rules = [];
+
+/**
+ * Error message for an invalid rule pattern, null if it compiles
+ */
+function patternError(pattern) {
+  if (typeof pattern !== 'string' || !pattern.trim()) return 'Muster erforderlich';
+  if (pattern.length > 1000) return 'Muster darf maximal 1000 Zeichen haben';
+  try {
+    new RegExp(pattern, 'i');
+    return null;
+  } catch (err) {
+    return `Ungültiger regulärer Ausdruck: ${err.message}`;
+  }
+}
+
+function compile(sig) {
+  return { ...sig, regex: new RegExp(sig.pattern, 'i') };
+}
+
+/**
+ * (Re)load the enabled rules from the database
+ */
+async function load() {
+  const compiled = [];
+  for (const sig of await serviceSignaturesModel.getEnabled()) {
+    try {
+      compiled.push(compile(sig));
+    } catch (err) {
+      console.error(`[Signatures] Rule ${sig.id} (${sig.name}) skipped: ${err.message}`);
+    }
+  }
+  rules = compiled;
+  return rules.length;
+}
+
+/**
+ * Currently loaded rules; empty in the agent, which has no database
+ */
+function getRules() {
+  return rules;
+}
+
+function ruleMatches(rule, probe) {
+  const http = probe.httpResult;
+  switch (rule.match_type) {
+    case 'title':
+      return !!probe.htmlInfo?.title && rule.regex.test(probe.htmlInfo.title);
+    case 'header': {
+      if (!http) return false;
+      if (!rule.header_name) return rule.regex.test(http.headers || '');
+      const value = probe.httpHeaders.all[rule.header_name.toLowerCase()];
+      return value !== undefined && rule.regex.test(value);
+    }
+    case 'cookie': {
+      const cookies = (probe.httpHeaders?.setCookies || []).join(' ');
+      return !!cookies && rule.regex.test(cookies);
+    }
+    case 'body': {
+      const text = http ? http.body : probe.bannerResult?.banner;
+      return !!text && rule.regex.test(text);
+    }
+    case 'endpoint':
+      return (probe.customEndpointMatches || []).includes(rule.id);
+    default:
+      return false;
+  }
+}
+
+/**
+ * First rule matching a probe result, null if none
+ */
+function match(probe, list = rules) {
+  return list.find(rule => ruleMatches(rule, probe)) || null;
+}
+
+module.exports = { MATCH_TYPES, patternError, compile, load, getRules, match };
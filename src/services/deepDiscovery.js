@@ -5,8 +5,10 @@ const settingsModel = require('../models/settings');
 const pool = require('../db/pool');
 const unifiClient = require('./unifiClient');
 const hostsModel = require('../models/hosts');
+const hostNamesModel = require('../models/hostNames');
 const { getVMsFromHost, getNodeAddressMap } = require('./proxmoxClient');
 const FritzBoxClient = require('./fritzboxClient');
+const { loadExclusions } = require('./exclusions');
 
 const execFileP = promisify(execFile);
 
@@ -52,14 +54,6 @@ async function safeExec(cmd, args, opts = {}) {
   }
 }
 
-function ipToNum(ip) {
-  return ip.split('.').reduce((acc, o) => (acc << 8) + parseInt(o), 0) >>> 0;
-}
-
-function numToIp(num) {
-  return [(num >>> 24) & 255, (num >>> 16) & 255, (num >>> 8) & 255, num & 255].join('.');
-}
-
 function findHostByMac(ipToHost, mac) {
   const norm = mac.toLowerCase();
   for (const host of ipToHost.values()) {
@@ -128,6 +122,24 @@ async function discoverFromArp(ipToHost) {
   } catch (err) {
     console.error('[DeepDiscovery] ARP Fehler:', err.message);
   }
+
+  // IPv6 neighbour cache (NDP equivalent of the ARP table)
+  try {
+    const output = await safeExec('ip', ['-6', 'neigh', 'show'], { timeout: 5000, ignoreErrors: true });
+    for (const line of output.split('\n')) {
+      const m = line.match(/^([\da-f:]+)\s+dev\s+(\S+)\s+lladdr\s+([\da-f:]{17})/i);
+      if (!m || /FAILED|INCOMPLETE/.test(line)) continue;
+      if (ipToHost.has(m[1])) {
+        hints.push({
+          ip: m[1],
+          method: 'ndp',
+          data: { mac: m[3].toLowerCase(), iface: m[2], l2direct: true },
+        });
+      }
+    }
+  } catch (err) {
+    console.error('[DeepDiscovery] NDP Fehler:', err.message);
+  }
   return hints;
 }
 
@@ -157,7 +169,7 @@ async function discoverFromTraceroute(hosts, ipToHost) {
 
         const hops = [];
         for (const line of output.split('\n')) {
-          const m = line.match(/^\s*\d+\s+([\d.]+)\s/);
+          const m = line.match(/^\s*\d+\s+([\da-f.:]+)\s/i);
           if (m && m[1] !== host.ip) hops.push(m[1]);
         }
 
@@ -190,11 +202,11 @@ async function discoverFromTraceroute(hosts, ipToHost) {
 // 3. Broadcast Ping Clustering
 // ============================================================
 
-async function discoverFromBroadcastPing(network, ipToHost) {
+async function discoverFromBroadcastPing(probeHosts) {
   const hints = [];
 
-  // Collect RTTs from all up hosts
-  const hosts = Array.from(ipToHost.values()).filter(h => h.status === 'up');
+  // Collect RTTs from all up hosts that may be probed
+  const hosts = probeHosts.filter(h => h.status === 'up');
   const rttMap = new Map();
 
   const pingTasks = hosts.map(host => async () => {
@@ -736,6 +748,7 @@ async function discoverFromUnifi(ipToHost) {
           ip: clientHost.ip,
           method: 'unifi_client',
           data: {
+            name: station.name,
             ssid: dev.ssid,
             signal: station.signal,
             radio: station.radio,
@@ -760,31 +773,14 @@ async function discoverFromUnifi(ipToHost) {
 
 async function createOrUpdateHostForDevice(ip, parentId, deviceType = 'device', deviceData = {}) {
   try {
-    // Check if host already exists
-    const existing = await pool.query('SELECT id FROM hosts WHERE ip_address = $1', [ip]);
-    
-    if (existing.rows.length > 0) {
-      // Update existing with parent relationship if needed
-      if (parentId) {
-        await pool.query(
-          'UPDATE hosts SET parent_host_id = $1, updated_at = NOW() WHERE id = $2',
-          [parentId, existing.rows[0].id]
-        );
-      }
-      return existing.rows[0].id;
-    }
-
-    // Create new host with parent relationship
-    const result = await pool.query(
-      `INSERT INTO hosts (ip_address, parent_host_id, device_type, status, first_seen, last_seen, updated_at)
-       VALUES ($1, $2, $3, $4, NOW(), NOW(), NOW())
-       RETURNING id`,
-      [ip, parentId || null, deviceType, 'unknown']
-    );
-
-    const hostId = result.rows[0].id;
+    // Same identity rules as the scan: secondary addresses, MAC moves (DHCP)
+    // and IP history
+    const { id: hostId, created } = await hostsModel.upsertDevice({
+      ip, mac: deviceData.mac, parentId, deviceType, source: 'discovery',
+    });
+    if (!created) return hostId;
     console.log(`[DeepDiscovery] Host erstellt: ${ip} mit Parent ${parentId}, Device-Typ: ${deviceType}`);
-    
+
     // Update discovery_info if provided
     if (Object.keys(deviceData).length > 0) {
       deviceData._createdBy = 'fritzbox_discovery';
@@ -1049,6 +1045,11 @@ async function discoverFromProxmox(ipToHost) {
                 confidence: 98,
                 detail: `Proxmox VM: ${vm.name} (VMID ${vm.vmid}, Node ${vm.node}, MAC ${mac})`,
               });
+              hints.push({
+                ip: vmHost.ip,
+                method: 'proxmox_vm',
+                data: { name: vm.name, vmid: vm.vmid, node: vm.node },
+              });
             } else if (!vmHost) {
               console.log(`[DeepDiscovery] Proxmox: VM ${vm.name} (${mac}) nicht im Netzwerk gefunden`);
             }
@@ -1188,6 +1189,57 @@ async function applyHints(hints, ipToHost) {
   return applied;
 }
 
+// Enrichment hints that carry a host name -> [host_names source, name]
+const HOSTNAME_HINTS = {
+  mdns: (d) => ['mdns', d.hostname?.replace(/\.local\.?$/i, '')],
+  fritzbox_connection: (d) => ['dhcp', d.device_hostname],
+  unifi_device: (d) => ['unifi', d.name],
+  unifi_client: (d) => ['unifi', d.name],
+  proxmox_vm: (d) => ['proxmox', d.name],
+};
+
+/**
+ * Store host names reported by the discovery sources (see models/hostNames)
+ */
+async function recordHostnames(hints, ipToHost) {
+  let recorded = 0;
+  for (const h of hints) {
+    const extract = h.ip && h.data && HOSTNAME_HINTS[h.method];
+    const host = extract && ipToHost.get(h.ip);
+    if (!host) continue;
+    const [source, name] = extract(h.data);
+    if (!name) continue;
+    try {
+      await hostNamesModel.record(host.id, source, name);
+      recorded++;
+    } catch (err) {
+      console.error(`[DeepDiscovery] Hostname für ${h.ip} nicht gespeichert: ${err.message}`);
+    }
+  }
+  return recorded;
+}
+
+/**
+ * Store MACs from the ARP/NDP neighbour cache on hosts that have none yet
+ * (with the OUI vendor), e.g. hosts first reported by an agent or a source
+ * without L2 information
+ */
+async function recordMacs(hints, ipToHost) {
+  let recorded = 0;
+  for (const h of hints) {
+    if (!h.ip || !h.data?.mac || !h.data.l2direct) continue;
+    const host = ipToHost.get(h.ip);
+    if (!host || host.mac_address) continue;
+    try {
+      await hostsModel.setMac(host.id, h.data.mac);
+      recorded++;
+    } catch (err) {
+      console.error(`[DeepDiscovery] MAC für ${h.ip} nicht gespeichert: ${err.message}`);
+    }
+  }
+  return recorded;
+}
+
 // ============================================================
 // Main Entry Point
 // ============================================================
@@ -1205,21 +1257,37 @@ async function runDeepDiscovery(topologyHosts, network) {
   const snmpCommunities = (await settingsModel.get('snmp_community') || 'public')
     .split(',').map(s => s.trim()).filter(Boolean);
 
-  // Build IP → host lookup
+  // Build IP → host lookup (a released address belongs to another device now)
   const ipToHost = new Map();
   for (const h of topologyHosts) {
-    ipToHost.set(h.ip, h);
+    if (!h.ip_released) ipToHost.set(h.ip, h);
+  }
+  // Secondary (dual-stack) addresses resolve to the same host
+  for (const h of topologyHosts) {
+    for (const addr of h.addresses || []) {
+      if (!ipToHost.has(addr)) ipToHost.set(addr, h);
+    }
+  }
+
+  // Hosts on the scan exclusion list are never actively probed (traceroute,
+  // ping clustering, SNMP, TTL ping) - passive sources below may still report them
+  const exclusions = await loadExclusions();
+  const probeHosts = topologyHosts.filter(h =>
+    !h.ip_released && !exclusions.isExcluded({ ip: h.ip, mac: h.mac_address, addresses: h.addresses })
+  );
+  if (probeHosts.length < topologyHosts.length) {
+    console.log(`[DeepDiscovery] ${topologyHosts.length - probeHosts.length} Hosts ausgeschlossen (Scan-Ausschlussliste)`);
   }
 
   // Run all discovery methods
   const results = await Promise.allSettled([
     discoverFromArp(ipToHost),
-    discoverFromTraceroute(topologyHosts, ipToHost),
-    discoverFromBroadcastPing(network, ipToHost),
-    discoverFromSnmp(topologyHosts, snmpCommunities, ipToHost),
+    discoverFromTraceroute(probeHosts, ipToHost),
+    discoverFromBroadcastPing(probeHosts),
+    discoverFromSnmp(probeHosts, snmpCommunities, ipToHost),
     discoverFromMdns(ipToHost),
     discoverFromSsdp(ipToHost),
-    discoverFromTtl(topologyHosts),
+    discoverFromTtl(probeHosts),
     discoverFromUnifi(ipToHost),
     discoverFromFritzBox(ipToHost),
     discoverFromProxmox(ipToHost),
@@ -1239,6 +1307,10 @@ async function runDeepDiscovery(topologyHosts, network) {
   }
 
   const applied = await applyHints(allHints, ipToHost);
+  const names = await recordHostnames(allHints, ipToHost);
+  if (names > 0) console.log(`[DeepDiscovery] ${names} Hostnamen aus mDNS/FritzBox/UniFi/Proxmox übernommen`);
+  const macs = await recordMacs(allHints, ipToHost);
+  if (macs > 0) console.log(`[DeepDiscovery] ${macs} MAC-Adressen aus ARP/NDP übernommen`);
   const duration = Date.now() - startTime;
 
   console.log(`[DeepDiscovery] === Fertig: ${allHints.length} Hinweise, ${applied} Zuordnungen (${(duration / 1000).toFixed(1)}s) ===`);
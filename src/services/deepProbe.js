@@ -1,56 +1,78 @@
 /**
  * Deep Probing Module
  *
- * Uses curl and protocol-specific probes to identify services
+ * Uses HTTP(S) requests (services/httpProbe) and protocol-specific probes to identify services
  * on any open port. Unlike nmap -sV, this probes EVERY open port
  * with HTTP/HTTPS and falls back to protocol-specific probes.
  */
 
 const { execFile } = require('child_process');
 const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const { urlHost, stripZone, ipFamily } = require('./ipUtils');
+const childProcesses = require('./childProcesses');
+const httpProbe = require('./httpProbe');
+const { describeCertificate } = require('./certificateInfo');
+const { faviconHashes } = require('./favicon');
+const customSignatures = require('./customSignatures');
+const signaturePacks = require('./signaturePacks');
+
+// Implicit-TLS ports that get a handshake even if the banner probe identified something
+const TLS_PORTS = new Set([443, 465, 636, 853, 990, 993, 995, 5061, 5986, 6514, 8443, 8883]);
+const MAX_CHAIN = 10;
+const MAX_FAVICON_BYTES = 100 * 1024;
 
 /**
- * Run curl against a URL and return headers + body
- * Uses curl -i which includes headers in stdout, then splits them.
+ * Fetch a URL (following up to 3 redirects) and return { headers, body, url };
+ * headers holds all response header blocks as parseHeaders() expects, the
+ * body is cut at 64 KB. null on connection errors and timeouts.
  */
-function curlFetch(url, timeout = 6) {
-  return new Promise((resolve) => {
-    const args = [
-      '-siL',                          // silent, include headers, follow redirects
-      '--max-time', String(timeout),   // total timeout
-      '--connect-timeout', '3',        // connection timeout
-      '-k',                            // ignore TLS errors
-      '-A', 'Mozilla/5.0 (compatible; NetCatalog/2.0)',
-      '--max-redirs', '3',
-      url,
-    ];
+function httpFetch(url, timeout = 6) {
+  return httpProbe.request(url, { timeout })
+    .then((res) => ({ headers: res.headers, body: res.body, url }))
+    .catch(() => null);
+}
 
-    execFile('curl', args, {
-      maxBuffer: 512 * 1024,
-      timeout: (timeout + 2) * 1000,
-    }, (err, stdout, stderr) => {
-      if (err && !stdout) {
-        resolve(null);
-        return;
-      }
-      if (!stdout || stdout.length === 0) {
-        resolve(null);
-        return;
-      }
+/**
+ * Fetch a URL as raw bytes (2xx only), null on error or if larger than maxBytes
+ */
+function httpFetchBinary(url, timeout = 4, maxBytes = MAX_FAVICON_BYTES) {
+  return httpProbe.request(url, { timeout, maxBytes, truncate: false, binary: true })
+    .then((res) => (res.status >= 200 && res.status < 300 && res.body.length > 0 ? res.body : null))
+    .catch(() => null);
+}
 
-      // Split headers from body at the blank line after the LAST HTTP header block
-      // curl -L shows multiple header blocks for redirects, we want all of them
-      const headerEndIdx = stdout.lastIndexOf('\r\n\r\n');
-      if (headerEndIdx === -1) {
-        resolve(null);
-        return;
+/**
+ * Fetch /favicon.ico, or else the icon linked in the page, and hash it.
+ * Linked icons are only fetched from the probed service itself; data: URIs
+ * are decoded in place. Returns { mmh3, md5, url } or null.
+ */
+async function probeFavicon(protocol, ip, port, linkedHref) {
+  const base = `${protocol}://${urlHost(ip)}:${port}`;
+  const candidates = [`${base}/favicon.ico`];
+  if (linkedHref) {
+    const data = linkedHref.match(/^data:[^;,]*;base64,(.+)$/i);
+    if (data) {
+      candidates.push(Buffer.from(data[1], 'base64'));
+    } else {
+      try {
+        const url = new URL(linkedHref, `${base}/`);
+        if (url.origin === new URL(base).origin && !candidates.includes(url.href)) candidates.push(url.href);
+      } catch {
+        // unparsable href
       }
+    }
+  }
 
-      const headers = stdout.substring(0, headerEndIdx);
-      const body = stdout.substring(headerEndIdx + 4, Math.min(stdout.length, headerEndIdx + 4 + 65536));
-      resolve({ body, headers, url });
-    });
-  });
+  for (const candidate of candidates) {
+    const icon = Buffer.isBuffer(candidate) ? candidate : await httpFetchBinary(candidate);
+    // SPAs answer every path with their index page
+    if (!icon || icon.length === 0 || /<html|<!doctype html/i.test(icon.subarray(0, 512).toString('latin1'))) continue;
+    return { ...faviconHashes(icon), url: Buffer.isBuffer(candidate) ? 'data:' : new URL(candidate).pathname };
+  }
+  return null;
 }
 
 /**
@@ -58,7 +80,7 @@ function curlFetch(url, timeout = 6) {
  */
 async function probeHttpBoth(ip, port) {
   // Try HTTP first (more common), then HTTPS
-  let result = await curlFetch(`http://${ip}:${port}/`);
+  let result = await httpFetch(`http://${urlHost(ip)}:${port}/`);
 
   // Check if we got a valid HTTP response
   if (result && isHttpResponse(result.headers)) {
@@ -67,7 +89,7 @@ async function probeHttpBoth(ip, port) {
   }
 
   // Try HTTPS
-  result = await curlFetch(`https://${ip}:${port}/`);
+  result = await httpFetch(`https://${urlHost(ip)}:${port}/`);
   if (result && isHttpResponse(result.headers)) {
     result.protocol = 'https';
     return result;
@@ -84,7 +106,7 @@ function isHttpResponse(headers) {
 }
 
 /**
- * Parse headers string from curl -D output
+ * Parse the header blocks of an httpFetch() result (curl -i format)
  */
 function parseHeaders(raw) {
   const result = {
@@ -151,8 +173,15 @@ function parseHtmlBody(body) {
   const descMatch = body.match(/<meta[^>]*name=["']description["'][^>]*content=["']([^"']{0,200})["']/i);
   if (descMatch) result.description = descMatch[1];
 
-  // Common framework indicators in body
-  const bodyLower = body.toLowerCase();
+  // Linked favicon (<link rel="icon"> / "shortcut icon")
+  for (const tag of body.match(/<link\b[^>]*>/gi) || []) {
+    const rel = tag.match(/\brel=["']([^"']+)["']/i);
+    const href = tag.match(/\bhref=["']([^"']{1,2000})["']/i);
+    if (rel && href && /(^|\s)icon(\s|$)/i.test(rel[1])) {
+      result.favicon = href[1];
+      break;
+    }
+  }
 
   // Extract keywords from script srcs, CSS, specific HTML patterns
   const scriptSrcs = [...body.matchAll(/src=["']([^"']{0,200})["']/gi)].map(m => m[1]);
@@ -161,221 +190,29 @@ function parseHtmlBody(body) {
   result.scripts = scriptSrcs;
   result.links = linkHrefs;
 
-  // Detect specific patterns in body
-  const patterns = [];
-  if (bodyLower.includes('proxmox')) patterns.push('proxmox');
-  if (bodyLower.includes('nginx proxy manager') || bodyLower.includes('nginx-proxy-manager')) patterns.push('nginx-proxy-manager');
-  if (bodyLower.includes('synology')) patterns.push('synology');
-  if (bodyLower.includes('pfsense') || bodyLower.includes('pf.conf')) patterns.push('pfsense');
-  if (bodyLower.includes('opnsense')) patterns.push('opnsense');
-  if (bodyLower.includes('pi-hole') || bodyLower.includes('pihole')) patterns.push('pihole');
-  if (bodyLower.includes('adguard')) patterns.push('adguard');
-  if (bodyLower.includes('home assistant') || bodyLower.includes('home-assistant')) patterns.push('homeassistant');
-  if (bodyLower.includes('grafana')) patterns.push('grafana');
-  if (bodyLower.includes('portainer')) patterns.push('portainer');
-  if (bodyLower.includes('nextcloud')) patterns.push('nextcloud');
-  if (bodyLower.includes('jellyfin')) patterns.push('jellyfin');
-  if (bodyLower.includes('emby')) patterns.push('emby');
-  if (bodyLower.includes('plex')) patterns.push('plex');
-  if (bodyLower.includes('gitea')) patterns.push('gitea');
-  if (bodyLower.includes('gitlab')) patterns.push('gitlab');
-  if (bodyLower.includes('jenkins')) patterns.push('jenkins');
-  if (bodyLower.includes('cockpit')) patterns.push('cockpit');
-  if (bodyLower.includes('webmin')) patterns.push('webmin');
-  if (bodyLower.includes('openmediavault')) patterns.push('openmediavault');
-  if (bodyLower.includes('truenas') || bodyLower.includes('freenas')) patterns.push('truenas');
-  if (bodyLower.includes('unraid')) patterns.push('unraid');
-  if (bodyLower.includes('qnap') || bodyLower.includes('qts')) patterns.push('qnap');
-  if (bodyLower.includes('node-red') || bodyLower.includes('node red')) patterns.push('nodered');
-  if (bodyLower.includes('uptime-kuma') || bodyLower.includes('uptime kuma')) patterns.push('uptimekuma');
-  if (bodyLower.includes('vaultwarden') || bodyLower.includes('bitwarden')) patterns.push('vaultwarden');
-  if (bodyLower.includes('sonarr')) patterns.push('sonarr');
-  if (bodyLower.includes('radarr')) patterns.push('radarr');
-  if (bodyLower.includes('prowlarr')) patterns.push('prowlarr');
-  if (bodyLower.includes('bazarr')) patterns.push('bazarr');
-  if (bodyLower.includes('lidarr')) patterns.push('lidarr');
-  if (bodyLower.includes('transmission')) patterns.push('transmission');
-  if (bodyLower.includes('qbittorrent')) patterns.push('qbittorrent');
-  if (bodyLower.includes('deluge')) patterns.push('deluge');
-  if (bodyLower.includes('sabnzbd')) patterns.push('sabnzbd');
-  if (bodyLower.includes('paperless')) patterns.push('paperless');
-  if (bodyLower.includes('bookstack')) patterns.push('bookstack');
-  if (bodyLower.includes('wiki.js') || bodyLower.includes('wikijs')) patterns.push('wikijs');
-  if (bodyLower.includes('homer')) patterns.push('homer');
-  if (bodyLower.includes('heimdall')) patterns.push('heimdall');
-  if (bodyLower.includes('homarr')) patterns.push('homarr');
-  if (bodyLower.includes('traefik')) patterns.push('traefik');
-  if (bodyLower.includes('caddy')) patterns.push('caddy');
-  if (bodyLower.includes('roundcube')) patterns.push('roundcube');
-  if (bodyLower.includes('mailcow')) patterns.push('mailcow');
-  if (bodyLower.includes('phpmyadmin')) patterns.push('phpmyadmin');
-  if (bodyLower.includes('adminer')) patterns.push('adminer');
-  if (bodyLower.includes('pgadmin')) patterns.push('pgadmin');
-  if (bodyLower.includes('zabbix')) patterns.push('zabbix');
-  if (bodyLower.includes('nagios')) patterns.push('nagios');
-  if (bodyLower.includes('checkmk') || bodyLower.includes('check_mk')) patterns.push('checkmk');
-  if (bodyLower.includes('netdata')) patterns.push('netdata');
-  if (bodyLower.includes('prometheus')) patterns.push('prometheus');
-  if (bodyLower.includes('elasticsearch') || bodyLower.includes('kibana')) patterns.push('elastic');
-  if (bodyLower.includes('rancher')) patterns.push('rancher');
-  if (bodyLower.includes('kubernetes') || bodyLower.includes('k8s')) patterns.push('kubernetes');
-  if (bodyLower.includes('openwrt') || bodyLower.includes('luci')) patterns.push('openwrt');
-  if (bodyLower.includes('mikrotik') || bodyLower.includes('routeros')) patterns.push('mikrotik');
-  if (bodyLower.includes('unifi')) patterns.push('unifi');
-  if (bodyLower.includes('frigate')) patterns.push('frigate');
-  if (bodyLower.includes('zoneminder')) patterns.push('zoneminder');
-  if (bodyLower.includes('owncloud')) patterns.push('owncloud');
-  if (bodyLower.includes('seafile')) patterns.push('seafile');
-  if (bodyLower.includes('minio')) patterns.push('minio');
-  if (bodyLower.includes('authentik')) patterns.push('authentik');
-  if (bodyLower.includes('keycloak')) patterns.push('keycloak');
-  if (bodyLower.includes('authelia')) patterns.push('authelia');
-  if (bodyLower.includes('guacamole')) patterns.push('guacamole');
-  if (bodyLower.includes('esphome')) patterns.push('esphome');
-  if (bodyLower.includes('zigbee2mqtt')) patterns.push('zigbee2mqtt');
-  if (bodyLower.includes('mosquitto')) patterns.push('mosquitto');
-  if (bodyLower.includes('duplicati')) patterns.push('duplicati');
-  if (bodyLower.includes('restic')) patterns.push('restic');
-  if (bodyLower.includes('borg')) patterns.push('borg');
-  if (bodyLower.includes('dozzle')) patterns.push('dozzle');
-  if (bodyLower.includes('yacht')) patterns.push('yacht');
-  if (bodyLower.includes('filebrowser')) patterns.push('filebrowser');
-  if (bodyLower.includes('codeserver') || bodyLower.includes('code-server')) patterns.push('codeserver');
-  if (bodyLower.includes('pterodactyl')) patterns.push('pterodactyl');
-  if (bodyLower.includes('octoprint')) patterns.push('octoprint');
-  if (bodyLower.includes('mainsail')) patterns.push('mainsail');
-
-  result.patterns = patterns;
+  // IDs of the signatures whose body matchers hit (signature packs)
+  result.patterns = signaturePacks.bodyMatches(body);
 
   return result;
 }
 
 /**
- * Probe known application-specific endpoints
- * Returns the app name if a known endpoint responds correctly
+ * Probe the application endpoints of the signature packs
+ * Returns { signature, name, path, body } for the first endpoint that responds correctly
  */
 async function probeAppEndpoints(ip, port, protocol) {
-  const base = `${protocol}://${ip}:${port}`;
-
-  // Each entry: [path, expectedPattern, appName]
-  const endpoints = [
-    // Proxmox
-    ['/api2/json', '"data"', 'Proxmox VE'],
-    ['/api2/json/version', 'pveversion', 'Proxmox VE'],
-    // Nginx Proxy Manager
-    ['/api/', 'nginx-proxy-manager', 'Nginx Proxy Manager'],
-    ['/api/schema', 'nginx-proxy-manager', 'Nginx Proxy Manager'],
-    // Home Assistant
-    ['/api/', 'API running', 'Home Assistant'],
-    ['/auth/authorize', 'home-assistant', 'Home Assistant'],
-    // Portainer
-    ['/api/status', '"Version"', 'Portainer'],
-    ['/api/system/status', 'Version', 'Portainer'],
-    // Grafana
-    ['/api/health', '"database"', 'Grafana'],
-    ['/login', 'grafana', 'Grafana'],
-    // Nextcloud
-    ['/status.php', '"installed"', 'Nextcloud'],
-    ['/login', 'nextcloud', 'Nextcloud'],
-    // GitLab
-    ['/-/health', 'GitLab OK', 'GitLab'],
-    // Gitea
-    ['/api/v1/version', '"version"', 'Gitea'],
-    ['/user/login', 'gitea', 'Gitea'],
-    // Synology
-    ['/webman/info.cgi', 'Synology', 'Synology DSM'],
-    // QNAP
-    ['/cgi-bin/login.html', 'qnap', 'QNAP QTS'],
-    // Pi-hole
-    ['/admin/', 'pi-hole', 'Pi-hole'],
-    ['/admin/api.php', '"status"', 'Pi-hole'],
-    // AdGuard Home
-    ['/control/status', '"protection_enabled"', 'AdGuard Home'],
-    // Vaultwarden / Bitwarden
-    ['/identity', 'bitwarden', 'Vaultwarden'],
-    ['/#/login', 'vaultwarden', 'Vaultwarden'],
-    // Jellyfin
-    ['/System/Info/Public', '"ServerName"', 'Jellyfin'],
-    // Emby
-    ['/emby/System/Info/Public', '"ServerName"', 'Emby'],
-    // Plex
-    ['/identity', 'MediaContainer', 'Plex Media Server'],
-    // TrueNAS
-    ['/api/v2.0/system/info', '"version"', 'TrueNAS'],
-    // Unraid
-    ['/login', 'unraid', 'Unraid'],
-    // OpenMediaVault
-    ['/rpc.php', 'openmediavault', 'OpenMediaVault'],
-    // pfSense
-    ['/xmlrpc.php', 'pfsense', 'pfSense'],
-    // OPNsense
-    ['/api/core/firmware/status', '"product"', 'OPNsense'],
-    // Cockpit
-    ['/cockpit/login', 'cockpit-ws', 'Cockpit'],
-    // Node-RED
-    ['/flows', '"flows"', 'Node-RED'],
-    // Sonarr
-    ['/api/v3/system/status', '"appName"', 'Sonarr'],
-    // Radarr
-    ['/api/v3/system/status', '"appName"', 'Radarr'],
-    // Prowlarr
-    ['/api/v1/system/status', '"appName"', 'Prowlarr'],
-    // Uptime Kuma
-    ['/api/status-page/heartbeat', 'heartbeat', 'Uptime Kuma'],
-    // Prometheus
-    ['/api/v1/status/runtimeinfo', '"status"', 'Prometheus'],
-    // Docker Registry
-    ['/v2/', 'registry', 'Docker Registry'],
-    // Consul
-    ['/v1/agent/self', '"Config"', 'Consul'],
-    // Netdata
-    ['/api/v1/info', '"version"', 'Netdata'],
-    // RabbitMQ
-    ['/api/overview', '"rabbitmq_version"', 'RabbitMQ Management'],
-    // Elasticsearch
-    ['/', '"cluster_name"', 'Elasticsearch'],
-    // CouchDB
-    ['/', '"couchdb"', 'CouchDB'],
-    // Webmin
-    ['/session_login.cgi', 'webmin', 'Webmin'],
-    // Traefik
-    ['/api/rawdata', '"routers"', 'Traefik'],
-    // MikroTik
-    ['/webfig/', 'mikrotik', 'MikroTik RouterOS'],
-    // ESPHome
-    ['/logs', 'esphome', 'ESPHome'],
-    // Zigbee2MQTT
-    ['/api', 'zigbee2mqtt', 'Zigbee2MQTT'],
-    // Duplicati
-    ['/api/v1/serverstate', 'duplicati', 'Duplicati'],
-    // Guacamole
-    ['/guacamole/', 'guacamole', 'Apache Guacamole'],
-    // Authentik
-    ['/api/v3/root/config/', '"brand_title"', 'Authentik'],
-    // Keycloak
-    ['/realms/master', '"realm"', 'Keycloak'],
-    // MinIO
-    ['/minio/health/live', 'minio', 'MinIO'],
-    ['/login', 'minio', 'MinIO'],
-  ];
+  const base = `${protocol}://${urlHost(ip)}:${port}`;
+  const endpoints = signaturePacks.getEndpoints();
 
   // Probe in batches of 4 to avoid overwhelming the target
   for (let i = 0; i < endpoints.length; i += 4) {
     const batch = endpoints.slice(i, i + 4);
     const results = await Promise.allSettled(
-      batch.map(([path, pattern, name]) =>
-        curlFetch(`${base}${path}`, 4).then((res) => {
-          if (!res) return null;
-          const bodyLower = (res.body || '').toLowerCase();
-          const headersLower = (res.headers || '').toLowerCase();
+      batch.map((endpoint) =>
+        httpFetch(`${base}${endpoint.path}`, 4).then((res) => {
           // Check if it's a valid response AND matches expected pattern
-          // Pattern MUST be non-empty to avoid false positives
-          if (isHttpResponse(res.headers) && pattern) {
-            if (bodyLower.includes(pattern.toLowerCase())) {
-              return name;
-            }
-          }
-          return null;
+          if (!res || !isHttpResponse(res.headers) || !endpoint.test(res.body || '')) return null;
+          return { signature: endpoint.signature, name: endpoint.name, path: endpoint.path, body: res.body };
         })
       )
     );
@@ -390,6 +227,36 @@ async function probeAppEndpoints(ip, port, protocol) {
   return null;
 }
 
+/**
+ * Fetch paths on an HTTP service, returns { path: body } for the ones answering
+ */
+async function fetchPaths(ip, port, protocol, paths) {
+  const base = `${protocol}://${urlHost(ip)}:${port}`;
+  const bodies = {};
+  for (const path of paths) {
+    const res = await httpFetch(`${base}${path}`, 4);
+    if (res && isHttpResponse(res.headers)) bodies[path] = res.body;
+  }
+  return bodies;
+}
+
+/**
+ * Request the paths of user-defined endpoint rules, returns the IDs of the
+ * rules whose pattern matches the response headers or body
+ */
+async function probeCustomEndpoints(ip, port, protocol, rules) {
+  const base = `${protocol}://${urlHost(ip)}:${port}`;
+  const matched = [];
+  for (const rule of rules) {
+    if (rule.match_type !== 'endpoint' || !rule.path) continue;
+    const res = await httpFetch(`${base}${rule.path}`, 4);
+    if (res && isHttpResponse(res.headers) && (rule.regex.test(res.body || '') || rule.regex.test(res.headers))) {
+      matched.push(rule.id);
+    }
+  }
+  return matched;
+}
+
 /**
  * Protocol-specific banner probes for non-HTTP services
  */
@@ -446,7 +313,7 @@ function protocolProbe(ip, port, timeout = 5000) {
         // HTTP probe as fallback
         else if (data.length === 0) {
           try {
-            socket.write(`GET / HTTP/1.0\r\nHost: ${ip}\r\nUser-Agent: NetCatalog/2.0\r\n\r\n`);
+            socket.write(`GET / HTTP/1.0\r\nHost: ${urlHost(stripZone(ip))}\r\nUser-Agent: NetCatalog/2.0\r\n\r\n`);
           } catch {}
         }
       }, 1500);
@@ -571,11 +438,361 @@ function analyzeBanner(banner, port) {
   return result;
 }
 
+/**
+ * TLS handshake without verification; returns the certificate chain as sent
+ * by the server (leaf first, see certificateInfo) or null if it doesn't speak TLS
+ */
+function tlsProbe(ip, port, timeout = 5000) {
+  return new Promise((resolve) => {
+    let done = false;
+    const finish = (value) => {
+      if (done) return;
+      done = true;
+      socket.destroy();
+      resolve(value);
+    };
+
+    const socket = tls.connect({ host: ip, port, rejectUnauthorized: false, timeout }, () => {
+      const chain = [];
+      const seen = new Set();
+      let cert = socket.getPeerCertificate(true);
+      while (cert?.raw && !seen.has(cert.fingerprint256) && chain.length < MAX_CHAIN) {
+        seen.add(cert.fingerprint256);
+        try {
+          chain.push(describeCertificate(cert.raw));
+        } catch {
+          break;
+        }
+        cert = cert.issuerCertificate;
+      }
+      finish(chain.length > 0 ? chain : null);
+    });
+    socket.on('timeout', () => finish(null));
+    socket.on('error', () => finish(null));
+  });
+}
+
+// Key size from the public key blob: ssh-rsa carries e and n as mpints
+function sshKeyBits(algorithm, blob) {
+  if (algorithm === 'ssh-ed25519') return 256;
+  const curve = algorithm.match(/^ecdsa-sha2-nistp(\d+)$/);
+  if (curve) return parseInt(curve[1], 10);
+  if (algorithm !== 'ssh-rsa') return null;
+  try {
+    let pos = 0;
+    const field = () => {
+      const length = blob.readUInt32BE(pos);
+      const value = blob.subarray(pos + 4, pos + 4 + length);
+      pos += 4 + length;
+      return value;
+    };
+    field();                // "ssh-rsa"
+    field();                // e
+    const n = field();
+    const lead = n[0] === 0 ? 1 : 0;
+    return (n.length - lead - 1) * 8 + n[lead].toString(2).length;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * SSH host keys via ssh-keyscan: [{ algorithm, fingerprint, bits, publicKey }]
+ * with OpenSSH style SHA256 fingerprints, or null
+ */
+function sshHostKeys(ip, port, timeout = 5) {
+  return new Promise((resolve) => {
+    const args = ['-T', String(timeout), '-p', String(port), '-t', 'rsa,ecdsa,ed25519', ip];
+    childProcesses.track(execFile('ssh-keyscan', args, {
+      maxBuffer: 64 * 1024,
+      timeout: (timeout + 5) * 1000,
+    }, (err, stdout) => {
+      const keys = [];
+      for (const line of (stdout || '').split('\n')) {
+        if (!line || line.startsWith('#')) continue;
+        const [, algorithm, publicKey] = line.trim().split(/\s+/);
+        if (!algorithm || !/^[A-Za-z0-9+/]+=*$/.test(publicKey || '')) continue;
+        const blob = Buffer.from(publicKey, 'base64');
+        keys.push({
+          algorithm,
+          fingerprint: 'SHA256:' + crypto.createHash('sha256').update(blob).digest('base64').replace(/=+$/, ''),
+          bits: sshKeyBits(algorithm, blob),
+          publicKey,
+        });
+      }
+      resolve(keys.length > 0 ? keys : null);
+    }));
+  });
+}
+
+// ============================================================
+// UDP probes
+// ============================================================
+
+/**
+ * Send a single UDP datagram and resolve with the first reply (or null)
+ */
+function udpRequest(ip, port, payload, timeout = 3000) {
+  return new Promise((resolve) => {
+    let done = false;
+    let timer = null;
+    const socket = dgram.createSocket(ipFamily(ip) === 6 ? 'udp6' : 'udp4');
+
+    const finish = (msg) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      try { socket.close(); } catch {}
+      resolve(msg);
+    };
+
+    timer = setTimeout(() => finish(null), timeout);
+    socket.on('message', (msg) => finish(msg));
+    socket.on('error', () => finish(null));
+
+    try {
+      socket.send(payload, port, ip, (err) => { if (err) finish(null); });
+    } catch {
+      finish(null);
+    }
+  });
+}
+
+/**
+ * Encode a BER TLV (short or one-byte long form length)
+ */
+function berTlv(tag, value) {
+  const len = value.length < 128 ? Buffer.from([value.length]) : Buffer.from([0x81, value.length]);
+  return Buffer.concat([Buffer.from([tag]), len, value]);
+}
+
+// OID 1.3.6.1.2.1.1.1.0 (sysDescr)
+const SNMP_SYSDESCR_OID = Buffer.from([0x06, 0x08, 0x2b, 0x06, 0x01, 0x02, 0x01, 0x01, 0x01, 0x00]);
+
+/**
+ * Build an SNMPv2c GetRequest for sysDescr.0
+ */
+function buildSnmpGet(community) {
+  const varbind = berTlv(0x30, Buffer.concat([SNMP_SYSDESCR_OID, Buffer.from([0x05, 0x00])]));
+  const pdu = berTlv(0xa0, Buffer.concat([
+    Buffer.from([0x02, 0x01, 0x01, 0x02, 0x01, 0x00, 0x02, 0x01, 0x00]), // request-id, error-status, error-index
+    berTlv(0x30, varbind),
+  ]));
+  return berTlv(0x30, Buffer.concat([
+    Buffer.from([0x02, 0x01, 0x01]), // version: v2c
+    berTlv(0x04, Buffer.from(community)),
+    pdu,
+  ]));
+}
+
+/**
+ * Strip non-printable characters so UDP payloads can be stored as banner text
+ */
+function printable(buf, max = 500) {
+  return buf.toString('latin1', 0, Math.min(buf.length, max))
+    .replace(/[^\x20-\x7e\r\n]/g, '.')
+    .trim();
+}
+
+const NBSTAT_REQUEST = Buffer.from(
+  '80f00000000100000000000020434b4141414141414141414141414141414141414141414141414141414141410000210001',
+  'hex'
+);
+
+/**
+ * NBSTAT reply -> [{ name, suffix, group }] (18 bytes per name: 15 name,
+ * 1 suffix, 2 flags) or null if it isn't one
+ */
+function parseNbstat(msg) {
+  if (msg.length < 57) return null;
+  const count = msg[56];
+  const names = [];
+  for (let i = 0; i < count && 57 + (i + 1) * 18 <= msg.length; i++) {
+    const offset = 57 + i * 18;
+    names.push({
+      name: msg.toString('latin1', offset, offset + 15).trim(),
+      suffix: msg[offset + 15],
+      group: (msg[offset + 16] & 0x80) !== 0,
+    });
+  }
+  return names;
+}
+
+/**
+ * NetBIOS computer name (unique <00> name) of an IPv4 host, or null
+ */
+async function netbiosName(ip, timeout = 2000) {
+  if (ipFamily(ip) !== 4) return null;
+  const reply = await udpRequest(ip, 137, NBSTAT_REQUEST, timeout);
+  const names = reply ? parseNbstat(reply) : null;
+  return names?.find(n => n.suffix === 0x00 && !n.group && n.name)?.name || null;
+}
+
+// Each entry: payload to send + analyzer for the reply
+const UDP_PROBES = {
+  // DNS: CHAOS TXT query for version.bind
+  53: {
+    payload: Buffer.from(
+      '4e430100000100000000000007' + Buffer.from('version').toString('hex') +
+      '04' + Buffer.from('bind').toString('hex') + '0000100003', 'hex'
+    ),
+    analyze: (msg) => {
+      if (msg.length < 12 || msg.readUInt16BE(0) !== 0x4e43) return null;
+      const result = { identified: 'DNS', product: null, version: null };
+      const txt = msg.toString('latin1').match(/(bind|unbound|dnsmasq|powerdns|knot|pi-hole)[^\x00-\x1f]*/i);
+      if (txt) {
+        result.product = txt[0].split(/[\s-]/)[0];
+        const ver = txt[0].match(/(\d+\.[\d.]+)/);
+        if (ver) result.version = ver[1];
+      }
+      return result;
+    },
+  },
+  // TFTP: read request for a non-existent file, server answers with an error packet
+  69: {
+    payload: Buffer.from('\x00\x01netcatalog-probe\x00octet\x00', 'latin1'),
+    analyze: (msg) => (msg.length >= 4 && msg.readUInt16BE(0) >= 3 && msg.readUInt16BE(0) <= 5)
+      ? { identified: 'TFTP' } : null,
+  },
+  // NTP: v3 client request
+  123: {
+    payload: Buffer.concat([Buffer.from([0x1b]), Buffer.alloc(47)]),
+    analyze: (msg) => {
+      if (msg.length < 48) return null;
+      const version = (msg[0] >> 3) & 0x07;
+      const stratum = msg[1];
+      return { identified: 'NTP', version: `v${version}`, info: `Stratum ${stratum}` };
+    },
+  },
+  // NetBIOS: node status request (NBSTAT *)
+  137: {
+    payload: NBSTAT_REQUEST,
+    analyze: (msg) => {
+      const names = parseNbstat(msg);
+      if (!names) return null;
+      return {
+        identified: 'NetBIOS Name Service',
+        product: names[0]?.name || null,
+        info: names.map(n => n.name).join(', '),
+      };
+    },
+  },
+  // SNMP: v2c GetRequest sysDescr.0 with community "public"
+  161: {
+    payload: buildSnmpGet('public'),
+    analyze: (msg) => {
+      if (msg[0] !== 0x30) return null;
+      const result = { identified: 'SNMP', version: 'v2c' };
+      const idx = msg.indexOf(SNMP_SYSDESCR_OID);
+      if (idx !== -1) {
+        const valIdx = idx + SNMP_SYSDESCR_OID.length;
+        if (msg[valIdx] === 0x04) {
+          let len = msg[valIdx + 1];
+          let start = valIdx + 2;
+          if (len === 0x81) { len = msg[valIdx + 2]; start++; }
+          result.info = printable(msg.subarray(start, start + len), 200);
+        }
+      }
+      return result;
+    },
+  },
+  // OpenVPN: P_CONTROL_HARD_RESET_CLIENT_V2 (only answered without tls-auth)
+  1194: {
+    payload: Buffer.from('38' + '6e6574636174616c' + '00' + '00000000', 'hex'),
+    analyze: (msg) => (msg.length > 0 && (msg[0] >> 3) === 8) ? { identified: 'OpenVPN' } : null,
+  },
+  // SSDP: unicast M-SEARCH
+  1900: {
+    payload: Buffer.from(
+      'M-SEARCH * HTTP/1.1\r\nHOST: 239.255.255.250:1900\r\nMAN: "ssdp:discover"\r\nMX: 1\r\nST: ssdp:all\r\n\r\n'
+    ),
+    analyze: (msg) => {
+      const text = msg.toString();
+      if (!/^HTTP\/1\.1 200/i.test(text)) return null;
+      const server = text.match(/SERVER:\s*(.+)/i)?.[1]?.trim() || null;
+      return { identified: 'SSDP/UPnP', product: server };
+    },
+  },
+  // mDNS: unicast PTR query for the DNS-SD service list
+  5353: {
+    payload: Buffer.concat([
+      Buffer.from('000000000001000000000000', 'hex'),
+      Buffer.from('095f7365727669636573075f646e732d7364045f756470056c6f63616c00', 'hex'),
+      Buffer.from('000c0001', 'hex'),
+    ]),
+    analyze: (msg) => (msg.length >= 12 && (msg[2] & 0x80)) ? { identified: 'mDNS' } : null,
+  },
+};
+
+/**
+ * Probe a UDP port with a protocol-specific payload
+ * Services like WireGuard or Syslog never answer, those fall back to port mapping
+ */
+async function udpProbe(ip, port, timeout = 3000) {
+  const probe = UDP_PROBES[port];
+  const reply = await udpRequest(ip, port, probe ? probe.payload : Buffer.from('\r\n'), timeout);
+  if (!reply || reply.length === 0) return null;
+
+  const result = {
+    banner: printable(reply),
+    identified: null,
+    product: null,
+    version: null,
+    info: null,
+  };
+
+  if (probe) {
+    try {
+      const analyzed = probe.analyze(reply);
+      if (analyzed) Object.assign(result, analyzed);
+    } catch {}
+  }
+
+  return result;
+}
+
+/**
+ * First contact with a TCP port: HTTP/HTTPS, else a protocol banner.
+ * Returns { httpResult, bannerResult }, one of them null.
+ */
+async function initialProbe(ip, port) {
+  const httpResult = await probeHttpBoth(ip, port);
+  if (httpResult) return { httpResult, bannerResult: null };
+  return { httpResult: null, bannerResult: await protocolProbe(ip, port) };
+}
+
+/**
+ * Cheap fingerprint of an initialProbe() result. Covers what identifies a
+ * service (status, server, title, body patterns, cookie names, banner) but not
+ * volatile content like dates or session tokens.
+ */
+function probeFingerprint(initial) {
+  let parts;
+  if (initial.httpResult) {
+    const headers = parseHeaders(initial.httpResult.headers);
+    const html = parseHtmlBody(initial.httpResult.body);
+    parts = [
+      initial.httpResult.protocol, headers.statusCode, headers.server, headers.poweredBy,
+      headers.setCookies.map(c => c.split('=')[0]).sort().join(','),
+      html.title, html.generator, (html.patterns || []).join(','),
+    ];
+  } else if (initial.bannerResult) {
+    const b = initial.bannerResult;
+    parts = b.identified ? ['banner', b.identified, b.product, b.version] : ['banner', b.banner];
+  } else {
+    parts = ['silent'];
+  }
+  return crypto.createHash('sha1').update(parts.map(p => p ?? '').join('\n')).digest('hex');
+}
+
 /**
  * Full deep probe of a single port
- * Tries HTTP/HTTPS first, then protocol-specific probes
+ * Tries HTTP/HTTPS first, then protocol-specific probes.
+ * options.signatures replaces the loaded user-defined rules (signature test),
+ * options.initial reuses an initialProbe() result.
  */
-async function deepProbePort(ip, port) {
+async function deepProbePort(ip, port, options = {}) {
+  const signatures = options.signatures || customSignatures.getRules();
   const result = {
     port,
     httpResult: null,
@@ -583,10 +800,15 @@ async function deepProbePort(ip, port) {
     htmlInfo: null,
     bannerResult: null,
     appEndpointMatch: null,
+    customEndpointMatches: [],
+    tlsChain: null,
+    sshHostKeys: null,
+    favicon: null,
   };
 
-  // Step 1: Try HTTP/HTTPS probe
-  const httpResult = await probeHttpBoth(ip, port);
+  // Step 1: Try HTTP/HTTPS probe (unless the caller already made first contact)
+  const initial = options.initial || await initialProbe(ip, port);
+  const httpResult = initial.httpResult;
 
   if (httpResult) {
     result.httpResult = httpResult;
@@ -595,49 +817,51 @@ async function deepProbePort(ip, port) {
 
     // Step 2: If we got HTTP but couldn't identify from title alone,
     // try application-specific endpoints
-    const title = result.htmlInfo.title || '';
     const patterns = result.htmlInfo.patterns || [];
 
+    result.customEndpointMatches = await probeCustomEndpoints(ip, port, httpResult.protocol, signatures);
+
     // Only probe endpoints if we don't have a clear match from title/body
-    if (patterns.length === 0 && !isWellKnownTitle(title)) {
+    // or a user-defined rule
+    if (patterns.length === 0 && !signaturePacks.matchText('title', result.htmlInfo.title) &&
+        !customSignatures.match(result, signatures)) {
       result.appEndpointMatch = await probeAppEndpoints(
         ip, port, httpResult.protocol
       );
     }
+    result.favicon = await probeFavicon(httpResult.protocol, ip, port, result.htmlInfo.favicon);
+    if (httpResult.protocol === 'https') result.tlsChain = await tlsProbe(ip, port);
   } else {
-    // Step 3: Not HTTP - try protocol-specific banner grab
-    result.bannerResult = await protocolProbe(ip, port);
+    // Step 3: Not HTTP - protocol-specific banner grab
+    result.bannerResult = initial.bannerResult;
+    if (result.bannerResult?.identified === 'SSH') {
+      result.sshHostKeys = await sshHostKeys(ip, port);
+    }
+    // Silent ports may wait for a TLS ClientHello
+    if (!result.bannerResult?.identified || TLS_PORTS.has(port)) {
+      result.tlsChain = await tlsProbe(ip, port);
+    }
   }
 
   return result;
 }
 
-/**
- * Check if a page title is already well-known enough
- */
-function isWellKnownTitle(title) {
-  if (!title) return false;
-  const t = title.toLowerCase();
-  const known = [
-    'proxmox', 'synology', 'qnap', 'truenas', 'freenas', 'unraid',
-    'pfsense', 'opnsense', 'openwrt', 'mikrotik', 'routeros',
-    'home assistant', 'node-red', 'grafana', 'portainer',
-    'pi-hole', 'adguard', 'nextcloud', 'jellyfin', 'plex', 'emby',
-    'gitea', 'gitlab', 'jenkins', 'cockpit', 'webmin',
-    'nginx proxy manager', 'traefik', 'uptime kuma', 'vaultwarden',
-    'bitwarden', 'sonarr', 'radarr', 'prowlarr', 'transmission',
-    'qbittorrent', 'deluge', 'paperless', 'bookstack', 'wiki.js',
-    'homer', 'heimdall', 'homarr', 'rancher', 'kubernetes',
-  ];
-  return known.some(k => t.includes(k));
-}
-
 module.exports = {
-  curlFetch,
+  httpFetch,
+  httpFetchBinary,
   probeHttpBoth,
+  probeFavicon,
   parseHeaders,
   parseHtmlBody,
   probeAppEndpoints,
+  probeCustomEndpoints,
+  fetchPaths,
   protocolProbe,
+  tlsProbe,
+  sshHostKeys,
+  netbiosName,
+  udpProbe,
+  initialProbe,
+  probeFingerprint,
   deepProbePort,
 };
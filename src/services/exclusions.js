@@ -0,0 +1,85 @@
+/**
+ * Scan exclusions
+ *
+ * Fragile devices (PLCs, medical devices, ...) listed by IP, CIDR or MAC are
+ * never actively scanned: no ping sweep, port scan, alive check, deep probe,
+ * SNMP or traceroute. Entries are global or bound to one scan network.
+ * Passive sources (FritzBox, UniFi, ARP) may still list these hosts.
+ */
+
+const exclusionsModel = require('../models/exclusions');
+const hostsModel = require('../models/hosts');
+const { parseCidr, ipInCidr } = require('./ipUtils');
+
+const MAC_RE = /^([0-9a-f]{2}[:-]){5}[0-9a-f]{2}$/i;
+
+function normalizeMac(mac) {
+  return mac ? mac.toUpperCase().replace(/-/g, ':') : null;
+}
+
+/**
+ * Classify an exclusion entry: 'mac', 'cidr' (incl. single addresses) or null if invalid
+ */
+function entryType(entry) {
+  const value = String(entry || '').trim();
+  if (MAC_RE.test(value)) return 'mac';
+  if (parseCidr(value)) return 'cidr';
+  return null;
+}
+
+/**
+ * Build a matcher from exclusion rows ({ network, entry }).
+ * knownAddresses ({ mac, ip }) are the addresses of excluded MACs known from
+ * earlier scans, so nmap can skip them before it sees the MAC again.
+ */
+function createMatcher(rows = [], knownAddresses = []) {
+  const macRows = rows.filter(r => entryType(r.entry) === 'mac');
+  const resolved = knownAddresses.flatMap(({ mac, ip }) => macRows
+    .filter(r => normalizeMac(r.entry) === normalizeMac(mac))
+    .map(r => ({ network: r.network, entry: ip })));
+
+  const entries = [...rows, ...resolved].map((row) => {
+    const type = entryType(row.entry);
+    return {
+      network: row.network || '',
+      entry: row.entry,
+      type,
+      mac: type === 'mac' ? normalizeMac(row.entry) : null,
+      range: type === 'cidr' ? parseCidr(row.entry) : null,
+    };
+  }).filter(e => e.type);
+
+  // Per-network entries only apply to addresses inside that network
+  const appliesTo = (e, ip) => !e.network || (ip && ipInCidr(ip, e.network));
+
+  function isExcluded({ ip, mac, addresses = [] }) {
+    if (entries.length === 0) return false;
+    const normalizedMac = normalizeMac(mac);
+    const ips = [ip, ...addresses].filter(Boolean);
+    return entries.some((e) => {
+      if (e.type === 'mac') return normalizedMac === e.mac && ips.some(a => appliesTo(e, a));
+      return ips.some(a => appliesTo(e, a) && ipInCidr(a, e.range));
+    });
+  }
+
+  /**
+   * IP/CIDR entries for nmap --exclude when scanning the given network
+   */
+  function nmapExcludes(network) {
+    const range = parseCidr(network);
+    return entries
+      .filter(e => e.type === 'cidr' && (!e.network || e.network === network))
+      .filter(e => !range || e.range.family === range.family)
+      .map(e => e.entry.trim());
+  }
+
+  return { entries: rows, knownAddresses, size: entries.length, isExcluded, nmapExcludes };
+}
+
+async function loadExclusions() {
+  const rows = await exclusionsModel.getAll();
+  const macs = rows.filter(r => entryType(r.entry) === 'mac').map(r => normalizeMac(r.entry));
+  return createMatcher(rows, await hostsModel.getAddressesByMac(macs));
+}
+
+module.exports = { entryType, normalizeMac, createMatcher, loadExclusions };
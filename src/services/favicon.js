@@ -0,0 +1,88 @@
+/**
+ * Favicon fingerprinting
+ *
+ * Hashes are computed the way Shodan/FOFA do it, so public favicon hash lists
+ * can be used as signatures:
+ *  - mmh3: MurmurHash3 (x86, 32 bit, signed) of the base64 encoded icon with a
+ *    line break every 76 characters (Python's base64.encodebytes)
+ *  - md5: hex digest of the raw icon bytes
+ *
+ * Signatures come from favicon matchers in the signature packs and from
+ * names given to favicon groups in the UI (models/favicons); the latter win.
+ */
+
+const crypto = require('crypto');
+const faviconsModel = require('../models/favicons');
+const signaturePacks = require('./signaturePacks');
+
+let custom = [];
+
+/**
+ * MurmurHash3 x86_32, returned as signed 32-bit integer like Python's mmh3.hash
+ */
+function murmur3(buf, seed = 0) {
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  const blocks = buf.length >> 2;
+  let h = seed >>> 0;
+  for (let i = 0; i < blocks; i++) {
+    let k = buf.readUInt32LE(i * 4);
+    k = Math.imul(k, c1);
+    k = (k << 15) | (k >>> 17);
+    k = Math.imul(k, c2);
+    h ^= k;
+    h = (h << 13) | (h >>> 19);
+    h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+  let k = 0;
+  const tail = blocks * 4;
+  switch (buf.length & 3) {
+    case 3: k ^= buf[tail + 2] << 16; // falls through
+    case 2: k ^= buf[tail + 1] << 8; // falls through
+    case 1:
+      k ^= buf[tail];
+      k = Math.imul(k, c1);
+      k = (k << 15) | (k >>> 17);
+      k = Math.imul(k, c2);
+      h ^= k;
+  }
+  h ^= buf.length;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h | 0;
+}
+
+function faviconHashes(icon) {
+  const b64 = icon.toString('base64').replace(/.{76}/g, '$&\n');
+  const encoded = b64.endsWith('\n') ? b64 : `${b64}\n`;
+  return {
+    mmh3: murmur3(Buffer.from(encoded, 'ascii')),
+    md5: crypto.createHash('md5').update(icon).digest('hex'),
+  };
+}
+
+/**
+ * (Re)load the user-defined names
+ */
+async function load() {
+  custom = (await faviconsModel.getAll()).map(s => ({ ...s, source: 'custom' }));
+  return custom.length;
+}
+
+/**
+ * Signature for a favicon { mmh3, md5 }, null if unknown. Before load()
+ * finished (and in the agent) only the signature packs are used.
+ */
+function match(hashes) {
+  if (!hashes) return null;
+  const packs = signaturePacks.getFavicons().map(s => ({ ...s, source: 'pack' }));
+  return [...custom, ...packs].find(s =>
+    (s.mmh3 !== undefined && s.mmh3 !== null && Number(s.mmh3) === hashes.mmh3) ||
+    (s.md5 && s.md5.toLowerCase() === hashes.md5)
+  ) || null;
+}
+
+module.exports = { murmur3, faviconHashes, load, match };
@@ -0,0 +1,27 @@
+/**
+ * SSH host key history
+ *
+ * Keys are stored per host and port; a different key for an algorithm that
+ * was already known raises a critical ssh_key_changed event.
+ */
+
+const sshHostKeysModel = require('../models/sshHostKeys');
+const eventsModel = require('../models/events');
+
+async function recordHostKeys(hostId, ip, port, keys) {
+  const changes = await sshHostKeysModel.record(hostId, port, keys);
+  for (const change of changes) {
+    await eventsModel.create({
+      type: 'ssh_key_changed',
+      severity: 'critical',
+      hostId,
+      message: `SSH-Hostschlüssel von ${ip}:${port} hat sich geändert (${change.algorithm})`,
+      data: { port, algorithm: change.algorithm, previous: change.previous, fingerprint: change.fingerprint },
+      dedupKey: `ssh_key:${change.id}`,
+    });
+    console.warn(`[HostKeys] ${ip}:${port} ${change.algorithm} key changed: ${change.previous} -> ${change.fingerprint}`);
+  }
+  return changes;
+}
+
+module.exports = { recordHostKeys };
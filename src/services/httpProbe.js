@@ -0,0 +1,231 @@
+/**
+ * In-process HTTP(S) client for probing services
+ *
+ * Runs without child processes: keep-alive agents reuse connections to the
+ * same service, every request has a connect and a total
+ * timeout, TLS certificates are not verified unless asked for, redirects are
+ * followed up to a limit and bodies are capped. At most MAX_PER_TARGET
+ * requests run against one host at a time, further ones wait for a slot.
+ *
+ * Response headers are returned in curl -i format (status line plus raw
+ * header lines, one block per response including redirects, blocks separated
+ * by a blank line), which is what deepProbe.parseHeaders() expects.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const MAX_PER_TARGET = 6;
+const USER_AGENT = 'Mozilla/5.0 (compatible; NetCatalog/2.0)';
+// Idle keep-alive sockets are closed after this many ms
+const IDLE_TIMEOUT = 3000;
+
+const agentOptions = { keepAlive: true, maxFreeSockets: 4, timeout: IDLE_TIMEOUT, scheduling: 'lifo' };
+const agents = {
+  http: new http.Agent(agentOptions),
+  https: new https.Agent(agentOptions),
+  // Like curl -k: any certificate, and the old protocols embedded devices still speak
+  httpsInsecure: new https.Agent({
+    ...agentOptions, rejectUnauthorized: false, minVersion: 'TLSv1', ciphers: 'DEFAULT:@SECLEVEL=0',
+  }),
+};
+
+const targets = new Map(); // host -> { active, queue }
+
+/**
+ * Split an http(s) URL. Unlike WHATWG URL this accepts IPv6 zone IDs
+ * ([fe80::1%25eth0], see ipUtils.urlHost).
+ */
+function parseUrl(url) {
+  const m = String(url).match(/^(https?):\/\/(\[[^\]]+\]|[^/:?#]+)(?::(\d{1,5}))?([/?][^#]*)?/i);
+  if (!m) throw new Error(`Invalid URL: ${url}`);
+  const protocol = m[1].toLowerCase();
+  const bracketed = m[2].startsWith('[');
+  return {
+    protocol,
+    host: bracketed ? decodeURIComponent(m[2].slice(1, -1)) : m[2],
+    authority: m[2],
+    port: m[3] ? parseInt(m[3], 10) : (protocol === 'https' ? 443 : 80),
+    path: !m[4] ? '/' : m[4].startsWith('?') ? `/${m[4]}` : m[4],
+  };
+}
+
+/**
+ * Absolute URL of a redirect target relative to the requested one
+ */
+function resolveLocation(target, location) {
+  if (/^https?:\/\//i.test(location)) return location;
+  const origin = `${target.protocol}://${target.authority}:${target.port}`;
+  if (location.startsWith('//')) return `${target.protocol}:${location}`;
+  if (location.startsWith('/')) return origin + location;
+  const dir = target.path.split('?')[0].replace(/[^/]*$/, '');
+  return origin + dir + location;
+}
+
+function acquire(host) {
+  let slot = targets.get(host);
+  if (!slot) {
+    slot = { active: 0, queue: [] };
+    targets.set(host, slot);
+  }
+  if (slot.active < MAX_PER_TARGET) {
+    slot.active++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => slot.queue.push(resolve));
+}
+
+function release(host) {
+  const slot = targets.get(host);
+  const next = slot.queue.shift();
+  if (next) {
+    next();
+  } else if (--slot.active === 0) {
+    targets.delete(host);
+  }
+}
+
+/**
+ * One request without redirect handling. Resolves { status, head, body }.
+ */
+function send(target, options, deadline) {
+  return new Promise((resolve, reject) => {
+    const { method, headers, body, insecure, connectTimeout, maxBytes, truncate } = options;
+    let settled = false;
+    let connectTimer = null;
+    const finish = (err, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(totalTimer);
+      clearTimeout(connectTimer);
+      if (err) reject(err);
+      else resolve(value);
+    };
+
+    const lib = target.protocol === 'https' ? https : http;
+    const defaultPort = target.protocol === 'https' ? 443 : 80;
+    // The zone ID of a link-local address is meaningless to the server
+    const hostHeader = target.authority.replace(/%[^\]]*\]$/, ']') + (target.port === defaultPort ? '' : `:${target.port}`);
+    const req = lib.request({
+      host: target.host,
+      port: target.port,
+      path: target.path,
+      method,
+      agent: target.protocol === 'https' ? (insecure ? agents.httpsInsecure : agents.https) : agents.http,
+      headers: {
+        Host: hostHeader,
+        'User-Agent': USER_AGENT,
+        Accept: '*/*',
+        ...headers,
+        ...(body ? { 'Content-Length': Buffer.byteLength(body) } : {}),
+      },
+      // Embedded devices often send headers a strict parser rejects
+      insecureHTTPParser: true,
+    });
+
+    const totalTimer = setTimeout(() => req.destroy(new Error('Request timed out')), Math.max(0, deadline - Date.now()));
+    req.on('socket', (socket) => {
+      if (!socket.connecting) return; // reused keep-alive connection
+      connectTimer = setTimeout(() => req.destroy(new Error('Connection timed out')), connectTimeout * 1000);
+      socket.once(target.protocol === 'https' ? 'secureConnect' : 'connect', () => clearTimeout(connectTimer));
+    });
+    req.on('error', (err) => finish(err));
+
+    req.on('response', (res) => {
+      const head = [`HTTP/${res.httpVersion} ${res.statusCode} ${res.statusMessage || ''}`.trimEnd()];
+      for (let i = 0; i < res.rawHeaders.length; i += 2) head.push(`${res.rawHeaders[i]}: ${res.rawHeaders[i + 1]}`);
+
+      const declared = parseInt(res.headers['content-length'], 10);
+      if (!truncate && declared > maxBytes) {
+        req.destroy();
+        finish(new Error('Response too large'));
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        if (settled) return;
+        size += chunk.length;
+        if (size <= maxBytes) {
+          chunks.push(chunk);
+          return;
+        }
+        if (!truncate) {
+          req.destroy();
+          finish(new Error('Response too large'));
+          return;
+        }
+        chunks.push(chunk.subarray(0, chunk.length - (size - maxBytes)));
+        // The rest is not needed: drop the connection instead of draining it
+        req.destroy();
+        finish(null, { status: res.statusCode, head: head.join('\r\n'), body: Buffer.concat(chunks) });
+      });
+      res.on('end', () => finish(null, { status: res.statusCode, head: head.join('\r\n'), body: Buffer.concat(chunks) }));
+      res.on('error', (err) => finish(err));
+      res.on('aborted', () => finish(new Error('Connection closed')));
+    });
+
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+/**
+ * Request a URL. Options (defaults):
+ *   method ('GET'), headers ({}), body (null, string),
+ *   timeout (6) total seconds including redirects, connectTimeout (3) seconds,
+ *   insecure (true) accept any TLS certificate,
+ *   maxRedirects (3), 0 returns redirects as they are,
+ *   maxBytes (65536) body limit, truncate (true) cuts the body there,
+ *     otherwise the request fails,
+ *   binary (false) return the body as Buffer instead of a UTF-8 string.
+ * Resolves { status, headers, body, url } (url: the final one), rejects on
+ * connection errors and timeouts. The timeout starts once a slot for the
+ * target host is free.
+ */
+async function request(url, options = {}) {
+  const opts = {
+    method: 'GET', headers: {}, body: null, timeout: 6, connectTimeout: 3, insecure: true,
+    maxRedirects: 3, maxBytes: 65536, truncate: true, binary: false, ...options,
+  };
+  let deadline = null;
+  const heads = [];
+  let current = url;
+  let method = opts.method;
+  let body = opts.body;
+
+  for (let redirects = 0; ; redirects++) {
+    const target = parseUrl(current);
+    await acquire(target.host);
+    // Waiting for a slot does not count against the timeout
+    deadline ??= Date.now() + opts.timeout * 1000;
+    let res;
+    try {
+      res = await send(target, { ...opts, method, body }, deadline);
+    } finally {
+      release(target.host);
+    }
+    heads.push(res.head);
+
+    const location = /^location:\s*(.+)$/im.exec(res.head)?.[1].trim();
+    if (res.status >= 300 && res.status < 400 && location && redirects < opts.maxRedirects) {
+      current = resolveLocation(target, location);
+      // Like browsers and curl: 303 (and 301/302 after POST) continue with GET
+      if (res.status === 303 || ((res.status === 301 || res.status === 302) && method === 'POST')) {
+        method = 'GET';
+        body = null;
+      }
+      continue;
+    }
+
+    return {
+      status: res.status,
+      headers: heads.join('\r\n\r\n'),
+      body: opts.binary ? res.body : res.body.toString('utf8'),
+      url: current,
+    };
+  }
+}
+
+module.exports = { request, parseUrl };
@@ -0,0 +1,141 @@
+/**
+ * IP address helpers (IPv4 + IPv6)
+ *
+ * Addresses are converted to BigInt so CIDR math works the same way
+ * for both families. Zone IDs (fe80::1%eth0) are stripped before parsing.
+ */
+
+const net = require('net');
+
+function stripZone(ip) {
+  return String(ip || '').split('%')[0];
+}
+
+function ipFamily(ip) {
+  const bare = stripZone(ip);
+  if (net.isIPv4(bare)) return 4;
+  if (net.isIPv6(bare)) return 6;
+  return 0;
+}
+
+function ipv4ToNum(ip) {
+  return ip.split('.').reduce((acc, o) => (acc << 8) + parseInt(o), 0) >>> 0;
+}
+
+/**
+ * Expand an IPv6 address into its 8 16-bit groups
+ */
+function expandIPv6(ip) {
+  let addr = stripZone(ip).toLowerCase();
+
+  // Embedded IPv4 (::ffff:192.168.1.1)
+  if (addr.includes('.')) {
+    const lastColon = addr.lastIndexOf(':');
+    const v4 = ipv4ToNum(addr.slice(lastColon + 1));
+    addr = `${addr.slice(0, lastColon + 1)}${(v4 >>> 16).toString(16)}:${(v4 & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail] = addr.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const fill = tail !== undefined ? 8 - headGroups.length - tailGroups.length : 0;
+
+  return [...headGroups, ...Array(fill).fill('0'), ...tailGroups].map(g => parseInt(g, 16) || 0);
+}
+
+function ipToBigInt(ip) {
+  const family = ipFamily(ip);
+  if (family === 4) return BigInt(ipv4ToNum(stripZone(ip)));
+  if (family === 6) {
+    return expandIPv6(ip).reduce((acc, g) => (acc << 16n) + BigInt(g), 0n);
+  }
+  throw new Error(`Ungültige IP-Adresse: ${ip}`);
+}
+
+function bigIntToIp(num, family) {
+  if (family === 4) {
+    const n = Number(num);
+    return [(n >>> 24) & 255, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join('.');
+  }
+
+  const groups = [];
+  for (let i = 7; i >= 0; i--) {
+    groups.push(Number((num >> BigInt(i * 16)) & 0xffffn).toString(16));
+  }
+
+  // Compress the longest run of zero groups (RFC 5952)
+  let bestStart = -1;
+  let bestLen = 0;
+  for (let i = 0; i < 8; i++) {
+    if (groups[i] !== '0') continue;
+    let j = i;
+    while (j < 8 && groups[j] === '0') j++;
+    if (j - i > bestLen && j - i > 1) {
+      bestStart = i;
+      bestLen = j - i;
+    }
+    i = j;
+  }
+  if (bestStart === -1) return groups.join(':');
+
+  const head = groups.slice(0, bestStart).join(':');
+  const tail = groups.slice(bestStart + bestLen).join(':');
+  return `${head}::${tail}`;
+}
+
+/**
+ * Parse "addr/prefix" (or a bare address) into { family, network, prefix, bits }
+ * Returns null for invalid input
+ */
+function parseCidr(cidr) {
+  const [addr, prefixRaw] = String(cidr || '').trim().split('/');
+  const family = ipFamily(addr);
+  if (!family) return null;
+
+  const bits = family === 4 ? 32 : 128;
+  const prefix = prefixRaw === undefined ? bits : parseInt(prefixRaw, 10);
+  if (isNaN(prefix) || prefix < 0 || prefix > bits) return null;
+
+  const mask = prefix === 0 ? 0n : ((1n << BigInt(prefix)) - 1n) << BigInt(bits - prefix);
+  return { family, network: ipToBigInt(addr) & mask, prefix, bits, mask };
+}
+
+function ipInCidr(ip, cidr) {
+  const range = typeof cidr === 'string' ? parseCidr(cidr) : cidr;
+  if (!range || ipFamily(ip) !== range.family) return false;
+  return (ipToBigInt(ip) & range.mask) === range.network;
+}
+
+function isIPv6Cidr(cidr) {
+  return ipFamily(String(cidr || '').split('/')[0]) === 6;
+}
+
+/**
+ * Classify IPv6 address scope: link-local, unique-local or global
+ */
+function ipv6Scope(ip) {
+  const first = expandIPv6(ip)[0];
+  if ((first & 0xffc0) === 0xfe80) return 'link-local';
+  if ((first & 0xfe00) === 0xfc00) return 'unique-local';
+  return 'global';
+}
+
+/**
+ * Wrap IPv6 addresses in brackets for use in URLs (zone ID encoded as %25)
+ */
+function urlHost(ip) {
+  if (ipFamily(ip) !== 6) return ip;
+  return `[${String(ip).replace('%', '%25')}]`;
+}
+
+module.exports = {
+  stripZone,
+  ipFamily,
+  ipToBigInt,
+  bigIntToIp,
+  parseCidr,
+  ipInCidr,
+  isIPv6Cidr,
+  ipv6Scope,
+  urlHost,
+};
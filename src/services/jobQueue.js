@@ -0,0 +1,188 @@
+/**
+ * Persistent job queue
+ *
+ * Scans, single-host rescans, nmap imports, Deep Discovery and vulnerability
+ * feed imports are queued in the jobs table instead of being rejected while
+ * something else runs. Each lane runs one job at a time: scans, rescans and
+ * imports share the scanner, Deep Discovery and feed imports run beside them.
+ * Queued jobs and jobs interrupted by a restart are picked up again on startup.
+ */
+
+const { EventEmitter } = require('events');
+const jobsModel = require('../models/jobs');
+const scanner = require('./scanner');
+const vulnImport = require('./vulnImport');
+const { getActiveBlackout } = require('./blackout');
+
+const PRIORITY = { low: 0, normal: 5, high: 10 };
+const MAX_ATTEMPTS = 3;     // starts before an interrupted job is given up
+const HISTORY_DAYS = 30;
+const POLL_INTERVAL = 60000; // ms - picks up scheduled jobs after a blackout window
+
+// Keep the counters only - discovery results list every relationship
+const counters = ({ hosts, services, applied }) => ({ hosts, services, applied });
+
+const JOB_TYPES = {
+  scan: {
+    lane: 'scan',
+    run: (p) => scanner.runScan({ networks: p.networks, forceDeepProbe: p.forceDeepProbe }),
+    result: counters,
+    label: (p) => (p.networks ? p.networks.join(', ') : 'Alle Netzwerke') +
+      (p.forceDeepProbe ? ' (Deep Probe erzwungen)' : ''),
+    dedupKey: (p) => `scan:${p.networks ? [...p.networks].sort().join(',') : '*'}${p.forceDeepProbe ? ':force' : ''}`,
+  },
+  import: {
+    lane: 'scan',
+    run: (p) => scanner.importNmapHosts(p.hosts, { filename: p.filename, deepProbe: p.deepProbe }),
+    result: counters,
+    label: (p) => `Import: ${p.filename}`,
+    dedupKey: () => null,
+  },
+  host_rescan: {
+    lane: 'scan',
+    run: (p, onStep) => scanner.rescanHost(p.hostId, { onStep }),
+    result: (r) => r,
+    label: (p) => `Rescan ${p.ip}`,
+    dedupKey: (p) => `host_rescan:${p.hostId}`,
+  },
+  vuln_import: {
+    lane: 'vulns',
+    run: (p) => vulnImport.importFile(p.file, p.filename),
+    result: (r) => r,
+    label: (p) => `Schwachstellen-Feed: ${p.filename}`,
+    dedupKey: () => null,
+  },
+  discovery: {
+    lane: 'discovery',
+    run: () => scanner.runDeepDiscoveryStandalone(),
+    result: counters,
+    label: () => 'Deep Discovery',
+    dedupKey: () => 'discovery',
+  },
+};
+
+const LANES = [...new Set(Object.values(JOB_TYPES).map(t => t.lane))];
+const busyLanes = new Set();
+const steps = new Map(); // running job id -> label of its current step
+const finished = new EventEmitter();
+let pollTimer = null;
+
+/**
+ * Queue a job. Returns { job, duplicate } - an identical job that is
+ * already waiting is returned instead of queueing a second one.
+ */
+async function enqueue(type, params = {}, { source = 'manual', priority = PRIORITY.normal } = {}) {
+  const jobType = JOB_TYPES[type];
+  if (!jobType) throw new Error(`Unknown job type: ${type}`);
+
+  const result = await jobsModel.create({
+    type, params, source, priority,
+    label: jobType.label(params).substring(0, 500),
+    dedupKey: jobType.dedupKey(params),
+  });
+  if (result.duplicate) {
+    console.log(`[Jobs] ${type} "${result.job.label}" already queued as job #${result.job.id}`);
+  } else {
+    console.log(`[Jobs] Queued job #${result.job.id}: ${type} "${result.job.label}" (${source}, priority ${priority})`);
+  }
+  kick();
+  return result;
+}
+
+async function runJob(job) {
+  console.log(`[Jobs] Starting job #${job.id}: ${job.type} "${job.label}"`);
+  const jobType = JOB_TYPES[job.type];
+  try {
+    const result = await jobType.run(job.params, (step) => steps.set(job.id, step));
+    const cancelled = result?.cancelled === true;
+    await jobsModel.finish(job.id, cancelled ? 'cancelled' : 'completed', {
+      result: result ? jobType.result(result) : null,
+      scanId: result?.scanId,
+    });
+    console.log(`[Jobs] Job #${job.id} ${cancelled ? 'cancelled' : 'completed'}`);
+  } catch (err) {
+    console.error(`[Jobs] Job #${job.id} failed: ${err.message}`);
+    await jobsModel.finish(job.id, 'error', { error: err.message });
+  } finally {
+    steps.delete(job.id);
+    finished.emit('finished', job.id);
+  }
+}
+
+/**
+ * Work through the queued jobs of one lane
+ */
+async function runLane(lane) {
+  if (busyLanes.has(lane)) return;
+  busyLanes.add(lane);
+  const types = Object.keys(JOB_TYPES).filter(t => JOB_TYPES[t].lane === lane);
+  try {
+    for (;;) {
+      // Scheduled jobs wait for the end of a blackout window, manual ones run
+      const skipSources = (await getActiveBlackout()) ? ['schedule'] : [];
+      const job = await jobsModel.claimNext(types, skipSources);
+      if (!job) break;
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error(`[Jobs] ${lane} lane error: ${err.message}`);
+  } finally {
+    busyLanes.delete(lane);
+  }
+}
+
+function kick() {
+  for (const lane of LANES) runLane(lane);
+}
+
+async function start() {
+  const { requeued, failed } = await jobsModel.requeueInterrupted(MAX_ATTEMPTS);
+  if (requeued > 0) console.log(`[Jobs] Requeued ${requeued} job(s) interrupted by the restart`);
+  if (failed > 0) console.log(`[Jobs] Gave up ${failed} interrupted job(s) after ${MAX_ATTEMPTS} attempts`);
+  await jobsModel.pruneHistory(HISTORY_DAYS);
+
+  pollTimer = setInterval(kick, POLL_INTERVAL);
+  kick();
+  console.log('[Jobs] Queue started');
+}
+
+function stop() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+const withStep = (job) => (job && steps.has(job.id) ? { ...job, step: steps.get(job.id) } : job);
+
+async function getQueue(historyLimit = 50) {
+  const [running, queued, history] = await Promise.all([
+    jobsModel.getRunning(), jobsModel.getQueued(), jobsModel.getHistory(historyLimit),
+  ]);
+  return { running: running.map(withStep), queued, history };
+}
+
+async function getJob(id) {
+  return withStep(await jobsModel.getById(id));
+}
+
+/**
+ * Wait until the job has finished or the timeout (ms) passed.
+ * Resolves with the job as it is then.
+ */
+async function waitFor(id, timeout) {
+  const job = await jobsModel.getById(id);
+  if (!job || !['queued', 'running'].includes(job.status)) return job;
+
+  await new Promise((resolve) => {
+    const onFinished = (finishedId) => { if (finishedId === id) done(); };
+    const timer = setTimeout(done, timeout);
+    function done() {
+      clearTimeout(timer);
+      finished.off('finished', onFinished);
+      resolve();
+    }
+    finished.on('finished', onFinished);
+  });
+  return getJob(id);
+}
+
+module.exports = { PRIORITY, enqueue, kick, start, stop, getQueue, getJob, waitFor };
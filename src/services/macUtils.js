@@ -0,0 +1,45 @@
+/**
+ * MAC address helpers for host identity
+ *
+ * A MAC identifies a device across IP changes only if it is visible on the
+ * local segment and belongs to exactly one address: behind a router (or a
+ * proxy-ARP gateway) every host shows the router's MAC.
+ */
+
+const { ipFamily } = require('./ipUtils');
+
+function normalizeMac(mac) {
+  const hex = String(mac || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  if (hex.length !== 12) return null;
+  return hex.match(/../g).join(':').toUpperCase();
+}
+
+/**
+ * Locally administered MACs (second-least significant bit of the first octet):
+ * private/randomized Wi-Fi addresses of phones and laptops, VMs and containers
+ */
+function isRandomizedMac(mac) {
+  const normalized = normalizeMac(mac);
+  if (!normalized) return false;
+  return (parseInt(normalized.substring(0, 2), 16) & 0x02) !== 0;
+}
+
+/**
+ * Flag hosts of one scan whose MAC was seen for several addresses of the same
+ * family (router, proxy ARP) - such a MAC says nothing about the device.
+ * Dual-stack hosts legitimately share the MAC across families.
+ */
+function markSharedMacs(hosts) {
+  const counts = new Map();
+  const key = (h) => `${ipFamily(h.ip)}/${normalizeMac(h.mac)}`;
+  for (const h of hosts) {
+    if (!normalizeMac(h.mac)) continue;
+    counts.set(key(h), (counts.get(key(h)) || 0) + 1);
+  }
+  for (const h of hosts) {
+    if (normalizeMac(h.mac) && counts.get(key(h)) > 1) h.macShared = true;
+  }
+  return hosts;
+}
+
+module.exports = { normalizeMac, isRandomizedMac, markSharedMacs };
@@ -0,0 +1,127 @@
+/**
+ * Offline MAC vendor lookup (IEEE MA-L, MA-M and MA-S assignments)
+ *
+ * The bundled IEEE registry (src/data/oui.txt, regenerated by
+ * data/updateOui.js) is extended by registry files imported in the settings
+ * (models/ouiVendors). Lookups are synchronous against an
+ * in-memory map keyed by the hex prefix; the longest assignment wins, so an
+ * MA-S block inside a vendor's MA-L resolves to the MA-S owner.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ouiVendorsModel = require('../models/ouiVendors');
+const { normalizeMac, isRandomizedMac } = require('./macUtils');
+
+const BUNDLED_FILE = path.join(__dirname, '../data/oui.txt');
+// Prefix length in hex digits: MA-S (36 bit), MA-M (28 bit), MA-L (24 bit)
+const PREFIX_LENGTHS = [9, 7, 6];
+const REGISTRIES = { 'MA-L': 6, 'MA-M': 7, 'MA-S': 9 };
+
+let vendors = null;
+let bundledCount = 0;
+
+/**
+ * Split one CSV line, honouring quoted fields ("Foo, Inc.")
+ */
+function splitCsv(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { fields.push(field); field = ''; }
+    else field += c;
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Parse a vendor list into [{ prefix, vendor }]. Accepted formats:
+ *  - IEEE registry CSV (oui.csv, mam.csv, oui36.csv):
+ *    Registry,Assignment,Organization Name,Organization Address
+ *  - prefix lists: "001A11 Google, Inc." (bundled file, nmap-mac-prefixes)
+ *    or "00:1A:11<TAB>Google<TAB>Google, Inc." (Wireshark manuf, /28 and /36 masks)
+ */
+function parseOuiFile(text) {
+  const entries = [];
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const ieee = /^registry,assignment,organization name/i.test(lines[0] || '');
+
+  for (const raw of ieee ? lines.slice(1) : lines) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    if (ieee) {
+      const [registry, assignment, name] = splitCsv(line);
+      const length = REGISTRIES[registry];
+      const prefix = String(assignment || '').toUpperCase();
+      if (length && prefix.length === length && /^[0-9A-F]+$/.test(prefix) && name?.trim()) {
+        entries.push({ prefix, vendor: name.trim() });
+      }
+      continue;
+    }
+
+    const m = line.match(/^([0-9A-Fa-f]{2}(?:[:.-]?[0-9A-Fa-f]{1,2})+)(?:\/(\d+))?\s+(.+)$/);
+    if (!m) continue;
+    let prefix = m[1].replace(/[^0-9A-Fa-f]/g, '').toUpperCase();
+    if (m[2]) prefix = prefix.substring(0, parseInt(m[2]) / 4);
+    if (!PREFIX_LENGTHS.includes(prefix.length)) continue;
+    // Wireshark: short name TAB long name
+    const vendor = m[3].split('\t').map(s => s.trim()).filter(Boolean).pop();
+    if (vendor) entries.push({ prefix, vendor: vendor.substring(0, 255) });
+  }
+  return entries;
+}
+
+function loadBundled() {
+  const map = new Map();
+  try {
+    for (const e of parseOuiFile(fs.readFileSync(BUNDLED_FILE, 'utf8'))) map.set(e.prefix, e.vendor);
+  } catch (err) {
+    console.error(`[OUI] Bundled vendor list not readable: ${err.message}`);
+  }
+  bundledCount = map.size;
+  return map;
+}
+
+/**
+ * (Re)load the bundled list and the imported registry; imported entries win
+ */
+async function load() {
+  const map = loadBundled();
+  const imported = await ouiVendorsModel.getAll();
+  for (const row of imported) map.set(row.prefix, row.vendor);
+  vendors = map;
+  console.log(`[OUI] ${map.size} vendor prefixes loaded (${imported.length} imported)`);
+  return map.size;
+}
+
+/**
+ * Vendor of a MAC address, null if unknown. Locally administered (randomized)
+ * MACs are not IEEE assignments and never resolve.
+ */
+function lookupVendor(mac) {
+  const normalized = normalizeMac(mac);
+  if (!normalized || isRandomizedMac(normalized)) return null;
+  // Before load() finished only the bundled list is available
+  if (!vendors) vendors = loadBundled();
+  const hex = normalized.replace(/:/g, '');
+  for (const length of PREFIX_LENGTHS) {
+    const vendor = vendors.get(hex.substring(0, length));
+    if (vendor) return vendor;
+  }
+  return null;
+}
+
+function getStats() {
+  return { bundled: bundledCount, total: vendors ? vendors.size : 0 };
+}
+
+module.exports = { parseOuiFile, load, lookupVendor, getStats };
@@ -0,0 +1,109 @@
+/**
+ * Scan diff
+ *
+ * Compares the host snapshots (scan_hosts) of two scans: new and vanished
+ * hosts, opened and closed ports, changed service identification/versions.
+ * Hosts are matched by host ID, falling back to the IP address.
+ *
+ * Only what both scans looked at is compared: a host missing from one
+ * snapshot was outside that scan's scope (e.g. a profile scan of other
+ * networks), and ports of a protocol only count if both scans scanned it.
+ */
+
+const { ipInCidr } = require('./ipUtils');
+
+const hostKey = (h) => (h.host_id ? `id:${h.host_id}` : `ip:${h.ip}`);
+const portKey = (p) => `${p.port}/${p.protocol}`;
+
+/**
+ * Protocols a snapshot entry was port-scanned for. Entries stored before
+ * this was recorded: TCP, plus UDP if UDP ports were seen.
+ */
+function scannedProtocols(h) {
+  if (h.protocols) return h.protocols;
+  return h.ports?.some(p => p.protocol === 'udp') ? ['tcp', 'udp'] : ['tcp'];
+}
+
+function hostInfo(h) {
+  return { host_id: h.host_id, ip: h.ip, hostname: h.hostname || h.current_hostname || null, mac_address: h.mac_address };
+}
+
+function serviceInfo(p) {
+  return {
+    identified_as: p.identified_as || null,
+    product: p.product || null,
+    version: p.version || null,
+  };
+}
+
+/**
+ * Diff two snapshots. before = older scan, after = newer scan.
+ * beforeNetworks: CIDRs the older scan covered - a host it didn't list is new
+ * if it lies inside them. Without (imports, older scans) a host has to be in
+ * both snapshots to count as new.
+ */
+function diffSnapshots(before, after, { beforeNetworks = null } = {}) {
+  const beforeMap = new Map(before.map(h => [hostKey(h), h]));
+  const afterMap = new Map(after.map(h => [hostKey(h), h]));
+
+  const result = {
+    newHosts: [],
+    vanishedHosts: [],
+    openedPorts: [],
+    closedPorts: [],
+    changedServices: [],
+  };
+
+  const inBeforeScope = (ip) => !!beforeNetworks?.some(n => ipInCidr(ip, n));
+  for (const [key, b] of afterMap) {
+    const a = beforeMap.get(key);
+    if (b.status === 'up' && (a ? a.status !== 'up' : inBeforeScope(b.ip))) {
+      result.newHosts.push({ ...hostInfo(b), ports: b.ports || [] });
+    }
+  }
+
+  // Only hosts observed as down in the newer snapshot have vanished
+  for (const [key, a] of beforeMap) {
+    const b = afterMap.get(key);
+    if (a.status === 'up' && b && b.status !== 'up') {
+      result.vanishedHosts.push({ ...hostInfo(a), ports: a.ports || [] });
+    }
+  }
+
+  // Port changes only where both scans actually port-scanned the host
+  for (const [key, b] of afterMap) {
+    const a = beforeMap.get(key);
+    if (!a || a.status !== 'up' || b.status !== 'up' || !a.ports || !b.ports) continue;
+
+    const protocols = scannedProtocols(a).filter(p => scannedProtocols(b).includes(p));
+    const compared = (ports) => ports.filter(p => protocols.includes(p.protocol)).map(p => [portKey(p), p]);
+    const aPorts = new Map(compared(a.ports));
+    const bPorts = new Map(compared(b.ports));
+    const host = hostInfo(b);
+
+    for (const [pk, bp] of bPorts) {
+      const ap = aPorts.get(pk);
+      if (!ap) {
+        result.openedPorts.push({ ...host, port: bp.port, protocol: bp.protocol, ...serviceInfo(bp) });
+        continue;
+      }
+      const before = serviceInfo(ap);
+      const after = serviceInfo(bp);
+      if (before.identified_as !== after.identified_as ||
+          before.product !== after.product || before.version !== after.version) {
+        result.changedServices.push({ ...host, port: bp.port, protocol: bp.protocol, before, after });
+      }
+    }
+
+    for (const [pk, ap] of aPorts) {
+      if (!bPorts.has(pk)) {
+        result.closedPorts.push({ ...host, port: ap.port, protocol: ap.protocol, ...serviceInfo(ap) });
+      }
+    }
+  }
+
+  result.summary = Object.fromEntries(Object.entries(result).map(([k, v]) => [k, v.length]));
+  return result;
+}
+
+module.exports = { diffSnapshots };
@@ -0,0 +1,110 @@
+/**
+ * Live scan progress
+ *
+ * The scanner reports phases, host/port results and counters here; the
+ * SSE endpoint (/api/scans/events) forwards every event to the browser.
+ * A short feed of recent events is kept so late subscribers can catch up.
+ */
+
+const { EventEmitter } = require('events');
+
+const PHASE_LABELS = {
+  '0': 'Ping-Sweep',
+  '1': 'Port-Scan',
+  '1.5': 'Erreichbarkeit prüfen',
+  '2': 'Dienst-Erkennung',
+  '3': 'Deep Discovery',
+};
+
+const FEED_SIZE = 100;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(100);
+
+let state = null;
+let feed = [];
+
+// Work outside a scan (e.g. a single-host rescan) doesn't touch the last scan's state
+const running = () => state?.status === 'running';
+
+function emit(type, data = {}) {
+  const event = { type, scanId: state?.scanId ?? null, time: new Date().toISOString(), ...data };
+  if (type !== 'progress') {
+    feed.push(event);
+    if (feed.length > FEED_SIZE) feed = feed.slice(-FEED_SIZE);
+  }
+  emitter.emit('event', event);
+}
+
+function start(scanId, networks) {
+  state = {
+    scanId, networks, status: 'running', phase: null, phaseLabel: null,
+    network: null, done: 0, total: 0, hosts: 0, services: 0,
+    startedAt: new Date().toISOString(),
+  };
+  feed = [];
+  emit('start', { networks });
+}
+
+/**
+ * Enter a phase. total = number of work items (networks or hosts), 0 if unknown
+ */
+function phase(id, { network = null, total = 0 } = {}) {
+  if (!running()) return;
+  Object.assign(state, { phase: id, phaseLabel: PHASE_LABELS[id], network, done: 0, total });
+  emit('phase', { phase: id, label: PHASE_LABELS[id], network, total });
+}
+
+function progress(done, total = state?.total) {
+  if (!running()) return;
+  Object.assign(state, { done, total });
+  emit('progress', { phase: state.phase, done, total });
+}
+
+function host(ip, data = {}) {
+  if (!running()) return;
+  emit('host', { phase: state.phase, ip, ...data });
+}
+
+function service(ip, data) {
+  if (!running()) return;
+  state.services++;
+  emit('service', { ip, ...data });
+}
+
+/**
+ * Scan waits for the end of a blackout window ({ name, until })
+ */
+function pause(blackout) {
+  if (!state) return;
+  state.paused = blackout;
+  emit('paused', blackout);
+}
+
+function resume() {
+  if (!state?.paused) return;
+  state.paused = null;
+  emit('resumed');
+}
+
+function finish(status, summary = {}) {
+  if (!state) return;
+  Object.assign(state, { status, ...summary, paused: null, finishedAt: new Date().toISOString() });
+  emit('finish', { status, ...summary });
+}
+
+/**
+ * Snapshot of the current (or last) scan including the recent event feed
+ */
+function getState() {
+  return { running: state?.status === 'running', ...(state || {}), feed };
+}
+
+function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+module.exports = {
+  PHASE_LABELS, start, phase, progress, host, service, pause, resume, finish, getState, subscribe,
+};
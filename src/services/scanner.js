@@ -4,14 +4,36 @@ const hostsModel = require('../models/hosts');
 const servicesModel = require('../models/services');
 const scansModel = require('../models/scans');
 const settingsModel = require('../models/settings');
+const probeCacheModel = require('../models/probeCache');
 const availabilityModel = require('../models/availability');
 const { identifyService } = require('./serviceIdentifier');
 const { runDeepDiscovery } = require('./deepDiscovery');
 const topologyModel = require('../models/topology');
+const scanProfilesModel = require('../models/scanProfiles');
+const childProcesses = require('./childProcesses');
+const scanProgress = require('./scanProgress');
+const { createMatcher, loadExclusions } = require('./exclusions');
+const blackout = require('./blackout');
+const { diffSnapshots } = require('./scanDiff');
+const vulnMatcher = require('./vulnMatcher');
+const certificatesModel = require('../models/certificates');
+const { recordHostKeys } = require('./hostKeyMonitor');
+const hostNamesModel = require('../models/hostNames');
+const { netbiosName } = require('./deepProbe');
+const { certificateHostname } = require('./certificateInfo');
+const { markSharedMacs } = require('./macUtils');
+const { parseCidr, ipInCidr, isIPv6Cidr, ipFamily, ipv6Scope, stripZone } = require('./ipUtils');
+
+const DEFAULT_UDP_PORTS = '53,67,69,123,137,161,500,514,1194,1900,4500,5353,51820';
 
 let scanning = false;
 let discoveryRunning = false;
 let currentScanId = null;
+let cancelRequested = false;
+let cancelReason = null;
+let enforceBlackout = false;
+
+const BLACKOUT_POLL = 10000; // ms between blackout checks while paused
 
 function isScanning() {
   return scanning;
@@ -25,6 +47,35 @@ function getCurrentScanId() {
   return currentScanId;
 }
 
+/**
+ * Flag the running scan as cancelled and kill its nmap children.
+ * Returns the number of killed processes.
+ */
+function requestCancel(reason = null) {
+  cancelRequested = true;
+  cancelReason = reason;
+  return childProcesses.killAll();
+}
+
+/**
+ * Cancel the running scan: kills nmap children and lets runScan
+ * stop at the next checkpoint. Returns false if scanId is not running.
+ */
+function cancelScan(scanId) {
+  if (!scanning || currentScanId !== scanId) return false;
+  const killed = requestCancel();
+  console.log(`[Scanner] Cancel requested for scan #${scanId} (${killed} child processes killed)`);
+  return true;
+}
+
+function throwIfCancelled() {
+  if (cancelRequested) {
+    const err = new Error('Scan cancelled');
+    err.cancelled = true;
+    throw err;
+  }
+}
+
 /**
  * Run parallel tasks with concurrency limit
  */
@@ -45,6 +96,40 @@ async function parallelLimit(tasks, limit) {
   return Promise.allSettled(results);
 }
 
+/**
+ * Cancel the running scan if it reached a blackout window and the policy says so.
+ * Returns the active blackout (or null).
+ */
+async function cancelOnBlackout() {
+  if (!enforceBlackout || cancelRequested) return null;
+  const active = await blackout.getActiveBlackout();
+  if (active && (await blackout.getPolicy()) === 'cancel') {
+    console.log(`[Scanner] Blackout window "${active.name}" reached, cancelling scan #${currentScanId}`);
+    requestCancel(`Abgebrochen: Blackout-Fenster "${active.name}"`);
+  }
+  return active;
+}
+
+/**
+ * Checkpoint between scan steps: a scan started outside a blackout window
+ * that runs into one is cancelled or waits here until the window ends
+ */
+async function blackoutCheckpoint() {
+  let active = await cancelOnBlackout();
+  throwIfCancelled();
+  if (!active) return;
+
+  console.log(`[Scanner] Blackout window "${active.name}": scan #${currentScanId} paused until ${active.until.toLocaleString('de-DE')}`);
+  scanProgress.pause({ name: active.name, until: active.until.toISOString() });
+  while (active && !cancelRequested) {
+    await new Promise(resolve => setTimeout(resolve, BLACKOUT_POLL));
+    active = await blackout.getActiveBlackout();
+  }
+  scanProgress.resume();
+  throwIfCancelled();
+  console.log(`[Scanner] Blackout window over, scan #${currentScanId} resumed`);
+}
+
 /**
  * Check if host is alive by attempting connections to common ports
  * Uses TCP SYN (port 443, 80, 22) for reliability without special permissions
@@ -99,20 +184,23 @@ function checkHostAlive(ip) {
  * Phase 0: Ping sweep to discover which hosts are alive
  * Uses ARP (local net), ICMP echo, TCP SYN to port 443, TCP ACK to port 80
  * This is fast and reliable for determining host reachability
+ * excludes: IPs/CIDRs from the scan exclusion list (nmap --exclude)
  */
-function runPingSweep(network) {
+function runPingSweep(network, excludes = []) {
   return new Promise((resolve, reject) => {
     const args = [
+      ...(isIPv6Cidr(network) ? ['-6'] : []),
       '-sn',               // Ping sweep only, no port scan
       '-T4',               // Aggressive timing (fine for ping)
       '--max-retries', '2',
+      ...(excludes.length > 0 ? ['--exclude', excludes.join(',')] : []),
       '-oX', '-',
       network,
     ];
 
     console.log(`[Scanner] Phase 0 - Ping sweep: nmap ${args.join(' ')}`);
 
-    execFile('nmap', args, {
+    childProcesses.track(execFile('nmap', args, {
       maxBuffer: 10 * 1024 * 1024,
       timeout: 120000, // 2 minutes
     }, (err, stdout, stderr) => {
@@ -136,7 +224,7 @@ function runPingSweep(network) {
       }
       
       reject(new Error(`Ping sweep failed: ${err?.message || 'Invalid output'}`));
-    });
+    }));
   });
 }
 
@@ -164,7 +252,7 @@ async function parsePingSweep(xml) {
     if (h.status?.$.state !== 'up') continue;
 
     const addresses = Array.isArray(h.address) ? h.address : [h.address];
-    const ipAddr = addresses.find(a => a.$.addrtype === 'ipv4');
+    const ipAddr = addresses.find(a => a.$.addrtype === 'ipv4' || a.$.addrtype === 'ipv6');
     if (!ipAddr) continue;
 
     const macAddr = addresses.find(a => a.$.addrtype === 'mac');
@@ -175,7 +263,7 @@ async function parsePingSweep(xml) {
       hostname = hostnames[0]?.$.name || null;
     }
 
-    alive.set(ipAddr.$.addr, {
+    alive.set(stripZone(ipAddr.$.addr), {
       mac: macAddr?.$.addr || null,
       vendor: macAddr?.$.vendor || null,
       hostname,
@@ -192,27 +280,36 @@ async function parsePingSweep(xml) {
 /**
  * Phase 1: Fast SYN scan to discover open ports
  * No -sV (version detection), just find what's open quickly
+ * Accepts a CIDR or a list of addresses (IPv6 networks are scanned by target list)
+ * Ports, timing and OS detection come from the network's scan profile
  */
-function runNmapDiscovery(network, portRange) {
+function runNmapDiscovery(targets, profile, excludes = []) {
+  const targetList = Array.isArray(targets) ? targets : [targets];
+  const topPorts = String(profile.port_range).match(/^top:(\d+)$/);
+  const gentle = profile.timing <= 2;
   return new Promise((resolve, reject) => {
     const args = [
+      ...(isIPv6Cidr(targetList[0]) ? ['-6'] : []),
       '-sS',                 // SYN scan (fast)
       '-Pn',                 // Don't ping first - scan everything
-      '-O',                  // OS detection
-      '--osscan-limit',      // Limit OS detection to promising targets
-      '-T4',                 // Aggressive timing
-      '-p', portRange,       // Port range
+      ...(profile.os_detection ? [
+        '-O',                // OS detection
+        '--osscan-limit',    // Limit OS detection to promising targets
+      ] : []),
+      `-T${profile.timing}`, // Timing template (T4 = aggressive)
+      ...(topPorts ? ['--top-ports', topPorts[1]] : ['-p', profile.port_range]),
       '--open',              // Only show open ports
       '-oX', '-',            // XML output to stdout
       '--max-retries', '3',  // More retries for reliability
-      '--host-timeout', '90s',  // Timeout per host (reduced from 300s for faster scans)
-      '--min-rate', '200',   // Moderate min rate
-      network,
+      '--host-timeout', gentle ? '300s' : '90s', // Slow timing templates need more time per host
+      ...(gentle ? [] : ['--min-rate', '200']),  // Moderate min rate
+      ...(excludes.length > 0 ? ['--exclude', excludes.join(',')] : []), // Scan exclusion list
+      ...targetList,
     ];
 
     console.log(`[Scanner] Phase 1 - Fast port discovery: nmap ${args.join(' ')}`);
 
-    execFile('nmap', args, {
+    childProcesses.track(execFile('nmap', args, {
       maxBuffer: 50 * 1024 * 1024,
       timeout: 1800000, // 30 minutes - sufficient for 100+ hosts at 90s per host
     }, (err, stdout, stderr) => {
@@ -239,7 +336,115 @@ function runNmapDiscovery(network, portRange) {
       
       // Otherwise reject
       reject(new Error(`nmap failed: ${err?.message || 'Invalid output'}`));
+    }));
+  });
+}
+
+/**
+ * Phase 1 (UDP): UDP scan of the configured UDP ports
+ * Only runs against hosts already known to be alive - UDP scans are slow
+ * Timing comes from the network's scan profile like in the TCP phase
+ */
+function runNmapUdpDiscovery(targets, udpPorts, profile) {
+  const gentle = profile.timing <= 2;
+  return new Promise((resolve, reject) => {
+    const args = [
+      ...(isIPv6Cidr(targets[0]) ? ['-6'] : []),
+      '-sU',                 // UDP scan (uses protocol payloads for well-known ports)
+      '-Pn',                 // Targets are known to be alive
+      `-T${profile.timing}`, // Timing template of the scan profile
+      '-p', udpPorts,        // UDP port list
+      '--open',              // Only show open ports
+      '-oX', '-',            // XML output to stdout
+      '--max-retries', '2',
+      '--host-timeout', gentle ? '300s' : '120s', // Slow timing templates need more time per host
+      ...targets,
+    ];
+
+    console.log(`[Scanner] Phase 1 - UDP discovery: nmap ${args.slice(0, -targets.length).join(' ')} (${targets.length} targets)`);
+
+    childProcesses.track(execFile('nmap', args, {
+      maxBuffer: 50 * 1024 * 1024,
+      timeout: 1800000,
+    }, (err, stdout, stderr) => {
+      if (err) {
+        console.log(`[Scanner] nmap UDP error: ${err.message} (timeout=${err.killed}, signal=${err.signal})`);
+        if (stderr) console.log(`[Scanner] nmap stderr: ${stderr.substring(0, 500)}`);
+      }
+
+      if (!stdout || !stdout.includes('<?xml')) {
+        reject(new Error('nmap UDP scan produced invalid output'));
+        return;
+      }
+
+      resolve(stdout);
+    }));
+  });
+}
+
+/**
+ * Phase 0 (IPv6): Neighbour discovery instead of an exhaustive sweep
+ * A /64 cannot be swept, so we ping the all-nodes multicast group from every
+ * local address inside the network and read the kernel's neighbour cache.
+ * Finds link-local as well as SLAAC/DHCPv6 addresses of on-link hosts.
+ */
+async function runIpv6NeighborDiscovery(network) {
+  const range = parseCidr(network);
+  const linkLocalNet = ipv6Scope(network.split('/')[0]) === 'link-local';
+  const alive = new Map(); // ip -> { mac, vendor, hostname, iface, target }
+
+  console.log(`[Scanner] Phase 0 - IPv6 neighbour discovery for ${network}`);
+
+  const addrOutput = await execFileText('ip', ['-6', '-o', 'addr', 'show']);
+  const sources = [];
+  for (const line of addrOutput.split('\n')) {
+    const m = line.match(/^\d+:\s+(\S+)\s+inet6\s+([\da-f:]+)\/\d+/i);
+    if (!m || m[1] === 'lo') continue;
+    const [, iface, addr] = m;
+    if (linkLocalNet ? ipv6Scope(addr) === 'link-local' : ipInCidr(addr, range)) {
+      sources.push({ iface, addr });
+    }
+  }
+
+  if (sources.length === 0) {
+    console.log(`[Scanner] Phase 0 - No local interface in ${network}, IPv6 neighbour discovery skipped`);
+    return alive;
+  }
+
+  // Populate the neighbour cache: all-nodes multicast echo from each source address
+  await Promise.allSettled(sources.map(({ iface, addr }) =>
+    execFileText('ping', ['-6', '-c', '2', '-w', '3', '-I', addr, `ff02::1%${iface}`], 5000)
+  ));
+
+  const ifaces = new Set(sources.map(s => s.iface));
+  const neighOutput = await execFileText('ip', ['-6', 'neigh', 'show']);
+  for (const line of neighOutput.split('\n')) {
+    const m = line.match(/^([\da-f:]+)\s+dev\s+(\S+)\s+lladdr\s+([\da-f:]{17})\b.*\b(REACHABLE|STALE|DELAY|PROBE|PERMANENT)\s*$/i);
+    if (!m) continue;
+    const [, ip, iface, mac] = m;
+    if (!ifaces.has(iface) || !ipInCidr(ip, range)) continue;
+
+    const linkLocal = ipv6Scope(ip) === 'link-local';
+    alive.set(ip, {
+      mac: mac.toLowerCase(),
+      vendor: null,
+      hostname: null,
+      iface,
+      target: linkLocal ? `${ip}%${iface}` : ip,
     });
+  }
+
+  return alive;
+}
+
+/**
+ * Run a command and resolve with stdout ('' on error)
+ */
+function execFileText(cmd, args, timeout = 10000) {
+  return new Promise((resolve) => {
+    childProcesses.track(execFile(cmd, args, { timeout, maxBuffer: 5 * 1024 * 1024 }, (err, stdout) => {
+      resolve(stdout || '');
+    }));
   });
 }
 
@@ -280,13 +485,13 @@ async function parseNmapOutput(xml) {
     if (h.status?.$.state !== 'up') continue;
 
     const addresses = Array.isArray(h.address) ? h.address : [h.address];
-    const ipAddr = addresses.find(a => a.$.addrtype === 'ipv4');
+    const ipAddr = addresses.find(a => a.$.addrtype === 'ipv4' || a.$.addrtype === 'ipv6');
     const macAddr = addresses.find(a => a.$.addrtype === 'mac');
 
     if (!ipAddr) continue;
 
     const host = {
-      ip: ipAddr.$.addr,
+      ip: stripZone(ipAddr.$.addr),
       mac: macAddr?.$.addr || null,
       vendor: macAddr?.$.vendor || null,
       hostname: null,
@@ -343,17 +548,21 @@ async function parseNmapOutput(xml) {
 
 /**
  * Phase 2: Deep-probe all open ports on a host
- * Uses curl, banner grabbing, and endpoint probing
+ * Uses HTTP probing, banner grabbing, and endpoint probing. cache (models/probeCache
+ * entries by "port/protocol") lets unchanged services skip the full probe.
  */
-async function deepProbeHost(host) {
+async function deepProbeHost(host, cache = null) {
+  const options = { deepProbe: host.deepProbe !== false };
   const CONCURRENCY = 8; // Probe up to 8 ports per host in parallel
   const results = [];
 
-  console.log(`[Scanner] Phase 2 - Deep probing ${host.ip} (${host.ports.length} ports)`);
+  console.log(`[Scanner] Phase 2 - ${options.deepProbe ? 'Deep probing' : 'Identifying (no deep probe)'} ${host.ip} (${host.ports.length} ports)`);
 
   const tasks = host.ports.map((portInfo) => async () => {
+    if (cancelRequested) return { portInfo, identified: null };
     try {
-      const identified = await identifyService(host.ip, portInfo.port, portInfo);
+      const cached = cache?.get(`${portInfo.port}/${portInfo.protocol}`);
+      const identified = await identifyService(host.target || host.ip, portInfo.port, portInfo, { ...options, cached });
       return { portInfo, identified };
     } catch (err) {
       console.error(`[Scanner] Error probing ${host.ip}:${portInfo.port}: ${err.message}`);
@@ -372,47 +581,349 @@ async function deepProbeHost(host) {
   return results;
 }
 
+/**
+ * NetBIOS name of a host with SMB/NetBIOS ports open (skipped without deep probe)
+ */
+async function lookupNetbiosName(host) {
+  if (host.deepProbe === false) return null;
+  const smb = host.ports.some(p =>
+    (p.protocol === 'udp' && p.port === 137) || (p.protocol !== 'udp' && [139, 445].includes(p.port))
+  );
+  return smb ? netbiosName(host.target || host.ip) : null;
+}
+
+/**
+ * Host names found while probing: NetBIOS and the first TLS certificate name
+ */
+async function recordProbedNames(hostId, host, probeResults) {
+  const netbios = await lookupNetbiosName(host);
+  if (netbios) await hostNamesModel.record(hostId, 'netbios', netbios);
+  const leaf = probeResults.find(r => r.identified?.tlsChain)?.identified.tlsChain[0];
+  const certName = leaf && certificateHostname(leaf);
+  if (certName) await hostNamesModel.record(hostId, 'certificate', certName);
+}
+
+/**
+ * Phase 0 + 1 for a single network: ping sweep (or IPv6 neighbour discovery),
+ * TCP port discovery and the optional UDP phase (udpEnabled and the profile's
+ * udp_scan). Shared by runScan and the remote agent (src/agent.js).
+ * Returns { alive: Map(ip -> info), hosts: [hosts with open ports], udpScanned }
+ */
+async function discoverNetwork(network, profile, options = {}) {
+  const {
+    udpEnabled = false, udpPorts = DEFAULT_UDP_PORTS, networkIndex = 0, networkCount = 1,
+    exclusions = createMatcher(),
+  } = options;
+  const hostsMap = new Map(); // ip -> host (deduplicated)
+  const excludes = exclusions.nmapExcludes(network);
+  const isExcluded = (ip, mac) => exclusions.isExcluded({ ip, mac });
+
+  // Phase 0: Ping sweep (IPv6 prefixes too large to sweep use neighbour discovery)
+  scanProgress.phase('0', { network, total: networkCount });
+  scanProgress.progress(networkIndex);
+  const range = parseCidr(network);
+  const useNeighborDiscovery = range && range.family === 6 && range.prefix < 120;
+  let networkAlive;
+  if (useNeighborDiscovery) {
+    networkAlive = await runIpv6NeighborDiscovery(network);
+  } else {
+    const pingSweepXml = await runPingSweep(network, excludes);
+    networkAlive = await parsePingSweep(pingSweepXml);
+  }
+  // Excluded MACs only show up in the sweep result: keep them out of Phase 1
+  for (const [ip, info] of networkAlive) {
+    if (isExcluded(ip, info.mac)) {
+      networkAlive.delete(ip);
+      if (!excludes.includes(ip)) excludes.push(ip);
+      console.log(`[Scanner] ${ip} (${info.mac || 'no MAC'}) is on the exclusion list, skipping`);
+    }
+  }
+  for (const [ip, info] of networkAlive) {
+    scanProgress.host(ip, { alive: true, mac: info.mac, hostname: info.hostname });
+  }
+  console.log(`[Scanner] Phase 0 complete for ${network}: ${networkAlive.size} hosts alive`);
+
+  // Link-local IPv6 addresses need the zone ID (fe80::1%eth0) as nmap target
+  const targetFor = (ip) => networkAlive.get(ip)?.target || ip;
+
+  // Phase 1: Fast nmap port discovery
+  scanProgress.phase('1', { network, total: networkCount });
+  scanProgress.progress(networkIndex);
+  const scanTargets = useNeighborDiscovery ? [...networkAlive.keys()].map(targetFor) : [network];
+  let networkHosts = [];
+  if (scanTargets.length > 0) {
+    const xml = await runNmapDiscovery(scanTargets, profile, excludes);
+    networkHosts = (await parseNmapOutput(xml)).filter(h => !isExcluded(h.ip, h.mac));
+  }
+  for (const h of networkHosts) {
+    h.deepProbe = profile.deep_probe;
+    const info = networkAlive.get(h.ip);
+    if (info?.iface) {
+      h.iface = info.iface;
+      h.target = info.target;
+      h.mac = h.mac || info.mac;
+    }
+    hostsMap.set(h.ip, h);
+    scanProgress.host(h.ip, { openPorts: h.ports.map(p => p.port) });
+  }
+  console.log(`[Scanner] Phase 1 complete for ${network}: ${networkHosts.length} hosts with open ports`);
+
+  // Phase 1 (UDP): optional, against hosts found alive in this network
+  let udpScanned = false;
+  if (udpEnabled && profile.udp_scan !== false) {
+    const udpTargets = [...new Set([...networkAlive.keys(), ...networkHosts.map(h => h.ip)])].map(targetFor);
+    if (udpTargets.length > 0) {
+      try {
+        const udpXml = await runNmapUdpDiscovery(udpTargets, udpPorts, profile);
+        const udpHosts = await parseNmapOutput(udpXml);
+        let udpPortCount = 0;
+        for (const uh of udpHosts) {
+          const udpOnly = uh.ports.filter(p => p.protocol === 'udp');
+          udpPortCount += udpOnly.length;
+          const existing = hostsMap.get(uh.ip);
+          if (existing) {
+            existing.ports.push(...udpOnly);
+          } else {
+            hostsMap.set(uh.ip, { ...uh, ports: udpOnly, deepProbe: profile.deep_probe });
+          }
+        }
+        udpScanned = true;
+        console.log(`[Scanner] Phase 1 (UDP) complete for ${network}: ${udpPortCount} open UDP ports`);
+      } catch (err) {
+        console.error(`[Scanner] UDP discovery error (non-fatal): ${err.message}`);
+      }
+    }
+  }
+
+  return { alive: networkAlive, hosts: [...hostsMap.values()], udpScanned };
+}
+
+/**
+ * Probe cache max age in hours, 0 = caching off
+ */
+async function getProbeCacheMaxAge() {
+  const hours = parseInt(await settingsModel.get('probe_cache_max_age') ?? '24', 10);
+  return Number.isInteger(hours) && hours > 0 ? hours : 0;
+}
+
+/**
+ * Cached probe results of a host, null if none may be used (non-fatal)
+ */
+async function loadProbeCache(host, cacheMaxAge, forceDeepProbe) {
+  if (cacheMaxAge === 0 || forceDeepProbe || host.deepProbe === false) return null;
+  try {
+    return await probeCacheModel.getForHost(host.ip, cacheMaxAge);
+  } catch (err) {
+    console.error(`[Scanner] Probe cache error for ${host.ip} (non-fatal): ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Phase 2 for one host: upsert it, probe its open ports and store the
+ * identified services. Shared by runScan and the nmap XML import.
+ * closeUdp is set when the UDP phase ran for the host: missing UDP ports are
+ * closed and the snapshot lists udp as scanned.
+ * With cacheMaxAge (hours) unchanged services reuse their cached probe result
+ * unless forceDeepProbe is set; fresh results are cached.
+ * Returns the scan_hosts snapshot entry, the number of stored services and
+ * the probe cache hits/misses.
+ */
+async function probeAndStoreHost(host, {
+  closeUdp = false, portsScanned = true, cacheMaxAge = 0, forceDeepProbe = false,
+} = {}) {
+  const hostId = await hostsModel.upsert(host);
+  const cache = await loadProbeCache(host, cacheMaxAge, forceDeepProbe);
+  const probeResults = await deepProbeHost(host, cache);
+  // Probes of a cancelled scan are incomplete: don't store them or close services
+  throwIfCancelled();
+
+  const probeCache = { hits: 0, misses: 0 };
+  const activePorts = { tcp: [], udp: [] };
+  const observedPorts = [];
+  for (const { portInfo, identified } of probeResults) {
+    if (!identified) continue;
+
+    try {
+      // Sanitize strings to remove null bytes that break PostgreSQL
+      const sanitize = (s) => s ? s.replace(/\x00/g, '') : s;
+
+      await servicesModel.upsert({
+        hostId,
+        port: identified.port,
+        protocol: portInfo.protocol,
+        state: 'open',
+        name: sanitize(identified.name),
+        product: sanitize(identified.product),
+        version: sanitize(identified.version),
+        info: sanitize(identified.info),
+        banner: sanitize(identified.banner),
+        httpTitle: sanitize(identified.httpTitle),
+        httpServer: sanitize(identified.httpServer),
+        identifiedAs: sanitize(identified.identifiedAs),
+        extraInfo: identified.extraInfo,
+      });
+      if (identified.tlsChain) {
+        await certificatesModel.recordChain(hostId, identified.port, portInfo.protocol, identified.tlsChain);
+      }
+      if (identified.sshHostKeys) {
+        await recordHostKeys(hostId, host.ip, identified.port, identified.sshHostKeys);
+      }
+      (portInfo.protocol === 'udp' ? activePorts.udp : activePorts.tcp).push(portInfo.port);
+      observedPorts.push({
+        port: portInfo.port,
+        protocol: portInfo.protocol,
+        name: identified.name || null,
+        product: identified.product || null,
+        version: identified.version || null,
+        identified_as: identified.identifiedAs,
+        match_source: identified.extraInfo?.matchSource || null,
+      });
+      scanProgress.service(host.ip, {
+        port: portInfo.port,
+        protocol: portInfo.protocol,
+        identifiedAs: identified.identifiedAs,
+        matchSource: identified.extraInfo?.matchSource || null,
+      });
+
+      const source = identified.extraInfo?.matchSource || '?';
+      console.log(`[Scanner]   ${host.ip}:${portInfo.port}/${portInfo.protocol} → ${identified.identifiedAs} [${source}${identified.cached ? ', cached' : ''}]`);
+
+      // Only deep-probed TCP results carry a fingerprint
+      if (cacheMaxAge > 0 && identified.fingerprint) {
+        if (identified.cached) {
+          probeCache.hits++;
+        } else {
+          probeCache.misses++;
+          if (source !== 'error-fallback') await probeCacheModel.store(host.ip, portInfo.protocol, identified);
+        }
+      }
+    } catch (err) {
+      console.error(`[Scanner] DB error for ${host.ip}:${portInfo.port}: ${err.message}`);
+    }
+  }
+
+  // Mark services on this host that weren't found as closed
+  // But ONLY if nmap actually found ports - 0 ports likely means nmap missed them
+  if (host.ports.some(p => p.protocol !== 'udp')) {
+    await servicesModel.markClosed(hostId, activePorts.tcp, 'tcp');
+  }
+  if (closeUdp && host.ports.some(p => p.protocol === 'udp')) {
+    await servicesModel.markClosed(hostId, activePorts.udp, 'udp');
+  }
+
+  try {
+    await recordProbedNames(hostId, host, probeResults);
+  } catch (err) {
+    console.error(`[Scanner] Hostname lookup error for ${host.ip} (non-fatal): ${err.message}`);
+  }
+  try {
+    await vulnMatcher.matchHost(hostId);
+  } catch (err) {
+    console.error(`[Scanner] Vulnerability matching error for ${host.ip} (non-fatal): ${err.message}`);
+  }
+
+  const services = activePorts.tcp.length + activePorts.udp.length;
+  scanProgress.host(host.ip, { hostId, services });
+  return {
+    entry: {
+      hostId, ip: host.ip, mac: host.mac, hostname: host.hostname, status: 'up',
+      ports: portsScanned ? observedPorts : null, protocols: closeUdp ? ['tcp', 'udp'] : ['tcp'],
+    },
+    services,
+    probeCache,
+  };
+}
+
+/**
+ * Persist the per-host observations of a scan (non-fatal)
+ */
+async function saveSnapshot(scanId, snapshot) {
+  try {
+    await scansModel.recordHosts(scanId, [...snapshot.values()]);
+  } catch (err) {
+    console.error(`[Scanner] Snapshot recording error (non-fatal): ${err.message}`);
+  }
+}
+
 /**
  * Run a full network scan:
  *   Phase 0 (ping sweep) + Phase 1 (port discovery) + Phase 2 (deep probing)
+ * options.networks limits the scan to a subset of the configured networks
+ * (used by per-profile schedules), options.forceDeepProbe ignores the probe cache.
  */
-async function runScan() {
+async function runScan(options = {}) {
   if (scanning) {
     console.log('[Scanner] Scan already in progress, skipping');
     return null;
   }
 
   scanning = true;
+  cancelRequested = false;
   let scanRecord;
+  let hostsFound = 0;
+  let totalServices = 0;
+  let blackoutWatch = null;
+  const snapshot = new Map(); // ip -> what this scan observed (scan_hosts)
+  const probeCache = { hits: 0, misses: 0 };
 
   try {
     const networkSetting = await settingsModel.get('scan_network') || '192.168.66.0/24';
-    const networks = networkSetting.split(',').map(s => s.trim()).filter(Boolean);
+    const allNetworks = networkSetting.split(',').map(s => s.trim()).filter(Boolean);
+    const networks = options.networks
+      ? allNetworks.filter(n => options.networks.includes(n))
+      : allNetworks;
+    if (networks.length === 0) {
+      console.log('[Scanner] No networks to scan, skipping');
+      return null;
+    }
+    const partialScan = networks.length < allNetworks.length;
     const portRange = await settingsModel.get('scan_ports') || '1-10000';
+    const networkProfiles = await scanProfilesModel.getNetworkProfiles();
+    const defaultProfile = {
+      name: 'Standard', port_range: portRange, timing: 4, os_detection: true, deep_probe: true, udp_scan: true,
+    };
+    const udpEnabled = (await settingsModel.get('scan_udp_enabled')) === 'true';
+    const udpPorts = await settingsModel.get('scan_udp_ports') || DEFAULT_UDP_PORTS;
+    const cacheMaxAge = await getProbeCacheMaxAge();
+    const exclusions = await loadExclusions();
     const networkLabel = networks.join(', ');
 
-    scanRecord = await scansModel.create(networkLabel.substring(0, 500));
+    scanRecord = await scansModel.create(networkLabel.substring(0, 500), { networks });
     currentScanId = scanRecord.id;
     console.log(`[Scanner] === Scan #${scanRecord.id} started for ${networkLabel} ===`);
+    scanProgress.start(scanRecord.id, networks);
+
+    // A scan started during a blackout (manual, after a warning) runs through;
+    // otherwise the blackout policy applies once a window is reached
+    enforceBlackout = !(await blackout.getActiveBlackout());
+    blackoutWatch = setInterval(() => {
+      cancelOnBlackout().catch(err => console.error(`[Scanner] Blackout check error: ${err.message}`));
+    }, 60000);
 
     // Phase 0 + 1: Run ping sweep and port discovery for each network
-    const aliveHosts = new Map(); // ip -> { mac, vendor, hostname }
+    const aliveHosts = new Map(); // ip -> { mac, vendor, hostname, iface?, target? }
     const hostsMap = new Map();   // ip -> host (deduplicated)
+    const udpScannedIps = new Set(); // hosts of networks whose UDP phase ran
 
-    for (const network of networks) {
-      // Phase 0: Ping sweep
-      const pingSweepXml = await runPingSweep(network);
-      const networkAlive = await parsePingSweep(pingSweepXml);
-      for (const [ip, info] of networkAlive) aliveHosts.set(ip, info);
-      console.log(`[Scanner] Phase 0 complete for ${network}: ${networkAlive.size} hosts alive`);
+    for (const [networkIndex, network] of networks.entries()) {
+      await blackoutCheckpoint();
+      const profile = networkProfiles.get(network) || defaultProfile;
+      console.log(`[Scanner] ${network}: scan profile "${profile.name}" (ports ${profile.port_range}, T${profile.timing})`);
 
-      // Phase 1: Fast nmap port discovery
-      const xml = await runNmapDiscovery(network, portRange);
-      const networkHosts = await parseNmapOutput(xml);
-      for (const h of networkHosts) hostsMap.set(h.ip, h);
-      console.log(`[Scanner] Phase 1 complete for ${network}: ${networkHosts.length} hosts with open ports`);
+      const result = await discoverNetwork(network, profile, {
+        udpEnabled, udpPorts, networkIndex, networkCount: networks.length, exclusions,
+      });
+      for (const [ip, info] of result.alive) aliveHosts.set(ip, info);
+      for (const h of result.hosts) hostsMap.set(h.ip, h);
+      if (result.udpScanned) {
+        for (const ip of [...result.alive.keys(), ...result.hosts.map(h => h.ip)]) udpScannedIps.add(ip);
+      }
     }
 
+    // Killed nmap runs leave incomplete results - never mark hosts down from them
+    throwIfCancelled();
+
     const hosts = [...hostsMap.values()];
     const totalPorts = hosts.reduce((sum, h) => sum + h.ports.length, 0);
     console.log(`[Scanner] Phase 0+1 total: ${aliveHosts.size} alive, ${hosts.length} hosts with open ports, ${totalPorts} ports`);
@@ -427,50 +938,80 @@ async function runScan() {
           mac: info.mac,
           vendor: info.vendor,
           hostname: info.hostname,
+          iface: info.iface,
+          target: info.target,
           os: null,
           status: 'up',
           ports: [],
         });
       }
     }
+    // A MAC answering for several addresses (router, proxy ARP) is no device identity
+    markSharedMacs(hosts);
 
     // Determine online/offline: combine ping sweep + port scan results
     const allAliveIps = new Set([...aliveHosts.keys(), ...portScanIps]);
+    hostsFound = allAliveIps.size;
     console.log(`[Scanner] Total alive hosts (ping + port scan): ${allAliveIps.size}`);
 
     // Phase 1.5: Ping hosts that weren't found in nmap sweep
     // (e.g., WLAN devices discovered via FritzBox, hosts outside main scan network)
     console.log(`[Scanner] === Starting Phase 1.5 ===`);
-    const existingHosts = await hostsModel.getAllIds();
+    scanProgress.phase('1.5');
+    // Hosts reported by remote agents are judged by their agent, not by local checks.
+    // Excluded hosts are never probed and keep the state other sources give them.
+    let existingHosts = (await hostsModel.getAllIds())
+      .filter(h => !h.agent_id && !exclusions.isExcluded(h));
+    if (partialScan) {
+      // Only judge hosts inside the scanned networks - the others keep their state
+      const ranges = networks.map(n => parseCidr(n)).filter(Boolean);
+      existingHosts = existingHosts.filter(h =>
+        [h.ip, ...h.addresses].some(a => ranges.some(r => ipInCidr(a, r)))
+      );
+    }
     console.log(`[Scanner] Phase 1.5: Found ${existingHosts.length} total hosts in database`);
-    const hostsNotInScan = existingHosts.filter(h => !allAliveIps.has(h.ip));
+    // A dual-stack host counts as alive if any of its addresses answered
+    const isHostAlive = (h) => allAliveIps.has(h.ip) || h.addresses.some(a => allAliveIps.has(a));
+    const hostsNotInScan = existingHosts.filter(h => !isHostAlive(h));
     console.log(`[Scanner] Phase 1.5: ${hostsNotInScan.length} hosts NOT found in nmap scan`);
     
     if (hostsNotInScan.length > 0) {
       console.log(`[Scanner] Phase 1.5 - Checking ${hostsNotInScan.length} hosts not found in nmap scan...`);
       console.log(`[Scanner] Phase 1.5 - Hosts to check: ${hostsNotInScan.map(h => h.ip).join(', ')}`);
+      scanProgress.progress(0, hostsNotInScan.length);
+      let checked = 0;
       const checkTasks = hostsNotInScan.map(h => async () => {
-        const isAlive = await checkHostAlive(h.ip);
+        const linkLocal = ipFamily(h.ip) === 6 && ipv6Scope(h.ip) === 'link-local';
+        const isAlive = await checkHostAlive(linkLocal && h.interface ? `${h.ip}%${h.interface}` : h.ip);
         if (isAlive) {
           console.log(`[Scanner]   ${h.ip} is alive (port/ping check)`);
           allAliveIps.add(h.ip);
         } else {
           console.log(`[Scanner]   ${h.ip} is dead (not responding to TCP/ICMP)`);
         }
+        scanProgress.host(h.ip, { alive: isAlive });
+        scanProgress.progress(++checked);
         return { ip: h.ip, isAlive };
       });
       
       const checkResults = await parallelLimit(checkTasks, 8); // Check up to 8 hosts in parallel
+      hostsFound = allAliveIps.size;
       const aliveFromCheck = checkResults.filter(r => r.status === 'fulfilled' && r.value.isAlive).length;
       console.log(`[Scanner] Phase 1.5 complete: ${aliveFromCheck} additional hosts alive`);
     }
 
+    throwIfCancelled();
+
     // Only mark hosts as down if they weren't found by EITHER ping sweep or port scan,
     // AND they haven't been seen recently (grace period of 2 hours)
     const hostsToMarkDown = existingHosts
-      .filter(h => !allAliveIps.has(h.ip))
+      .filter(h => !isHostAlive(h))
       .map(h => h.id);
 
+    for (const h of existingHosts) {
+      snapshot.set(h.ip, { hostId: h.id, ip: h.ip, status: isHostAlive(h) ? 'up' : 'down', ports: null });
+    }
+
     if (hostsToMarkDown.length > 0) {
       await hostsModel.markDownGraceful(hostsToMarkDown);
       console.log(`[Scanner] Marked ${hostsToMarkDown.length} hosts as offline (not seen in ping sweep or port scan)`);
@@ -481,7 +1022,7 @@ async function runScan() {
       const checkedAt = new Date();
       const records = existingHosts.map(h => ({
         hostId: h.id,
-        status: allAliveIps.has(h.ip) ? 'up' : 'down',
+        status: isHostAlive(h) ? 'up' : 'down',
       }));
       await availabilityModel.recordBatch(records, checkedAt);
       console.log(`[Scanner] Recorded availability for ${records.length} hosts`);
@@ -490,56 +1031,33 @@ async function runScan() {
       console.error(`[Scanner] Availability recording error (non-fatal): ${err.message}`);
     }
 
-    let totalServices = 0;
-
     // Phase 2: Deep probe each host's open ports
-    for (const host of hosts) {
-      const hostId = await hostsModel.upsert(host);
-      const probeResults = await deepProbeHost(host);
-
-      const activePorts = [];
-      for (const { portInfo, identified } of probeResults) {
-        if (!identified) continue;
-
-        try {
-          // Sanitize strings to remove null bytes that break PostgreSQL
-          const sanitize = (s) => s ? s.replace(/\x00/g, '') : s;
-
-          await servicesModel.upsert({
-            hostId,
-            port: identified.port,
-            protocol: portInfo.protocol,
-            state: 'open',
-            name: sanitize(identified.name),
-            product: sanitize(identified.product),
-            version: sanitize(identified.version),
-            info: sanitize(identified.info),
-            banner: sanitize(identified.banner),
-            httpTitle: sanitize(identified.httpTitle),
-            httpServer: sanitize(identified.httpServer),
-            identifiedAs: sanitize(identified.identifiedAs),
-            extraInfo: identified.extraInfo,
-          });
-          activePorts.push(portInfo.port);
-          totalServices++;
-
-          const source = identified.extraInfo?.matchSource || '?';
-          console.log(`[Scanner]   ${host.ip}:${portInfo.port} → ${identified.identifiedAs} [${source}]`);
-        } catch (err) {
-          console.error(`[Scanner] DB error for ${host.ip}:${portInfo.port}: ${err.message}`);
-        }
-      }
-
-      // Mark services on this host that weren't found as closed
-      // But ONLY if nmap actually found ports - 0 ports likely means nmap missed them
-      if (host.ports.length > 0) {
-        await servicesModel.markClosed(hostId, activePorts);
-      }
+    scanProgress.phase('2', { total: hosts.length });
+    for (const [hostIndex, host] of hosts.entries()) {
+      await blackoutCheckpoint();
+      const { entry, services, probeCache: hostCache } = await probeAndStoreHost(host, {
+        closeUdp: udpScannedIps.has(host.ip), cacheMaxAge, forceDeepProbe: options.forceDeepProbe === true,
+      });
+      totalServices += services;
+      probeCache.hits += hostCache.hits;
+      probeCache.misses += hostCache.misses;
+      snapshot.set(host.ip, entry);
+      scanProgress.progress(hostIndex + 1);
+    }
+    if (probeCache.hits + probeCache.misses > 0) {
+      console.log(`[Scanner] Phase 2: ${probeCache.hits} of ${probeCache.hits + probeCache.misses} deep probes answered from cache`);
+    }
+    try {
+      await probeCacheModel.cleanup(cacheMaxAge);
+    } catch (err) {
+      console.error(`[Scanner] Probe cache cleanup error (non-fatal): ${err.message}`);
     }
 
     // Phase 3: Deep Discovery (topology enrichment) - only if enabled
     const deepDiscoveryEnabled = (await settingsModel.get('deep_discovery_enabled')) !== 'false';
     if (deepDiscoveryEnabled) {
+      await blackoutCheckpoint();
+      scanProgress.phase('3');
       try {
         const topology = await topologyModel.getTopology();
         const discoveryResult = await runDeepDiscovery(topology.hosts, networks[0]);
@@ -551,19 +1069,211 @@ async function runScan() {
       console.log('[Scanner] Deep Discovery disabled, skipping Phase 3');
     }
 
+    throwIfCancelled();
+    await saveSnapshot(scanRecord.id, snapshot);
+    await scansModel.recordProbeCache(scanRecord.id, probeCache);
     await scansModel.finish(scanRecord.id, allAliveIps.size, totalServices, null);
+    scanProgress.finish('completed', { hosts: allAliveIps.size, services: totalServices });
     console.log(`[Scanner] === Scan #${scanRecord.id} completed: ${allAliveIps.size} hosts alive, ${totalServices} services ===`);
 
-    return { hosts: allAliveIps.size, services: totalServices };
+    return { scanId: scanRecord.id, hosts: allAliveIps.size, services: totalServices };
   } catch (err) {
+    if (cancelRequested) {
+      console.log(`[Scanner] === Scan #${scanRecord?.id} cancelled ===`);
+      if (scanRecord) {
+        await saveSnapshot(scanRecord.id, snapshot);
+        await scansModel.recordProbeCache(scanRecord.id, probeCache);
+        await scansModel.finish(scanRecord.id, hostsFound, totalServices, cancelReason, 'cancelled');
+      }
+      scanProgress.finish('cancelled', { hosts: hostsFound, services: totalServices, reason: cancelReason });
+      return { scanId: scanRecord?.id, hosts: hostsFound, services: totalServices, cancelled: true };
+    }
     console.error(`[Scanner] Scan failed: ${err.message}`);
     if (scanRecord) {
       await scansModel.finish(scanRecord.id, 0, 0, err.message);
     }
+    scanProgress.finish('error', { error: err.message });
     throw err;
   } finally {
+    clearInterval(blackoutWatch);
     scanning = false;
     currentScanId = null;
+    cancelRequested = false;
+    cancelReason = null;
+    enforceBlackout = false;
+  }
+}
+
+/**
+ * Import hosts parsed from an existing nmap XML file (audits, networks out of
+ * reach) through the Phase 2 upsert path. Creates a scan record marked as
+ * imported. Without deepProbe, services are named from the nmap data only.
+ */
+async function importNmapHosts(hosts, options = {}) {
+  if (scanning) {
+    console.log('[Scanner] Scan already in progress, skipping import');
+    return null;
+  }
+
+  scanning = true;
+  cancelRequested = false;
+  let scanRecord;
+  let totalServices = 0;
+  const snapshot = new Map();
+  const probeCache = { hits: 0, misses: 0 };
+  const label = `Import: ${options.filename || 'nmap.xml'}`;
+  // A ping-only XML has no port information: don't close services from it
+  const portsScanned = hosts.some(h => h.ports.length > 0);
+  // Open UDP ports anywhere in the file: it was a UDP scan (-sU)
+  const udpScanned = hosts.some(h => h.ports.some(p => p.protocol === 'udp'));
+
+  try {
+    const exclusions = await loadExclusions();
+    const cacheMaxAge = await getProbeCacheMaxAge();
+    scanRecord = await scansModel.create(label.substring(0, 500), { imported: true });
+    currentScanId = scanRecord.id;
+    console.log(`[Scanner] === Import #${scanRecord.id} started: ${hosts.length} hosts from ${options.filename || 'upload'} ===`);
+    scanProgress.start(scanRecord.id, [label]);
+    markSharedMacs(hosts);
+
+    scanProgress.phase('2', { total: hosts.length });
+    for (const [hostIndex, host] of hosts.entries()) {
+      throwIfCancelled();
+      // Excluded hosts are imported, but never actively probed
+      host.deepProbe = options.deepProbe === true && !exclusions.isExcluded(host);
+      scanProgress.host(host.ip, { alive: true, mac: host.mac, hostname: host.hostname });
+      const { entry, services, probeCache: hostCache } = await probeAndStoreHost(host, {
+        closeUdp: udpScanned, portsScanned, cacheMaxAge,
+      });
+      totalServices += services;
+      probeCache.hits += hostCache.hits;
+      probeCache.misses += hostCache.misses;
+      snapshot.set(host.ip, entry);
+      scanProgress.progress(hostIndex + 1);
+    }
+
+    await saveSnapshot(scanRecord.id, snapshot);
+    await scansModel.recordProbeCache(scanRecord.id, probeCache);
+    await scansModel.finish(scanRecord.id, hosts.length, totalServices, null);
+    scanProgress.finish('completed', { hosts: hosts.length, services: totalServices });
+    console.log(`[Scanner] === Import #${scanRecord.id} completed: ${hosts.length} hosts, ${totalServices} services ===`);
+
+    return { scanId: scanRecord.id, hosts: hosts.length, services: totalServices };
+  } catch (err) {
+    if (cancelRequested) {
+      console.log(`[Scanner] === Import #${scanRecord?.id} cancelled ===`);
+      if (scanRecord) {
+        await saveSnapshot(scanRecord.id, snapshot);
+        await scansModel.recordProbeCache(scanRecord.id, probeCache);
+        await scansModel.finish(scanRecord.id, snapshot.size, totalServices, null, 'cancelled');
+      }
+      scanProgress.finish('cancelled', { hosts: snapshot.size, services: totalServices });
+      return { scanId: scanRecord?.id, hosts: snapshot.size, services: totalServices, cancelled: true };
+    }
+    console.error(`[Scanner] Import failed: ${err.message}`);
+    if (scanRecord) {
+      await scansModel.finish(scanRecord.id, 0, 0, err.message);
+    }
+    scanProgress.finish('error', { error: err.message });
+    throw err;
+  } finally {
+    scanning = false;
+    currentScanId = null;
+    cancelRequested = false;
+    cancelReason = null;
+  }
+}
+
+/**
+ * Rescan one known host: alive check, port discovery with the ports of its
+ * network profile (or scan_ports), deep probe and the usual upsert/markClosed.
+ * onStep is called with the label of each step. The probe cache is not used,
+ * but refreshed.
+ * Returns { alive, services, diff } - diff compares the previously known open
+ * services with what this rescan observed (see scanDiff).
+ */
+async function rescanHost(hostId, { onStep = () => {} } = {}) {
+  if (scanning) throw new Error('Scan already in progress');
+
+  scanning = true;
+  cancelRequested = false;
+  try {
+    const host = await hostsModel.getById(hostId);
+    if (!host) throw new Error('Host not found');
+    if (host.agent_id) throw new Error(`Host wird vom Agent "${host.agent_name}" gescannt`);
+    const exclusions = await loadExclusions();
+    if (exclusions.isExcluded({ ip: host.ip, mac: host.mac_address, addresses: host.addresses.map(a => a.address) })) {
+      throw new Error('Host steht auf der Ausschlussliste');
+    }
+    const iface = host.addresses.find(a => a.address === host.ip)?.interface;
+    const linkLocal = ipFamily(host.ip) === 6 && ipv6Scope(host.ip) === 'link-local' && !!iface;
+    const target = linkLocal ? `${host.ip}%${iface}` : host.ip;
+    const hostInfo = { host_id: host.id, ip: host.ip, hostname: host.hostname, mac_address: host.mac_address };
+    const before = {
+      ...hostInfo,
+      status: host.status,
+      ports: host.services.filter(svc => svc.state === 'open').map(svc => ({
+        port: svc.port, protocol: svc.protocol, identified_as: svc.identified_as,
+        product: svc.service_product, version: svc.service_version,
+      })),
+    };
+
+    const networkSetting = await settingsModel.get('scan_network') || '';
+    const network = networkSetting.split(',').map(n => n.trim()).find(n => n && ipInCidr(host.ip, n));
+    const networkProfiles = await scanProfilesModel.getNetworkProfiles();
+    const profile = networkProfiles.get(network) || {
+      name: 'Standard', port_range: await settingsModel.get('scan_ports') || '1-10000',
+      timing: 4, os_detection: true, deep_probe: true, udp_scan: true,
+    };
+    console.log(`[Scanner] === Rescan of ${host.ip} (host ${host.id}, profile "${profile.name}") ===`);
+
+    onStep(scanProgress.PHASE_LABELS['1.5']);
+    const pingAlive = await checkHostAlive(target);
+
+    // -Pn: the port scan also finds hosts that ignore ping and 443/80/22
+    onStep(scanProgress.PHASE_LABELS['1']);
+    const [found] = await parseNmapOutput(await runNmapDiscovery([target], profile));
+    const scanned = found || {
+      ip: host.ip, mac: host.mac_address, vendor: host.vendor, hostname: host.hostname, ports: [],
+    };
+    scanned.deepProbe = profile.deep_probe;
+    if (linkLocal) {
+      scanned.iface = iface;
+      scanned.target = target;
+    }
+
+    const udpEnabled = (await settingsModel.get('scan_udp_enabled')) === 'true' && profile.udp_scan !== false;
+    let udpScanned = false;
+    if (udpEnabled && (pingAlive || found)) {
+      try {
+        const udpPorts = await settingsModel.get('scan_udp_ports') || DEFAULT_UDP_PORTS;
+        const [udpHost] = await parseNmapOutput(await runNmapUdpDiscovery([target], udpPorts, profile));
+        scanned.ports.push(...(udpHost?.ports || []).filter(p => p.protocol === 'udp'));
+        udpScanned = true;
+      } catch (err) {
+        console.error(`[Scanner] UDP rescan error (non-fatal): ${err.message}`);
+      }
+    }
+
+    if (!pingAlive && !found) {
+      await hostsModel.markDownGraceful([host.id]);
+      console.log(`[Scanner] === Rescan of ${host.ip}: not responding ===`);
+      return { alive: false, services: 0, diff: diffSnapshots([before], [{ ...hostInfo, status: 'down', ports: null }]) };
+    }
+
+    onStep(scanProgress.PHASE_LABELS['2']);
+    // Like a full scan: no open TCP port found means nmap probably missed them
+    const portsScanned = scanned.ports.some(p => p.protocol !== 'udp');
+    const { entry, services } = await probeAndStoreHost(scanned, {
+      closeUdp: udpScanned, portsScanned, cacheMaxAge: await getProbeCacheMaxAge(), forceDeepProbe: true,
+    });
+    console.log(`[Scanner] === Rescan of ${host.ip} completed: ${services} services ===`);
+
+    const after = { ...hostInfo, hostname: entry.hostname || host.hostname, status: 'up', ports: entry.ports };
+    return { alive: true, services, diff: diffSnapshots([before], [after]) };
+  } finally {
+    scanning = false;
+    cancelRequested = false;
   }
 }
 
@@ -590,4 +1300,7 @@ async function runDeepDiscoveryStandalone() {
   }
 }
 
-module.exports = { runScan, isScanning, getCurrentScanId, runDeepDiscoveryStandalone, isDiscoveryRunning };
+module.exports = {
+  runScan, cancelScan, isScanning, getCurrentScanId, runDeepDiscoveryStandalone, isDiscoveryRunning,
+  discoverNetwork, deepProbeHost, lookupNetbiosName, parseNmapOutput, importNmapHosts, rescanHost,
+};
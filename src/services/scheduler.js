@@ -1,13 +1,57 @@
 const cron = require('node-cron');
 const settingsModel = require('../models/settings');
-const { runScan, isScanning, runDeepDiscoveryStandalone, isDiscoveryRunning } = require('./scanner');
+const scanProfilesModel = require('../models/scanProfiles');
+const jobQueue = require('./jobQueue');
+const { getActiveBlackout } = require('./blackout');
+const { parseCron, resolveSchedule, nextRuns } = require('./cronExpression');
+const { checkExpiry } = require('./certificateMonitor');
+
+// Scheduled runs queue behind manual ones
+const SCHEDULED = { source: 'schedule', priority: jobQueue.PRIORITY.low };
 
 let currentJob = null;
 let discoveryJob = null;
+let certificateJob = null;
+const profileJobs = new Map(); // profile id -> cron job
+
+/**
+ * Run fn in every minute the schedule matches. The schedule stays attached
+ * to the job for the next-run overview.
+ */
+function scheduleJob(schedule, fn) {
+  const job = cron.schedule('* * * * *', () => {
+    if (schedule.matches(new Date())) fn();
+  });
+  job.schedule = schedule;
+  return job;
+}
+
+/**
+ * Settings value as schedule; an invalid stored cron expression falls back to the interval
+ */
+function scheduleFor(cronExpression, interval, job) {
+  try {
+    return resolveSchedule(cronExpression, interval);
+  } catch (err) {
+    console.error(`[Scheduler] ${job}: ${err.message}, using every ${interval} minutes`);
+    return resolveSchedule(null, interval);
+  }
+}
+
+/**
+ * Scheduled scans and Deep Discovery don't start inside a blackout window
+ */
+async function inBlackout(job) {
+  const active = await getActiveBlackout();
+  if (active) console.log(`[Scheduler] Blackout window "${active.name}" active, skipping ${job}`);
+  return !!active;
+}
 
 async function start() {
   await scheduleFromSettings();
+  await scheduleProfiles();
   await scheduleDeepDiscovery();
+  scheduleCertificateCheck();
   console.log('[Scheduler] Started');
 }
 
@@ -21,26 +65,66 @@ async function scheduleFromSettings() {
 
   const rawInterval = parseInt(await settingsModel.get('scan_interval') || '30', 10);
   const interval = (isNaN(rawInterval) || rawInterval < 1 || rawInterval > 1440) ? 30 : rawInterval;
-  const cronExpr = `*/${interval} * * * *`;
+  const schedule = scheduleFor(await settingsModel.get('scan_cron'), interval, 'Scan schedule');
 
   if (currentJob) {
     currentJob.stop();
   }
 
-  currentJob = cron.schedule(cronExpr, async () => {
-    if (isScanning()) {
-      console.log('[Scheduler] Scan already in progress, skipping scheduled scan');
-      return;
-    }
+  currentJob = scheduleJob(schedule, async () => {
     try {
-      console.log('[Scheduler] Starting scheduled scan');
-      await runScan();
+      if (await inBlackout('scheduled scan')) return;
+      // Networks whose profile has its own schedule are scanned by that job
+      const profiles = await scanProfilesModel.getAll();
+      const ownSchedule = new Set(profiles.filter(hasOwnSchedule).flatMap(p => p.networks));
+      const networkSetting = await settingsModel.get('scan_network') || '';
+      const networks = networkSetting.split(',').map(s => s.trim()).filter(n => n && !ownSchedule.has(n));
+      if (networks.length === 0) {
+        console.log('[Scheduler] All networks use profile schedules, skipping global scan');
+        return;
+      }
+      console.log('[Scheduler] Queueing scheduled scan');
+      await jobQueue.enqueue('scan', { networks }, SCHEDULED);
     } catch (err) {
-      console.error('[Scheduler] Scheduled scan failed:', err.message);
+      console.error('[Scheduler] Could not queue scheduled scan:', err.message);
     }
   });
 
-  console.log(`[Scheduler] Scheduled scans every ${interval} minutes`);
+  console.log(`[Scheduler] Scheduled scans: ${schedule.label}`);
+}
+
+function hasOwnSchedule(profile) {
+  return !!(profile.scan_interval || profile.scan_cron);
+}
+
+/**
+ * One cron job per scan profile with its own schedule, scanning only its networks
+ */
+async function scheduleProfiles() {
+  stopProfileSchedules();
+
+  const enabled = await settingsModel.get('scan_enabled');
+  if (enabled === 'false') return;
+
+  const profiles = await scanProfilesModel.getAll();
+  for (const profile of profiles) {
+    if (!hasOwnSchedule(profile) || profile.networks.length === 0) continue;
+    const interval = Math.min(Math.max(profile.scan_interval || 60, 1), 1440);
+    const schedule = scheduleFor(profile.scan_cron, interval, `Profile "${profile.name}"`);
+
+    const job = scheduleJob(schedule, async () => {
+      try {
+        if (await inBlackout(`profile "${profile.name}"`)) return;
+        console.log(`[Scheduler] Queueing scheduled scan for profile "${profile.name}"`);
+        await jobQueue.enqueue('scan', { networks: profile.networks }, SCHEDULED);
+      } catch (err) {
+        console.error(`[Scheduler] Could not queue profile scan "${profile.name}":`, err.message);
+      }
+    });
+    job.profile = { id: profile.id, name: profile.name, networks: profile.networks };
+    profileJobs.set(profile.id, job);
+    console.log(`[Scheduler] Profile "${profile.name}": ${profile.networks.join(', ')}, ${schedule.label}`);
+  }
 }
 
 async function scheduleDeepDiscovery() {
@@ -53,26 +137,56 @@ async function scheduleDeepDiscovery() {
 
   const rawInterval = parseInt(await settingsModel.get('deep_discovery_interval') || '60', 10);
   const interval = (isNaN(rawInterval) || rawInterval < 5 || rawInterval > 1440) ? 60 : rawInterval;
-  const cronExpr = `*/${interval} * * * *`;
+  const schedule = scheduleFor(await settingsModel.get('deep_discovery_cron'), interval, 'Deep Discovery schedule');
 
   if (discoveryJob) {
     discoveryJob.stop();
   }
 
-  discoveryJob = cron.schedule(cronExpr, async () => {
-    if (isDiscoveryRunning()) {
-      console.log('[Scheduler] Deep Discovery already in progress, skipping');
-      return;
-    }
+  discoveryJob = scheduleJob(schedule, async () => {
     try {
-      console.log('[Scheduler] Starting scheduled Deep Discovery');
-      await runDeepDiscoveryStandalone();
+      if (await inBlackout('Deep Discovery')) return;
+      console.log('[Scheduler] Queueing scheduled Deep Discovery');
+      await jobQueue.enqueue('discovery', {}, SCHEDULED);
     } catch (err) {
-      console.error('[Scheduler] Scheduled Deep Discovery failed:', err.message);
+      console.error('[Scheduler] Could not queue Deep Discovery:', err.message);
     }
   });
 
-  console.log(`[Scheduler] Scheduled Deep Discovery every ${interval} minutes`);
+  console.log(`[Scheduler] Scheduled Deep Discovery: ${schedule.label}`);
+}
+
+async function runCertificateCheck() {
+  try {
+    await checkExpiry();
+  } catch (err) {
+    console.error('[Scheduler] Certificate expiry check failed:', err.message);
+  }
+}
+
+/**
+ * Hourly certificate expiry check, plus one right after startup
+ */
+function scheduleCertificateCheck() {
+  if (certificateJob) certificateJob.stop();
+  certificateJob = scheduleJob(parseCron('0 * * * *'), runCertificateCheck);
+  runCertificateCheck();
+}
+
+/**
+ * Active schedules with their next run times
+ */
+function getNextRuns(count = 5) {
+  const describe = (job) => job && {
+    schedule: job.schedule.label,
+    cron: job.schedule.cron,
+    next: nextRuns(job.schedule, count),
+  };
+  return {
+    scan: describe(currentJob),
+    discovery: describe(discoveryJob),
+    profiles: [...profileJobs.values()].map(job => ({ ...job.profile, ...describe(job) })),
+  };
 }
 
 function stopScanSchedule() {
@@ -82,6 +196,11 @@ function stopScanSchedule() {
   }
 }
 
+function stopProfileSchedules() {
+  for (const job of profileJobs.values()) job.stop();
+  profileJobs.clear();
+}
+
 function stopDeepDiscoverySchedule() {
   if (discoveryJob) {
     discoveryJob.stop();
@@ -91,7 +210,12 @@ function stopDeepDiscoverySchedule() {
 
 function stop() {
   stopScanSchedule();
+  stopProfileSchedules();
   stopDeepDiscoverySchedule();
+  if (certificateJob) {
+    certificateJob.stop();
+    certificateJob = null;
+  }
 }
 
-module.exports = { start, scheduleFromSettings, scheduleDeepDiscovery, stop };
+module.exports = { start, scheduleFromSettings, scheduleProfiles, scheduleDeepDiscovery, getNextRuns, stop };
@@ -1,143 +1,30 @@
 /**
  * Smart Service Identification Engine v2
  *
- * Uses deep probing (curl, TCP banners, app-specific endpoints) to identify
+ * Uses deep probing (HTTP requests, TCP banners, app-specific endpoints) to identify
  * what application runs on each open port. Works in 3 layers:
  *
- * 1. HTTP/HTTPS probe with curl on EVERY port (not just known HTTP ports)
- * 2. Signature matching against title, headers, body patterns, cookies
+ * 1. HTTP/HTTPS probe on EVERY port (not just known HTTP ports)
+ * 2. Signature matching against title, favicon hash, headers, body patterns, cookies
+ *    (services/signaturePacks); user-defined signatures (services/customSignatures)
+ *    are checked first
  * 3. Application-specific endpoint probing for uncertain matches
  * 4. Protocol-specific banner analysis for non-HTTP services
  * 5. Fallback: port-to-service name mapping
+ *
+ * UDP ports skip the HTTP layers and use payload probes (DNS, NTP, SNMP, ...)
  */
 
-const { deepProbePort, parseHeaders, parseHtmlBody } = require('./deepProbe');
-
-// Pattern-to-name mapping: maps body patterns detected in deepProbe.parseHtmlBody()
-// to full application names and icons
-const PATTERN_MAP = {
-  'proxmox':             { name: 'Proxmox VE', icon: 'server' },
-  'nginx-proxy-manager': { name: 'Nginx Proxy Manager', icon: 'globe' },
-  'synology':            { name: 'Synology DSM', icon: 'hdd' },
-  'pfsense':             { name: 'pfSense', icon: 'shield' },
-  'opnsense':            { name: 'OPNsense', icon: 'shield' },
-  'pihole':              { name: 'Pi-hole', icon: 'shield' },
-  'adguard':             { name: 'AdGuard Home', icon: 'shield' },
-  'homeassistant':       { name: 'Home Assistant', icon: 'home' },
-  'grafana':             { name: 'Grafana', icon: 'chart' },
-  'portainer':           { name: 'Portainer', icon: 'docker' },
-  'nextcloud':           { name: 'Nextcloud', icon: 'cloud' },
-  'jellyfin':            { name: 'Jellyfin', icon: 'film' },
-  'emby':                { name: 'Emby', icon: 'film' },
-  'plex':                { name: 'Plex Media Server', icon: 'film' },
-  'gitea':               { name: 'Gitea', icon: 'git' },
-  'gitlab':              { name: 'GitLab', icon: 'git' },
-  'jenkins':             { name: 'Jenkins', icon: 'tool' },
-  'cockpit':             { name: 'Cockpit Web Console', icon: 'terminal' },
-  'webmin':              { name: 'Webmin', icon: 'settings' },
-  'openmediavault':      { name: 'OpenMediaVault', icon: 'hdd' },
-  'truenas':             { name: 'TrueNAS', icon: 'hdd' },
-  'unraid':              { name: 'Unraid', icon: 'hdd' },
-  'qnap':                { name: 'QNAP QTS', icon: 'hdd' },
-  'nodered':             { name: 'Node-RED', icon: 'flow' },
-  'uptimekuma':          { name: 'Uptime Kuma', icon: 'chart' },
-  'vaultwarden':         { name: 'Vaultwarden', icon: 'lock' },
-  'sonarr':              { name: 'Sonarr', icon: 'download' },
-  'radarr':              { name: 'Radarr', icon: 'download' },
-  'prowlarr':            { name: 'Prowlarr', icon: 'download' },
-  'bazarr':              { name: 'Bazarr', icon: 'download' },
-  'lidarr':              { name: 'Lidarr', icon: 'download' },
-  'transmission':        { name: 'Transmission', icon: 'download' },
-  'qbittorrent':         { name: 'qBittorrent', icon: 'download' },
-  'deluge':              { name: 'Deluge', icon: 'download' },
-  'sabnzbd':             { name: 'SABnzbd', icon: 'download' },
-  'paperless':           { name: 'Paperless-ngx', icon: 'file' },
-  'bookstack':           { name: 'BookStack', icon: 'book' },
-  'wikijs':              { name: 'Wiki.js', icon: 'book' },
-  'homer':               { name: 'Homer Dashboard', icon: 'layout' },
-  'heimdall':            { name: 'Heimdall', icon: 'layout' },
-  'homarr':              { name: 'Homarr', icon: 'layout' },
-  'traefik':             { name: 'Traefik Dashboard', icon: 'globe' },
-  'caddy':               { name: 'Caddy', icon: 'globe' },
-  'roundcube':           { name: 'Roundcube', icon: 'mail' },
-  'mailcow':             { name: 'Mailcow', icon: 'mail' },
-  'phpmyadmin':          { name: 'phpMyAdmin', icon: 'database' },
-  'adminer':             { name: 'Adminer', icon: 'database' },
-  'pgadmin':             { name: 'pgAdmin', icon: 'database' },
-  'zabbix':              { name: 'Zabbix', icon: 'chart' },
-  'nagios':              { name: 'Nagios', icon: 'chart' },
-  'checkmk':             { name: 'Checkmk', icon: 'chart' },
-  'netdata':             { name: 'Netdata', icon: 'chart' },
-  'prometheus':          { name: 'Prometheus', icon: 'chart' },
-  'elastic':             { name: 'Elasticsearch/Kibana', icon: 'database' },
-  'rancher':             { name: 'Rancher', icon: 'docker' },
-  'kubernetes':          { name: 'Kubernetes Dashboard', icon: 'docker' },
-  'openwrt':             { name: 'OpenWrt (LuCI)', icon: 'wifi' },
-  'mikrotik':            { name: 'MikroTik RouterOS', icon: 'wifi' },
-  'unifi':               { name: 'UniFi Controller', icon: 'wifi' },
-  'frigate':             { name: 'Frigate NVR', icon: 'camera' },
-  'zoneminder':          { name: 'ZoneMinder', icon: 'camera' },
-  'owncloud':            { name: 'ownCloud', icon: 'cloud' },
-  'seafile':             { name: 'Seafile', icon: 'cloud' },
-  'minio':               { name: 'MinIO', icon: 'cloud' },
-  'authentik':           { name: 'Authentik', icon: 'lock' },
-  'keycloak':            { name: 'Keycloak', icon: 'lock' },
-  'authelia':            { name: 'Authelia', icon: 'lock' },
-  'guacamole':           { name: 'Apache Guacamole', icon: 'terminal' },
-  'esphome':             { name: 'ESPHome', icon: 'home' },
-  'zigbee2mqtt':         { name: 'Zigbee2MQTT', icon: 'home' },
-  'mosquitto':           { name: 'Mosquitto MQTT', icon: 'home' },
-  'duplicati':           { name: 'Duplicati', icon: 'archive' },
-  'restic':              { name: 'Restic', icon: 'archive' },
-  'borg':                { name: 'Borg Backup', icon: 'archive' },
-  'dozzle':              { name: 'Dozzle', icon: 'docker' },
-  'yacht':               { name: 'Yacht', icon: 'docker' },
-  'filebrowser':         { name: 'File Browser', icon: 'file' },
-  'codeserver':          { name: 'code-server', icon: 'tool' },
-  'pterodactyl':         { name: 'Pterodactyl', icon: 'server' },
-  'octoprint':           { name: 'OctoPrint', icon: 'tool' },
-  'mainsail':            { name: 'Mainsail', icon: 'tool' },
-};
+const {
+  deepProbePort, udpProbe, fetchPaths, initialProbe, probeFingerprint, tlsProbe, sshHostKeys,
+} = require('./deepProbe');
+const signaturePacks = require('./signaturePacks');
+const favicon = require('./favicon');
+const customSignatures = require('./customSignatures');
 
-// Title-based signatures: regex patterns matched against page title
-const TITLE_SIGNATURES = [
-  { pattern: /proxmox\s*v/i, name: 'Proxmox VE', icon: 'server' },
-  { pattern: /proxmox\s*backup/i, name: 'Proxmox Backup Server', icon: 'server' },
-  { pattern: /nginx\s*proxy\s*manager/i, name: 'Nginx Proxy Manager', icon: 'globe' },
-  { pattern: /vmware|vsphere|esxi/i, name: 'VMware vSphere', icon: 'server' },
-  { pattern: /xen\s*orchestra/i, name: 'Xen Orchestra', icon: 'server' },
-  { pattern: /openhab/i, name: 'openHAB', icon: 'home' },
-  { pattern: /domoticz/i, name: 'Domoticz', icon: 'home' },
-  { pattern: /kodi/i, name: 'Kodi', icon: 'film' },
-  { pattern: /drone\s*ci/i, name: 'Drone CI', icon: 'tool' },
-  { pattern: /gogs/i, name: 'Gogs', icon: 'git' },
-  { pattern: /blue\s*iris/i, name: 'Blue Iris', icon: 'camera' },
-  { pattern: /shinobi/i, name: 'Shinobi', icon: 'camera' },
-  { pattern: /organizr/i, name: 'Organizr', icon: 'layout' },
-  { pattern: /nessus/i, name: 'Nessus', icon: 'shield' },
-  { pattern: /apache\s*guacamole|guacamole/i, name: 'Apache Guacamole', icon: 'terminal' },
-];
-
-// Server header signatures
-const SERVER_SIGNATURES = [
-  { pattern: /pve-api-daemon/i, name: 'Proxmox VE', icon: 'server' },
-  { pattern: /synology/i, name: 'Synology DSM', icon: 'hdd' },
-  { pattern: /unifi/i, name: 'UniFi Controller', icon: 'wifi' },
-  { pattern: /jenkins/i, name: 'Jenkins', icon: 'tool' },
-  { pattern: /plex/i, name: 'Plex Media Server', icon: 'film' },
-  { pattern: /couchdb/i, name: 'CouchDB', icon: 'database' },
-  { pattern: /home-assistant/i, name: 'Home Assistant', icon: 'home' },
-  { pattern: /microsoft-iis/i, name: 'Microsoft IIS', icon: 'globe' },
-];
-
-// Cookie-based identification
-const COOKIE_SIGNATURES = [
-  { pattern: /PVEAuthCookie/i, name: 'Proxmox VE', icon: 'server' },
-  { pattern: /PHPSESSID.*pfsense/i, name: 'pfSense', icon: 'shield' },
-  { pattern: /oc_sessionPassphrase/i, name: 'Nextcloud', icon: 'cloud' },
-  { pattern: /grafana_session/i, name: 'Grafana', icon: 'chart' },
-  { pattern: /portainer/i, name: 'Portainer', icon: 'docker' },
-];
+// Below this confidence a version found by the signature packs does not
+// replace one nmap reported
+const NMAP_VERSION_CONFIDENCE = 0.8;
 
 // Well-known port assignments for last-resort fallback
 const PORT_SERVICES = {
@@ -159,11 +46,139 @@ const PORT_SERVICES = {
   11211: 'Memcached', 27017: 'MongoDB', 51820: 'WireGuard',
 };
 
+// Well-known UDP port assignments (fallback when a UDP service doesn't answer probes)
+const UDP_PORT_SERVICES = {
+  53: 'DNS', 67: 'DHCP Server', 68: 'DHCP Client', 69: 'TFTP',
+  123: 'NTP', 137: 'NetBIOS Name', 138: 'NetBIOS Datagram',
+  161: 'SNMP', 162: 'SNMP Trap', 500: 'IKE (IPsec)', 514: 'Syslog',
+  520: 'RIP', 1194: 'OpenVPN', 1812: 'RADIUS', 1813: 'RADIUS Accounting',
+  1900: 'SSDP/UPnP', 3478: 'STUN/TURN', 4500: 'IPsec NAT-T',
+  5060: 'SIP', 5353: 'mDNS', 5683: 'CoAP', 51820: 'WireGuard',
+};
+
+/**
+ * Apply the first matching user-defined signature, true if one matched
+ */
+function applyCustomSignature(result, probe, signatures) {
+  const sig = customSignatures.match(probe, signatures);
+  if (!sig) return false;
+  result.identifiedAs = sig.name;
+  result.extraInfo.icon = sig.icon || 'globe';
+  result.extraInfo.matchSource = 'custom';
+  result.extraInfo.signatureId = sig.id;
+  return true;
+}
+
+/**
+ * Report a signature pack match. The version comes from the signature's version
+ * regexes; one nmap already reported is only replaced with enough confidence.
+ */
+async function applyPackSignature(result, sig, matchSource, probe, ip, port, name = sig.name) {
+  result.identifiedAs = name;
+  result.extraInfo.icon = sig.icon;
+  result.extraInfo.matchSource = matchSource;
+  result.extraInfo.signature = sig.id;
+  if (sig.versions.length === 0) return result;
+
+  const endpoints = {};
+  if (probe.appEndpointMatch) endpoints[probe.appEndpointMatch.path] = probe.appEndpointMatch.body;
+  const missing = signaturePacks.versionPaths(sig).filter(path => endpoints[path] === undefined);
+  if (missing.length > 0) Object.assign(endpoints, await fetchPaths(ip, port, probe.httpResult.protocol, missing));
+
+  const found = signaturePacks.extractVersion(sig, {
+    title: probe.htmlInfo.title,
+    server: probe.httpHeaders.server,
+    headers: probe.httpHeaders.all,
+    body: probe.httpResult.body,
+    endpoints,
+  });
+  if (found && (!result.version || found.confidence >= NMAP_VERSION_CONFIDENCE)) {
+    result.version = found.version;
+    result.extraInfo.versionConfidence = found.confidence;
+  }
+  return result;
+}
+
+/**
+ * Identify a UDP service via payload probes, falling back to nmap/port mapping
+ */
+async function identifyUdpService(ip, port, nmapService, result) {
+  try {
+    const probe = await udpProbe(ip, port);
+    if (probe) {
+      result.banner = probe.banner || null;
+      if (probe.identified) {
+        result.identifiedAs = probe.identified;
+        if (probe.product) result.product = probe.product;
+        if (probe.version) result.version = probe.version;
+        if (probe.info) result.info = probe.info;
+        result.extraInfo.matchSource = 'udp-probe';
+        return result;
+      }
+    }
+  } catch (err) {
+    console.error(`[ServiceID] Error probing ${ip}:${port}/udp: ${err.message}`);
+  }
+
+  return identifyFromNmap(result, port, nmapService);
+}
+
+/**
+ * Last resort: nmap product/name or well-known port mapping (no probing)
+ */
+function identifyFromNmap(result, port, nmapService) {
+  const udp = result.protocol === 'udp';
+  const portMap = udp ? UDP_PORT_SERVICES : PORT_SERVICES;
+
+  if (nmapService.product) {
+    result.identifiedAs = nmapService.product + (nmapService.version ? ' ' + nmapService.version : '');
+    result.extraInfo.matchSource = 'nmap';
+  } else if (portMap[port]) {
+    result.identifiedAs = portMap[port];
+    result.extraInfo.matchSource = 'port-map';
+  } else if (nmapService.name) {
+    result.identifiedAs = nmapService.name;
+    result.extraInfo.matchSource = 'nmap-name';
+  } else {
+    result.identifiedAs = `Unknown (${udp ? 'UDP' : 'Port'} ${port})`;
+    result.extraInfo.matchSource = 'unknown';
+  }
+
+  return result;
+}
+
+/**
+ * Result of an earlier identifyService() call ({ fingerprint, result, tls, ssh }
+ * from models/probeCache). Certificates and host keys can change behind an
+ * unchanged service, so they are fetched again.
+ */
+async function restoreCached(ip, port, cached) {
+  const result = {
+    ...cached.result,
+    extraInfo: { ...cached.result.extraInfo },
+    fingerprint: cached.fingerprint,
+    cached: true,
+  };
+  if (cached.tls) {
+    const chain = await tlsProbe(ip, port);
+    if (chain) result.tlsChain = chain;
+  }
+  if (cached.ssh) {
+    const keys = await sshHostKeys(ip, port);
+    if (keys) result.sshHostKeys = keys;
+  }
+  return result;
+}
+
 /**
  * Identify a service using deep probing results
  * This is the main intelligence function that combines all signals
+ * With options.deepProbe === false only nmap data and the port map are used,
+ * options.signatures replaces the loaded user-defined signatures.
+ * Deep TCP results carry a fingerprint; options.cached is reused instead of a
+ * full probe when it still matches (result.cached is then set).
  */
-async function identifyService(ip, port, nmapService = {}) {
+async function identifyService(ip, port, nmapService = {}, options = {}) {
   const result = {
     port,
     protocol: nmapService.protocol || 'tcp',
@@ -178,9 +193,28 @@ async function identifyService(ip, port, nmapService = {}) {
     extraInfo: {},
   };
 
+  if (options.deepProbe === false) {
+    return identifyFromNmap(result, port, nmapService);
+  }
+
+  if (result.protocol === 'udp') {
+    return identifyUdpService(ip, port, nmapService, result);
+  }
+
   try {
+    // An unchanged first response means an unchanged service: reuse the
+    // cached identification instead of the full probe
+    const initial = await initialProbe(ip, port);
+    result.fingerprint = probeFingerprint(initial);
+    if (options.cached && options.cached.fingerprint === result.fingerprint) {
+      return restoreCached(ip, port, options.cached);
+    }
+
     // Deep probe the port (HTTP/HTTPS + banner + app endpoints)
-    const probe = await deepProbePort(ip, port);
+    const probe = await deepProbePort(ip, port, { signatures: options.signatures, initial });
+    // Stored in the certificate inventory / SSH key history, not in extra_info
+    if (probe.tlsChain) result.tlsChain = probe.tlsChain;
+    if (probe.sshHostKeys) result.sshHostKeys = probe.sshHostKeys;
 
     // --- Layer 1: Analyze HTTP response ---
     if (probe.httpResult) {
@@ -193,61 +227,49 @@ async function identifyService(ip, port, nmapService = {}) {
       result.extraInfo.statusCode = headers.statusCode;
       if (headers.poweredBy) result.extraInfo.poweredBy = headers.poweredBy;
       if (html.generator) result.extraInfo.generator = html.generator;
+      // Kept even when unknown so services sharing an icon can be named together
+      if (probe.favicon) {
+        result.extraInfo.faviconMmh3 = probe.favicon.mmh3;
+        result.extraInfo.faviconMd5 = probe.favicon.md5;
+      }
+
+      // --- Layer 1b: User-defined signatures take priority ---
+      if (applyCustomSignature(result, probe, options.signatures)) return result;
 
       // --- Layer 2: Title-based signature matching ---
-      if (html.title) {
-        for (const sig of TITLE_SIGNATURES) {
-          if (sig.pattern.test(html.title)) {
-            result.identifiedAs = sig.name;
-            result.extraInfo.icon = sig.icon;
-            result.extraInfo.matchSource = 'title';
-            return result;
-          }
-        }
+      const titleSig = signaturePacks.matchText('title', html.title);
+      if (titleSig) return applyPackSignature(result, titleSig, 'title', probe, ip, port);
+
+      // --- Layer 2b: Favicon hash ---
+      const iconSig = favicon.match(probe.favicon);
+      if (iconSig?.signature) {
+        return applyPackSignature(result, signaturePacks.getSignature(iconSig.signature), 'favicon', probe, ip, port);
+      }
+      if (iconSig) {
+        result.identifiedAs = iconSig.name;
+        result.extraInfo.icon = iconSig.icon || 'globe';
+        result.extraInfo.matchSource = 'favicon';
+        return result;
       }
 
       // --- Layer 3: Body pattern matching (broadest keyword analysis) ---
       if (html.patterns && html.patterns.length > 0) {
-        const patternKey = html.patterns[0];
-        const mapped = PATTERN_MAP[patternKey];
-        if (mapped) {
-          result.identifiedAs = mapped.name;
-          result.extraInfo.icon = mapped.icon;
-          result.extraInfo.matchSource = 'body-pattern';
-          return result;
-        }
+        const bodySig = signaturePacks.getSignature(html.patterns[0]);
+        if (bodySig) return applyPackSignature(result, bodySig, 'body-pattern', probe, ip, port);
       }
 
       // --- Layer 4: Server header matching ---
-      if (headers.server) {
-        for (const sig of SERVER_SIGNATURES) {
-          if (sig.pattern.test(headers.server)) {
-            result.identifiedAs = sig.name;
-            result.extraInfo.icon = sig.icon;
-            result.extraInfo.matchSource = 'server-header';
-            return result;
-          }
-        }
-      }
+      const serverSig = signaturePacks.matchText('server', headers.server);
+      if (serverSig) return applyPackSignature(result, serverSig, 'server-header', probe, ip, port);
 
       // --- Layer 5: Cookie-based identification ---
-      const allCookies = (headers.setCookies || []).join(' ');
-      if (allCookies) {
-        for (const sig of COOKIE_SIGNATURES) {
-          if (sig.pattern.test(allCookies)) {
-            result.identifiedAs = sig.name;
-            result.extraInfo.icon = sig.icon;
-            result.extraInfo.matchSource = 'cookie';
-            return result;
-          }
-        }
-      }
+      const cookieSig = signaturePacks.matchText('cookie', (headers.setCookies || []).join(' '));
+      if (cookieSig) return applyPackSignature(result, cookieSig, 'cookie', probe, ip, port);
 
       // --- Layer 6: Application endpoint probing ---
       if (probe.appEndpointMatch) {
-        result.identifiedAs = probe.appEndpointMatch;
-        result.extraInfo.matchSource = 'endpoint';
-        return result;
+        const { signature, name } = probe.appEndpointMatch;
+        return applyPackSignature(result, signature, 'endpoint', probe, ip, port, name);
       }
 
       // --- Layer 7: Identify generic web server ---
@@ -290,6 +312,7 @@ async function identifyService(ip, port, nmapService = {}) {
     // --- Layer 8: Non-HTTP banner analysis ---
     if (probe.bannerResult) {
       result.banner = probe.bannerResult.banner;
+      if (applyCustomSignature(result, probe, options.signatures)) return result;
       if (probe.bannerResult.identified) {
         result.identifiedAs = probe.bannerResult.identified;
         if (probe.bannerResult.product) result.product = probe.bannerResult.product;
@@ -312,18 +335,11 @@ async function identifyService(ip, port, nmapService = {}) {
     }
 
     // --- Layer 9: Fall back to nmap info or port mapping ---
-    if (nmapService.product) {
-      result.identifiedAs = nmapService.product + (nmapService.version ? ' ' + nmapService.version : '');
-      result.extraInfo.matchSource = 'nmap';
-    } else if (PORT_SERVICES[port]) {
-      result.identifiedAs = PORT_SERVICES[port];
-      result.extraInfo.matchSource = 'port-map';
-    } else if (nmapService.name) {
-      result.identifiedAs = nmapService.name;
-      result.extraInfo.matchSource = 'nmap-name';
-    } else {
-      result.identifiedAs = `Unknown (Port ${port})`;
-      result.extraInfo.matchSource = 'unknown';
+    identifyFromNmap(result, port, nmapService);
+    if (probe.tlsChain && result.extraInfo.matchSource === 'unknown') {
+      const cn = probe.tlsChain[0].commonName;
+      result.identifiedAs = cn ? `TLS (${cn})` : 'TLS';
+      result.extraInfo.matchSource = 'tls';
     }
 
   } catch (err) {
@@ -336,4 +352,4 @@ async function identifyService(ip, port, nmapService = {}) {
   return result;
 }
 
-module.exports = { identifyService, PORT_SERVICES, PATTERN_MAP };
+module.exports = { identifyService, PORT_SERVICES, UDP_PORT_SERVICES };
@@ -0,0 +1,240 @@
+/**
+ * Declarative signature packs
+ *
+ * Built-in fingerprints live in src/data/signatures/*.json; further packs are
+ * read from the directory in SIGNATURE_PACKS_DIR. Those are loaded first, so a
+ * private pack can replace a built-in signature by reusing its id. Format:
+ *
+ *   { "name": "acme", "version": "1.2.0", "description": "...", "signatures": [{
+ *       "id": "gitea", "name": "Gitea", "icon": "git",
+ *       "match": [
+ *         { "type": "title" | "server" | "cookie" | "body", "pattern": "regex" },
+ *         { "type": "body", "contains": ["gitea", "gogs"] },
+ *         { "type": "favicon", "mmh3": -1234, "md5": "..." }
+ *       ],
+ *       "endpoints": [{ "path": "/api/v1/version", "contains": "\"version\"", "name": "optional other name" }],
+ *       "versions": [{ "source": "title" | "server" | "header" | "body" | "endpoint",
+ *                      "header": "x-gitea-version", "path": "/api/v1/version",
+ *                      "pattern": "\"version\":\"([^\"]+)\"", "confidence": 0.9 }]
+ *   }]}
+ *
+ * Patterns are case-insensitive regular expressions, "contains" is a
+ * case-insensitive substring (or any of a list). Matchers of one type are
+ * tried in pack order and the first hit wins; the identifier decides which
+ * type counts first (title, favicon, body, server, cookie, endpoints).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLED_DIR = path.join(__dirname, '../data/signatures');
+const TEXT_TYPES = ['title', 'server', 'cookie', 'body'];
+const VERSION_SOURCES = ['title', 'server', 'header', 'body', 'endpoint'];
+
+let state = null;
+
+/**
+ * Compile a text matcher ({ pattern } or { contains }) into a test function
+ * taking the text and, optionally, its lower-case form
+ */
+function compileTest(def) {
+  if (def.pattern !== undefined) {
+    if (typeof def.pattern !== 'string' || !def.pattern) throw new Error('pattern must be a non-empty string');
+    const regex = new RegExp(def.pattern, 'i');
+    return (text) => regex.test(text);
+  }
+  const list = (Array.isArray(def.contains) ? def.contains : [def.contains])
+    .filter(c => typeof c === 'string' && c)
+    .map(c => c.toLowerCase());
+  if (list.length === 0) throw new Error('pattern or contains required');
+  return (text, lower = text.toLowerCase()) => list.some(c => lower.includes(c));
+}
+
+function compileSignature(def) {
+  if (typeof def.id !== 'string' || !def.id) throw new Error('id required');
+  if (typeof def.name !== 'string' || !def.name) throw new Error(`${def.id}: name required`);
+
+  const sig = { id: def.id, name: def.name, icon: def.icon || 'globe', matchers: [], endpoints: [], versions: [], favicons: [] };
+
+  for (const m of def.match || []) {
+    if (m.type === 'favicon') {
+      if (!Number.isInteger(m.mmh3) && !/^[0-9a-f]{32}$/i.test(m.md5 || '')) {
+        throw new Error(`${def.id}: favicon matcher needs mmh3 or md5`);
+      }
+      sig.favicons.push({ mmh3: Number.isInteger(m.mmh3) ? m.mmh3 : null, md5: m.md5 ? m.md5.toLowerCase() : null });
+    } else if (TEXT_TYPES.includes(m.type)) {
+      sig.matchers.push({ type: m.type, test: compileTest(m) });
+    } else {
+      throw new Error(`${def.id}: unknown matcher type "${m.type}"`);
+    }
+  }
+
+  for (const e of def.endpoints || []) {
+    if (typeof e.path !== 'string' || !e.path.startsWith('/')) throw new Error(`${def.id}: endpoint path must start with /`);
+    sig.endpoints.push({ path: e.path, name: e.name || def.name, test: compileTest(e) });
+  }
+
+  for (const v of def.versions || []) {
+    if (!VERSION_SOURCES.includes(v.source)) throw new Error(`${def.id}: unknown version source "${v.source}"`);
+    if (v.source === 'header' && typeof v.header !== 'string') throw new Error(`${def.id}: version header name required`);
+    if (v.source === 'endpoint' && (typeof v.path !== 'string' || !v.path.startsWith('/'))) {
+      throw new Error(`${def.id}: version endpoint path must start with /`);
+    }
+    if (typeof v.pattern !== 'string' || !v.pattern) throw new Error(`${def.id}: version pattern required`);
+    const confidence = v.confidence === undefined ? 0.5 : Number(v.confidence);
+    if (!(confidence > 0 && confidence <= 1)) throw new Error(`${def.id}: confidence must be between 0 and 1`);
+    sig.versions.push({
+      source: v.source,
+      header: v.header ? v.header.toLowerCase() : null,
+      path: v.path || null,
+      regex: new RegExp(v.pattern, 'i'),
+      confidence,
+    });
+  }
+
+  return sig;
+}
+
+function packFiles(dir) {
+  try {
+    return fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort().map(f => path.join(dir, f));
+  } catch (err) {
+    console.error(`[Signatures] Pack directory ${dir} not readable: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * (Re)load all packs. Invalid signatures are skipped and reported per pack.
+ */
+function load() {
+  const dirs = [process.env.SIGNATURE_PACKS_DIR, BUNDLED_DIR].filter(Boolean);
+  const packs = [];
+  const signatures = [];
+  const byId = new Map();
+
+  for (const file of dirs.flatMap(packFiles)) {
+    const bundled = path.dirname(file) === BUNDLED_DIR;
+    const pack = { file: path.basename(file), bundled, name: null, version: null, description: null, signatures: 0, errors: [] };
+    packs.push(pack);
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      pack.errors.push(`Not readable: ${err.message}`);
+      continue;
+    }
+    if (typeof data.name !== 'string' || typeof data.version !== 'string' || !Array.isArray(data.signatures)) {
+      pack.errors.push('name, version and signatures are required');
+      continue;
+    }
+    Object.assign(pack, { name: data.name, version: data.version, description: data.description || null });
+
+    for (const def of data.signatures) {
+      try {
+        const sig = compileSignature(def);
+        // The first pack defining an id wins
+        if (byId.has(sig.id)) continue;
+        sig.pack = data.name;
+        byId.set(sig.id, sig);
+        signatures.push(sig);
+        pack.signatures++;
+      } catch (err) {
+        pack.errors.push(err.message);
+      }
+    }
+  }
+
+  state = { packs, signatures, byId };
+  console.log(`[Signatures] ${signatures.length} signatures loaded from ${packs.length} pack(s)`);
+  for (const pack of packs) {
+    if (pack.errors.length > 0) console.error(`[Signatures] ${pack.file}: ${pack.errors.join('; ')}`);
+  }
+  return { packs: packs.length, signatures: signatures.length };
+}
+
+function current() {
+  if (!state) load();
+  return state;
+}
+
+function getPacks() {
+  return current().packs;
+}
+
+function getSignature(id) {
+  return current().byId.get(id) || null;
+}
+
+/**
+ * First signature with a matcher of the given type accepting text
+ */
+function matchText(type, text) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  return current().signatures.find(sig =>
+    sig.matchers.some(m => m.type === type && m.test(text, lower))
+  ) || null;
+}
+
+/**
+ * IDs of all signatures whose body matcher accepts the body, in pack order
+ */
+function bodyMatches(body) {
+  if (!body) return [];
+  const lower = body.toLowerCase();
+  return current().signatures
+    .filter(sig => sig.matchers.some(m => m.type === 'body' && m.test(body, lower)))
+    .map(sig => sig.id);
+}
+
+/**
+ * Application endpoints of all signatures, in pack order
+ */
+function getEndpoints() {
+  return current().signatures.flatMap(sig => sig.endpoints.map(e => ({ ...e, signature: sig })));
+}
+
+/**
+ * Favicon hashes as { mmh3, md5, name, icon, signature }
+ */
+function getFavicons() {
+  return current().signatures.flatMap(sig =>
+    sig.favicons.map(f => ({ ...f, name: sig.name, icon: sig.icon, signature: sig.id }))
+  );
+}
+
+/**
+ * Paths a signature's version extraction needs to request
+ */
+function versionPaths(sig) {
+  return [...new Set(sig.versions.filter(v => v.source === 'endpoint').map(v => v.path))];
+}
+
+/**
+ * Extract the version of an identified signature. sources holds title,
+ * server, headers (lower-case name -> value), body and endpoints
+ * (path -> body). Confidences of regexes agreeing on a version add up;
+ * returns { version, confidence } for the best one or null.
+ */
+function extractVersion(sig, sources) {
+  const scores = new Map();
+  for (const v of sig.versions) {
+    let text;
+    if (v.source === 'header') text = sources.headers?.[v.header];
+    else if (v.source === 'endpoint') text = sources.endpoints?.[v.path];
+    else text = sources[v.source];
+    const m = typeof text === 'string' ? text.match(v.regex) : null;
+    if (m && m[1]) scores.set(m[1], (scores.get(m[1]) || 0) + v.confidence);
+  }
+
+  let best = null;
+  for (const [version, score] of scores) {
+    if (!best || score > best.confidence) best = { version: version.substring(0, 100), confidence: Math.min(1, score) };
+  }
+  return best;
+}
+
+module.exports = {
+  load, getPacks, getSignature, matchText, bodyMatches, getEndpoints, getFavicons, versionPaths, extractVersion,
+};
@@ -1,68 +1,42 @@
 /**
  * UISP (Ubiquiti ISP) / UNMS API Client
  *
- * Communicates with UISP controller via its REST API using curl.
+ * Communicates with UISP controller via its REST API (services/httpProbe).
  * Uses API token authentication (x-auth-token header).
- * Self-signed certificates are accepted (-k flag).
+ * Self-signed certificates are accepted.
  * No additional npm packages required.
  */
 
-const { execFile } = require('child_process');
+const httpProbe = require('./httpProbe');
 
-function curlRequest(url, opts = {}) {
-  return new Promise((resolve) => {
-    const args = [
-      '-s',                              // silent
-      '-i',                              // include response headers
-      '-k',                              // accept self-signed certs
-      '--max-time', String(opts.timeout || 10),
-      '--connect-timeout', '5',
-    ];
-
-    if (opts.token) {
-      args.push('-H', `x-auth-token: ${opts.token}`);
-    }
-
-    if (opts.method === 'POST') {
-      args.push('-X', 'POST');
-    }
-
-    if (opts.body) {
-      args.push('-H', 'Content-Type: application/json');
-      args.push('-d', opts.body);
-    }
-
-    args.push(url);
-
-    execFile('curl', args, {
-      maxBuffer: 2 * 1024 * 1024,
-      timeout: (opts.timeout || 10) * 1000 + 5000,
-    }, (err, stdout, stderr) => {
-      if (err && !stdout) {
-        resolve({ error: err.message, status: 0, headers: '', body: '' });
-        return;
-      }
-
-      // Split headers from body
-      const headerEndIdx = stdout.indexOf('\r\n\r\n');
-      if (headerEndIdx === -1) {
-        resolve({ error: 'No response headers', status: 0, headers: '', body: '' });
-        return;
-      }
-
-      const headers = stdout.substring(0, headerEndIdx);
-      const body = stdout.substring(headerEndIdx + 4);
-
-      // Extract status code
-      const statusMatch = headers.match(/HTTP\/[\d.]+ (\d+)/);
-      const status = statusMatch ? parseInt(statusMatch[1]) : 0;
+/**
+ * Request the controller API. Resolves { status, headers, body, json };
+ * status 0 and error on connection failures.
+ */
+async function apiRequest(url, opts = {}) {
+  const headers = {};
+  if (opts.token) headers['x-auth-token'] = opts.token;
+  if (opts.body) headers['Content-Type'] = 'application/json';
+
+  try {
+    const res = await httpProbe.request(url, {
+      method: opts.method || 'GET',
+      headers,
+      body: opts.body || null,
+      timeout: opts.timeout || 10,
+      connectTimeout: 5,
+      maxRedirects: 0,
+      maxBytes: 2 * 1024 * 1024,
+      truncate: false,
+    });
 
-      let json = null;
-      try { json = JSON.parse(body); } catch {}
+    let json = null;
+    try { json = JSON.parse(res.body); } catch {}
 
-      resolve({ status, headers, body, json });
-    });
-  });
+    return { status: res.status, headers: res.headers, body: res.body, json };
+  } catch (err) {
+    return { error: err.message, status: 0, headers: '', body: '' };
+  }
 }
 
 /**
@@ -70,7 +44,7 @@ function curlRequest(url, opts = {}) {
  * Returns array of { id, mac, name, model, modelName, ip, ssid, stationsCount, status, type }
  */
 async function getDevices(baseUrl, token) {
-  const res = await curlRequest(`${baseUrl}/nms/api/v2.1/devices`, {
+  const res = await apiRequest(`${baseUrl}/nms/api/v2.1/devices`, {
     token,
     timeout: 15,
   });
@@ -111,7 +85,7 @@ async function getDevices(baseUrl, token) {
 async function getStationsForDevice(baseUrl, token, deviceId) {
   // Try aircubes first (airCube APs), then airmaxes (NanoStation etc.)
   for (const type of ['aircubes', 'airmaxes']) {
-    const res = await curlRequest(
+    const res = await apiRequest(
       `${baseUrl}/nms/api/v2.1/devices/${type}/${deviceId}/stations`,
       { token, timeout: 15 }
     );
@@ -0,0 +1,257 @@
+/**
+ * Vulnerability feed parser
+ *
+ * Reads a local feed file and normalizes it to
+ *   { source, entries: [{ id, summary, severity, score, published, modified,
+ *                         references, products: [...] }] }
+ * Supported: NVD JSON 1.1 (CVE_Items) and 2.0 (vulnerabilities[].cve) feeds
+ * and OSV records (single object, array, JSON lines or a zip dump of records).
+ * Files may be gzip compressed.
+ */
+
+const zlib = require('zlib');
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+const MAX_REFERENCES = 5;
+
+function severityFromScore(score) {
+  if (score === null || score === undefined) return null;
+  if (score >= 9) return 'CRITICAL';
+  if (score >= 7) return 'HIGH';
+  if (score >= 4) return 'MEDIUM';
+  if (score > 0) return 'LOW';
+  return null;
+}
+
+function normalizeSeverity(severity, score) {
+  const s = String(severity || '').toUpperCase();
+  if (s === 'MODERATE') return 'MEDIUM';
+  if (SEVERITIES.includes(s)) return s;
+  return severityFromScore(score) || 'UNKNOWN';
+}
+
+/**
+ * cpe:2.3:part:vendor:product:version:update:... -> { vendor, product, version }
+ * The update field is appended to the version (OpenSSH 8.9 + p1 -> 8.9p1).
+ */
+function parseCpe(cpe) {
+  const parts = String(cpe || '').split(/(?<!\\):/);
+  if (parts[0] !== 'cpe' || parts[1] !== '2.3' || parts.length < 6) return null;
+  const unescape = (s) => s.replace(/\\(.)/g, '$1');
+  const value = (s) => (s && s !== '*' && s !== '-' ? unescape(s).toLowerCase() : null);
+  const version = value(parts[5]);
+  const update = value(parts[6]);
+  return {
+    vendor: value(parts[3]),
+    product: value(parts[4]),
+    version: version && update ? `${version}${update}` : version,
+  };
+}
+
+function cpeProduct(match) {
+  const cpe = match.criteria || match.cpe23Uri;
+  const parsed = parseCpe(cpe);
+  if (!parsed?.product) return null;
+  const range = {
+    startIncluding: match.versionStartIncluding || null,
+    startExcluding: match.versionStartExcluding || null,
+    endIncluding: match.versionEndIncluding || null,
+    endExcluding: match.versionEndExcluding || null,
+  };
+  const hasRange = Object.values(range).some(Boolean);
+  return {
+    vendor: parsed.vendor,
+    product: parsed.product,
+    cpe,
+    versionExact: hasRange ? null : parsed.version,
+    ...range,
+  };
+}
+
+// Configuration nodes may nest (NVD 1.1 children). Only vulnerable matches
+// count - AND nodes ("app X running on OS Y") are reduced to the vulnerable part.
+function collectCpeMatches(nodes, out = []) {
+  for (const node of nodes || []) {
+    for (const match of node.cpeMatch || node.cpe_match || []) {
+      if (!match.vulnerable) continue;
+      const product = cpeProduct(match);
+      if (product) out.push(product);
+    }
+    collectCpeMatches(node.children, out);
+  }
+  return out;
+}
+
+const date = (d) => (d && !isNaN(Date.parse(d)) ? d : null);
+
+function english(descriptions) {
+  return (descriptions || []).find(d => d.lang === 'en')?.value || descriptions?.[0]?.value || null;
+}
+
+function parseNvd2(cve) {
+  const metrics = cve.metrics || {};
+  const metric = metrics.cvssMetricV40?.[0] || metrics.cvssMetricV31?.[0] ||
+    metrics.cvssMetricV30?.[0] || metrics.cvssMetricV2?.[0];
+  const score = metric?.cvssData?.baseScore ?? null;
+  return {
+    id: cve.id,
+    summary: english(cve.descriptions),
+    severity: normalizeSeverity(metric?.cvssData?.baseSeverity || metric?.baseSeverity, score),
+    score,
+    published: date(cve.published),
+    modified: date(cve.lastModified),
+    references: (cve.references || []).slice(0, MAX_REFERENCES).map(r => r.url),
+    products: collectCpeMatches((cve.configurations || []).flatMap(c => c.nodes || [])),
+  };
+}
+
+function parseNvd11(item) {
+  const impact = item.impact || {};
+  const v3 = impact.baseMetricV3?.cvssV3;
+  const v2 = impact.baseMetricV2;
+  const score = v3?.baseScore ?? v2?.cvssV2?.baseScore ?? null;
+  return {
+    id: item.cve?.CVE_data_meta?.ID,
+    summary: english(item.cve?.description?.description_data),
+    severity: normalizeSeverity(v3?.baseSeverity || v2?.severity, score),
+    score,
+    published: date(item.publishedDate),
+    modified: date(item.lastModifiedDate),
+    references: (item.cve?.references?.reference_data || []).slice(0, MAX_REFERENCES).map(r => r.url),
+    products: collectCpeMatches(item.configurations?.nodes),
+  };
+}
+
+/**
+ * OSV affected ranges -> version ranges. Events are ordered:
+ * introduced opens a range, fixed / last_affected closes it.
+ */
+function osvRanges(affected, product) {
+  const out = [];
+  for (const range of affected.ranges || []) {
+    if (range.type === 'GIT') continue;
+    let open = null;
+    for (const event of range.events || []) {
+      if (event.introduced !== undefined) {
+        open = { startIncluding: event.introduced === '0' ? null : event.introduced };
+      } else if (open && (event.fixed !== undefined || event.last_affected !== undefined)) {
+        out.push({
+          ...product, ...open,
+          endExcluding: event.fixed ?? null,
+          endIncluding: event.last_affected ?? null,
+        });
+        open = null;
+      }
+    }
+    if (open) out.push({ ...product, ...open });
+  }
+  for (const version of affected.versions || []) {
+    out.push({ ...product, versionExact: version });
+  }
+  return out;
+}
+
+function parseOsv(record) {
+  const cve = (record.aliases || []).find(a => /^CVE-\d+-\d+$/.test(a));
+  const products = (record.affected || []).flatMap((affected) => {
+    const name = affected.package?.name;
+    if (!name) return [];
+    // Ecosystem packages have no vendor; "github.com/org/repo" style names keep their last part
+    const product = {
+      vendor: null,
+      product: name.toLowerCase().split('/').pop(),
+      cpe: `${affected.package.ecosystem || 'osv'}:${name}`,
+    };
+    return osvRanges(affected, product);
+  });
+  const severity = record.database_specific?.severity ||
+    (record.affected || []).map(a => a.ecosystem_specific?.severity || a.database_specific?.severity).find(Boolean);
+  return {
+    id: cve || record.id,
+    summary: record.summary || record.details?.substring(0, 1000) || null,
+    severity: normalizeSeverity(severity, null),
+    score: null,
+    published: date(record.published),
+    modified: date(record.modified),
+    references: (record.references || []).slice(0, MAX_REFERENCES).map(r => r.url),
+    products,
+  };
+}
+
+/**
+ * Minimal zip reader (stored and deflated entries, no zip64) for OSV dumps
+ */
+function readZip(buffer) {
+  const eocd = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (eocd < 0) throw new Error('Ungültige ZIP-Datei');
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Ungültige ZIP-Datei');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (!name.endsWith('.json')) continue;
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) files.push(data);
+    else if (method === 8) files.push(zlib.inflateRawSync(data));
+  }
+  return files;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    // JSON lines (one OSV record per line)
+    try {
+      return text.split('\n').filter(l => l.trim()).map(l => JSON.parse(l));
+    } catch {
+      throw new Error('Feed ist kein gültiges JSON');
+    }
+  }
+}
+
+/**
+ * Parse a feed file (Buffer). Throws with a German message on unknown formats.
+ */
+function parseFeed(buffer) {
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) buffer = zlib.gunzipSync(buffer);
+
+  let records;
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b) {
+    records = readZip(buffer).map(b => JSON.parse(b.toString('utf8')));
+  } else {
+    records = parseJson(buffer.toString('utf8'));
+  }
+
+  let source;
+  let entries;
+  if (Array.isArray(records?.CVE_Items)) {
+    source = 'nvd';
+    entries = records.CVE_Items.map(parseNvd11);
+  } else if (Array.isArray(records?.vulnerabilities)) {
+    source = 'nvd';
+    entries = records.vulnerabilities.map(v => parseNvd2(v.cve || {}));
+  } else {
+    const list = Array.isArray(records) ? records : [records];
+    if (!list.length || !list.every(r => r && typeof r.id === 'string' && (r.affected || r.modified))) {
+      throw new Error('Unbekanntes Feed-Format (erwartet NVD JSON 1.1/2.0 oder OSV)');
+    }
+    source = 'osv';
+    entries = list.map(parseOsv);
+  }
+
+  return { source, entries: entries.filter(e => e.id && e.products.length > 0) };
+}
+
+module.exports = { parseFeed, parseCpe };
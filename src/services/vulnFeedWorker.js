@@ -0,0 +1,14 @@
+/**
+ * Worker thread for vulnImport: parses a stored feed file with
+ * vulnFeed.parseFeed() so large feeds don't block the event loop
+ */
+
+const fs = require('fs');
+const { parentPort, workerData } = require('worker_threads');
+const { parseFeed } = require('./vulnFeed');
+
+try {
+  parentPort.postMessage({ feed: parseFeed(fs.readFileSync(workerData.file)) });
+} catch (err) {
+  parentPort.postMessage({ error: err.message });
+}
@@ -0,0 +1,94 @@
+/**
+ * Background import of vulnerability feed files (job type vuln_import)
+ *
+ * The upload is streamed to a file in UPLOAD_DIR, the job parses it in a
+ * worker thread (vulnFeedWorker), imports the entries and matches all
+ * services. The file is removed once the job has run.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Worker } = require('worker_threads');
+const vulnsModel = require('../models/vulnerabilities');
+const vulnMatcher = require('./vulnMatcher');
+
+const UPLOAD_DIR = path.join(os.tmpdir(), 'netcatalog-feeds');
+const MAX_UPLOAD_BYTES = 300 * 1024 * 1024;
+// Heap of the parser thread - a feed too large for it fails the job, not the server
+const WORKER_HEAP_MB = 2048;
+
+/**
+ * Write an upload stream to UPLOAD_DIR. Resolves with the file path, rejects
+ * with err.status 400 (empty) or 413 (larger than MAX_UPLOAD_BYTES).
+ */
+async function storeUpload(stream) {
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+  const file = path.join(UPLOAD_DIR, `${crypto.randomUUID()}.feed`);
+  let size = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > MAX_UPLOAD_BYTES) {
+        const err = new Error('Feed-Datei ist größer als 300 MB');
+        err.status = 413;
+        callback(err);
+      } else {
+        callback(null, chunk);
+      }
+    },
+  });
+
+  try {
+    await pipeline(stream, limit, fs.createWriteStream(file));
+    if (size === 0) {
+      const err = new Error('Keine Feed-Datei übermittelt');
+      err.status = 400;
+      throw err;
+    }
+    return file;
+  } catch (err) {
+    await fs.promises.rm(file, { force: true });
+    throw err;
+  }
+}
+
+function parseInWorker(file) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'vulnFeedWorker.js'), {
+      workerData: { file },
+      resourceLimits: { maxOldGenerationSizeMb: WORKER_HEAP_MB },
+    });
+    worker.once('message', (msg) => (msg.error ? reject(new Error(msg.error)) : resolve(msg.feed)));
+    worker.once('error', (err) => reject(
+      err.code === 'ERR_WORKER_OUT_OF_MEMORY' ? new Error('Feed-Datei zu groß zum Verarbeiten') : err
+    ));
+    worker.once('exit', (code) => {
+      if (code !== 0) reject(new Error(`Feed-Parser beendet (Code ${code})`));
+    });
+  });
+}
+
+/**
+ * Job: parse, import and match a stored feed file.
+ * Returns { source, entries, products, findings }.
+ */
+async function importFile(file, filename) {
+  try {
+    const feed = await parseInWorker(file);
+    if (feed.entries.length === 0) {
+      throw new Error('Keine Einträge mit betroffenen Produkten im Feed gefunden');
+    }
+    const imported = await vulnsModel.importFeed(feed.source, filename, feed.entries);
+    console.log(`[Vulns] Imported ${imported.entries} ${feed.source} entries (${imported.products} products) from ${filename}`);
+    const findings = await vulnMatcher.matchAll();
+    return { source: feed.source, ...imported, findings };
+  } finally {
+    await fs.promises.rm(file, { force: true });
+  }
+}
+
+module.exports = { storeUpload, importFile };
@@ -0,0 +1,231 @@
+/**
+ * Offline vulnerability matching
+ *
+ * Maps the product/version of identified services to CPE vendor:product
+ * names and matches them against the imported feed (vulnerabilities model).
+ * Services without a version are never matched - a bare product name says
+ * nothing about which CVEs apply.
+ */
+
+const vulnsModel = require('../models/vulnerabilities');
+
+// Product names as seen in banners, nmap and HTTP Server headers -> CPE.
+// vendor may list former CPE vendors, aliases are extra product names
+// (OSV packages, older CPE names).
+const CPE_MAP = [
+  { match: /openssh/i, vendor: 'openbsd', product: 'openssh' },
+  { match: /dropbear/i, vendor: 'dropbear_ssh_project', product: 'dropbear_ssh', aliases: ['dropbear'] },
+  { match: /apache(?:\s*httpd|\/)|^apache$/i, vendor: 'apache', product: 'http_server', aliases: ['apache2', 'httpd'] },
+  { match: /tomcat/i, vendor: 'apache', product: 'tomcat', aliases: ['tomcat9', 'tomcat10'] },
+  { match: /nginx/i, vendor: ['f5', 'nginx'], product: 'nginx' },
+  { match: /lighttpd/i, vendor: 'lighttpd', product: 'lighttpd' },
+  { match: /microsoft-iis|\biis\b/i, vendor: 'microsoft', product: 'internet_information_services' },
+  { match: /caddy/i, vendor: 'caddyserver', product: 'caddy' },
+  { match: /traefik/i, vendor: 'traefik', product: 'traefik' },
+  { match: /haproxy/i, vendor: 'haproxy', product: 'haproxy' },
+  { match: /squid/i, vendor: 'squid-cache', product: 'squid' },
+  { match: /jetty/i, vendor: ['eclipse', 'mortbay'], product: 'jetty' },
+  { match: /vsftpd/i, vendor: ['beasts', 'vsftpd_project'], product: 'vsftpd' },
+  { match: /proftpd/i, vendor: 'proftpd', product: 'proftpd' },
+  { match: /pure-ftpd/i, vendor: 'pureftpd', product: 'pure-ftpd' },
+  { match: /filezilla server/i, vendor: 'filezilla-project', product: 'filezilla_server' },
+  { match: /postfix/i, vendor: 'postfix', product: 'postfix' },
+  { match: /exim/i, vendor: 'exim', product: 'exim', aliases: ['exim4'] },
+  { match: /sendmail/i, vendor: 'sendmail', product: 'sendmail' },
+  { match: /dovecot/i, vendor: 'dovecot', product: 'dovecot' },
+  { match: /mariadb/i, vendor: 'mariadb', product: 'mariadb' },
+  { match: /mysql/i, vendor: ['oracle', 'mysql'], product: 'mysql', aliases: ['mysql-server'] },
+  { match: /postgres/i, vendor: 'postgresql', product: 'postgresql' },
+  { match: /redis/i, vendor: 'redis', product: 'redis' },
+  { match: /mongodb/i, vendor: 'mongodb', product: 'mongodb' },
+  { match: /memcached/i, vendor: 'memcached', product: 'memcached' },
+  { match: /elasticsearch/i, vendor: ['elastic', 'elasticsearch'], product: 'elasticsearch' },
+  { match: /samba/i, vendor: 'samba', product: 'samba' },
+  { match: /\bbind\b|\bnamed\b/i, vendor: 'isc', product: 'bind', aliases: ['bind9'] },
+  { match: /dnsmasq/i, vendor: 'thekelleys', product: 'dnsmasq' },
+  { match: /unbound/i, vendor: 'nlnetlabs', product: 'unbound' },
+  { match: /mosquitto/i, vendor: 'eclipse', product: 'mosquitto' },
+  { match: /grafana/i, vendor: 'grafana', product: 'grafana' },
+  { match: /jenkins/i, vendor: 'jenkins', product: 'jenkins' },
+  { match: /gitea/i, vendor: 'gitea', product: 'gitea' },
+  { match: /gitlab/i, vendor: 'gitlab', product: 'gitlab' },
+  { match: /nextcloud/i, vendor: 'nextcloud', product: 'nextcloud_server' },
+  { match: /minio/i, vendor: 'minio', product: 'minio' },
+  { match: /openssl/i, vendor: 'openssl', product: 'openssl' },
+  { match: /cups/i, vendor: 'apple', product: 'cups' },
+  { match: /mini_httpd/i, vendor: 'acme', product: 'mini_httpd' },
+  { match: /boa\//i, vendor: 'boa', product: 'boa' },
+];
+
+// "nginx/1.18.0 (Ubuntu)", "OpenSSH_8.9p1", "Apache httpd 2.4.52"
+const VERSION_AFTER_NAME = /^[^\s/_-]*[\s/_-]+(?:httpd[\s/]+)?v?(\d+(?:\.\d+)*[a-z0-9.~+-]*)/i;
+const LEADING_VERSION = /^v?(\d+(?:\.\d+)*[a-z0-9.~+-]*)/i;
+
+/**
+ * Clean up a version string: "8.9p1 Ubuntu 3ubuntu0.6" -> "8.9p1",
+ * "1:2.4.52-1ubuntu4" -> "2.4.52" (epoch and distribution revision dropped).
+ * Returns null if it doesn't start with a number.
+ */
+function cleanVersion(version) {
+  if (!version) return null;
+  const v = String(version).trim().replace(/^\d+:/, '');
+  const match = v.match(LEADING_VERSION);
+  return match ? match[1].split(/[-~+]/)[0].replace(/\.+$/, '') || null : null;
+}
+
+/**
+ * Product candidates of a service: [{ vendors, products, version }].
+ * Sources are the nmap/banner product (+version), the HTTP Server header and
+ * identified_as, which often carry the version inline. service_version is
+ * only used for identified_as if service_product maps to the same product -
+ * "Grafana" identified behind an nginx 1.18.0 is not Grafana 1.18.0.
+ */
+function serviceProducts(service) {
+  const productRule = service.service_product
+    ? CPE_MAP.find(r => r.match.test(service.service_product)) || null
+    : null;
+  const texts = [
+    { text: service.service_product, version: service.service_version },
+    { text: service.http_server },
+    { text: service.identified_as, version: service.service_version, versionRule: productRule },
+  ].filter(t => t.text);
+
+  const candidates = new Map();
+  for (const { text, version, versionRule } of texts) {
+    // A Server header may list several products: "Apache/2.4.41 (Ubuntu) OpenSSL/1.1.1f"
+    for (const part of text.split(/\s+(?=[A-Za-z][\w.-]*\/\d)/)) {
+      const rule = CPE_MAP.find(r => r.match.test(part));
+      if (rule) {
+        const inline = part.slice(part.match(rule.match).index).match(VERSION_AFTER_NAME)?.[1];
+        const ownVersion = part === text && (versionRule === undefined || versionRule === rule);
+        const v = cleanVersion(inline) || (ownVersion ? cleanVersion(version) : null);
+        if (!v) continue;
+        candidates.set(`${rule.product}:${v}`, {
+          vendors: [rule.vendor].flat(), products: [rule.product, ...(rule.aliases || [])], version: v,
+        });
+        continue;
+      }
+
+      // Unknown product: only "Name/1.2" style strings, matched by name without vendor
+      const generic = part.match(/^([A-Za-z][\w.-]{2,})\/v?(\d[\w.~+-]*)/);
+      const v = generic && cleanVersion(generic[2]);
+      if (v) {
+        const name = generic[1].toLowerCase();
+        candidates.set(`*:${name}:${v}`, { vendors: null, products: [name], version: v });
+      }
+    }
+  }
+  return [...candidates.values()];
+}
+
+const PRERELEASE = /^(alpha|beta|rc|pre|dev)$/i;
+
+/**
+ * Compare two version strings token by token (numbers numerically,
+ * letters alphabetically). Pre-release suffixes sort before the release:
+ * 1.0rc1 < 1.0 < 1.0p1 < 1.0.1
+ */
+function compareVersions(a, b) {
+  const ta = String(a).toLowerCase().match(/\d+|[a-z]+/g) || [];
+  const tb = String(b).toLowerCase().match(/\d+|[a-z]+/g) || [];
+  for (let i = 0; i < Math.max(ta.length, tb.length); i++) {
+    const x = ta[i];
+    const y = tb[i];
+    if (x === undefined) return PRERELEASE.test(y) ? 1 : -1;
+    if (y === undefined) return PRERELEASE.test(x) ? -1 : 1;
+    const nx = /^\d+$/.test(x);
+    const ny = /^\d+$/.test(y);
+    if (nx && ny) {
+      const diff = parseInt(x, 10) - parseInt(y, 10);
+      if (diff !== 0) return Math.sign(diff);
+    } else if (nx !== ny) {
+      return nx ? 1 : -1;
+    } else if (x !== y) {
+      return x < y ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Does a version fall into an affected product row?
+ * An exact CPE version without update ("8.9") also matches "8.9p1".
+ * Bounds are reduced to the upstream version like the service versions
+ * ("1:9.2p1-2+deb12u2" -> "9.2p1") - banners rarely show the package revision.
+ */
+function versionAffected(row, version) {
+  if (row.version_exact) {
+    const exact = row.version_exact.toLowerCase();
+    const v = version.toLowerCase();
+    return v === exact || (v.startsWith(exact) && /^[a-z]/.test(v.slice(exact.length)));
+  }
+  const bounds = [row.version_start_including, row.version_start_excluding,
+    row.version_end_including, row.version_end_excluding];
+  // A product row without any version limits means "all versions" - too vague
+  if (!bounds.some(Boolean)) return false;
+  const [startIncl, startExcl, endIncl, endExcl] = bounds.map(b => (b ? cleanVersion(b) || b : null));
+  if (startIncl && compareVersions(version, startIncl) < 0) return false;
+  if (startExcl && compareVersions(version, startExcl) <= 0) return false;
+  if (endIncl && compareVersions(version, endIncl) > 0) return false;
+  if (endExcl && compareVersions(version, endExcl) >= 0) return false;
+  return true;
+}
+
+/**
+ * Findings for a list of services: [{ serviceId, vulnId, cpe, version }]
+ */
+async function findVulnerabilities(services) {
+  const perService = services
+    .filter(s => s.state === 'open')
+    .map(s => ({ service: s, candidates: serviceProducts(s) }))
+    .filter(s => s.candidates.length > 0);
+  if (perService.length === 0) return [];
+
+  const names = [...new Set(perService.flatMap(s => s.candidates.flatMap(c => c.products)))];
+  const rows = await vulnsModel.getProductRows(names);
+  const byProduct = new Map();
+  for (const row of rows) {
+    if (!byProduct.has(row.product)) byProduct.set(row.product, []);
+    byProduct.get(row.product).push(row);
+  }
+
+  const findings = new Map();
+  for (const { service, candidates } of perService) {
+    for (const c of candidates) {
+      for (const row of c.products.flatMap(p => byProduct.get(p) || [])) {
+        // Mapped products must match the CPE vendor too; OSV packages have none
+        if (row.vendor && c.vendors && !c.vendors.includes(row.vendor)) continue;
+        if (!versionAffected(row, c.version)) continue;
+        const key = `${service.id}:${row.vuln_id}`;
+        if (!findings.has(key)) {
+          findings.set(key, { serviceId: service.id, vulnId: row.vuln_id, cpe: row.cpe, version: c.version });
+        }
+      }
+    }
+  }
+  return [...findings.values()];
+}
+
+/**
+ * Re-match the services of one host and replace its findings
+ */
+async function matchHost(hostId) {
+  if (!(await vulnsModel.hasFeed())) return 0;
+  const services = await vulnsModel.getMatchableServices({ hostId });
+  const findings = await findVulnerabilities(services);
+  await vulnsModel.replaceFindings(findings, { hostId });
+  return findings.length;
+}
+
+/**
+ * Re-match all services (after a feed import)
+ */
+async function matchAll() {
+  const services = await vulnsModel.getMatchableServices();
+  const findings = await findVulnerabilities(services);
+  await vulnsModel.replaceFindings(findings);
+  console.log(`[Vulns] ${findings.length} findings on ${new Set(findings.map(f => f.serviceId)).size} services`);
+  return findings.length;
+}
+
+module.exports = { matchHost, matchAll, serviceProducts, compareVersions, versionAffected, cleanVersion };